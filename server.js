@@ -112,7 +112,8 @@ const swaggerOptions = {
         bearerAuth: {
           type: 'http',
           scheme: 'bearer',
-          bearerFormat: 'JWT'
+          bearerFormat: 'JWT',
+          description: 'Access token JWT o token de acceso personal (scpat_...). Los tokens de acceso personal no sirven para gestionar la cuenta y sus alcances limitan las rutas de posts, comentarios y likes'
         }
       }
     }
@@ -161,6 +162,7 @@ app.get('/', (req, res) => {
       posts: `${baseUrl}/api/posts`,
       comments: `${baseUrl}/api/comments`,
       likes: `${baseUrl}/api/likes`,
+      feed: `${baseUrl}/api/feed`,
       auth: `${baseUrl}/api/auth`,
       docs: `${baseUrl}/api-docs`
     }
@@ -222,6 +224,16 @@ try {
   console.error('❌ Error cargando rutas de likes:', error.message);
 }
 
+/**
+ * Importar y configurar rutas del timeline personalizado
+ */
+try {
+  const feedRoutes = require('./src/routes/feedRoutes');
+  app.use('/api/feed', feedRoutes);
+} catch (error) {
+  console.error('❌ Error cargando rutas del timeline:', error.message);
+}
+
 /**
  * Middleware para manejar rutas no encontradas (404)
  */
@@ -236,10 +248,12 @@ app.use('*', (req, res) => {
       posts: '/api/posts',
       comments: '/api/comments',  
       likes: '/api/likes',  
+      feed: '/api/feed',
       auth: {
         google: '/api/auth/google',
         github: '/api/auth/github',
         status: '/api/auth/status',
+        refresh: '/api/auth/refresh',
         success: '/api/auth/success', 
         error: '/api/auth/error' 
       }
@@ -257,6 +271,14 @@ app.use(errorHandler);
  */
 const initializeApp = async () => {
   await startServer();
+
+  // Procesos periódicos: borrado de cuentas eliminadas y exportaciones de datos pendientes o caducadas
+  if (process.env.NODE_ENV !== 'test') {
+    const { startAccountErasureJob } = require('./src/utils/accountErasure');
+    const { startDataExportJob } = require('./src/utils/dataExport');
+    startAccountErasureJob();
+    startDataExportJob();
+  }
   
   const server = app.listen(PORT, () => {
     const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
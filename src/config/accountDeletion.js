@@ -0,0 +1,24 @@
+// src/config/accountDeletion.js - Política de eliminación de cuentas
+
+/**
+ * Obtiene la política de eliminación de cuentas (configurable por variables de entorno)
+ * - ACCOUNT_DELETION_GRACE_DAYS: días durante los que la cuenta puede reactivarse (30 por defecto)
+ * - ACCOUNT_ERASURE_INTERVAL_MINUTES: cada cuánto se ejecuta el proceso de borrado en el servidor
+ *   (60 por defecto, 0 lo desactiva para ejecutarlo solo con npm run erasure:run)
+ * - ACCOUNT_ERASURE_BATCH_SIZE: cuentas borradas como máximo en cada ejecución (25 por defecto)
+ * @returns {Object}
+ */
+const getAccountDeletionPolicy = () => {
+  const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+  const intervalMinutes = parseInt(process.env.ACCOUNT_ERASURE_INTERVAL_MINUTES, 10);
+
+  return {
+    graceDays: Number.isNaN(graceDays) ? 30 : Math.max(graceDays, 0),
+    intervalMinutes: Number.isNaN(intervalMinutes) ? 60 : Math.max(intervalMinutes, 0),
+    batchSize: parseInt(process.env.ACCOUNT_ERASURE_BATCH_SIZE, 10) || 25
+  };
+};
+
+module.exports = {
+  getAccountDeletionPolicy
+};
@@ -0,0 +1,28 @@
+// src/config/auditEvents.js - Acciones del registro de auditoría
+
+/**
+ * Acciones que se registran y su categoría
+ * - auth: inicios de sesión
+ * - account: cambios en la cuenta
+ * - content: moderación y borrado de contenido
+ */
+const AUDIT_ACTIONS = {
+  'user.login': 'auth',
+  'oauth.login': 'auth',
+  'oauth.link': 'account',
+  'user.password_change': 'account',
+  'user.delete': 'account',
+  'post.delete': 'content',
+  'comment.delete': 'content'
+};
+
+const AUDIT_CATEGORIES = ['auth', 'account', 'content'];
+
+// Categorías que el usuario ve en sus eventos de seguridad
+const SECURITY_CATEGORIES = ['auth', 'account'];
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_CATEGORIES,
+  SECURITY_CATEGORIES
+};
@@ -0,0 +1,107 @@
+// src/config/authPolicy.js - Política de autenticación de cada ruta
+
+/**
+ * Políticas disponibles
+ * - require: exige un usuario autenticado
+ * - optional: acepta peticiones anónimas; si hay token válido se identifica al usuario
+ * - guest: exige autenticación, salvo en modo demo, donde las peticiones anónimas
+ *   actúan como el usuario invitado dedicado (nunca como un usuario real)
+ */
+const AUTH_POLICIES = ['require', 'optional', 'guest'];
+
+/**
+ * Política por defecto de cada ruta ("<recurso>:<acción>")
+ * Se puede sobrescribir con un JSON en ROUTE_AUTH_POLICIES, ej: {"posts:create":"require"}
+ */
+const DEFAULT_ROUTE_POLICIES = {
+  'posts:list': 'optional',
+  'posts:read': 'optional',
+  'posts:create': 'guest',
+  'posts:update': 'require',
+  'posts:delete': 'require',
+  'comments:list': 'optional',
+  'comments:read': 'optional',
+  'comments:create': 'guest',
+  'comments:update': 'require',
+  'comments:delete': 'require',
+  'likes:list': 'optional',
+  'likes:read': 'optional',
+  'likes:check': 'guest',
+  'likes:create': 'guest',
+  'likes:toggle': 'guest',
+  'likes:delete': 'require'
+};
+
+/**
+ * Interpreta las políticas sobrescritas en ROUTE_AUTH_POLICIES
+ * Las entradas con políticas desconocidas se ignoran con un aviso en consola.
+ * @param {string} raw - Valor de la variable
+ * @returns {Object}
+ */
+const parsePolicyOverrides = (raw) => {
+  if (!raw) return {};
+
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch (error) {
+    console.error('❌ ROUTE_AUTH_POLICIES no es un JSON válido:', error.message);
+    return {};
+  }
+
+  return Object.fromEntries(Object.entries(overrides).filter(([route, policy]) => {
+    if (AUTH_POLICIES.includes(policy)) return true;
+    console.error(`❌ Política de autenticación desconocida para ${route}: ${policy}`);
+    return false;
+  }));
+};
+
+// Políticas sobrescritas ya interpretadas: solo se vuelven a leer si cambia la variable
+let cachedOverrides = { raw: undefined, overrides: {} };
+
+/**
+ * Obtiene las políticas sobrescritas en ROUTE_AUTH_POLICIES
+ * @returns {Object}
+ */
+const getPolicyOverrides = () => {
+  const raw = process.env.ROUTE_AUTH_POLICIES;
+  if (raw !== cachedOverrides.raw) {
+    cachedOverrides = { raw, overrides: parsePolicyOverrides(raw) };
+  }
+  return cachedOverrides.overrides;
+};
+
+/**
+ * Obtiene la política de autenticación de una ruta
+ * Las rutas sin política configurada exigen autenticación.
+ * @param {string} route - Clave de la ruta (ej: "posts:create")
+ * @returns {string} - Política
+ */
+const getRoutePolicy = (route) => {
+  const overrides = getPolicyOverrides();
+  return overrides[route] || DEFAULT_ROUTE_POLICIES[route] || 'require';
+};
+
+/**
+ * Indica si el modo demo está activo
+ * Se activa con DEMO_MODE=true y nunca se aplica en producción.
+ * @returns {boolean}
+ */
+const isDemoModeEnabled = () => {
+  return process.env.DEMO_MODE === 'true' && process.env.NODE_ENV !== 'production';
+};
+
+// Validar la configuración al arrancar: los errores se avisan una sola vez y no en cada petición
+getPolicyOverrides();
+
+// Avisar si alguien intenta activar el modo demo en producción
+if (process.env.DEMO_MODE === 'true' && process.env.NODE_ENV === 'production') {
+  console.warn('⚠️ DEMO_MODE está activo pero se ignora en producción');
+}
+
+module.exports = {
+  AUTH_POLICIES,
+  DEFAULT_ROUTE_POLICIES,
+  getRoutePolicy,
+  isDemoModeEnabled
+};
@@ -0,0 +1,27 @@
+// src/config/dataExport.js - Política de exportación de datos personales
+const path = require('path');
+
+/**
+ * Obtiene la política de exportación de datos (configurable por variables de entorno)
+ * - DATA_EXPORT_DIR: carpeta local donde se guardan los archivos (tmp/exports por defecto)
+ * - DATA_EXPORT_EXPIRE_DAYS: días durante los que se puede descargar un archivo (7 por defecto)
+ * - DATA_EXPORT_COOLDOWN_MINUTES: tiempo mínimo entre dos solicitudes del mismo usuario (60 por defecto)
+ * - DATA_EXPORT_INTERVAL_MINUTES: cada cuánto el servidor retoma exportaciones pendientes y
+ *   borra las caducadas (15 por defecto, 0 lo desactiva)
+ * @returns {Object}
+ */
+const getDataExportPolicy = () => {
+  const cooldownMinutes = parseInt(process.env.DATA_EXPORT_COOLDOWN_MINUTES, 10);
+  const intervalMinutes = parseInt(process.env.DATA_EXPORT_INTERVAL_MINUTES, 10);
+
+  return {
+    directory: path.resolve(process.env.DATA_EXPORT_DIR || path.join(__dirname, '..', '..', 'tmp', 'exports')),
+    expireDays: parseInt(process.env.DATA_EXPORT_EXPIRE_DAYS, 10) || 7,
+    cooldownMinutes: Number.isNaN(cooldownMinutes) ? 60 : Math.max(cooldownMinutes, 0),
+    intervalMinutes: Number.isNaN(intervalMinutes) ? 15 : Math.max(intervalMinutes, 0)
+  };
+};
+
+module.exports = {
+  getDataExportPolicy
+};
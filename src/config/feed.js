@@ -0,0 +1,24 @@
+// src/config/feed.js - Política del timeline personalizado
+
+/**
+ * Obtiene la política del timeline (configurable por variables de entorno)
+ * - FEED_ENGAGEMENT_DAYS: días durante los que un like o comentario hace que los nuevos posts
+ *   de ese autor lleguen al timeline de quien interactuó (30 por defecto)
+ * - FEED_RETENTION_DAYS: días que se conserva cada entrada del timeline (90 por defecto)
+ * - FEED_BACKFILL_LIMIT: posts recientes que se añaden al suscribirse a una etiqueta o
+ *   seguir a un usuario (20 por defecto, 0 lo desactiva)
+ * @returns {Object}
+ */
+const getFeedPolicy = () => {
+  const backfillLimit = parseInt(process.env.FEED_BACKFILL_LIMIT, 10);
+
+  return {
+    engagementDays: parseInt(process.env.FEED_ENGAGEMENT_DAYS, 10) || 30,
+    retentionDays: parseInt(process.env.FEED_RETENTION_DAYS, 10) || 90,
+    backfillLimit: Number.isNaN(backfillLimit) ? 20 : Math.max(backfillLimit, 0)
+  };
+};
+
+module.exports = {
+  getFeedPolicy
+};
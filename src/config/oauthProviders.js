@@ -0,0 +1,198 @@
+// src/config/oauthProviders.js - Proveedores OAuth soportados
+const fs = require('fs');
+
+// Variables de entorno con las credenciales de los proveedores integrados
+const OAUTH_PROVIDERS = {
+  google: ['GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET'],
+  github: ['GITHUB_CLIENT_ID', 'GITHUB_CLIENT_SECRET']
+};
+
+// Nombres que no pueden usar los proveedores genéricos porque ya son rutas de /api/auth
+const RESERVED_PROVIDER_NAMES = [
+  ...Object.keys(OAUTH_PROVIDERS),
+  'status', 'test', 'success', 'error', 'failure', 'refresh', 'logout', 'link', 'exchange',
+  'magic-link'
+];
+
+// Claims estándar de OpenID Connect usados si el proveedor no define su propio mapeo
+const DEFAULT_CLAIMS = {
+  id: 'sub',
+  email: 'email',
+  emailVerified: 'email_verified',
+  username: 'preferred_username',
+  firstName: 'given_name',
+  lastName: 'family_name',
+  profilePicture: 'picture'
+};
+
+/**
+ * Proveedores genéricos OpenID Connect / OAuth2
+ *
+ * Se configuran con un array JSON en OAUTH_PROVIDERS_CONFIG o en el archivo indicado por
+ * OAUTH_PROVIDERS_FILE. Cada proveedor admite:
+ * - name: identificador usado en la URL (/api/auth/<name>)
+ * - displayName: nombre para mostrar
+ * - type: "oidc" (por defecto) u "oauth2"
+ * - issuer o discoveryUrl: para obtener los endpoints con OpenID Connect Discovery
+ * - authorizationURL, tokenURL, userInfoURL: endpoints explícitos (tienen prioridad sobre discovery)
+ * - jwksURL: claves públicas para verificar el id_token (por defecto, el jwks_uri de discovery).
+ *   Sin ellas el id_token se ignora y los claims se leen solo de userinfo
+ * - clientID, clientSecret o clientSecretEnv (nombre de la variable de entorno con el secreto)
+ * - scope: array de scopes (por defecto ["openid", "profile", "email"] en OIDC)
+ * - claims: mapeo de campos del usuario a claims (admite rutas con puntos, ej: "attributes.mail")
+ * - pkce: usar PKCE en el flujo de autorización (por defecto true)
+ */
+const genericProviders = new Map();
+
+/**
+ * Normaliza y valida la configuración de un proveedor genérico
+ * @param {Object} config - Configuración del proveedor
+ * @returns {Object} - Configuración normalizada
+ * @throws {Error} - Si la configuración es inválida
+ */
+const normalizeProviderConfig = (config) => {
+  const name = String(config.name || '').trim().toLowerCase();
+
+  if (!/^[a-z0-9][a-z0-9_-]{1,29}$/.test(name)) {
+    throw new Error(`Nombre de proveedor OAuth inválido: "${config.name}"`);
+  }
+  if (RESERVED_PROVIDER_NAMES.includes(name)) {
+    throw new Error(`El nombre de proveedor "${name}" está reservado`);
+  }
+
+  const type = config.type || 'oidc';
+  if (!['oidc', 'oauth2'].includes(type)) {
+    throw new Error(`Tipo de proveedor inválido para "${name}": ${type}`);
+  }
+
+  const clientSecret = config.clientSecret || (config.clientSecretEnv && process.env[config.clientSecretEnv]);
+  if (!config.clientID || !clientSecret) {
+    throw new Error(`El proveedor "${name}" requiere clientID y clientSecret`);
+  }
+
+  const issuer = config.issuer ? config.issuer.replace(/\/+$/, '') : null;
+  const discoveryUrl = config.discoveryUrl ||
+    (issuer && type === 'oidc' ? `${issuer}/.well-known/openid-configuration` : null);
+
+  if (!discoveryUrl && (!config.authorizationURL || !config.tokenURL)) {
+    throw new Error(`El proveedor "${name}" requiere discoveryUrl/issuer o authorizationURL y tokenURL`);
+  }
+  if (type === 'oauth2' && !discoveryUrl && !config.userInfoURL) {
+    throw new Error(`El proveedor OAuth2 "${name}" requiere userInfoURL`);
+  }
+
+  return {
+    name,
+    displayName: config.displayName || name,
+    type,
+    issuer,
+    discoveryUrl,
+    authorizationURL: config.authorizationURL || null,
+    tokenURL: config.tokenURL || null,
+    userInfoURL: config.userInfoURL || null,
+    jwksURL: config.jwksURL || null,
+    clientID: config.clientID,
+    clientSecret,
+    scope: config.scope || (type === 'oidc' ? ['openid', 'profile', 'email'] : []),
+    claims: { ...DEFAULT_CLAIMS, ...(config.claims || {}) },
+    pkce: config.pkce !== false
+  };
+};
+
+/**
+ * Registra (o reemplaza) un proveedor genérico
+ * @param {Object} config - Configuración del proveedor
+ * @returns {Object} - Configuración normalizada
+ */
+const registerGenericProvider = (config) => {
+  const provider = normalizeProviderConfig(config);
+  genericProviders.set(provider.name, provider);
+  return provider;
+};
+
+/**
+ * Elimina un proveedor genérico registrado
+ * @param {string} name - Nombre del proveedor
+ */
+const unregisterGenericProvider = (name) => {
+  genericProviders.delete(name);
+};
+
+/**
+ * Obtiene la configuración de un proveedor genérico
+ * @param {string} name - Nombre del proveedor
+ * @returns {Object|null}
+ */
+const getGenericProvider = (name) => genericProviders.get(name) || null;
+
+/**
+ * Lista los proveedores genéricos registrados
+ * @returns {Object[]}
+ */
+const getGenericProviders = () => [...genericProviders.values()];
+
+/**
+ * Carga los proveedores genéricos definidos en las variables de entorno
+ * Los proveedores con configuración inválida se omiten con un aviso en consola.
+ */
+const loadGenericProviders = () => {
+  let raw = process.env.OAUTH_PROVIDERS_CONFIG;
+
+  if (!raw && process.env.OAUTH_PROVIDERS_FILE) {
+    try {
+      raw = fs.readFileSync(process.env.OAUTH_PROVIDERS_FILE, 'utf8');
+    } catch (error) {
+      console.error('❌ No se pudo leer OAUTH_PROVIDERS_FILE:', error.message);
+      return;
+    }
+  }
+
+  if (!raw) return;
+
+  let configs;
+  try {
+    configs = JSON.parse(raw);
+  } catch (error) {
+    console.error('❌ La configuración de proveedores OAuth no es un JSON válido:', error.message);
+    return;
+  }
+
+  for (const config of Array.isArray(configs) ? configs : [configs]) {
+    try {
+      const provider = registerGenericProvider(config);
+      console.log(`✅ Proveedor OAuth genérico configurado: ${provider.name}`);
+    } catch (error) {
+      console.error('❌ Error configurando proveedor OAuth genérico:', error.message);
+    }
+  }
+};
+
+/**
+ * Indica si un proveedor OAuth está disponible (integrado con credenciales o genérico registrado)
+ * @param {string} provider - Proveedor OAuth
+ * @returns {boolean}
+ */
+const isOAuthProviderConfigured = (provider) => {
+  const variables = OAUTH_PROVIDERS[provider];
+  if (variables) return variables.every(name => process.env[name]);
+  return genericProviders.has(provider);
+};
+
+/**
+ * Lista los nombres de todos los proveedores conocidos
+ * @returns {string[]}
+ */
+const getOAuthProviderNames = () => [...Object.keys(OAUTH_PROVIDERS), ...genericProviders.keys()];
+
+loadGenericProviders();
+
+module.exports = {
+  OAUTH_PROVIDERS,
+  DEFAULT_CLAIMS,
+  registerGenericProvider,
+  unregisterGenericProvider,
+  getGenericProvider,
+  getGenericProviders,
+  isOAuthProviderConfigured,
+  getOAuthProviderNames
+};
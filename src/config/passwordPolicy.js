@@ -0,0 +1,51 @@
+// src/config/passwordPolicy.js - Política de contraseñas
+
+/**
+ * Lee una variable de entorno booleana
+ * @param {string} name - Nombre de la variable
+ * @param {boolean} defaultValue - Valor si la variable no está definida
+ * @returns {boolean}
+ */
+const readBoolean = (name, defaultValue) => {
+  if (process.env[name] === undefined) return defaultValue;
+  return process.env[name] === 'true';
+};
+
+/**
+ * Lee una variable de entorno numérica (acepta 0)
+ * @param {string} name - Nombre de la variable
+ * @param {number} defaultValue - Valor si la variable no está definida o no es un número
+ * @returns {number}
+ */
+const readInteger = (name, defaultValue) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? defaultValue : value;
+};
+
+/**
+ * Obtiene la política de contraseñas vigente (configurable por variables de entorno)
+ * - PASSWORD_MIN_LENGTH / PASSWORD_MAX_LENGTH: longitud permitida (8 y 128 por defecto)
+ * - PASSWORD_REQUIRE_LOWERCASE, PASSWORD_REQUIRE_UPPERCASE, PASSWORD_REQUIRE_DIGIT: clases de
+ *   caracteres obligatorias (true por defecto); PASSWORD_REQUIRE_SYMBOL (false por defecto)
+ * - PASSWORD_BLOCK_PERSONAL_INFO: impedir que contenga el username, el email o el nombre (true por defecto)
+ * - PASSWORD_BLOCK_COMMON: rechazar contraseñas de la lista local de contraseñas comunes y filtradas (true por defecto)
+ * - PASSWORD_BLOCKLIST_FILE: archivo alternativo con la lista (una contraseña por línea)
+ * - PASSWORD_HISTORY_SIZE: cuántas de las últimas contraseñas no se pueden reutilizar (5 por defecto, 0 lo desactiva)
+ * @returns {Object}
+ */
+const getPasswordPolicy = () => ({
+  minLength: readInteger('PASSWORD_MIN_LENGTH', 8),
+  maxLength: readInteger('PASSWORD_MAX_LENGTH', 128),
+  requireLowercase: readBoolean('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireUppercase: readBoolean('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireDigit: readBoolean('PASSWORD_REQUIRE_DIGIT', true),
+  requireSymbol: readBoolean('PASSWORD_REQUIRE_SYMBOL', false),
+  blockPersonalInfo: readBoolean('PASSWORD_BLOCK_PERSONAL_INFO', true),
+  blockCommon: readBoolean('PASSWORD_BLOCK_COMMON', true),
+  blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || null,
+  historySize: Math.max(readInteger('PASSWORD_HISTORY_SIZE', 5), 0)
+});
+
+module.exports = {
+  getPasswordPolicy
+};
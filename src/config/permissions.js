@@ -0,0 +1,118 @@
+// src/config/permissions.js - Roles y permisos de la aplicación
+
+/**
+ * Formato de los permisos: "<recurso>:<acción>[:<alcance>]"
+ * - own: solo sobre recursos propios
+ * - any: sobre recursos de cualquier usuario
+ */
+const PERMISSIONS = [
+  'posts:create',
+  'posts:update:own',
+  'posts:update:any',
+  'posts:delete:own',
+  'posts:delete:any',
+  'comments:create',
+  'comments:update:own',
+  'comments:update:any',
+  'comments:delete:own',
+  'comments:delete:any',
+  'likes:create',
+  'likes:delete:own',
+  'likes:delete:any',
+  'users:roles:manage',
+  'users:erasures:read',
+  'audit:read'
+];
+
+// Permisos de cualquier usuario registrado
+const USER_PERMISSIONS = [
+  'posts:create',
+  'posts:update:own',
+  'posts:delete:own',
+  'comments:create',
+  'comments:update:own',
+  'comments:delete:own',
+  'likes:create',
+  'likes:delete:own'
+];
+
+// Los moderadores pueden editar o eliminar el contenido de cualquier usuario
+const MODERATOR_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  'posts:update:any',
+  'posts:delete:any',
+  'comments:update:any',
+  'comments:delete:any',
+  'likes:delete:any'
+];
+
+/**
+ * Permisos de cada rol
+ * Los administradores tienen todos los permisos, incluida la gestión de roles
+ */
+const ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  moderator: MODERATOR_PERMISSIONS,
+  admin: PERMISSIONS
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Alcances (scopes) disponibles para los tokens de acceso personal
+ * Limitan lo que puede hacer un token; los permisos del rol del propietario siguen aplicando.
+ */
+const TOKEN_SCOPES = [
+  'posts:read',
+  'posts:write',
+  'comments:read',
+  'comments:write',
+  'likes:read',
+  'likes:write'
+];
+
+/**
+ * Obtiene los permisos efectivos de un usuario (los de su rol más los concedidos individualmente)
+ * @param {Object} user - Usuario
+ * @returns {string[]} - Lista de permisos sin duplicados
+ */
+const getPermissionsFor = (user) => {
+  if (!user) return [];
+  const rolePermissions = ROLE_PERMISSIONS[user.role] || ROLE_PERMISSIONS.user;
+  return [...new Set([...rolePermissions, ...(user.permissions || [])])];
+};
+
+/**
+ * Indica si un usuario tiene un permiso
+ * @param {Object} user - Usuario
+ * @param {string} permission - Permiso a comprobar
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => getPermissionsFor(user).includes(permission);
+
+/**
+ * Indica si un usuario puede realizar una acción sobre un recurso
+ * Se permite si tiene el permiso "any" o si es el propietario y tiene el permiso "own".
+ *
+ * @param {Object} user - Usuario autenticado
+ * @param {string} action - Recurso y acción (ej: "posts:delete")
+ * @param {Object|string} ownerId - ID del propietario del recurso
+ * @returns {boolean}
+ */
+const canActOn = (user, action, ownerId) => {
+  if (!user) return false;
+  if (hasPermission(user, `${action}:any`)) return true;
+
+  const isOwner = ownerId && ownerId.toString() === user._id.toString();
+  return Boolean(isOwner) && hasPermission(user, `${action}:own`);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  TOKEN_SCOPES,
+  getPermissionsFor,
+  hasPermission,
+  canActOn
+};
@@ -0,0 +1,29 @@
+// src/config/suggestions.js - Política de las sugerencias de usuarios
+
+/**
+ * Pesos de cada señal en la puntuación de una sugerencia
+ * - sharedInteraction: por cada post en el que ambos dieron like o comentaron
+ * - sharedTag: por cada etiqueta en común entre sus posts y los posts con los que interactuó el usuario
+ * - recentActivity: máximo que suma la actividad reciente (decrece hasta 0 al final de la ventana)
+ */
+const SUGGESTION_WEIGHTS = {
+  sharedInteraction: 3,
+  sharedTag: 2,
+  recentActivity: 2
+};
+
+/**
+ * Obtiene la política de sugerencias (configurable por variables de entorno)
+ * - SUGGESTIONS_ACTIVITY_DAYS: ventana de actividad reciente que se tiene en cuenta (30 por defecto)
+ * - SUGGESTIONS_HISTORY_LIMIT: posts recientes del historial del usuario que se comparan (200 por defecto)
+ * @returns {Object}
+ */
+const getSuggestionPolicy = () => ({
+  activityDays: parseInt(process.env.SUGGESTIONS_ACTIVITY_DAYS, 10) || 30,
+  historyLimit: parseInt(process.env.SUGGESTIONS_HISTORY_LIMIT, 10) || 200
+});
+
+module.exports = {
+  SUGGESTION_WEIGHTS,
+  getSuggestionPolicy
+};
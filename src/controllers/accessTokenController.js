@@ -0,0 +1,104 @@
+// src/controllers/accessTokenController.js - Controlador para tokens de acceso personal
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+
+// Máximo de tokens vigentes por usuario
+const MAX_TOKENS_PER_USER = 20;
+
+/**
+ * @desc    Crear un token de acceso personal
+ * @route   POST /api/users/profile/tokens
+ * @access  Private
+ *
+ * El token en texto plano solo se devuelve en esta respuesta;
+ * en la base de datos se guarda únicamente su hash.
+ */
+const createAccessToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const activeTokens = await PersonalAccessToken.countDocuments({
+    userId: req.user._id,
+    isRevoked: false,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+
+  if (activeTokens >= MAX_TOKENS_PER_USER) {
+    throw createError(`No puedes tener más de ${MAX_TOKENS_PER_USER} tokens de acceso activos`, 400);
+  }
+
+  const expiresAt = expiresInDays
+    ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    : null;
+
+  const { token, accessToken } = await PersonalAccessToken.generate({
+    userId: req.user._id,
+    name,
+    scopes,
+    expiresAt
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Token de acceso creado exitosamente. Cópialo ahora: no volverá a mostrarse',
+    data: {
+      token,
+      accessToken
+    }
+  });
+});
+
+/**
+ * @desc    Listar los tokens de acceso personal del usuario autenticado
+ * @route   GET /api/users/profile/tokens
+ * @access  Private
+ */
+const getAccessTokens = asyncHandler(async (req, res) => {
+  const accessTokens = await PersonalAccessToken.find({
+    userId: req.user._id,
+    isRevoked: false
+  }).sort({ createdAt: -1 });
+
+  const now = new Date();
+
+  res.status(200).json({
+    success: true,
+    message: 'Tokens de acceso obtenidos exitosamente',
+    data: {
+      accessTokens: accessTokens.map(accessToken => ({
+        ...accessToken.toJSON(),
+        isExpired: Boolean(accessToken.expiresAt && accessToken.expiresAt <= now)
+      })),
+      totalAccessTokens: accessTokens.length
+    }
+  });
+});
+
+/**
+ * @desc    Revocar un token de acceso personal
+ * @route   DELETE /api/users/profile/tokens/:id
+ * @access  Private
+ */
+const revokeAccessToken = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const accessToken = await PersonalAccessToken.findOneAndUpdate(
+    { _id: id, userId: req.user._id, isRevoked: false },
+    { isRevoked: true, revokedAt: new Date() },
+    { new: true }
+  );
+
+  if (!accessToken) {
+    throw createError('Token de acceso no encontrado', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Token de acceso revocado exitosamente'
+  });
+});
+
+module.exports = {
+  createAccessToken,
+  getAccessTokens,
+  revokeAccessToken
+};
@@ -0,0 +1,116 @@
+// src/controllers/auditController.js - Controlador para consultar el registro de auditoría
+const AuditEvent = require('../models/AuditEvent');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { SECURITY_CATEGORIES } = require('../config/auditEvents');
+
+/**
+ * Obtiene una página de eventos y la respuesta de paginación
+ * @param {Object} filters - Filtros de MongoDB
+ * @param {Object} query - Query string ya validada (page, limit)
+ * @returns {Promise<Object>} - { events, pagination }
+ */
+const findEventsPage = async (filters, query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const events = await AuditEvent.find(filters)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const totalEvents = await AuditEvent.countDocuments(filters);
+  const totalPages = Math.ceil(totalEvents / limit);
+
+  return {
+    events,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalEvents,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      limit
+    }
+  };
+};
+
+/**
+ * Construye el filtro de fechas a partir de los parámetros from y to
+ * @param {Object} query - Query string ya validada
+ * @returns {Object|null}
+ */
+const buildDateFilter = ({ from, to }) => {
+  if (!from && !to) return null;
+
+  const createdAt = {};
+  if (from) createdAt.$gte = new Date(from);
+  if (to) createdAt.$lte = new Date(to);
+  return createdAt;
+};
+
+/**
+ * @desc    Consultar el registro de auditoría
+ * @route   GET /api/users/audit-events
+ * @access  Private (solo administradores)
+ */
+const getAuditEvents = asyncHandler(async (req, res) => {
+  const { action, category, outcome, actorId, targetType, targetId, ipAddress } = req.query;
+
+  const filters = {};
+  if (action) filters.action = action;
+  if (category) filters.category = category;
+  if (outcome) filters.outcome = outcome;
+  if (actorId) filters.actorId = actorId;
+  if (targetType) filters.targetType = targetType;
+  if (targetId) filters.targetId = targetId;
+  if (ipAddress) filters.ipAddress = ipAddress;
+
+  const createdAt = buildDateFilter(req.query);
+  if (createdAt) filters.createdAt = createdAt;
+
+  const data = await findEventsPage(filters, req.query);
+
+  res.status(200).json({
+    success: true,
+    message: 'Eventos de auditoría obtenidos exitosamente',
+    data
+  });
+});
+
+/**
+ * @desc    Consultar los eventos de seguridad de la cuenta
+ * @route   GET /api/users/profile/security-events
+ * @access  Private
+ *
+ * Devuelve los inicios de sesión y cambios de la cuenta del usuario autenticado,
+ * tanto los que realizó él como los que afectaron a su cuenta (ej: intentos fallidos)
+ */
+const getSecurityEvents = asyncHandler(async (req, res) => {
+  const filters = {
+    category: { $in: SECURITY_CATEGORIES },
+    $or: [
+      { actorId: req.user._id },
+      { targetType: 'User', targetId: req.user._id }
+    ]
+  };
+
+  if (req.query.action) filters.action = req.query.action;
+  if (req.query.outcome) filters.outcome = req.query.outcome;
+
+  const createdAt = buildDateFilter(req.query);
+  if (createdAt) filters.createdAt = createdAt;
+
+  const data = await findEventsPage(filters, req.query);
+
+  res.status(200).json({
+    success: true,
+    message: 'Eventos de seguridad obtenidos exitosamente',
+    data
+  });
+});
+
+module.exports = {
+  getAuditEvents,
+  getSecurityEvents
+};
@@ -0,0 +1,335 @@
+// src/controllers/authController.js - Controlador para operaciones de autenticación
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const OAuthAuthorizationCode = require('../models/OAuthAuthorizationCode');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { generateTokens, refreshAccessToken, revokeRefreshToken } = require('../middleware/auth');
+const { isOAuthProviderConfigured } = require('../config/oauthProviders');
+const { registerMagicLinkRequest } = require('../utils/loginProtection');
+const { sendMagicLinkEmail } = require('../utils/accountEmails');
+
+/**
+ * @desc    Renovar tokens usando un refresh token (con rotación)
+ * @route   POST /api/auth/refresh
+ * @access  Public (requiere refresh token válido)
+ *
+ * Esta función canjea un refresh token por un nuevo par de tokens.
+ * El refresh token usado queda invalidado; reutilizarlo revoca la sesión completa.
+ */
+const refreshTokens = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  // Rotar el refresh token y generar un nuevo access token
+  const tokens = await refreshAccessToken(refreshToken, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Tokens renovados exitosamente',
+    data: {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    }
+  });
+});
+
+/**
+ * @desc    Canjear el código de autorización emitido al terminar el login OAuth
+ * @route   POST /api/auth/exchange
+ * @access  Public (requiere código válido)
+ *
+ * El código es de un solo uso y de corta duración. Si el login se inició con un
+ * code_challenge (PKCE), hay que enviar el code_verifier; si no, el canje debe
+ * hacerse desde la misma sesión del navegador que completó el login.
+ */
+const exchangeAuthorizationCode = asyncHandler(async (req, res) => {
+  const { code, codeVerifier } = req.body;
+
+  // El código se consume antes de comprobarlo: un intento fallido también lo invalida
+  const authorizationCode = await OAuthAuthorizationCode.consume(code);
+
+  if (!authorizationCode) {
+    throw createError('Código de autorización inválido, expirado o ya utilizado', 400);
+  }
+
+  if (authorizationCode.codeChallenge) {
+    if (!authorizationCode.verifyCodeVerifier(codeVerifier)) {
+      throw createError('El code_verifier no corresponde al code_challenge del login', 400);
+    }
+  } else if (!authorizationCode.sessionId || authorizationCode.sessionId !== req.sessionID) {
+    throw createError('El código debe canjearse desde la sesión en la que se completó el login', 400);
+  }
+
+  const user = await User.findById(authorizationCode.userId);
+
+  if (!user || !user.isActive) {
+    throw createError('Usuario no encontrado o inactivo', 401);
+  }
+
+  // Con la autenticación en dos pasos activa, el login continúa en POST /api/users/login/2fa
+  if (user.twoFactorEnabled) {
+    const challengeToken = user.createTwoFactorChallengeToken();
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Introduce el código de tu app de autenticación para completar el login',
+      data: {
+        twoFactorRequired: true,
+        challengeToken
+      }
+    });
+  }
+
+  const { accessToken, refreshToken } = await generateTokens(user._id, { req });
+
+  res.status(200).json({
+    success: true,
+    message: 'Autenticación OAuth completada exitosamente',
+    data: {
+      user: user.getLoginProfile(),
+      provider: authorizationCode.provider,
+      accessToken,
+      refreshToken
+    }
+  });
+});
+
+/**
+ * @desc    Solicitar un enlace de acceso sin contraseña (magic link)
+ * @route   POST /api/auth/magic-link
+ * @access  Public
+ *
+ * Esta función envía por email un enlace firmado, de un solo uso y corta duración.
+ * Funciona también para cuentas sin contraseña (creadas con OAuth).
+ * La respuesta es siempre la misma para no revelar qué emails están registrados.
+ */
+const requestMagicLink = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  // Límite de solicitudes por email (429 al superarlo)
+  await registerMagicLinkRequest(email);
+
+  const user = await User.findOne({ email, isActive: true });
+
+  if (user) {
+    const token = user.createMagicLinkToken();
+    await user.save();
+
+    // Si el envío falla se responde igual que a un email desconocido
+    try {
+      await sendMagicLinkEmail(user, token);
+    } catch (error) {
+      console.error('❌ Error enviando el enlace de acceso:', error.message);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Si el email está registrado, recibirás un enlace para iniciar sesión'
+  });
+});
+
+/**
+ * @desc    Iniciar sesión con el enlace recibido por email
+ * @route   GET /api/auth/magic-link/verify
+ * @access  Public (requiere token del enlace)
+ *
+ * Esta función consume el enlace y devuelve los mismos datos que el login con contraseña.
+ * Abrir el enlace demuestra el control del email, por lo que también lo marca como verificado.
+ */
+const verifyMagicLink = asyncHandler(async (req, res) => {
+  const { token } = req.query;
+
+  // Verificar firma y expiración del token
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw createError('Enlace de acceso inválido o expirado', 400);
+  }
+
+  if (decoded.type !== 'magic_link' || !decoded.jti) {
+    throw createError('Enlace de acceso inválido o expirado', 400);
+  }
+
+  // El enlace se consume de forma atómica: solo es válido para el email al que se envió
+  // y si no fue usado ni reemplazado por otro posterior
+  const user = await User.findOneAndUpdate(
+    { _id: decoded.id, email: decoded.email, magicLinkTokenId: decoded.jti, isActive: true },
+    { magicLinkTokenId: null },
+    { new: true }
+  );
+
+  if (!user) {
+    throw createError('Enlace de acceso inválido o expirado', 400);
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationTokenId = null;
+  }
+
+  // Con la autenticación en dos pasos activa, el login continúa en POST /api/users/login/2fa
+  if (user.twoFactorEnabled) {
+    const challengeToken = user.createTwoFactorChallengeToken();
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Introduce el código de tu app de autenticación para completar el login',
+      data: {
+        twoFactorRequired: true,
+        challengeToken
+      }
+    });
+  }
+
+  // Actualizar último login
+  await user.updateLastLogin();
+
+  const { accessToken, refreshToken } = await generateTokens(user._id, { req });
+
+  res.status(200).json({
+    success: true,
+    message: 'Login exitoso',
+    data: {
+      user: user.getLoginProfile(),
+      accessToken,
+      refreshToken
+    }
+  });
+});
+
+/**
+ * @desc    Cerrar sesión del usuario
+ * @route   POST /api/auth/logout
+ * @access  Public
+ *
+ * Esta función revoca el refresh token enviado (si lo hay)
+ * y destruye la sesión de express-session usada por OAuth
+ */
+const logout = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  // Revocar la familia del refresh token para que no pueda volver a rotarse
+  if (refreshToken) {
+    await revokeRefreshToken(refreshToken);
+  }
+
+  // Si no hay sesión de Passport, el logout termina aquí
+  if (!req.session || typeof req.logout !== 'function') {
+    return res.json({
+      success: true,
+      message: 'Sesión cerrada exitosamente'
+    });
+  }
+
+  req.logout((err) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Error al cerrar sesión'
+      });
+    }
+
+    req.session.destroy((err) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Error al limpiar sesión'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Sesión cerrada exitosamente'
+      });
+    });
+  });
+});
+
+/**
+ * @desc    Iniciar la vinculación de un proveedor OAuth a la cuenta
+ * @route   POST /api/auth/link/:provider
+ * @access  Private
+ *
+ * Devuelve la URL a la que debe navegar el usuario para autorizar el proveedor.
+ * La URL lleva un token de corta duración que identifica al usuario que vincula, y la
+ * sesión del navegador que hace la petición guarda un nonce de un solo uso: la URL solo
+ * sirve en ese mismo navegador, así que no se puede usar para vincular la cuenta de otro.
+ */
+const linkProvider = asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+
+  if (!isOAuthProviderConfigured(provider)) {
+    throw createError(`${provider} OAuth no está configurado`, 503);
+  }
+
+  if (!req.session) {
+    throw createError('La vinculación de proveedores requiere sesiones habilitadas', 500);
+  }
+
+  const user = await User.findById(req.user._id);
+  const nonce = crypto.randomBytes(16).toString('hex');
+  req.session.oauthLinkRequest = { userId: user._id.toString(), provider, nonce };
+
+  const linkToken = user.createOAuthLinkToken(provider, nonce);
+  const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+  res.status(200).json({
+    success: true,
+    message: `Abre la URL de autorización para vincular tu cuenta de ${provider}`,
+    data: {
+      provider,
+      authorizationUrl: `${baseUrl}/api/auth/${provider}?link=${encodeURIComponent(linkToken)}`,
+      expiresIn: process.env.OAUTH_LINK_EXPIRE || '10m'
+    }
+  });
+});
+
+/**
+ * @desc    Desvincular un proveedor OAuth de la cuenta
+ * @route   DELETE /api/auth/link/:provider
+ * @access  Private
+ *
+ * No se permite desvincular el único método de inicio de sesión que le queda al usuario.
+ */
+const unlinkProvider = asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+
+  const user = await User.findById(req.user._id).select('+password');
+
+  if (!user.getIdentity(provider)) {
+    throw createError(`Tu cuenta no tiene vinculado ${provider}`, 404);
+  }
+
+  if (user.countLoginMethods() <= 1) {
+    throw createError(
+      'No puedes desvincular tu único método de inicio de sesión. Define una contraseña o vincula otro proveedor antes',
+      400
+    );
+  }
+
+  user.removeIdentity(provider);
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: `Cuenta de ${provider} desvinculada exitosamente`,
+    data: {
+      identities: user.getLinkedIdentities()
+    }
+  });
+});
+
+module.exports = {
+  refreshTokens,
+  exchangeAuthorizationCode,
+  requestMagicLink,
+  verifyMagicLink,
+  logout,
+  linkProvider,
+  unlinkProvider
+};
@@ -0,0 +1,177 @@
+// src/controllers/blockController.js - Controlador para bloquear y silenciar usuarios
+const Block = require('../models/Block');
+const Follow = require('../models/Follow');
+const FollowRequest = require('../models/FollowRequest');
+const User = require('../models/User');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+
+/**
+ * Verifica que el usuario de la ruta existe y no es el usuario autenticado
+ * @param {Object} req - Petición
+ * @param {string} selfMessage - Mensaje si el usuario intenta restringirse a sí mismo
+ * @returns {Promise<Object>} - Usuario de la ruta
+ */
+const findTargetUser = async (req, selfMessage) => {
+  const { id } = req.params;
+
+  if (req.user._id.toString() === id) {
+    throw createError(selfMessage, 400);
+  }
+
+  const user = await User.findById(id).select('username isActive');
+  if (!user || !user.isActive) {
+    throw createError('Usuario no encontrado', 404);
+  }
+
+  return user;
+};
+
+/**
+ * Lista paginada de los usuarios bloqueados o silenciados por el usuario autenticado
+ * @param {Object} req - Petición
+ * @param {string} type - block o mute
+ * @returns {Promise<Object>} - { users, pagination }
+ */
+const listRestrictedUsers = async (req, type) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const blocks = await Block.getRestrictedUsers(req.user._id, type, { page, limit });
+  const totalUsers = await Block.countDocuments({ userId: req.user._id, type });
+  const totalPages = Math.ceil(totalUsers / limit);
+
+  return {
+    // Las cuentas desactivadas no se muestran en las listas
+    users: blocks
+      .filter(block => block.target)
+      .map(block => ({ user: block.target, since: block.createdAt })),
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalUsers,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      limit
+    }
+  };
+};
+
+/**
+ * @desc    Bloquear a un usuario
+ * @route   POST /api/users/:id/block
+ * @access  Private
+ *
+ * Al bloquear se eliminan las relaciones y solicitudes de seguimiento en ambos sentidos
+ */
+const blockUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, 'No puedes bloquearte a ti mismo');
+
+  const { created } = await Block.restrict(req.user._id, user._id, 'block');
+
+  await Follow.unfollow(req.user._id, user._id);
+  await Follow.unfollow(user._id, req.user._id);
+  await FollowRequest.deleteMany({
+    $or: [
+      { requesterId: req.user._id, targetId: user._id },
+      { requesterId: user._id, targetId: req.user._id }
+    ]
+  });
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Usuario bloqueado exitosamente' : 'Ya habías bloqueado a este usuario',
+    data: { blocked: true }
+  });
+});
+
+/**
+ * @desc    Desbloquear a un usuario
+ * @route   DELETE /api/users/:id/block
+ * @access  Private
+ */
+const unblockUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, 'No puedes desbloquearte a ti mismo');
+
+  const block = await Block.unrestrict(req.user._id, user._id, 'block');
+
+  res.status(200).json({
+    success: true,
+    message: block ? 'Usuario desbloqueado exitosamente' : 'No habías bloqueado a este usuario',
+    data: { blocked: false }
+  });
+});
+
+/**
+ * @desc    Silenciar a un usuario
+ * @route   POST /api/users/:id/mute
+ * @access  Private
+ *
+ * El usuario silenciado no se entera y puede seguir interactuando con el contenido
+ */
+const muteUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, 'No puedes silenciarte a ti mismo');
+
+  const { created } = await Block.restrict(req.user._id, user._id, 'mute');
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Usuario silenciado exitosamente' : 'Ya habías silenciado a este usuario',
+    data: { muted: true }
+  });
+});
+
+/**
+ * @desc    Dejar de silenciar a un usuario
+ * @route   DELETE /api/users/:id/mute
+ * @access  Private
+ */
+const unmuteUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, 'No puedes dejar de silenciarte a ti mismo');
+
+  const mute = await Block.unrestrict(req.user._id, user._id, 'mute');
+
+  res.status(200).json({
+    success: true,
+    message: mute ? 'Has dejado de silenciar a este usuario' : 'No habías silenciado a este usuario',
+    data: { muted: false }
+  });
+});
+
+/**
+ * @desc    Listar los usuarios bloqueados por el usuario autenticado
+ * @route   GET /api/users/profile/blocks
+ * @access  Private
+ */
+const getBlockedUsers = asyncHandler(async (req, res) => {
+  const { users, pagination } = await listRestrictedUsers(req, 'block');
+
+  res.status(200).json({
+    success: true,
+    message: 'Usuarios bloqueados obtenidos exitosamente',
+    data: { users, pagination }
+  });
+});
+
+/**
+ * @desc    Listar los usuarios silenciados por el usuario autenticado
+ * @route   GET /api/users/profile/mutes
+ * @access  Private
+ */
+const getMutedUsers = asyncHandler(async (req, res) => {
+  const { users, pagination } = await listRestrictedUsers(req, 'mute');
+
+  res.status(200).json({
+    success: true,
+    message: 'Usuarios silenciados obtenidos exitosamente',
+    data: { users, pagination }
+  });
+});
+
+module.exports = {
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  getBlockedUsers,
+  getMutedUsers
+};
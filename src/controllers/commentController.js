@@ -2,7 +2,12 @@
 const Comment = require('../models/Comment');
 const Post = require('../models/Post');
 const User = require('../models/User');
+const Block = require('../models/Block');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { canActOn } = require('../config/permissions');
+const { recordAuditEvent } = require('../utils/auditLog');
+const { assertCanViewPost, getListedPostsFilter } = require('../utils/visibility');
+const { resolveMentions } = require('../utils/mentions');
 
 /**
  * @desc    Crear un nuevo comentario
@@ -12,18 +17,8 @@ const { asyncHandler, createError } = require('../middleware/errorHandler');
 const createComment = asyncHandler(async (req, res) => {
   const { postId, content, parentCommentId } = req.body;
 
-  // ✅ SOLUCIÓN TEMPORAL: Usar usuario por defecto si no hay autenticación
-  let userId;
-  if (req.user && req.user._id) {
-    userId = req.user._id;
-  } else {
-    // Usar el primer usuario de la base de datos
-    const defaultUser = await User.findOne({ isActive: true });
-    if (!defaultUser) {
-      throw createError('No hay usuarios en el sistema. Primero crea un usuario.', 400);
-    }
-    userId = defaultUser._id;
-  }
+  // La política de la ruta garantiza un usuario (autenticado o el invitado del modo demo)
+  const userId = req.user._id;
 
   // Verificar que el post existe
   const post = await Post.findById(postId);
@@ -31,12 +26,24 @@ const createComment = asyncHandler(async (req, res) => {
     throw createError('Post no encontrado', 404);
   }
 
+  // No se puede comentar el contenido de un usuario con el que hay un bloqueo
+  if (await Block.isBlockedBetween(userId, post.userId)) {
+    throw createError('No puedes comentar en este post', 403);
+  }
+
+  // Solo se puede comentar un post que se puede ver (visibilidad y cuentas privadas)
+  await assertCanViewPost(req.user, post, 'Post no encontrado');
+
   // Si es una respuesta, verificar que el comentario padre existe
   if (parentCommentId) {
     const parentComment = await Comment.findById(parentCommentId);
     if (!parentComment || !parentComment.isActive) {
       throw createError('Comentario padre no encontrado', 404);
     }
+
+    if (await Block.isBlockedBetween(userId, parentComment.userId)) {
+      throw createError('No puedes responder a este comentario', 403);
+    }
   }
 
   // Crear nuevo comentario
@@ -44,7 +51,8 @@ const createComment = asyncHandler(async (req, res) => {
     postId,
     userId,
     content,
-    parentCommentId: parentCommentId || null
+    parentCommentId: parentCommentId || null,
+    mentions: await resolveMentions(content, userId)
   });
 
   // Incrementar contador de comentarios en el post
@@ -76,14 +84,21 @@ const getCommentsByPost = asyncHandler(async (req, res) => {
     throw createError('Post no encontrado', 404);
   }
 
+  // Visibilidad del post, cuentas privadas y usuarios bloqueados por el autor
+  await assertCanViewPost(req.user, post, 'Post no encontrado');
+
+  // Ocultar los comentarios de los usuarios bloqueados o silenciados
+  const hiddenUserIds = await Block.getHiddenUserIds(req.user?._id);
+
   // Usar método estático del modelo
-  const comments = await Comment.getCommentsByPost(postId, { page, limit });
+  const comments = await Comment.getCommentsByPost(postId, { page, limit, excludeUserIds: hiddenUserIds });
 
   // Contar total de comentarios del post
   const totalComments = await Comment.countDocuments({ 
     postId, 
     isActive: true, 
-    parentCommentId: null 
+    parentCommentId: null,
+    ...(hiddenUserIds.length > 0 && { userId: { $nin: hiddenUserIds } })
   });
 
   const totalPages = Math.ceil(totalComments / limit);
@@ -120,7 +135,7 @@ const getCommentById = asyncHandler(async (req, res) => {
 
   const comment = await Comment.findById(id)
     .populate('author', 'username firstName lastName profilePicture')
-    .populate('post', 'content userId');
+    .populate('post', 'content userId visibility');
 
   if (!comment) {
     throw createError('Comentario no encontrado', 404);
@@ -130,6 +145,11 @@ const getCommentById = asyncHandler(async (req, res) => {
     throw createError('Comentario no disponible', 404);
   }
 
+  // Visibilidad del post, cuentas privadas y usuarios bloqueados por el autor del post
+  if (comment.post) {
+    await assertCanViewPost(req.user, comment.post, 'Comentario no disponible');
+  }
+
   res.status(200).json({
     success: true,
     message: 'Comentario obtenido exitosamente',
@@ -151,14 +171,21 @@ const getAllComments = asyncHandler(async (req, res) => {
   const skip = (page - 1) * limit;
   const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
-  const comments = await Comment.find({ isActive: true })
+  // Ocultar los comentarios de posts que no puede ver en los listados y de usuarios bloqueados o silenciados
+  const filters = { isActive: true, $and: [await getListedPostsFilter(req.user?._id)] };
+  const hiddenUserIds = await Block.getHiddenUserIds(req.user?._id);
+  if (hiddenUserIds.length > 0) {
+    filters.userId = { $nin: hiddenUserIds };
+  }
+
+  const comments = await Comment.find(filters)
     .populate('author', 'username firstName lastName profilePicture')
     .populate('post', 'content userId')
     .sort(sort)
     .skip(skip)
     .limit(limit);
 
-  const totalComments = await Comment.countDocuments({ isActive: true });
+  const totalComments = await Comment.countDocuments(filters);
   const totalPages = Math.ceil(totalComments / limit);
 
   res.status(200).json({
@@ -181,7 +208,7 @@ const getAllComments = asyncHandler(async (req, res) => {
 /**
  * @desc    Actualizar un comentario
  * @route   PUT /api/comments/:id
- * @access  Private (solo el autor)
+ * @access  Private (el autor o usuarios con permiso comments:update:any)
  */
 const updateComment = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -193,13 +220,14 @@ const updateComment = asyncHandler(async (req, res) => {
     throw createError('Comentario no encontrado', 404);
   }
 
-  // Verificar autorización (temporal: permitir si no hay usuario autenticado)
-  if (req.user && comment.userId.toString() !== req.user._id.toString()) {
+  // Verificar autorización: autor o moderador
+  if (!canActOn(req.user, 'comments:update', comment.userId)) {
     throw createError('No tienes permisos para actualizar este comentario', 403);
   }
 
-  // Actualizar comentario
+  // Actualizar comentario (las menciones se vuelven a calcular con el nuevo contenido)
   comment.content = content;
+  comment.mentions = await resolveMentions(content, comment.userId);
   comment.isEdited = true;
   comment.updatedAt = Date.now();
   await comment.save();
@@ -217,7 +245,7 @@ const updateComment = asyncHandler(async (req, res) => {
 /**
  * @desc    Eliminar (desactivar) un comentario
  * @route   DELETE /api/comments/:id
- * @access  Private (solo el autor)
+ * @access  Private (el autor o usuarios con permiso comments:delete:any)
  */
 const deleteComment = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -228,8 +256,15 @@ const deleteComment = asyncHandler(async (req, res) => {
     throw createError('Comentario no encontrado', 404);
   }
 
-  // Verificar autorización (temporal: permitir si no hay usuario autenticado)
-  if (req.user && comment.userId.toString() !== req.user._id.toString()) {
+  // Verificar autorización: autor o moderador
+  if (!canActOn(req.user, 'comments:delete', comment.userId)) {
+    await recordAuditEvent(req, {
+      action: 'comment.delete',
+      outcome: 'failure',
+      target: { type: 'Comment', id: comment._id },
+      reason: 'forbidden',
+      metadata: { ownerId: comment.userId, postId: comment.postId }
+    });
     throw createError('No tienes permisos para eliminar este comentario', 403);
   }
 
@@ -237,6 +272,12 @@ const deleteComment = asyncHandler(async (req, res) => {
   comment.isActive = false;
   await comment.save();
 
+  await recordAuditEvent(req, {
+    action: 'comment.delete',
+    target: { type: 'Comment', id: comment._id },
+    metadata: { ownerId: comment.userId, postId: comment.postId, moderation: !comment.userId.equals(req.user._id) }
+  });
+
   // Decrementar contador en el post
   await Post.findByIdAndUpdate(comment.postId, { $inc: { commentsCount: -1 } });
 
@@ -262,15 +303,23 @@ const getCommentsByUser = asyncHandler(async (req, res) => {
     throw createError('Usuario no encontrado', 404);
   }
 
+  // Los usuarios bloqueados no pueden ver la actividad de quien los bloqueó
+  if (req.user && await Block.hasBlocked(user._id, req.user._id)) {
+    throw createError('Usuario no encontrado', 404);
+  }
+
   const skip = (page - 1) * limit;
 
-  const comments = await Comment.find({ userId, isActive: true })
+  // Ocultar los comentarios en posts que no puede ver en los listados (cuentas privadas, unlisted, private...)
+  const filters = { userId, isActive: true, $and: [await getListedPostsFilter(req.user?._id)] };
+
+  const comments = await Comment.find(filters)
     .populate('post', 'content userId')
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit);
 
-  const totalComments = await Comment.countDocuments({ userId, isActive: true });
+  const totalComments = await Comment.countDocuments(filters);
   const totalPages = Math.ceil(totalComments / limit);
 
   res.status(200).json({
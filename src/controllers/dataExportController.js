@@ -0,0 +1,150 @@
+// src/controllers/dataExportController.js - Controlador para la exportación de datos personales
+const fs = require('fs');
+const DataExport = require('../models/DataExport');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { getDataExportPolicy } = require('../config/dataExport');
+const { generateDataExport, getExportFilePath } = require('../utils/dataExport');
+
+/**
+ * Busca una exportación del usuario autenticado
+ * @param {Object} req - Petición con el ID en req.params.id
+ * @param {string} select - Campos ocultos a incluir
+ * @returns {Promise<Object>} - Exportación
+ */
+const findOwnExport = async (req, select = '') => {
+  const dataExport = await DataExport.findOne({ _id: req.params.id, userId: req.user._id }).select(select);
+
+  if (!dataExport) {
+    throw createError('Exportación no encontrada', 404);
+  }
+
+  return dataExport;
+};
+
+/**
+ * @desc    Solicitar una exportación de los datos personales
+ * @route   POST /api/users/profile/export
+ * @access  Private
+ *
+ * El archivo (ZIP con los datos en JSON y un índice HTML) se genera en segundo plano;
+ * su estado se consulta en GET /api/users/profile/export/:id
+ */
+const requestDataExport = asyncHandler(async (req, res) => {
+  const { cooldownMinutes } = getDataExportPolicy();
+
+  const lastExport = await DataExport.findOne({ userId: req.user._id }).sort({ createdAt: -1 });
+
+  if (lastExport && ['pending', 'processing'].includes(lastExport.status)) {
+    throw createError('Ya tienes una exportación en curso', 409);
+  }
+
+  // Las exportaciones fallidas no cuentan para el tiempo de espera
+  const retryAt = lastExport && lastExport.status !== 'failed' &&
+    new Date(lastExport.createdAt.getTime() + cooldownMinutes * 60 * 1000);
+
+  if (retryAt && retryAt > new Date()) {
+    const error = createError('Ya solicitaste una exportación hace poco. Inténtalo más tarde', 429);
+    error.code = 'EXPORT_COOLDOWN';
+    error.retryAt = retryAt;
+    throw error;
+  }
+
+  let dataExport;
+  try {
+    dataExport = await DataExport.create({ userId: req.user._id });
+  } catch (error) {
+    // Índice único: otra solicitud simultánea ya creó la exportación en curso
+    if (error.code !== 11000) throw error;
+    throw createError('Ya tienes una exportación en curso', 409);
+  }
+
+  // Generar el archivo sin bloquear la respuesta (el proceso periódico lo retoma si el servidor se reinicia)
+  setImmediate(() => {
+    generateDataExport(dataExport._id).catch(error => {
+      console.error('❌ Error generando la exportación:', error.message);
+    });
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Exportación solicitada. Consulta su estado para descargarla cuando esté lista',
+    data: { export: dataExport }
+  });
+});
+
+/**
+ * @desc    Listar las exportaciones del usuario autenticado
+ * @route   GET /api/users/profile/export
+ * @access  Private
+ */
+const getDataExports = asyncHandler(async (req, res) => {
+  const dataExports = await DataExport.find({ userId: req.user._id })
+    .sort({ createdAt: -1 })
+    .limit(20);
+
+  res.status(200).json({
+    success: true,
+    message: 'Exportaciones obtenidas exitosamente',
+    data: {
+      exports: dataExports,
+      totalExports: dataExports.length
+    }
+  });
+});
+
+/**
+ * @desc    Consultar el estado de una exportación
+ * @route   GET /api/users/profile/export/:id
+ * @access  Private
+ */
+const getDataExport = asyncHandler(async (req, res) => {
+  const dataExport = await findOwnExport(req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Exportación obtenida exitosamente',
+    data: {
+      export: dataExport,
+      downloadable: dataExport.isDownloadable()
+    }
+  });
+});
+
+/**
+ * @desc    Descargar el archivo de una exportación
+ * @route   GET /api/users/profile/export/:id/download
+ * @access  Private
+ */
+const downloadDataExport = asyncHandler(async (req, res) => {
+  const dataExport = await findOwnExport(req, '+fileName');
+
+  if (dataExport.status === 'expired' || (dataExport.status === 'completed' && !dataExport.isDownloadable())) {
+    throw createError('La exportación ha caducado. Solicita una nueva', 410);
+  }
+
+  if (dataExport.status === 'failed') {
+    throw createError('La exportación falló. Solicita una nueva', 409);
+  }
+
+  if (dataExport.status !== 'completed') {
+    throw createError('La exportación todavía no está lista', 409);
+  }
+
+  const filePath = getExportFilePath(dataExport.fileName);
+
+  if (!fs.existsSync(filePath)) {
+    throw createError('El archivo de la exportación ya no está disponible. Solicita una nueva', 410);
+  }
+
+  await DataExport.updateOne({ _id: dataExport._id }, { downloadedAt: new Date() });
+
+  const date = dataExport.completedAt.toISOString().substring(0, 10);
+  res.download(filePath, `socialconnect-datos-${date}.zip`);
+});
+
+module.exports = {
+  requestDataExport,
+  getDataExports,
+  getDataExport,
+  downloadDataExport
+};
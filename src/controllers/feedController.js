@@ -0,0 +1,133 @@
+// src/controllers/feedController.js - Controlador para el timeline personalizado
+const TagSubscription = require('../models/TagSubscription');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { getHomeTimeline, backfillTimeline } = require('../utils/timeline');
+
+// Máximo de etiquetas a las que puede suscribirse un usuario
+const MAX_TAG_SUBSCRIPTIONS = 100;
+
+/**
+ * @desc    Obtener el timeline personalizado del usuario autenticado
+ * @route   GET /api/feed/home
+ * @access  Private
+ *
+ * Incluye los posts propios, los de los usuarios seguidos, los de autores con los que
+ * interactuó recientemente (likes y comentarios) y los de las etiquetas suscritas.
+ * Se pagina con el cursor devuelto en nextCursor.
+ */
+const getHomeFeed = asyncHandler(async (req, res) => {
+  const limit = parseInt(req.query.limit) || 20;
+
+  const { entries, nextCursor } = await getHomeTimeline(req.user._id, {
+    cursor: req.query.cursor || null,
+    limit
+  });
+
+  // El timeline ya descarta las entradas de posts eliminados o que dejaron de ser visibles
+  const posts = entries.map(entry => ({
+    ...entry.post.toJSON(),
+    feedReason: entry.reason,
+    feedTag: entry.tag
+  }));
+
+  res.status(200).json({
+    success: true,
+    message: 'Timeline obtenido exitosamente',
+    data: {
+      posts,
+      pagination: {
+        nextCursor,
+        hasMore: Boolean(nextCursor),
+        limit
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Listar las etiquetas a las que está suscrito el usuario autenticado
+ * @route   GET /api/feed/tags
+ * @access  Private
+ */
+const getTagSubscriptions = asyncHandler(async (req, res) => {
+  const subscriptions = await TagSubscription.find({ userId: req.user._id }).sort({ tag: 1 });
+
+  res.status(200).json({
+    success: true,
+    message: 'Suscripciones obtenidas exitosamente',
+    data: {
+      subscriptions,
+      totalSubscriptions: subscriptions.length
+    }
+  });
+});
+
+/**
+ * @desc    Suscribirse a una etiqueta
+ * @route   POST /api/feed/tags/:tag
+ * @access  Private
+ *
+ * Los posts recientes con la etiqueta se añaden al timeline al suscribirse
+ */
+const subscribeToTag = asyncHandler(async (req, res) => {
+  const { tag } = req.params;
+  const userId = req.user._id;
+
+  const existing = await TagSubscription.findOne({ userId, tag });
+  if (existing) {
+    return res.status(200).json({
+      success: true,
+      message: 'Ya estás suscrito a esta etiqueta',
+      data: { subscription: existing }
+    });
+  }
+
+  const totalSubscriptions = await TagSubscription.countDocuments({ userId });
+  if (totalSubscriptions >= MAX_TAG_SUBSCRIPTIONS) {
+    throw createError(`No puedes suscribirte a más de ${MAX_TAG_SUBSCRIPTIONS} etiquetas`, 400);
+  }
+
+  let subscription;
+  try {
+    subscription = await TagSubscription.create({ userId, tag });
+  } catch (error) {
+    // Otra petición creó la suscripción a la vez
+    if (error.code !== 11000) throw error;
+    subscription = await TagSubscription.findOne({ userId, tag });
+  }
+
+  await backfillTimeline(userId, { tags: tag }, 'tag', tag);
+
+  res.status(201).json({
+    success: true,
+    message: 'Suscripción creada exitosamente',
+    data: { subscription }
+  });
+});
+
+/**
+ * @desc    Cancelar la suscripción a una etiqueta
+ * @route   DELETE /api/feed/tags/:tag
+ * @access  Private
+ *
+ * Los posts que ya están en el timeline se conservan
+ */
+const unsubscribeFromTag = asyncHandler(async (req, res) => {
+  const subscription = await TagSubscription.findOneAndDelete({ userId: req.user._id, tag: req.params.tag });
+
+  if (!subscription) {
+    throw createError('No estás suscrito a esta etiqueta', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Suscripción cancelada exitosamente'
+  });
+});
+
+module.exports = {
+  getHomeFeed,
+  getTagSubscriptions,
+  subscribeToTag,
+  unsubscribeFromTag
+};
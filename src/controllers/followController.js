@@ -0,0 +1,305 @@
+// src/controllers/followController.js - Controlador para seguir y dejar de seguir usuarios
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const FollowRequest = require('../models/FollowRequest');
+const User = require('../models/User');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { backfillTimeline } = require('../utils/timeline');
+const { assertCanViewContentOf } = require('../utils/visibility');
+
+/**
+ * Busca un usuario activo por el ID de la ruta
+ * @param {string} id - ID del usuario
+ * @returns {Promise<Object>} - Usuario
+ */
+const findActiveUser = async (id) => {
+  const user = await User.findById(id).select('username followersCount followingCount isPrivate isActive');
+
+  if (!user || !user.isActive) {
+    throw createError('Usuario no encontrado', 404);
+  }
+
+  return user;
+};
+
+/**
+ * Convierte las relaciones en la lista de usuarios de la respuesta
+ * Las cuentas desactivadas no se muestran en las listas.
+ * @param {Object[]} follows - Relaciones con el usuario poblado
+ * @param {string} field - Campo virtual con el usuario ("follower" o "following")
+ * @returns {Object[]}
+ */
+const toUserList = (follows, field) => follows
+  .filter(follow => follow[field])
+  .map(follow => ({ user: follow[field], followedAt: follow.followedAt }));
+
+/**
+ * Calcula la información de paginación de una lista
+ * @param {number} page - Página actual
+ * @param {number} limit - Elementos por página
+ * @param {number} total - Total de elementos
+ * @param {string} totalKey - Nombre del campo con el total (ej: "totalFollowers")
+ * @returns {Object}
+ */
+const buildPagination = (page, limit, total, totalKey) => {
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    currentPage: page,
+    totalPages,
+    [totalKey]: total,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+    limit
+  };
+};
+
+/**
+ * @desc    Seguir a un usuario
+ * @route   POST /api/users/:id/follow
+ * @access  Private
+ *
+ * Si la cuenta es privada se crea una solicitud pendiente de aprobación (202)
+ */
+const followUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (req.user._id.toString() === id) {
+    throw createError('No puedes seguirte a ti mismo', 400);
+  }
+
+  const user = await findActiveUser(id);
+
+  // No se puede seguir a un usuario con el que hay un bloqueo
+  if (await Block.isBlockedBetween(req.user._id, id)) {
+    throw createError('No puedes seguir a este usuario', 403);
+  }
+
+  if (user.isPrivate && !await Follow.isFollowing(req.user._id, id)) {
+    const { created: requested } = await FollowRequest.createRequest(req.user._id, id);
+
+    return res.status(202).json({
+      success: true,
+      message: requested ? 'Solicitud de seguimiento enviada' : 'Ya habías enviado una solicitud a este usuario',
+      data: {
+        following: false,
+        requested: true,
+        followersCount: user.followersCount
+      }
+    });
+  }
+
+  const { created } = await Follow.follow(req.user._id, id);
+
+  // Los posts recientes del usuario seguido se añaden al timeline
+  if (created) {
+    await backfillTimeline(req.user._id, { userId: id }, 'following');
+  }
+
+  const { followersCount } = await findActiveUser(id);
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Ahora sigues a este usuario' : 'Ya sigues a este usuario',
+    data: {
+      following: true,
+      followersCount
+    }
+  });
+});
+
+/**
+ * @desc    Dejar de seguir a un usuario
+ * @route   DELETE /api/users/:id/follow
+ * @access  Private
+ */
+const unfollowUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (req.user._id.toString() === id) {
+    throw createError('No puedes dejar de seguirte a ti mismo', 400);
+  }
+
+  await findActiveUser(id);
+
+  const follow = await Follow.unfollow(req.user._id, id);
+  const request = await FollowRequest.findOneAndDelete({ requesterId: req.user._id, targetId: id });
+  const { followersCount } = await findActiveUser(id);
+
+  let message = follow ? 'Has dejado de seguir a este usuario' : 'No sigues a este usuario';
+  if (!follow && request) {
+    message = 'Solicitud de seguimiento cancelada';
+  }
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      following: false,
+      followersCount
+    }
+  });
+});
+
+/**
+ * @desc    Obtener los seguidores de un usuario
+ * @route   GET /api/users/:id/followers
+ * @access  Public
+ */
+const getFollowers = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const user = await findActiveUser(req.params.id);
+
+  // Los usuarios bloqueados reciben 404 y las cuentas privadas solo muestran
+  // sus relaciones a sus seguidores aprobados
+  await assertCanViewContentOf(req.user, user._id, 'Usuario no encontrado');
+
+  const follows = await Follow.getFollowers(user._id, { page, limit });
+  const totalFollowers = await Follow.countDocuments({ followingId: user._id, isActive: true });
+
+  res.status(200).json({
+    success: true,
+    message: 'Seguidores obtenidos exitosamente',
+    data: {
+      followers: toUserList(follows, 'follower'),
+      user: {
+        _id: user._id,
+        username: user.username,
+        followersCount: user.followersCount
+      },
+      pagination: buildPagination(page, limit, totalFollowers, 'totalFollowers')
+    }
+  });
+});
+
+/**
+ * @desc    Obtener los usuarios a los que sigue un usuario
+ * @route   GET /api/users/:id/following
+ * @access  Public
+ */
+const getFollowing = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const user = await findActiveUser(req.params.id);
+
+  // Los usuarios bloqueados reciben 404 y las cuentas privadas solo muestran
+  // sus relaciones a sus seguidores aprobados
+  await assertCanViewContentOf(req.user, user._id, 'Usuario no encontrado');
+
+  const follows = await Follow.getFollowing(user._id, { page, limit });
+  const totalFollowing = await Follow.countDocuments({ followerId: user._id, isActive: true });
+
+  res.status(200).json({
+    success: true,
+    message: 'Usuarios seguidos obtenidos exitosamente',
+    data: {
+      following: toUserList(follows, 'following'),
+      user: {
+        _id: user._id,
+        username: user.username,
+        followingCount: user.followingCount
+      },
+      pagination: buildPagination(page, limit, totalFollowing, 'totalFollowing')
+    }
+  });
+});
+
+/**
+ * Busca una solicitud pendiente dirigida al usuario autenticado
+ * @param {Object} req - Petición (el ID de la solicitud va en req.params.id)
+ * @returns {Promise<Object>} - Solicitud
+ */
+const findIncomingRequest = async (req) => {
+  const request = await FollowRequest.findOne({ _id: req.params.id, targetId: req.user._id });
+
+  if (!request) {
+    throw createError('Solicitud de seguimiento no encontrada', 404);
+  }
+
+  return request;
+};
+
+/**
+ * @desc    Listar las solicitudes de seguimiento pendientes del usuario autenticado
+ * @route   GET /api/users/profile/follow-requests
+ * @access  Private
+ */
+const getFollowRequests = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const requests = await FollowRequest.getPendingRequests(req.user._id, { page, limit });
+  const totalRequests = await FollowRequest.countDocuments({ targetId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Solicitudes de seguimiento obtenidas exitosamente',
+    data: {
+      // Las solicitudes de cuentas desactivadas no se muestran
+      requests: requests
+        .filter(request => request.requester)
+        .map(request => ({ _id: request._id, user: request.requester, requestedAt: request.createdAt })),
+      pagination: buildPagination(page, limit, totalRequests, 'totalRequests')
+    }
+  });
+});
+
+/**
+ * @desc    Aprobar una solicitud de seguimiento
+ * @route   POST /api/users/profile/follow-requests/:id/approve
+ * @access  Private
+ */
+const approveFollowRequest = asyncHandler(async (req, res) => {
+  const request = await findIncomingRequest(req);
+
+  // Solo se elimina la solicitud que sigue pendiente (otra petición pudo aprobarla a la vez)
+  const pending = await FollowRequest.findOneAndDelete({ _id: request._id });
+
+  if (pending) {
+    const { created } = await Follow.follow(pending.requesterId, req.user._id);
+
+    if (created) {
+      await backfillTimeline(pending.requesterId, { userId: req.user._id }, 'following');
+    }
+  }
+
+  const { followersCount } = await findActiveUser(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Solicitud de seguimiento aprobada',
+    data: {
+      followerId: request.requesterId,
+      followersCount
+    }
+  });
+});
+
+/**
+ * @desc    Rechazar una solicitud de seguimiento
+ * @route   POST /api/users/profile/follow-requests/:id/reject
+ * @access  Private
+ */
+const rejectFollowRequest = asyncHandler(async (req, res) => {
+  const request = await findIncomingRequest(req);
+
+  await FollowRequest.deleteOne({ _id: request._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Solicitud de seguimiento rechazada'
+  });
+});
+
+module.exports = {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  getFollowRequests,
+  approveFollowRequest,
+  rejectFollowRequest
+};
@@ -3,7 +3,22 @@ const Like = require('../models/Like');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
 const User = require('../models/User');
+const Block = require('../models/Block');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { canActOn } = require('../config/permissions');
+const { assertCanViewPost, getListedPostsFilter } = require('../utils/visibility');
+
+/**
+ * Obtiene el post al que pertenece un contenido (el propio post o el post del comentario)
+ * @param {string} targetType - Post o Comment
+ * @param {Object} target - Post o comentario
+ * @returns {Promise<Object|null>} - Post (con userId y visibility)
+ */
+const getTargetPost = async (targetType, target) => {
+  if (targetType === 'Post') return target;
+
+  return Post.findById(target.postId).select('userId visibility');
+};
 
 /**
  * @desc    Dar o quitar like (toggle)
@@ -13,18 +28,8 @@ const { asyncHandler, createError } = require('../middleware/errorHandler');
 const toggleLike = asyncHandler(async (req, res) => {
   const { targetType, targetId } = req.body;
 
-  // ✅ SOLUCIÓN TEMPORAL: Usar usuario por defecto si no hay autenticación
-  let userId;
-  if (req.user && req.user._id) {
-    userId = req.user._id;
-  } else {
-    // Usar el primer usuario de la base de datos
-    const defaultUser = await User.findOne({ isActive: true });
-    if (!defaultUser) {
-      throw createError('No hay usuarios en el sistema. Primero crea un usuario.', 400);
-    }
-    userId = defaultUser._id;
-  }
+  // La política de la ruta garantiza un usuario (autenticado o el invitado del modo demo)
+  const userId = req.user._id;
 
   // Validar targetType
   if (!['Post', 'Comment'].includes(targetType)) {
@@ -45,6 +50,17 @@ const toggleLike = asyncHandler(async (req, res) => {
     }
   }
 
+  // No se puede dar like al contenido de un usuario con el que hay un bloqueo
+  if (await Block.isBlockedBetween(userId, target.userId)) {
+    throw createError('No puedes dar like a este contenido', 403);
+  }
+
+  // Solo se puede dar like al contenido de un post que se puede ver (visibilidad y cuentas privadas)
+  const targetPost = await getTargetPost(targetType, target);
+  if (targetPost) {
+    await assertCanViewPost(req.user, targetPost, 'Contenido no encontrado');
+  }
+
   // Usar método estático para toggle like
   const result = await Like.toggleLike(userId, targetType, targetId);
 
@@ -69,17 +85,8 @@ const toggleLike = asyncHandler(async (req, res) => {
 const createLike = asyncHandler(async (req, res) => {
   const { targetType, targetId } = req.body;
 
-  // ✅ SOLUCIÓN TEMPORAL: Usar usuario por defecto si no hay autenticación
-  let userId;
-  if (req.user && req.user._id) {
-    userId = req.user._id;
-  } else {
-    const defaultUser = await User.findOne({ isActive: true });
-    if (!defaultUser) {
-      throw createError('No hay usuarios en el sistema. Primero crea un usuario.', 400);
-    }
-    userId = defaultUser._id;
-  }
+  // La política de la ruta garantiza un usuario (autenticado o el invitado del modo demo)
+  const userId = req.user._id;
 
   // Verificar si ya existe el like
   const existingLike = await Like.hasUserLiked(userId, targetType, targetId);
@@ -88,18 +95,30 @@ const createLike = asyncHandler(async (req, res) => {
   }
 
   // Verificar que el objetivo existe
+  let target;
   if (targetType === 'Post') {
-    const post = await Post.findById(targetId);
-    if (!post || !post.isActive) {
+    target = await Post.findById(targetId);
+    if (!target || !target.isActive) {
       throw createError('Post no encontrado', 404);
     }
   } else if (targetType === 'Comment') {
-    const comment = await Comment.findById(targetId);
-    if (!comment || !comment.isActive) {
+    target = await Comment.findById(targetId);
+    if (!target || !target.isActive) {
       throw createError('Comentario no encontrado', 404);
     }
   }
 
+  // No se puede dar like al contenido de un usuario con el que hay un bloqueo
+  if (await Block.isBlockedBetween(userId, target.userId)) {
+    throw createError('No puedes dar like a este contenido', 403);
+  }
+
+  // Solo se puede dar like al contenido de un post que se puede ver (visibilidad y cuentas privadas)
+  const targetPost = await getTargetPost(targetType, target);
+  if (targetPost) {
+    await assertCanViewPost(req.user, targetPost, 'Contenido no encontrado');
+  }
+
   // Crear nuevo like
   const like = await Like.create({ userId, targetType, targetId });
 
@@ -129,14 +148,21 @@ const getLikesByPost = asyncHandler(async (req, res) => {
     throw createError('Post no encontrado', 404);
   }
 
+  // Visibilidad del post, cuentas privadas y usuarios bloqueados por el autor
+  await assertCanViewPost(req.user, post, 'Post no encontrado');
+
+  // Ocultar los likes de los usuarios bloqueados o silenciados
+  const hiddenUserIds = await Block.getHiddenUserIds(req.user?._id);
+
   // Usar método estático del modelo
-  const likes = await Like.getLikesByPost(postId, { page, limit });
+  const likes = await Like.getLikesByPost(postId, { page, limit, excludeUserIds: hiddenUserIds });
 
   // Contar total de likes del post
   const totalLikes = await Like.countDocuments({ 
     targetType: 'Post', 
     targetId: postId, 
-    isActive: true 
+    isActive: true,
+    ...(hiddenUserIds.length > 0 && { userId: { $nin: hiddenUserIds } })
   });
 
   const totalPages = Math.ceil(totalLikes / limit);
@@ -179,12 +205,27 @@ const getLikesByComment = asyncHandler(async (req, res) => {
     throw createError('Comentario no encontrado', 404);
   }
 
+  // Los usuarios bloqueados por el autor no pueden ver sus comentarios
+  if (req.user && await Block.hasBlocked(comment.userId, req.user._id)) {
+    throw createError('Comentario no encontrado', 404);
+  }
+
+  // Los comentarios siguen la visibilidad de su post
+  const targetPost = await getTargetPost('Comment', comment);
+  if (targetPost) {
+    await assertCanViewPost(req.user, targetPost, 'Comentario no encontrado');
+  }
+
   const skip = (page - 1) * limit;
 
+  // Ocultar los likes de los usuarios bloqueados o silenciados
+  const hiddenUserIds = await Block.getHiddenUserIds(req.user?._id);
+
   const likes = await Like.find({ 
     targetType: 'Comment', 
     targetId: commentId, 
-    isActive: true 
+    isActive: true,
+    ...(hiddenUserIds.length > 0 && { userId: { $nin: hiddenUserIds } })
   })
     .populate('user', 'username firstName lastName profilePicture')
     .sort({ createdAt: -1 })
@@ -194,7 +235,8 @@ const getLikesByComment = asyncHandler(async (req, res) => {
   const totalLikes = await Like.countDocuments({ 
     targetType: 'Comment', 
     targetId: commentId, 
-    isActive: true 
+    isActive: true,
+    ...(hiddenUserIds.length > 0 && { userId: { $nin: hiddenUserIds } })
   });
 
   const totalPages = Math.ceil(totalLikes / limit);
@@ -242,6 +284,15 @@ const getAllLikes = asyncHandler(async (req, res) => {
     filters.targetType = targetType;
   }
 
+  // Ocultar los likes de los usuarios bloqueados o silenciados
+  const hiddenUserIds = await Block.getHiddenUserIds(req.user?._id);
+  if (hiddenUserIds.length > 0) {
+    filters.userId = { $nin: hiddenUserIds };
+  }
+
+  // Ocultar los likes de posts (y de sus comentarios) que no puede ver en los listados
+  filters.$and = [await getListedPostsFilter(req.user?._id)];
+
   const likes = await Like.find(filters)
     .populate('user', 'username firstName lastName profilePicture')
     .sort(sort)
@@ -287,6 +338,30 @@ const getLikeById = asyncHandler(async (req, res) => {
     throw createError('Like no disponible', 404);
   }
 
+  // El like sigue la visibilidad del contenido al que pertenece
+  const target = like.targetType === 'Post'
+    ? await Post.findById(like.targetId).select('userId visibility isActive')
+    : await Comment.findById(like.targetId).select('userId postId isActive');
+
+  if (!target || !target.isActive) {
+    throw createError('Like no encontrado', 404);
+  }
+
+  if (req.user && await Block.hasBlocked(target.userId, req.user._id)) {
+    throw createError('Like no encontrado', 404);
+  }
+
+  const targetPost = await getTargetPost(like.targetType, target);
+  if (targetPost) {
+    await assertCanViewPost(req.user, targetPost, 'Like no encontrado');
+  }
+
+  // Ocultar los likes de los usuarios bloqueados o silenciados
+  const hiddenUserIds = await Block.getHiddenUserIds(req.user?._id);
+  if (hiddenUserIds.some(userId => userId.toString() === like.userId.toString())) {
+    throw createError('Like no encontrado', 404);
+  }
+
   res.status(200).json({
     success: true,
     message: 'Like obtenido exitosamente',
@@ -297,7 +372,7 @@ const getLikeById = asyncHandler(async (req, res) => {
 /**
  * @desc    Eliminar un like
  * @route   DELETE /api/likes/:id
- * @access  Private (solo el usuario que dio el like)
+ * @access  Private (el usuario que dio el like o usuarios con permiso likes:delete:any)
  */
 const deleteLike = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -308,8 +383,8 @@ const deleteLike = asyncHandler(async (req, res) => {
     throw createError('Like no encontrado', 404);
   }
 
-  // Verificar autorización (temporal: permitir si no hay usuario autenticado)
-  if (req.user && like.userId.toString() !== req.user._id.toString()) {
+  // Verificar autorización: autor o moderador
+  if (!canActOn(req.user, 'likes:delete', like.userId)) {
     throw createError('No tienes permisos para eliminar este like', 403);
   }
 
@@ -347,6 +422,11 @@ const getLikesByUser = asyncHandler(async (req, res) => {
     throw createError('Usuario no encontrado', 404);
   }
 
+  // Los usuarios bloqueados no pueden ver la actividad de quien los bloqueó
+  if (req.user && await Block.hasBlocked(user._id, req.user._id)) {
+    throw createError('Usuario no encontrado', 404);
+  }
+
   const skip = (page - 1) * limit;
 
   // Crear filtros
@@ -355,6 +435,9 @@ const getLikesByUser = asyncHandler(async (req, res) => {
     filters.targetType = targetType;
   }
 
+  // Ocultar los likes de posts (y de sus comentarios) que no puede ver en los listados
+  filters.$and = [await getListedPostsFilter(req.user?._id)];
+
   const likes = await Like.find(filters)
     .sort({ createdAt: -1 })
     .skip(skip)
@@ -395,17 +478,8 @@ const getLikesByUser = asyncHandler(async (req, res) => {
 const checkUserLike = asyncHandler(async (req, res) => {
   const { targetType, targetId } = req.params;
 
-  // ✅ SOLUCIÓN TEMPORAL: Usar usuario por defecto si no hay autenticación
-  let userId;
-  if (req.user && req.user._id) {
-    userId = req.user._id;
-  } else {
-    const defaultUser = await User.findOne({ isActive: true });
-    if (!defaultUser) {
-      throw createError('No hay usuarios en el sistema', 400);
-    }
-    userId = defaultUser._id;
-  }
+  // La política de la ruta garantiza un usuario (autenticado o el invitado del modo demo)
+  const userId = req.user._id;
 
   const like = await Like.hasUserLiked(userId, targetType, targetId);
 
@@ -0,0 +1,100 @@
+// src/controllers/mentionController.js - Controlador para las menciones (@usuario)
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Block = require('../models/Block');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { getPrivateAuthorsFilter, getListedPostsFilter, getListedVisibilities } = require('../utils/visibility');
+
+/**
+ * @desc    Obtener los posts y comentarios en los que se menciona a un usuario
+ * @route   GET /api/users/:id/mentions
+ * @access  Public (el resultado depende del usuario autenticado, si lo hay)
+ *
+ * Se ocultan las menciones que el usuario que consulta no puede ver (cuentas privadas que no sigue,
+ * usuarios bloqueados o silenciados, posts que no se listan) y las de autores con los que el mencionado
+ * tiene un bloqueo.
+ */
+const getUserMentions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const user = await User.findById(id).select('username isActive');
+  if (!user || !user.isActive) {
+    throw createError('Usuario no encontrado', 404);
+  }
+
+  // Los usuarios bloqueados no pueden ver la actividad de quien los bloqueó
+  if (req.user && await Block.hasBlocked(user._id, req.user._id)) {
+    throw createError('Usuario no encontrado', 404);
+  }
+
+  const excludedAuthorIds = [
+    ...await Block.getHiddenUserIds(req.user?._id),
+    ...await Block.getBlockedUserIds(user._id)
+  ];
+  const privateAuthorsFilter = await getPrivateAuthorsFilter(req.user?._id);
+
+  const postFilters = {
+    'mentions.userId': user._id,
+    isActive: true,
+    visibility: { $in: getListedVisibilities(req.user?._id) },
+    $and: [privateAuthorsFilter]
+  };
+  const commentFilters = {
+    'mentions.userId': user._id,
+    isActive: true,
+    $and: [privateAuthorsFilter, await getListedPostsFilter(req.user?._id)]
+  };
+  if (excludedAuthorIds.length > 0) {
+    postFilters.userId = { $nin: excludedAuthorIds };
+    commentFilters.userId = { $nin: excludedAuthorIds };
+  }
+
+  // Se combinan las dos colecciones ordenadas por fecha: basta con los primeros skip + limit de cada una
+  const skip = (page - 1) * limit;
+  const posts = await Post.find(postFilters)
+    .populate('author', 'username firstName lastName profilePicture')
+    .sort({ createdAt: -1 })
+    .limit(skip + limit);
+  const comments = await Comment.find(commentFilters)
+    .populate('author', 'username firstName lastName profilePicture')
+    .populate('post', 'content userId')
+    .sort({ createdAt: -1 })
+    .limit(skip + limit);
+
+  const mentions = [
+    ...posts.map(post => ({ targetType: 'Post', target: post, mentionedAt: post.createdAt })),
+    ...comments.map(comment => ({ targetType: 'Comment', target: comment, mentionedAt: comment.createdAt }))
+  ]
+    .sort((a, b) => b.mentionedAt - a.mentionedAt)
+    .slice(skip, skip + limit);
+
+  const totalMentions = await Post.countDocuments(postFilters) + await Comment.countDocuments(commentFilters);
+  const totalPages = Math.ceil(totalMentions / limit);
+
+  res.status(200).json({
+    success: true,
+    message: 'Menciones obtenidas exitosamente',
+    data: {
+      mentions,
+      user: {
+        _id: user._id,
+        username: user.username
+      },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalMentions,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit
+      }
+    }
+  });
+});
+
+module.exports = {
+  getUserMentions
+};
@@ -0,0 +1,277 @@
+// src/controllers/passkeyController.js - Controlador para el registro y login con passkeys (WebAuthn)
+const User = require('../models/User');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { generateTokens } = require('../middleware/auth');
+const {
+  COSE_ALGORITHMS,
+  getRelyingParty,
+  parseClientData,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse
+} = require('../utils/webauthn');
+
+// Máximo de passkeys registradas por usuario
+const MAX_PASSKEYS_PER_USER = 10;
+
+/**
+ * @desc    Obtener las opciones para registrar una passkey
+ * @route   POST /api/users/profile/passkeys/options
+ * @access  Private
+ *
+ * Devuelve las opciones para navigator.credentials.create(). Las passkeys se crean
+ * como credenciales residentes para poder iniciar sesión sin indicar el usuario.
+ */
+const getPasskeyRegistrationOptions = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.passkeys.length >= MAX_PASSKEYS_PER_USER) {
+    throw createError(`No puedes tener más de ${MAX_PASSKEYS_PER_USER} passkeys registradas`, 400);
+  }
+
+  const relyingParty = getRelyingParty();
+  const challenge = await WebAuthnChallenge.issue({ type: 'registration', userId: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Opciones de registro de passkey generadas',
+    data: {
+      challenge,
+      rp: { id: relyingParty.id, name: relyingParty.name },
+      user: {
+        id: user.getWebAuthnUserHandle(),
+        name: user.username,
+        displayName: `${user.firstName} ${user.lastName}`
+      },
+      pubKeyCredParams: Object.values(COSE_ALGORITHMS).map(alg => ({ type: 'public-key', alg })),
+      timeout: WebAuthnChallenge.getTimeoutMs(),
+      attestation: 'none',
+      excludeCredentials: user.passkeys.map(passkey => ({
+        type: 'public-key',
+        id: passkey.credentialId,
+        transports: passkey.transports
+      })),
+      authenticatorSelection: {
+        residentKey: 'required',
+        requireResidentKey: true,
+        userVerification: 'preferred'
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Registrar una passkey
+ * @route   POST /api/users/profile/passkeys
+ * @access  Private
+ *
+ * Verifica la respuesta de navigator.credentials.create() contra el desafío emitido
+ * y guarda la clave pública, el contador de firmas y los transportes.
+ */
+const registerPasskey = asyncHandler(async (req, res) => {
+  const { credential, name } = req.body;
+
+  // El desafío firmado por el navegador debe ser uno emitido para este usuario
+  const clientData = parseClientData(credential.response.clientDataJSON);
+  const challenge = await WebAuthnChallenge.consume({
+    challenge: clientData.challenge,
+    type: 'registration',
+    userId: req.user._id
+  });
+
+  if (!challenge) {
+    throw createError('El desafío de registro es inválido o expiró. Solicita nuevas opciones', 400);
+  }
+
+  const verified = verifyRegistrationResponse({ credential, expectedChallenge: challenge.challenge });
+
+  if (await User.findByPasskey(verified.credentialId)) {
+    throw createError('Esta passkey ya está registrada', 409);
+  }
+
+  const user = await User.findById(req.user._id);
+
+  if (user.passkeys.length >= MAX_PASSKEYS_PER_USER) {
+    throw createError(`No puedes tener más de ${MAX_PASSKEYS_PER_USER} passkeys registradas`, 400);
+  }
+
+  user.passkeys.push({
+    credentialId: verified.credentialId,
+    publicKey: verified.publicKey,
+    algorithm: verified.algorithm,
+    signCount: verified.signCount,
+    transports: verified.transports,
+    backedUp: verified.backedUp,
+    name: name || `Passkey ${user.passkeys.length + 1}`
+  });
+  await user.save();
+
+  const passkeys = user.getPasskeys();
+
+  res.status(201).json({
+    success: true,
+    message: 'Passkey registrada exitosamente',
+    data: {
+      passkey: passkeys[passkeys.length - 1]
+    }
+  });
+});
+
+/**
+ * @desc    Listar las passkeys del usuario autenticado
+ * @route   GET /api/users/profile/passkeys
+ * @access  Private
+ */
+const getPasskeys = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const passkeys = user.getPasskeys();
+
+  res.status(200).json({
+    success: true,
+    message: 'Passkeys obtenidas exitosamente',
+    data: {
+      passkeys,
+      totalPasskeys: passkeys.length
+    }
+  });
+});
+
+/**
+ * @desc    Eliminar una passkey
+ * @route   DELETE /api/users/profile/passkeys/:id
+ * @access  Private
+ *
+ * No se puede eliminar el único método de inicio de sesión de la cuenta
+ */
+const deletePasskey = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await User.findById(req.user._id).select('+password');
+  const passkey = user.passkeys.id(id);
+
+  if (!passkey) {
+    throw createError('Passkey no encontrada', 404);
+  }
+
+  if (user.countLoginMethods() <= 1) {
+    throw createError(
+      'No puedes eliminar tu único método de inicio de sesión. Define una contraseña o vincula otro proveedor primero',
+      400
+    );
+  }
+
+  passkey.deleteOne();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Passkey eliminada exitosamente',
+    data: {
+      passkeys: user.getPasskeys()
+    }
+  });
+});
+
+/**
+ * @desc    Obtener las opciones para iniciar sesión con una passkey
+ * @route   POST /api/users/login/passkey/options
+ * @access  Public
+ *
+ * Devuelve las opciones para navigator.credentials.get(). No se indica el usuario:
+ * el autenticador ofrece las passkeys residentes registradas para este dominio.
+ */
+const getPasskeyLoginOptions = asyncHandler(async (req, res) => {
+  const challenge = await WebAuthnChallenge.issue({ type: 'authentication' });
+
+  res.status(200).json({
+    success: true,
+    message: 'Opciones de login con passkey generadas',
+    data: {
+      challenge,
+      rpId: getRelyingParty().id,
+      timeout: WebAuthnChallenge.getTimeoutMs(),
+      userVerification: 'preferred',
+      allowCredentials: []
+    }
+  });
+});
+
+/**
+ * @desc    Iniciar sesión con una passkey
+ * @route   POST /api/users/login/passkey
+ * @access  Public
+ *
+ * Verifica la aserción de navigator.credentials.get() y devuelve los mismos tokens que el login.
+ * Una passkey con verificación del usuario (PIN o biometría) ya combina dos factores; si el
+ * autenticador no verificó al usuario y la cuenta tiene 2FA, el login continúa en POST /api/users/login/2fa.
+ */
+const loginWithPasskey = asyncHandler(async (req, res) => {
+  const { credential } = req.body;
+
+  const clientData = parseClientData(credential.response.clientDataJSON);
+  const challenge = await WebAuthnChallenge.consume({
+    challenge: clientData.challenge,
+    type: 'authentication'
+  });
+
+  if (!challenge) {
+    throw createError('El desafío de login es inválido o expiró. Solicita nuevas opciones', 400);
+  }
+
+  const user = await User.findByPasskey(credential.id);
+  const passkey = user && user.passkeys.find(item => item.credentialId === credential.id);
+
+  // El userHandle (si se envía) debe corresponder al dueño de la passkey
+  if (!passkey || !user.isActive ||
+      (credential.response.userHandle && credential.response.userHandle !== user.getWebAuthnUserHandle())) {
+    throw createError('Passkey no reconocida', 401);
+  }
+
+  const verified = verifyAuthenticationResponse({
+    credential,
+    expectedChallenge: challenge.challenge,
+    passkey
+  });
+
+  passkey.signCount = verified.signCount;
+  passkey.backedUp = verified.backedUp;
+  passkey.lastUsedAt = new Date();
+
+  if (user.twoFactorEnabled && !verified.userVerified) {
+    const challengeToken = user.createTwoFactorChallengeToken();
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Introduce el código de tu app de autenticación para completar el login',
+      data: {
+        twoFactorRequired: true,
+        challengeToken
+      }
+    });
+  }
+
+  // Actualizar último login (también guarda el contador de la passkey)
+  await user.updateLastLogin();
+
+  const { accessToken, refreshToken } = await generateTokens(user._id, { req });
+
+  res.status(200).json({
+    success: true,
+    message: 'Login exitoso',
+    data: {
+      user: user.getLoginProfile(),
+      accessToken,
+      refreshToken
+    }
+  });
+});
+
+module.exports = {
+  getPasskeyRegistrationOptions,
+  registerPasskey,
+  getPasskeys,
+  deletePasskey,
+  getPasskeyLoginOptions,
+  loginWithPasskey
+};
@@ -1,7 +1,19 @@
 // src/controllers/postController.js - Controlador para operaciones de posts
 const Post = require('../models/Post');
 const User = require('../models/User');
+const Block = require('../models/Block');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { canActOn } = require('../config/permissions');
+const { recordAuditEvent } = require('../utils/auditLog');
+const { addPostToTimelines, removePostFromTimelines } = require('../utils/timeline');
+const {
+  getPrivateAuthorsFilter,
+  getListedVisibilities,
+  syncPostVisibility,
+  assertCanViewContentOf,
+  assertCanViewPost
+} = require('../utils/visibility');
+const { resolveMentions } = require('../utils/mentions');
 
 /**
  * @desc    Crear un nuevo post
@@ -12,35 +24,28 @@ const { asyncHandler, createError } = require('../middleware/errorHandler');
  */
 const createPost = asyncHandler(async (req, res) => {
   // Extraer datos del cuerpo de la petición
-  const { content, imageUrl, tags } = req.body;
-
-  // ✅ SOLUCIÓN TEMPORAL W05: Usar usuario por defecto si no hay autenticación
-  let userId;
-  
-  if (req.user && req.user._id) {
-    // Si hay usuario autenticado, usar su ID
-    userId = req.user._id;
-  } else {
-    // ✅ TEMPORAL: Usar el primer usuario de la base de datos
-    const User = require('../models/User');
-    const defaultUser = await User.findOne({ isActive: true });
-    
-    if (!defaultUser) {
-      // Si no hay usuarios, crear un error amigable
-      throw createError('No hay usuarios en el sistema. Primero crea un usuario.', 400);
-    }
-    
-    userId = defaultUser._id;
-  }
+  const { content, imageUrl, tags, visibility } = req.body;
 
-  // Crear nuevo post con el ID del usuario (autenticado o por defecto)
+  // La política de la ruta garantiza un usuario (autenticado o el invitado del modo demo)
+  const userId = req.user._id;
+
+  // Crear nuevo post con el ID del usuario
   const post = await Post.create({
     userId: userId,
     content,
     imageUrl,
-    tags: tags || []
+    tags: tags || [],
+    visibility,
+    mentions: await resolveMentions(content, userId)
   });
 
+  // Añadir el post a los timelines; si falla, el post ya está publicado igualmente
+  try {
+    await addPostToTimelines(post);
+  } catch (error) {
+    console.error('❌ Error añadiendo el post a los timelines:', error.message);
+  }
+
   // Poblar la información del autor para incluirla en la respuesta
   await post.populate('author', 'username firstName lastName profilePicture');
 
@@ -87,6 +92,16 @@ const getAllPosts = asyncHandler(async (req, res) => {
     filters.tags = tagFilters;
   }
 
+  // Ocultar los posts de cuentas privadas que no sigue y de usuarios bloqueados o silenciados
+  filters.$and = [await getPrivateAuthorsFilter(req.user?._id)];
+  const hiddenUserIds = await Block.getHiddenUserIds(req.user?._id);
+  if (hiddenUserIds.length > 0) {
+    filters.userId = { $nin: hiddenUserIds };
+  }
+
+  // Solo los posts públicos (y los de miembros si está autenticado); los unlisted y private no se listan
+  filters.visibility = { $in: getListedVisibilities(req.user?._id) };
+
   // Crear objeto de ordenamiento
   const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
@@ -148,6 +163,9 @@ const getPostById = asyncHandler(async (req, res) => {
     throw createError('Post no disponible', 404);
   }
 
+  // Visibilidad del post, cuentas privadas y usuarios bloqueados por el autor
+  await assertCanViewPost(req.user, post, 'Post no disponible');
+
   // Enviar respuesta exitosa con el post
   res.status(200).json({
     success: true,
@@ -173,6 +191,13 @@ const getPostsByUser = asyncHandler(async (req, res) => {
     throw createError('Usuario no encontrado', 404);
   }
 
+  // Cuentas privadas y usuarios bloqueados por el autor
+  await assertCanViewContentOf(req.user, user._id, 'Usuario no encontrado');
+
+  // El autor ve todos sus posts; el resto, solo los que aparecen en los listados
+  const isOwner = req.user && req.user._id.toString() === user._id.toString();
+  const visibilities = isOwner ? null : getListedVisibilities(req.user?._id);
+
   // Extraer parámetros de paginación
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
@@ -184,13 +209,15 @@ const getPostsByUser = asyncHandler(async (req, res) => {
     page,
     limit,
     sortBy,
-    sortOrder
+    sortOrder,
+    visibilities
   });
 
   // Contar total de posts del usuario
   const totalPosts = await Post.countDocuments({ 
     userId, 
-    isActive: true 
+    isActive: true,
+    ...(visibilities && { visibility: { $in: visibilities } })
   });
 
   // Calcular información de paginación
@@ -224,7 +251,7 @@ const getPostsByUser = asyncHandler(async (req, res) => {
 /**
  * @desc    Actualizar un post
  * @route   PUT /api/posts/:id
- * @access  Private (solo el autor puede actualizar)
+ * @access  Private (el autor o usuarios con permiso posts:update:any)
  * 
  * Esta función actualiza un post existente
  */
@@ -240,14 +267,14 @@ const updatePost = asyncHandler(async (req, res) => {
     throw createError('Post no encontrado', 404);
   }
 
-  // Verificar que el usuario autenticado sea el autor del post
-  if (post.userId.toString() !== req.user._id.toString()) {
+  // Verificar que el usuario autenticado sea el autor del post o un moderador
+  if (!canActOn(req.user, 'posts:update', post.userId)) {
     throw createError('No tienes permisos para actualizar este post', 403);
   }
 
   // Extraer campos actualizables del cuerpo de la petición
   const updateFields = {};
-  const allowedFields = ['content', 'imageUrl', 'tags'];
+  const allowedFields = ['content', 'imageUrl', 'tags', 'visibility'];
 
   // Solo incluir campos que están en la petición y son permitidos
   allowedFields.forEach(field => {
@@ -261,10 +288,29 @@ const updatePost = asyncHandler(async (req, res) => {
     throw createError('Debe proporcionar al menos un campo para actualizar', 400);
   }
 
+  // Si cambia el contenido, las menciones se vuelven a calcular (se añaden o quitan las editadas)
+  if (updateFields.content !== undefined) {
+    updateFields.mentions = await resolveMentions(updateFields.content, post.userId);
+  }
+
   // Actualizar el post
+  const visibilityChanged = updateFields.visibility !== undefined && updateFields.visibility !== post.visibility;
   Object.assign(post, updateFields);
   await post.save();
 
+  // Los posts unlisted y private solo están en el timeline del autor: si pasan a listarse, se reparten
+  // (al dejar de listarse no hace falta retirarlos, el timeline filtra la visibilidad al leer)
+  if (visibilityChanged) {
+    // Los comentarios y likes guardan una copia de la visibilidad del post para filtrar los listados
+    await syncPostVisibility(post);
+
+    try {
+      await addPostToTimelines(post);
+    } catch (error) {
+      console.error('❌ Error añadiendo el post a los timelines:', error.message);
+    }
+  }
+
   // Poblar información del autor para la respuesta
   await post.populate('author', 'username firstName lastName profilePicture');
 
@@ -279,7 +325,7 @@ const updatePost = asyncHandler(async (req, res) => {
 /**
  * @desc    Eliminar (desactivar) un post
  * @route   DELETE /api/posts/:id
- * @access  Private (solo el autor puede eliminar)
+ * @access  Private (el autor o usuarios con permiso posts:delete:any)
  * 
  * Esta función "elimina" un post marcándolo como inactivo
  */
@@ -295,8 +341,15 @@ const deletePost = asyncHandler(async (req, res) => {
     throw createError('Post no encontrado', 404);
   }
 
-  // Verificar que el usuario autenticado sea el autor del post
-  if (post.userId.toString() !== req.user._id.toString()) {
+  // Verificar que el usuario autenticado sea el autor del post o un moderador
+  if (!canActOn(req.user, 'posts:delete', post.userId)) {
+    await recordAuditEvent(req, {
+      action: 'post.delete',
+      outcome: 'failure',
+      target: { type: 'Post', id: post._id },
+      reason: 'forbidden',
+      metadata: { ownerId: post.userId }
+    });
     throw createError('No tienes permisos para eliminar este post', 403);
   }
 
@@ -304,6 +357,15 @@ const deletePost = asyncHandler(async (req, res) => {
   post.isActive = false;
   await post.save();
 
+  // Retirar el post de los timelines personalizados
+  await removePostFromTimelines(post._id);
+
+  await recordAuditEvent(req, {
+    action: 'post.delete',
+    target: { type: 'Post', id: post._id },
+    metadata: { ownerId: post.userId, moderation: !post.userId.equals(req.user._id) }
+  });
+
   // Enviar respuesta exitosa
   res.status(200).json({
     success: true,
@@ -323,11 +385,27 @@ const getRecentPosts = asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;        // Más posts para el feed principal
 
+  // Ocultar los posts de cuentas privadas que no sigue y de usuarios bloqueados o silenciados
+  const privateAuthorsFilter = await getPrivateAuthorsFilter(req.user?._id);
+  const hiddenUserIds = await Block.getHiddenUserIds(req.user?._id);
+  const visibilities = getListedVisibilities(req.user?._id);
+
   // Usar el método estático del modelo
-  const posts = await Post.getRecentPosts({ page, limit });
+  const posts = await Post.getRecentPosts({
+    page,
+    limit,
+    excludeUserIds: hiddenUserIds,
+    visibilities,
+    conditions: [privateAuthorsFilter]
+  });
 
   // Contar total de posts activos
-  const totalPosts = await Post.countDocuments({ isActive: true });
+  const totalPosts = await Post.countDocuments({
+    isActive: true,
+    visibility: { $in: visibilities },
+    $and: [privateAuthorsFilter],
+    ...(hiddenUserIds.length > 0 && { userId: { $nin: hiddenUserIds } })
+  });
 
   // Calcular información de paginación
   const totalPages = Math.ceil(totalPosts / limit);
@@ -380,6 +458,16 @@ const searchPosts = asyncHandler(async (req, res) => {
     ]
   };
 
+  // Ocultar los posts de cuentas privadas que no sigue y de usuarios bloqueados o silenciados
+  searchFilters.$and = [await getPrivateAuthorsFilter(req.user?._id)];
+  const hiddenUserIds = await Block.getHiddenUserIds(req.user?._id);
+  if (hiddenUserIds.length > 0) {
+    searchFilters.userId = { $nin: hiddenUserIds };
+  }
+
+  // Los posts unlisted y private no aparecen en las búsquedas
+  searchFilters.visibility = { $in: getListedVisibilities(req.user?._id) };
+
   // Ejecutar búsqueda
   const posts = await Post.find(searchFilters)
     .populate('author', 'username firstName lastName profilePicture')
@@ -0,0 +1,66 @@
+// src/controllers/suggestionController.js - Controlador para las sugerencias de usuarios
+const User = require('../models/User');
+const SuggestionDismissal = require('../models/SuggestionDismissal');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { getUserSuggestions } = require('../utils/suggestions');
+
+/**
+ * @desc    Obtener sugerencias de usuarios ("personas que quizá conozcas")
+ * @route   GET /api/users/suggestions
+ * @access  Private
+ *
+ * Los candidatos se ordenan por interacciones compartidas, etiquetas en común y actividad reciente.
+ * No se sugieren el propio usuario, cuentas desactivadas, usuarios que ya sigue, bloqueados ni descartados.
+ */
+const getSuggestions = asyncHandler(async (req, res) => {
+  const limit = parseInt(req.query.limit) || 10;
+
+  const suggestions = await getUserSuggestions(req.user._id, { limit });
+
+  res.status(200).json({
+    success: true,
+    message: 'Sugerencias obtenidas exitosamente',
+    data: {
+      suggestions,
+      totalSuggestions: suggestions.length
+    }
+  });
+});
+
+/**
+ * @desc    Descartar una sugerencia para que no se vuelva a mostrar
+ * @route   POST /api/users/suggestions/:id/dismiss
+ * @access  Private
+ */
+const dismissSuggestion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (req.user._id.toString() === id) {
+    throw createError('No puedes descartarte a ti mismo', 400);
+  }
+
+  const user = await User.findById(id).select('isActive');
+  if (!user || !user.isActive) {
+    throw createError('Usuario no encontrado', 404);
+  }
+
+  let created = true;
+  try {
+    await SuggestionDismissal.create({ userId: req.user._id, dismissedUserId: id });
+  } catch (error) {
+    // Índice único: la sugerencia ya estaba descartada
+    if (error.code !== 11000) throw error;
+    created = false;
+  }
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Sugerencia descartada exitosamente' : 'La sugerencia ya estaba descartada',
+    data: { dismissed: true }
+  });
+});
+
+module.exports = {
+  getSuggestions,
+  dismissSuggestion
+};
@@ -0,0 +1,256 @@
+// src/controllers/twoFactorController.js - Controlador para la autenticación en dos pasos (TOTP)
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { generateTokens } = require('../middleware/auth');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const {
+  getLoginAttemptKeys,
+  assertLoginAllowed,
+  registerLoginFailure,
+  registerLoginSuccess
+} = require('../utils/loginProtection');
+
+// Intentos fallidos permitidos por cada desafío de login antes de invalidarlo
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// Campos ocultos necesarios para verificar códigos
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+/**
+ * @desc    Iniciar la activación de la autenticación en dos pasos
+ * @route   POST /api/users/profile/2fa/setup
+ * @access  Private
+ *
+ * Genera un secreto pendiente y devuelve la URI otpauth para registrarlo
+ * en una app autenticadora. No se activa hasta confirmar un primer código.
+ * Disponible también para usuarios registrados con OAuth.
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactorEnabled) {
+    throw createError('La autenticación en dos pasos ya está activada', 400);
+  }
+
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Escanea el código en tu app de autenticación y confirma con el primer código generado',
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email })
+    }
+  });
+});
+
+/**
+ * @desc    Confirmar la activación con el primer código generado
+ * @route   POST /api/users/profile/2fa/confirm
+ * @access  Private
+ *
+ * Activa la autenticación en dos pasos y devuelve los códigos de recuperación.
+ * Los códigos solo se muestran en esta respuesta; en la base de datos se guardan hasheados.
+ */
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+  if (user.twoFactorEnabled) {
+    throw createError('La autenticación en dos pasos ya está activada', 400);
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    throw createError('Primero debes iniciar la activación de la autenticación en dos pasos', 400);
+  }
+
+  const step = verifyTotp(user.twoFactorPendingSecret, code);
+  if (step === null) {
+    throw createError('Código de verificación inválido', 400);
+  }
+
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = null;
+  user.twoFactorLastUsedStep = step;
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Autenticación en dos pasos activada. Guarda los códigos de recuperación en un lugar seguro',
+    data: {
+      twoFactorEnabled: true,
+      recoveryCodes
+    }
+  });
+});
+
+/**
+ * @desc    Desactivar la autenticación en dos pasos
+ * @route   POST /api/users/profile/2fa/disable
+ * @access  Private
+ *
+ * Requiere un código TOTP o de recuperación válido
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactorEnabled) {
+    throw createError('La autenticación en dos pasos no está activada', 400);
+  }
+
+  if (!user.verifyTwoFactorCode(code)) {
+    throw createError('Código de verificación inválido', 400);
+  }
+
+  user.clearTwoFactor();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Autenticación en dos pasos desactivada'
+  });
+});
+
+/**
+ * @desc    Generar nuevos códigos de recuperación
+ * @route   POST /api/users/profile/2fa/recovery-codes
+ * @access  Private
+ *
+ * Invalida los códigos anteriores. Requiere un código TOTP o de recuperación válido.
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactorEnabled) {
+    throw createError('La autenticación en dos pasos no está activada', 400);
+  }
+
+  if (!user.verifyTwoFactorCode(code)) {
+    throw createError('Código de verificación inválido', 400);
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Códigos de recuperación regenerados. Los anteriores ya no son válidos',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+/**
+ * @desc    Completar el login con el segundo factor
+ * @route   POST /api/users/login/2fa
+ * @access  Public
+ *
+ * Canjea el desafío devuelto por el login (con contraseña u OAuth) junto con un
+ * código TOTP o de recuperación por los mismos tokens que devuelve el login.
+ * Cada desafío es de un solo uso y se invalida tras varios intentos fallidos.
+ */
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  // Verificar firma y expiración del desafío
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw createError('El desafío de autenticación es inválido o expiró. Inicia sesión de nuevo', 401);
+  }
+
+  if (decoded.type !== '2fa_challenge' || !decoded.jti) {
+    throw createError('El desafío de autenticación es inválido o expiró. Inicia sesión de nuevo', 401);
+  }
+
+  // Los códigos fallidos cuentan como intentos de login de la cuenta (mismo bloqueo que la contraseña)
+  const attemptKeys = getLoginAttemptKeys(req, { _id: decoded.id });
+
+  // Una cuenta bloqueada (o en espera) no puede seguir probando códigos (423/429)
+  await assertLoginAllowed(attemptKeys);
+
+  // Contar el intento antes de comprobar el código, en una única operación atómica:
+  // las peticiones simultáneas no pueden superar el máximo de intentos del desafío
+  const user = await User.findOneAndUpdate(
+    {
+      _id: decoded.id,
+      isActive: true,
+      twoFactorEnabled: true,
+      twoFactorChallengeId: decoded.jti,
+      twoFactorChallengeAttempts: { $lt: MAX_CHALLENGE_ATTEMPTS }
+    },
+    { $inc: { twoFactorChallengeAttempts: 1 } },
+    { new: true }
+  ).select(`${TWO_FACTOR_FIELDS} +twoFactorChallengeId +twoFactorChallengeAttempts`);
+
+  if (!user) {
+    throw createError('El desafío de autenticación es inválido o expiró. Inicia sesión de nuevo', 401);
+  }
+
+  const method = user.verifyTwoFactorCode(code);
+
+  if (!method) {
+    await registerLoginFailure(attemptKeys);
+
+    if (user.twoFactorChallengeAttempts >= MAX_CHALLENGE_ATTEMPTS) {
+      await User.updateOne(
+        { _id: user._id, twoFactorChallengeId: decoded.jti },
+        { $set: { twoFactorChallengeId: null } }
+      );
+      throw createError('Demasiados intentos fallidos. Inicia sesión de nuevo', 401);
+    }
+
+    throw createError('Código de verificación inválido', 401);
+  }
+
+  // El desafío es de un solo uso: solo una petición puede consumirlo
+  const consumed = await User.updateOne(
+    { _id: user._id, twoFactorChallengeId: decoded.jti },
+    { $set: { twoFactorChallengeId: null, twoFactorChallengeAttempts: 0 } }
+  );
+
+  if (consumed.modifiedCount === 0) {
+    throw createError('El desafío de autenticación es inválido o expiró. Inicia sesión de nuevo', 401);
+  }
+
+  // Login completado: reiniciar el contador de fallos de la cuenta
+  await registerLoginSuccess(attemptKeys);
+
+  // Actualizar último login (también guarda el consumo del código)
+  await user.updateLastLogin();
+
+  const { accessToken, refreshToken } = await generateTokens(user._id, { req });
+
+  res.status(200).json({
+    success: true,
+    message: 'Login exitoso',
+    data: {
+      user: user.getLoginProfile(),
+      accessToken,
+      refreshToken,
+      recoveryCodeUsed: method === 'recovery',
+      remainingRecoveryCodes: user.twoFactorRecoveryCodes.length
+    }
+  });
+});
+
+module.exports = {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+};
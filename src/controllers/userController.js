@@ -1,7 +1,40 @@
 // src/controllers/userController.js - Controlador para operaciones de usuarios
 const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const FollowRequest = require('../models/FollowRequest');
+const UserSession = require('../models/UserSession');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const AccountErasure = require('../models/AccountErasure');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
+const jwt = require('jsonwebtoken');
 const { generateTokens } = require('../middleware/auth');
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('../config/permissions');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountDeletionEmail,
+  sendAccountReactivationEmail
+} = require('../utils/accountEmails');
+const { assertPasswordAllowed } = require('../utils/passwordPolicy');
+const { getAccountDeletionPolicy } = require('../config/accountDeletion');
+const { syncAuthorPrivacy } = require('../utils/visibility');
+const { recordAuditEvent } = require('../utils/auditLog');
+const {
+  getLoginAttemptKeys,
+  assertLoginAllowed,
+  registerLoginFailure,
+  registerLoginSuccess
+} = require('../utils/loginProtection');
+
+// Tiempo mínimo entre reenvíos del email de verificación (1 minuto)
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Tiempo mínimo entre solicitudes de restablecimiento de contraseña (1 minuto)
+const PASSWORD_RESET_COOLDOWN_MS = 60 * 1000;
+
+// Tiempo mínimo entre solicitudes del enlace de reactivación (1 minuto)
+const REACTIVATION_COOLDOWN_MS = 60 * 1000;
 
 /**
  * @desc    Registrar un nuevo usuario
@@ -9,12 +42,16 @@ const { generateTokens } = require('../middleware/auth');
  * @access  Public
  * 
  * Esta función crea un nuevo usuario en la base de datos
- * con toda la información proporcionada
+ * con toda la información proporcionada y envía el email de verificación.
+ * Hasta verificar su email, la cuenta solo puede realizar acciones de lectura.
  */
 const createUser = asyncHandler(async (req, res) => {
   // Extraer datos del cuerpo de la petición
   const { username, email, password, firstName, lastName, profilePicture, bio } = req.body;
 
+  // Verificar la contraseña contra la política de seguridad
+  await assertPasswordAllowed(password, { personalInfo: { username, email, firstName, lastName } });
+
   // Crear nuevo usuario con los datos proporcionados
   const user = await User.create({
     username,
@@ -26,13 +63,23 @@ const createUser = asyncHandler(async (req, res) => {
     bio
   });
 
+  // Enviar enlace de verificación de email; si falla, la cuenta ya está creada
+  // y el usuario puede pedir otro enlace con POST /api/users/verify-email/resend
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+  try {
+    await sendVerificationEmail(user, verificationToken);
+  } catch (error) {
+    console.error('❌ Error enviando el email de verificación:', error.message);
+  }
+
   // Generar tokens de autenticación para el usuario recién creado
-  const { accessToken, refreshToken } = generateTokens(user._id);
+  const { accessToken, refreshToken } = await generateTokens(user._id, { req });
 
   // Enviar respuesta exitosa con el usuario y tokens
   res.status(201).json({
     success: true,
-    message: 'Usuario creado exitosamente',
+    message: 'Usuario creado exitosamente. Revisa tu email para verificar la cuenta',
     data: {
       user,                    // Los datos del usuario (sin contraseña por el toJSON del modelo)
       accessToken,             // Token para autenticación
@@ -114,7 +161,8 @@ const getAllUsers = asyncHandler(async (req, res) => {
  * @route   GET /api/users/:id
  * @access  Public
  * 
- * Esta función busca y devuelve un usuario específico por su ID
+ * Esta función busca y devuelve un usuario específico por su ID.
+ * Si la petición está autenticada indica además si el usuario autenticado lo sigue.
  */
 const getUserById = asyncHandler(async (req, res) => {
   // Obtener ID del usuario desde los parámetros de la URL
@@ -133,11 +181,21 @@ const getUserById = asyncHandler(async (req, res) => {
     throw createError('Usuario no disponible', 404);
   }
 
+  // Los usuarios bloqueados no pueden ver el perfil de quien los bloqueó
+  if (req.user && await Block.hasBlocked(user._id, req.user._id)) {
+    throw createError('Usuario no encontrado', 404);
+  }
+
+  const isFollowing = req.user ? await Follow.isFollowing(req.user._id, user._id) : false;
+  const followRequested = req.user && !isFollowing
+    ? Boolean(await FollowRequest.exists({ requesterId: req.user._id, targetId: user._id }))
+    : false;
+
   // Enviar respuesta exitosa con los datos del usuario
   res.status(200).json({
     success: true,
     message: 'Usuario obtenido exitosamente',
-    data: { user }
+    data: { user, isFollowing, followRequested }
   });
 });
 
@@ -159,7 +217,7 @@ const updateUser = asyncHandler(async (req, res) => {
 
   // Extraer campos actualizables del cuerpo de la petición
   const updateFields = {};
-  const allowedFields = ['username', 'email', 'firstName', 'lastName', 'profilePicture', 'bio'];
+  const allowedFields = ['username', 'email', 'firstName', 'lastName', 'profilePicture', 'bio', 'isPrivate'];
 
   // Solo incluir campos que están en la petición y son permitidos
   allowedFields.forEach(field => {
@@ -173,6 +231,13 @@ const updateUser = asyncHandler(async (req, res) => {
     throw createError('Debe proporcionar al menos un campo para actualizar', 400);
   }
 
+  // Si cambia el email, la nueva dirección debe verificarse de nuevo
+  const emailChanged = updateFields.email !== undefined && updateFields.email !== req.user.email;
+  if (emailChanged) {
+    updateFields.emailVerified = false;
+    updateFields.emailVerifiedAt = null;
+  }
+
   // Actualizar fecha de modificación
   updateFields.updatedAt = Date.now();
 
@@ -191,6 +256,28 @@ const updateUser = asyncHandler(async (req, res) => {
     throw createError('Usuario no encontrado', 404);
   }
 
+  // Enviar enlace de verificación a la nueva dirección; si falla, el cambio ya está guardado
+  // y el usuario puede pedir otro enlace con POST /api/users/verify-email/resend
+  if (emailChanged) {
+    const verificationToken = updatedUser.createEmailVerificationToken();
+    await updatedUser.save();
+    try {
+      await sendVerificationEmail(updatedUser, verificationToken);
+    } catch (error) {
+      console.error('❌ Error enviando el email de verificación:', error.message);
+    }
+  }
+
+  // Al hacer pública la cuenta se aprueban las solicitudes de seguimiento pendientes
+  if (req.user.isPrivate && !updatedUser.isPrivate) {
+    await FollowRequest.approveAll(updatedUser._id);
+  }
+
+  // Los posts, comentarios y likes guardan una copia de la privacidad de la cuenta para filtrar los listados
+  if (Boolean(req.user.isPrivate) !== Boolean(updatedUser.isPrivate)) {
+    await syncAuthorPrivacy(updatedUser._id, updatedUser.isPrivate);
+  }
+
   // Enviar respuesta exitosa con el usuario actualizado
   res.status(200).json({
     success: true,
@@ -200,12 +287,13 @@ const updateUser = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Eliminar (desactivar) un usuario
+ * @desc    Eliminar un usuario
  * @route   DELETE /api/users/:id
  * @access  Private (solo el propietario puede eliminar)
  * 
- * Esta función "elimina" un usuario marcándolo como inactivo
- * (soft delete) en lugar de eliminarlo físicamente
+ * Esta función desactiva la cuenta y programa el borrado de sus datos al terminar
+ * el periodo de gracia (ACCOUNT_DELETION_GRACE_DAYS). Hasta entonces el usuario
+ * puede reactivarla con el enlace que recibe por email.
  */
 const deleteUser = asyncHandler(async (req, res) => {
   // Obtener ID del usuario desde los parámetros
@@ -213,6 +301,12 @@ const deleteUser = asyncHandler(async (req, res) => {
 
   // Verificar que el usuario autenticado sea el propietario
   if (req.user._id.toString() !== id) {
+    await recordAuditEvent(req, {
+      action: 'user.delete',
+      outcome: 'failure',
+      target: { type: 'User', id },
+      reason: 'forbidden'
+    });
     throw createError('No tienes permisos para eliminar este usuario', 403);
   }
 
@@ -224,15 +318,128 @@ const deleteUser = asyncHandler(async (req, res) => {
     throw createError('Usuario no encontrado', 404);
   }
 
-  // Marcar como inactivo en lugar de eliminar físicamente
-  user.isActive = false;
-  user.updatedAt = Date.now();
+  // Desactivar la cuenta y programar el borrado de sus datos
+  const { graceDays } = getAccountDeletionPolicy();
+  user.scheduleDeletion(graceDays);
+  const reactivationToken = graceDays > 0 ? user.createReactivationToken() : null;
   await user.save();
 
+  // Cerrar todas las sesiones y revocar los refresh tokens existentes
+  await UserSession.revokeAllForUser(user._id);
+
+  await recordAuditEvent(req, {
+    action: 'user.delete',
+    target: { type: 'User', id: user._id },
+    metadata: { deletionScheduledFor: user.deletionScheduledFor, gracePeriodDays: graceDays }
+  });
+
+  // La eliminación ya está programada: si el email falla, el usuario puede pedir
+  // otro enlace de reactivación con POST /api/users/reactivate
+  if (reactivationToken) {
+    try {
+      await sendAccountDeletionEmail(user, reactivationToken);
+    } catch (error) {
+      console.error('❌ Error enviando el email de eliminación de cuenta:', error.message);
+    }
+  }
+
   // Enviar respuesta exitosa
   res.status(200).json({
     success: true,
-    message: 'Usuario eliminado exitosamente'
+    message: 'Usuario eliminado exitosamente',
+    data: {
+      deletionScheduledFor: user.deletionScheduledFor,
+      gracePeriodDays: graceDays
+    }
+  });
+});
+
+/**
+ * @desc    Solicitar un enlace para reactivar una cuenta pendiente de eliminación
+ * @route   POST /api/users/reactivate
+ * @access  Public
+ * 
+ * La respuesta es siempre la misma para no revelar qué cuentas existen
+ */
+const requestAccountReactivation = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email, isActive: false }).select('+reactivationRequestedAt');
+
+  // Solo se envía el email durante el periodo de gracia y si no se pidió otro hace muy poco
+  const recentlyRequested = user && user.reactivationRequestedAt &&
+    Date.now() - user.reactivationRequestedAt.getTime() < REACTIVATION_COOLDOWN_MS;
+
+  if (user && user.isPendingDeletion() && !recentlyRequested) {
+    const reactivationToken = user.createReactivationToken();
+    user.reactivationRequestedAt = new Date();
+    await user.save();
+
+    // Un fallo del envío no cambia la respuesta ni cuenta para el límite de solicitudes
+    try {
+      await sendAccountReactivationEmail(user, reactivationToken);
+    } catch (error) {
+      console.error('❌ Error enviando el email de reactivación:', error.message);
+      await User.updateOne({ _id: user._id }, { reactivationRequestedAt: null });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Si la cuenta está pendiente de eliminación, recibirás un enlace para reactivarla'
+  });
+});
+
+/**
+ * @desc    Reactivar una cuenta pendiente de eliminación
+ * @route   POST /api/users/reactivate/confirm
+ * @access  Public (requiere token de reactivación)
+ * 
+ * Cancela el borrado programado. Solo es posible mientras no haya terminado
+ * el periodo de gracia ni empezado el borrado de los datos.
+ */
+const reactivateAccount = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  // Verificar firma y expiración del token
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw createError('El enlace de reactivación es inválido o ha expirado', 400);
+  }
+
+  if (decoded.type !== 'account_reactivation' || !decoded.jti) {
+    throw createError('El enlace de reactivación es inválido o ha expirado', 400);
+  }
+
+  // El enlace se consume de forma atómica y no sirve si el proceso de borrado ya reclamó la cuenta
+  const user = await User.findOneAndUpdate(
+    {
+      _id: decoded.id,
+      reactivationTokenId: decoded.jti,
+      isActive: false,
+      deletionScheduledFor: { $gt: new Date() },
+      erasureStartedAt: null,
+      erasedAt: null
+    },
+    {
+      isActive: true,
+      deletionRequestedAt: null,
+      deletionScheduledFor: null,
+      reactivationTokenId: null,
+      reactivationRequestedAt: null
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    throw createError('El enlace de reactivación es inválido o ha expirado', 400);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Cuenta reactivada exitosamente. Ya puedes iniciar sesión'
   });
 });
 
@@ -241,7 +448,9 @@ const deleteUser = asyncHandler(async (req, res) => {
  * @route   POST /api/users/login
  * @access  Public
  * 
- * Esta función autentica a un usuario y devuelve tokens de acceso
+ * Esta función autentica a un usuario y devuelve tokens de acceso.
+ * Si tiene activa la autenticación en dos pasos devuelve un desafío de corta
+ * duración en lugar de los tokens.
  */
 const loginUser = asyncHandler(async (req, res) => {
   // Extraer credenciales del cuerpo de la petición
@@ -255,44 +464,86 @@ const loginUser = asyncHandler(async (req, res) => {
     ]
   });
 
+  // Registra el intento de login en la auditoría
+  const auditLogin = (outcome, reason = null, metadata = {}) => recordAuditEvent(req, {
+    action: 'user.login',
+    outcome,
+    actor: user,
+    target: user ? { type: 'User', id: user._id } : null,
+    reason,
+    metadata: { method: 'password', ...(user ? {} : { identifier: String(emailOrUsername).substring(0, 100) }), ...metadata }
+  });
+
+  // Rechazar el intento si la cuenta o la IP están bloqueadas (423/429)
+  const attemptKeys = getLoginAttemptKeys(req, user, emailOrUsername);
+  try {
+    await assertLoginAllowed(attemptKeys);
+  } catch (error) {
+    await auditLogin('failure', 'locked');
+    throw error;
+  }
+
   // Verificar si el usuario existe
   if (!user) {
+    await registerLoginFailure(attemptKeys);
+    await auditLogin('failure', 'unknown_user');
     throw createError('Credenciales inválidas', 401);
   }
 
   // Verificar si el usuario está activo
   if (!user.isActive) {
-    throw createError('Cuenta de usuario inactiva', 401);
+    await auditLogin('failure', 'inactive_account');
+    throw createError(
+      user.isPendingDeletion()
+        ? 'La cuenta está pendiente de eliminación. Solicita un enlace de reactivación en POST /api/users/reactivate'
+        : 'Cuenta de usuario inactiva',
+      401
+    );
   }
 
   // Verificar la contraseña usando el método del modelo
-  const isPasswordValid = await user.comparePassword(password);
+  // Los usuarios OAuth sin contraseña nunca pueden autenticarse aquí
+  const isPasswordValid = user.password ? await user.comparePassword(password) : false;
 
   if (!isPasswordValid) {
+    await registerLoginFailure(attemptKeys);
+    await auditLogin('failure', 'invalid_credentials');
     throw createError('Credenciales inválidas', 401);
   }
 
+  // Con la autenticación en dos pasos activa, el login continúa en POST /api/users/login/2fa
+  // (el contador de fallos de la cuenta se reinicia al completar el segundo paso)
+  if (user.twoFactorEnabled) {
+    const challengeToken = user.createTwoFactorChallengeToken();
+    await user.save();
+    await auditLogin('success', null, { twoFactorRequired: true });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Introduce el código de tu app de autenticación para completar el login',
+      data: {
+        twoFactorRequired: true,
+        challengeToken
+      }
+    });
+  }
+
+  // Login correcto: reiniciar el contador de fallos de la cuenta
+  await registerLoginSuccess(attemptKeys);
+
   // Actualizar último login
   await user.updateLastLogin();
 
   // Generar tokens
-  const { accessToken, refreshToken } = generateTokens(user._id);
+  const { accessToken, refreshToken } = await generateTokens(user._id, { req });
+  await auditLogin('success');
 
   // Enviar respuesta exitosa con usuario y tokens
   res.status(200).json({
     success: true,
     message: 'Login exitoso',
     data: {
-      user: {
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        profilePicture: user.profilePicture,
-        bio: user.bio,
-        lastLogin: user.lastLogin
-      },
+      user: user.getLoginProfile(),
       accessToken,
       refreshToken
     }
@@ -329,20 +580,44 @@ const changePassword = asyncHandler(async (req, res) => {
   // Extraer contraseñas del cuerpo de la petición
   const { currentPassword, newPassword } = req.body;
 
-  // Obtener el usuario completo (con contraseña) de la base de datos
-  const user = await User.findById(req.user._id);
+  // Obtener el usuario completo (con contraseña e historial) de la base de datos
+  const user = await User.findById(req.user._id).select('+passwordHistory');
 
   // Verificar la contraseña actual
   const isCurrentPasswordValid = await user.comparePassword(currentPassword);
 
   if (!isCurrentPasswordValid) {
+    await recordAuditEvent(req, {
+      action: 'user.password_change',
+      outcome: 'failure',
+      target: { type: 'User', id: user._id },
+      reason: 'invalid_current_password'
+    });
     throw createError('Contraseña actual incorrecta', 400);
   }
 
+  // Verificar la nueva contraseña contra la política de seguridad (incluido el historial)
+  try {
+    await assertPasswordAllowed(newPassword, { field: 'newPassword', user });
+  } catch (error) {
+    await recordAuditEvent(req, {
+      action: 'user.password_change',
+      outcome: 'failure',
+      target: { type: 'User', id: user._id },
+      reason: 'password_policy'
+    });
+    throw error;
+  }
+
   // Actualizar con la nueva contraseña
-  user.password = newPassword;     // Se hasheará automáticamente por el middleware pre-save
+  user.setPassword(newPassword);   // Se hasheará automáticamente por el middleware pre-save
   await user.save();
 
+  await recordAuditEvent(req, {
+    action: 'user.password_change',
+    target: { type: 'User', id: user._id }
+  });
+
   // Enviar respuesta exitosa
   res.status(200).json({
     success: true,
@@ -350,6 +625,357 @@ const changePassword = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Listar sesiones activas del usuario autenticado
+ * @route   GET /api/users/profile/sessions
+ * @access  Private
+ * 
+ * Esta función devuelve los dispositivos con sesión abierta,
+ * marcando cuál corresponde a la petición actual
+ */
+const getUserSessions = asyncHandler(async (req, res) => {
+  const sessions = await UserSession.find({ userId: req.user._id, isRevoked: false })
+    .select('device userAgent ipAddress lastSeenAt createdAt')
+    .sort({ lastSeenAt: -1 });
+
+  // ID de la sesión usada en esta petición (si el token la incluye)
+  const currentSessionId = req.userSession ? req.userSession._id.toString() : null;
+
+  res.status(200).json({
+    success: true,
+    message: 'Sesiones obtenidas exitosamente',
+    data: {
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.toString() === currentSessionId
+      })),
+      totalSessions: sessions.length
+    }
+  });
+});
+
+/**
+ * @desc    Cerrar (revocar) una sesión del usuario autenticado
+ * @route   DELETE /api/users/profile/sessions/:id
+ * @access  Private
+ * 
+ * Esta función revoca la sesión indicada: sus access tokens dejan de ser
+ * aceptados y sus refresh tokens no pueden volver a rotarse
+ */
+const revokeUserSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Solo se pueden revocar sesiones propias
+  const session = await UserSession.findOne({ _id: id, userId: req.user._id, isRevoked: false });
+
+  if (!session) {
+    throw createError('Sesión no encontrada', 404);
+  }
+
+  await UserSession.revokeSession(session._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Sesión cerrada exitosamente'
+  });
+});
+
+/**
+ * @desc    Verificar el email del usuario
+ * @route   POST /api/users/verify-email
+ * @access  Public (requiere token de verificación)
+ * 
+ * Esta función valida el enlace de verificación recibido por email.
+ * Cada enlace es de un solo uso y queda invalidado al enviar uno nuevo.
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  // Verificar firma y expiración del token
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw createError('Enlace de verificación inválido o expirado', 400);
+  }
+
+  if (decoded.type !== 'email_verification' || !decoded.jti) {
+    throw createError('Enlace de verificación inválido o expirado', 400);
+  }
+
+  const user = await User.findById(decoded.id).select('+emailVerificationTokenId');
+
+  // El enlace solo es válido para el email al que se envió y si no fue usado ni reemplazado
+  if (!user || !user.isActive || user.email !== decoded.email ||
+      user.emailVerificationTokenId !== decoded.jti) {
+    throw createError('Enlace de verificación inválido o expirado', 400);
+  }
+
+  await user.markEmailVerified();
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verificado exitosamente',
+    data: {
+      user: {
+        _id: user._id,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        emailVerifiedAt: user.emailVerifiedAt
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Reenviar el email de verificación
+ * @route   POST /api/users/verify-email/resend
+ * @access  Private
+ * 
+ * Esta función envía un nuevo enlace de verificación al usuario autenticado
+ * e invalida los enlaces enviados anteriormente
+ */
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.emailVerified) {
+    throw createError('El email ya está verificado', 400);
+  }
+
+  // Evitar reenvíos masivos
+  if (user.emailVerificationSentAt &&
+      Date.now() - user.emailVerificationSentAt.getTime() < VERIFICATION_RESEND_COOLDOWN_MS) {
+    throw createError('Espera un minuto antes de solicitar otro email de verificación', 429);
+  }
+
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+  try {
+    await sendVerificationEmail(user, verificationToken);
+  } catch (error) {
+    console.error('❌ Error enviando el email de verificación:', error.message);
+
+    // El reenvío no cuenta para el límite: el usuario puede volver a intentarlo enseguida
+    user.emailVerificationSentAt = null;
+    await user.save();
+    throw createError('No se pudo enviar el email de verificación. Inténtalo de nuevo más tarde', 503);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Email de verificación enviado'
+  });
+});
+
+/**
+ * @desc    Solicitar el restablecimiento de contraseña
+ * @route   POST /api/users/forgot-password
+ * @access  Public
+ * 
+ * Esta función envía un enlace de restablecimiento si el email está registrado.
+ * La respuesta es siempre la misma para no revelar qué emails existen.
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email, isActive: true }).select('+passwordResetRequestedAt');
+
+  // Solo se envía el email si la cuenta existe y no se pidió otro hace muy poco
+  const recentlyRequested = user && user.passwordResetRequestedAt &&
+    Date.now() - user.passwordResetRequestedAt.getTime() < PASSWORD_RESET_COOLDOWN_MS;
+
+  if (user && !recentlyRequested) {
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    // Un fallo del envío no puede cambiar la respuesta: revelaría que el email está registrado
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (error) {
+      console.error('❌ Error enviando el email de restablecimiento de contraseña:', error.message);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña'
+  });
+});
+
+/**
+ * @desc    Restablecer la contraseña con el token recibido por email
+ * @route   POST /api/users/reset-password
+ * @access  Public (requiere token de restablecimiento)
+ * 
+ * Esta función cambia la contraseña, consume el token (uso único),
+ * cierra todas las sesiones del usuario y revoca sus tokens de acceso personal
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  // Buscar por hash: el token en texto plano nunca se guarda
+  const user = await User.findOne({
+    passwordResetTokenHash: User.hashResetToken(token),
+    passwordResetExpires: { $gt: new Date() },
+    isActive: true
+  }).select('+passwordResetTokenHash +passwordResetExpires +passwordHistory');
+
+  if (!user) {
+    throw createError('El enlace de restablecimiento es inválido o ha expirado', 400);
+  }
+
+  // Verificar la nueva contraseña contra la política de seguridad (incluido el historial)
+  await assertPasswordAllowed(newPassword, { field: 'newPassword', user });
+
+  // Actualizar contraseña y consumir el token
+  user.setPassword(newPassword);   // Se hasheará automáticamente por el middleware pre-save
+  user.passwordResetTokenHash = null;
+  user.passwordResetExpires = null;
+
+  // Los tokens emitidos hasta ahora dejan de ser válidos (margen de 1s por la precisión de iat)
+  user.passwordResetAt = new Date(Date.now() - 1000);
+
+  // Recibir el enlace por email demuestra la propiedad de la dirección
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+
+  await user.save();
+
+  // Cerrar todas las sesiones y revocar los refresh tokens existentes
+  await UserSession.revokeAllForUser(user._id);
+
+  // Los tokens de acceso personal no dependen de la contraseña: se revocan también
+  // por si la cuenta estaba comprometida
+  await PersonalAccessToken.revokeAllForUser(user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Contraseña restablecida exitosamente. Inicia sesión con tu nueva contraseña'
+  });
+});
+
+/**
+ * @desc    Listar los roles disponibles y sus permisos
+ * @route   GET /api/users/roles
+ * @access  Private (solo administradores)
+ */
+const getRoles = asyncHandler(async (req, res) => {
+  const roles = Object.entries(ROLE_PERMISSIONS).map(([name, permissions]) => ({
+    name,
+    permissions
+  }));
+
+  res.status(200).json({
+    success: true,
+    message: 'Roles obtenidos exitosamente',
+    data: {
+      roles,
+      permissions: PERMISSIONS
+    }
+  });
+});
+
+/**
+ * @desc    Cambiar el rol y los permisos individuales de un usuario
+ * @route   PUT /api/users/:id/role
+ * @access  Private (solo administradores)
+ *
+ * No se permite retirar el rol de administrador al último administrador activo
+ */
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { role, permissions } = req.body;
+
+  const user = await User.findById(id);
+
+  if (!user || !user.isActive) {
+    throw createError('Usuario no encontrado', 404);
+  }
+
+  // Evitar que la aplicación se quede sin administradores
+  if (user.role === 'admin' && role !== undefined && role !== 'admin') {
+    const activeAdmins = await User.countDocuments({ role: 'admin', isActive: true });
+    if (activeAdmins <= 1) {
+      throw createError('No se puede retirar el rol al último administrador', 400);
+    }
+  }
+
+  if (role !== undefined) {
+    user.role = role;
+  }
+
+  if (permissions !== undefined) {
+    user.permissions = [...new Set(permissions)];
+  }
+
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Rol actualizado exitosamente',
+    data: {
+      user: {
+        _id: user._id,
+        username: user.username,
+        role: user.role,
+        permissions: user.permissions,
+        effectivePermissions: user.getPermissions()
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Listar los registros de borrado de cuentas
+ * @route   GET /api/users/erasures
+ * @access  Private (solo administradores)
+ *
+ * Permite acreditar ante auditores que los datos de una cuenta se borraron.
+ * El filtro por email se compara con el hash guardado en cada registro.
+ */
+const getAccountErasures = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const filters = {};
+  if (req.query.email) {
+    filters.emailHash = AccountErasure.hashEmail(req.query.email);
+  }
+  if (req.query.userId) {
+    filters.userId = req.query.userId;
+  }
+  if (req.query.status) {
+    filters.status = req.query.status;
+  }
+
+  const erasures = await AccountErasure.find(filters)
+    .sort({ startedAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const totalErasures = await AccountErasure.countDocuments(filters);
+  const totalPages = Math.ceil(totalErasures / limit);
+
+  res.status(200).json({
+    success: true,
+    message: 'Registros de borrado obtenidos exitosamente',
+    data: {
+      erasures,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalErasures,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit
+      }
+    }
+  });
+});
+
 module.exports = {
   createUser,
   getAllUsers,
@@ -358,5 +984,16 @@ module.exports = {
   deleteUser,
   loginUser,
   getUserProfile,
-  changePassword
+  changePassword,
+  getUserSessions,
+  revokeUserSession,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  getRoles,
+  updateUserRole,
+  requestAccountReactivation,
+  reactivateAccount,
+  getAccountErasures
 };
\ No newline at end of file
@@ -1,11 +1,74 @@
 // src/middleware/auth.js - Middleware de autenticación y autorización
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
 const { asyncHandler, createError } = require('./errorHandler');
+const { getRoutePolicy, isDemoModeEnabled } = require('../config/authPolicy');
+
+// Intervalo mínimo entre actualizaciones de lastSeenAt de una sesión (1 minuto)
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Verifica que la sesión asociada a un access token siga activa
+ * Los tokens sin claim sid (emitidos antes del registro de sesiones) se aceptan tal cual
+ * 
+ * @param {Object} decoded - Payload del access token
+ * @param {Object} req - Objeto de petición de Express
+ * @returns {Promise<Object|null>} - Sesión activa o null si el token no tiene sesión
+ */
+const verifyTokenSession = async (decoded, req) => {
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const session = await UserSession.findById(decoded.sid);
+
+  if (!session || session.isRevoked || session.userId.toString() !== decoded.id.toString()) {
+    throw createError('La sesión ha sido revocada', 401);
+  }
+
+  // Registrar actividad sin escribir en cada petición
+  if (Date.now() - session.lastSeenAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    await UserSession.touch(session._id, req);
+  }
+
+  return session;
+};
+
+/**
+ * Verifica un token de acceso personal y devuelve su propietario
+ *
+ * @param {string} token - Token en texto plano
+ * @returns {Promise<Object>} - { user, accessToken }
+ */
+const verifyPersonalAccessToken = async (token) => {
+  const accessToken = await PersonalAccessToken.findActiveByToken(token);
+
+  if (!accessToken) {
+    throw createError('Token de acceso personal inválido, expirado o revocado', 401);
+  }
+
+  const user = await User.findById(accessToken.userId).select('-password');
+
+  if (!user || !user.isActive) {
+    throw createError('Cuenta de usuario inactiva', 401);
+  }
+
+  // Registrar el uso sin escribir en cada petición
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    await PersonalAccessToken.updateOne({ _id: accessToken._id }, { lastUsedAt: new Date() });
+  }
+
+  return { user, accessToken };
+};
 
 /**
  * Middleware para verificar si el usuario está autenticado
- * Verifica el token JWT en el header Authorization
+ * Verifica el token JWT (o el token de acceso personal) en el header Authorization.
+ * Con un token de acceso personal, req.personalAccessToken contiene sus alcances.
  * 
  * @param {Object} req - Objeto de petición de Express
  * @param {Object} res - Objeto de respuesta de Express
@@ -20,6 +83,14 @@ const authenticate = asyncHandler(async (req, res, next) => {
       // Extraer el token del header (formato: "Bearer TOKEN")
       token = req.headers.authorization.split(' ')[1];
 
+      // Tokens de acceso personal (bots e integraciones)
+      if (PersonalAccessToken.isPersonalAccessToken(token)) {
+        const { user, accessToken } = await verifyPersonalAccessToken(token);
+        req.user = user;
+        req.personalAccessToken = accessToken;
+        return next();
+      }
+
       // Verificar el token usando la clave secreta
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
@@ -35,14 +106,27 @@ const authenticate = asyncHandler(async (req, res, next) => {
         throw createError('Cuenta de usuario inactiva', 401);
       }
 
-      // Agregar el usuario al objeto req para usarlo en otros middlewares/controladores
-      req.user = currentUser;
+      // Los tokens emitidos antes de un restablecimiento de contraseña ya no son válidos
+      if (currentUser.isTokenIssuedBeforeReset(decoded.iat)) {
+        throw createError('La sesión expiró tras un cambio de contraseña', 401);
+      }
+
+      // Verificar que la sesión del token no haya sido revocada
+      const session = await verifyTokenSession(decoded, req);
 
-      // Continuar al siguiente middleware
-      next();
+      // Agregar el usuario (y su sesión) al objeto req para usarlo en otros middlewares/controladores
+      req.user = currentUser;
+      req.userSession = session;
     } catch (error) {
+      // Conservar los errores propios (usuario inactivo, sesión revocada)
+      if (error.statusCode) {
+        throw error;
+      }
       throw createError('Token de autorización inválido', 401);
     }
+
+    // Continuar al siguiente middleware
+    return next();
   }
 
   // Si no hay token en los headers
@@ -51,46 +135,6 @@ const authenticate = asyncHandler(async (req, res, next) => {
   }
 });
 
-/**
- * Middleware para verificar si el usuario tiene permisos para modificar un recurso
- * Verifica que el usuario autenticado sea el propietario del recurso
- * 
- * @param {string} resourceUserField - Campo que contiene el ID del usuario propietario
- * @returns {Function} - Middleware function
- */
-const authorize = (resourceUserField = 'userId') => {
-  return asyncHandler(async (req, res, next) => {
-    // Obtener el ID del recurso desde los parámetros de la URL
-    const resourceId = req.params.id || req.params.userId || req.params.postId;
-
-    // Determinar qué modelo buscar basado en la ruta
-    let Model;
-    if (req.route.path.includes('posts')) {
-      Model = require('../models/Post');
-    } else if (req.route.path.includes('users')) {
-      Model = require('../models/User');
-    }
-
-    if (Model && resourceId) {
-      // Buscar el recurso en la base de datos
-      const resource = await Model.findById(resourceId);
-
-      if (!resource) {
-        throw createError('Recurso no encontrado', 404);
-      }
-
-      // Verificar que el usuario autenticado sea el propietario
-      const resourceOwnerId = resource[resourceUserField] || resource._id;
-      
-      if (resourceOwnerId.toString() !== req.user._id.toString()) {
-        throw createError('No tienes permisos para realizar esta acción', 403);
-      }
-    }
-
-    next();
-  });
-};
-
 /**
  * Middleware opcional de autenticación
  * No requiere autenticación pero si hay token válido, añade el usuario al req
@@ -109,15 +153,23 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
       // Extraer el token
       token = req.headers.authorization.split(' ')[1];
 
-      // Verificar el token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (PersonalAccessToken.isPersonalAccessToken(token)) {
+        // Tokens de acceso personal (bots e integraciones)
+        const { user, accessToken } = await verifyPersonalAccessToken(token);
+        req.user = user;
+        req.personalAccessToken = accessToken;
+      } else {
+        // Verificar el token
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-      // Buscar al usuario
-      const currentUser = await User.findById(decoded.id).select('-password');
+        // Buscar al usuario
+        const currentUser = await User.findById(decoded.id).select('-password');
 
-      // Si el usuario existe y está activo, añadirlo al req
-      if (currentUser && currentUser.isActive) {
-        req.user = currentUser;
+        // Si el usuario existe, está activo y su sesión sigue vigente, añadirlo al req
+        if (currentUser && currentUser.isActive && !currentUser.isTokenIssuedBeforeReset(decoded.iat)) {
+          req.userSession = await verifyTokenSession(decoded, req);
+          req.user = currentUser;
+        }
       }
     } catch (error) {
       // Si hay error con el token, simplemente continuar sin usuario
@@ -130,27 +182,175 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
   next();
 });
 
+/**
+ * Middleware que aplica la política de autenticación configurada para una ruta
+ * (ver src/config/authPolicy.js). La política se resuelve en cada petición.
+ * - require: equivale a authenticate
+ * - optional: equivale a optionalAuth
+ * - guest: exige autenticación salvo en modo demo, donde una petición anónima actúa como
+ *   el usuario invitado dedicado. La respuesta lo indica con la cabecera X-Demo-Guest.
+ *
+ * @param {string} route - Clave de la ruta (ej: "posts:create")
+ * @returns {Function} - Middleware function
+ */
+const applyAuthPolicy = (route) => {
+  return (req, res, next) => {
+    const policy = getRoutePolicy(route);
+
+    if (policy === 'optional') {
+      return optionalAuth(req, res, next);
+    }
+
+    const hasToken = Boolean(req.headers.authorization && req.headers.authorization.startsWith('Bearer'));
+
+    if (policy === 'guest' && !hasToken && isDemoModeEnabled()) {
+      return User.findOrCreateGuest()
+        .then(guest => {
+          if (!guest) {
+            return next(createError('El usuario invitado del modo demo no está disponible', 503));
+          }
+
+          req.user = guest;
+          req.isGuest = true;
+          res.set('X-Demo-Guest', 'true');
+          next();
+        })
+        .catch(next);
+    }
+
+    return authenticate(req, res, next);
+  };
+};
+
+/**
+ * Middleware que limita las cuentas sin email verificado a acciones de lectura
+ * Debe usarse después de authenticate u optionalAuth. Las peticiones sin usuario
+ * identificado se dejan pasar: la autenticación se decide en cada ruta.
+ * 
+ * @param {Object} req - Objeto de petición de Express
+ * @param {Object} res - Objeto de respuesta de Express
+ * @param {Function} next - Función para pasar al siguiente middleware
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  const isReadOnly = ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+
+  if (req.user && !req.user.emailVerified && !isReadOnly) {
+    return next(createError('Debes verificar tu email para realizar esta acción', 403));
+  }
+
+  next();
+};
+
+/**
+ * Middleware para exigir uno o varios permisos (ej: requirePermission('posts:delete:any'))
+ * Debe usarse después de authenticate. Los permisos se calculan a partir del rol
+ * del usuario más los concedidos individualmente (ver src/config/permissions.js).
+ *
+ * @param {...string} permissions - Permisos requeridos (se exigen todos)
+ * @returns {Function} - Middleware function
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(createError('Acceso denegado. No se proporcionó token de autorización', 401));
+    }
+
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+
+    if (missing.length > 0) {
+      return next(createError('No tienes permisos para realizar esta acción', 403));
+    }
+
+    next();
+  };
+};
+
+/**
+ * Middleware para exigir un alcance a los tokens de acceso personal
+ * Las peticiones autenticadas con JWT (o sin autenticar) no se ven afectadas:
+ * el alcance solo restringe lo que puede hacer un token de acceso personal.
+ *
+ * @param {string} scope - Alcance requerido (ej: 'posts:write')
+ * @returns {Function} - Middleware function
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.personalAccessToken && !req.personalAccessToken.hasScope(scope)) {
+      return next(createError(`El token de acceso no tiene el alcance requerido: ${scope}`, 403));
+    }
+
+    next();
+  };
+};
+
+/**
+ * Middleware que rechaza los tokens de acceso personal
+ * Se usa en la gestión de la cuenta (tokens, sesiones, contraseña, 2FA, roles),
+ * que solo debe poder hacerse con una sesión iniciada por el propio usuario.
+ *
+ * @param {Object} req - Objeto de petición de Express
+ * @param {Object} res - Objeto de respuesta de Express
+ * @param {Function} next - Función para pasar al siguiente middleware
+ */
+const denyPersonalAccessTokens = (req, res, next) => {
+  if (req.personalAccessToken) {
+    return next(createError('Esta acción no está disponible con un token de acceso personal', 403));
+  }
+
+  next();
+};
+
 /**
  * Función para generar tokens JWT
+ * Cada login nuevo registra una sesión (dispositivo, user agent, IP) cuyo ID viaja
+ * en el access token y se usa como familia de los refresh tokens.
+ * El refresh token se registra en la base de datos para poder rotarlo y revocarlo.
  * 
  * @param {string} userId - ID del usuario
- * @returns {Object} - Objeto con access token y refresh token
+ * @param {Object} options - Opciones adicionales
+ * @param {Object} options.req - Petición de Express para registrar el dispositivo
+ * @param {string} options.family - Familia/sesión existente (rotación de refresh token)
+ * @returns {Promise<Object>} - Objeto con access token y refresh token
  */
-const generateTokens = (userId) => {
+const generateTokens = async (userId, options = {}) => {
+  // Un login nuevo crea una sesión; una rotación conserva la existente
+  let family = options.family;
+  if (family) {
+    await UserSession.touch(family, options.req);
+  } else {
+    const session = await UserSession.createFromRequest(userId, options.req);
+    family = session._id.toString();
+  }
+
   // Access token (corta duración)
   const accessToken = jwt.sign(
-    { id: userId },
+    { id: userId, sid: family },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRE || '24h' }
   );
 
+  const jti = crypto.randomUUID();
+
   // Refresh token (larga duración)
   const refreshToken = jwt.sign(
-    { id: userId, type: 'refresh' },
+    { id: userId, type: 'refresh', family },
     process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d', jwtid: jti }
   );
 
+  // Registrar el refresh token para poder detectar reutilizaciones
+  const { exp } = jwt.decode(refreshToken);
+  const expiresAt = new Date(exp * 1000);
+  await RefreshToken.create({
+    userId,
+    jti,
+    family,
+    expiresAt
+  });
+
+  // La sesión caduca con su último refresh token (índice TTL)
+  await UserSession.updateOne({ _id: family }, { expiresAt });
+
   return {
     accessToken,
     refreshToken
@@ -158,47 +358,108 @@ const generateTokens = (userId) => {
 };
 
 /**
- * Función para verificar refresh token y generar nuevo access token
+ * Función para verificar la firma de un refresh token
  * 
  * @param {string} refreshToken - Refresh token a verificar
- * @returns {Object} - Nuevo access token
+ * @param {Object} options - Opciones para jwt.verify
+ * @returns {Object} - Payload decodificado
  */
-const refreshAccessToken = asyncHandler(async (refreshToken) => {
+const verifyRefreshToken = (refreshToken, options = {}) => {
+  let decoded;
   try {
-    // Verificar el refresh token
-    const decoded = jwt.verify(
-      refreshToken, 
-      process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
+    decoded = jwt.verify(
+      refreshToken,
+      process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+      options
     );
+  } catch (error) {
+    throw createError('Refresh token inválido', 401);
+  }
 
-    // Verificar que es un refresh token
-    if (decoded.type !== 'refresh') {
-      throw createError('Token inválido', 401);
-    }
+  // Verificar que es un refresh token emitido con rotación
+  if (decoded.type !== 'refresh' || !decoded.jti) {
+    throw createError('Refresh token inválido', 401);
+  }
 
-    // Verificar que el usuario existe
-    const user = await User.findById(decoded.id);
-    if (!user || !user.isActive) {
-      throw createError('Usuario no encontrado o inactivo', 401);
-    }
+  return decoded;
+};
 
-    // Generar nuevo access token
-    const accessToken = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '24h' }
-    );
+/**
+ * Función para rotar un refresh token
+ * Canjea el refresh token por un par nuevo de tokens de la misma familia.
+ * Si el token ya había sido canjeado, se considera robado y se revoca la familia completa.
+ * 
+ * @param {string} refreshToken - Refresh token a verificar
+ * @param {Object} req - Petición de Express para actualizar la actividad de la sesión
+ * @returns {Promise<Object>} - Nuevo access token y nuevo refresh token
+ */
+const refreshAccessToken = async (refreshToken, req) => {
+  const decoded = verifyRefreshToken(refreshToken);
+
+  // Marcar el token como usado de forma atómica para evitar rotaciones concurrentes
+  const storedToken = await RefreshToken.findOneAndUpdate(
+    { jti: decoded.jti, isUsed: false, isRevoked: false },
+    { isUsed: true },
+    { new: true }
+  );
+
+  if (!storedToken) {
+    const previousToken = await RefreshToken.findOne({ jti: decoded.jti });
+
+    // Un token ya canjeado que vuelve a aparecer indica robo: revocar toda la familia
+    if (previousToken && previousToken.isUsed) {
+      await UserSession.revokeSession(previousToken.family);
+      throw createError('Refresh token reutilizado. La sesión ha sido revocada', 401);
+    }
 
-    return { accessToken };
-  } catch (error) {
     throw createError('Refresh token inválido', 401);
   }
-});
+
+  // Verificar que el usuario existe y está activo
+  const user = await User.findById(decoded.id);
+  if (!user || !user.isActive) {
+    await UserSession.revokeSession(storedToken.family);
+    throw createError('Usuario no encontrado o inactivo', 401);
+  }
+
+  // Generar el nuevo par de tokens dentro de la misma familia
+  const tokens = await generateTokens(user._id, { family: storedToken.family, req });
+
+  storedToken.replacedBy = jwt.decode(tokens.refreshToken).jti;
+  await storedToken.save();
+
+  return tokens;
+};
+
+/**
+ * Función para revocar un refresh token (logout)
+ * Revoca la sesión y la familia completa para que ninguna rotación posterior siga siendo válida.
+ * 
+ * @param {string} refreshToken - Refresh token a revocar
+ * @returns {Promise<boolean>} - True si se revocó una familia
+ */
+const revokeRefreshToken = async (refreshToken) => {
+  // Se permite revocar tokens expirados; la firma sigue siendo obligatoria
+  const decoded = verifyRefreshToken(refreshToken, { ignoreExpiration: true });
+
+  const storedToken = await RefreshToken.findOne({ jti: decoded.jti });
+  if (!storedToken) {
+    return false;
+  }
+
+  await UserSession.revokeSession(storedToken.family);
+  return true;
+};
 
 module.exports = {
   authenticate,
-  authorize,
   optionalAuth,
+  applyAuthPolicy,
+  requireVerifiedEmail,
+  requirePermission,
+  requireScope,
+  denyPersonalAccessTokens,
   generateTokens,
-  refreshAccessToken
+  refreshAccessToken,
+  revokeRefreshToken
 };
\ No newline at end of file
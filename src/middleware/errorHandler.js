@@ -82,6 +82,22 @@ const errorHandler = (err, req, res, next) => {
     statusCode: statusCode
   };
 
+  // Cuenta bloqueada (423) o demasiados intentos (429): indicar cuándo se puede reintentar
+  if (err.retryAt && (statusCode === 423 || statusCode === 429)) {
+    const retryAfter = Math.max(Math.ceil((new Date(err.retryAt).getTime() - Date.now()) / 1000), 1);
+
+    errorResponse.code = err.code;
+    errorResponse.retryAt = new Date(err.retryAt).toISOString();
+    errorResponse.retryAfter = retryAfter;
+    res.set('Retry-After', String(retryAfter));
+  }
+
+  // Errores de validación estructurados (ej: política de contraseñas)
+  if (err.validationErrors && statusCode === 400) {
+    errorResponse.code = err.code;
+    errorResponse.errors = err.validationErrors;
+  }
+
   // En desarrollo, incluir información adicional para debugging
   if (process.env.NODE_ENV === 'development') {
     errorResponse.stack = err.stack;
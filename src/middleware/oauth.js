@@ -1,9 +1,134 @@
 // src/middleware/oauth.js - Versión corregida con redirección a API
+const crypto = require('crypto');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const GitHubStrategy = require('passport-github2').Strategy;
+const OAuth2Strategy = require('passport-oauth2').Strategy;
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { generateTokens } = require('./auth');
+const OAuthAuthorizationCode = require('../models/OAuthAuthorizationCode');
+const { createError } = require('./errorHandler');
+const { resolveOAuthUser } = require('../utils/oauthAccounts');
+const { recordAuditEvent } = require('../utils/auditLog');
+const { getGenericProvider } = require('../config/oauthProviders');
+
+/**
+ * Completa el login OAuth de una estrategia
+ * Si la sesión tiene una vinculación pendiente para este proveedor, la identidad
+ * se añade al usuario que la inició en lugar de iniciar sesión con otra cuenta.
+ * @param {Object} req - Request de Express
+ * @param {Function} done - Callback de Passport
+ * @param {Object} identity - Datos normalizados del proveedor
+ */
+const completeOAuthLogin = async (req, done, identity) => {
+  const pendingLink = req.session?.oauthLink;
+  const linkRequest = req.session?.oauthLinkRequest;
+  const linkUserId = pendingLink && pendingLink.provider === identity.provider ? pendingLink.userId : null;
+
+  // La vinculación es de un solo uso
+  if (pendingLink) {
+    delete req.session.oauthLink;
+    delete req.session.oauthLinkRequest;
+  }
+
+  // La vinculación solo se completa en la sesión que la pidió (mismo nonce y mismo usuario)
+  if (linkUserId && (!linkRequest || linkRequest.nonce !== pendingLink.nonce ||
+      linkRequest.userId !== String(linkUserId) || linkRequest.provider !== identity.provider)) {
+    await recordAuditEvent(req, {
+      action: 'oauth.link',
+      outcome: 'failure',
+      actor: linkUserId,
+      target: { type: 'User', id: linkUserId },
+      reason: 'session_mismatch',
+      metadata: { provider: identity.provider }
+    });
+    return done(null, false, { message: 'La vinculación debe completarse en el navegador en el que se inició' });
+  }
+
+  // Datos del cliente que inició el login (PKCE y redirección), leídos antes de que
+  // Passport regenere la sesión al iniciar sesión
+  if (req.session?.oauthClient) {
+    req.oauthClient = req.session.oauthClient;
+    delete req.session.oauthClient;
+  }
+
+  try {
+    const { user, linked } = await resolveOAuthUser({ ...identity, linkUserId });
+    req.oauthProvider = identity.provider;
+
+    if (linked) {
+      req.oauthLinkedProvider = identity.provider;
+    } else {
+      await user.updateLastLogin();
+    }
+
+    await recordAuditEvent(req, {
+      action: linked ? 'oauth.link' : 'oauth.login',
+      actor: user,
+      target: { type: 'User', id: user._id },
+      metadata: { provider: identity.provider }
+    });
+
+    return done(null, user);
+  } catch (error) {
+    // Conflictos de cuentas: se tratan como fallo de autenticación
+    if (error.statusCode === 409 || error.statusCode === 404) {
+      console.log('⚠️ OAuth rechazado:', error.message);
+      await recordAuditEvent(req, {
+        action: linkUserId ? 'oauth.link' : 'oauth.login',
+        outcome: 'failure',
+        actor: linkUserId,
+        target: linkUserId ? { type: 'User', id: linkUserId } : null,
+        reason: error.statusCode === 409 ? 'account_conflict' : 'user_not_found',
+        metadata: { provider: identity.provider }
+      });
+      return done(null, false, { message: error.message });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Middleware que prepara la vinculación de un proveedor
+ * Si la URL de inicio trae el parámetro "link" (emitido por POST /api/auth/link/:provider),
+ * guarda en la sesión qué usuario está vinculando el proveedor. El token solo se acepta
+ * si la sesión es la que lo pidió (mismo nonce y mismo usuario); así un enlace ajeno
+ * no puede vincular la cuenta del proveedor de quien lo abre a la cuenta de otro.
+ * @param {string} provider - Proveedor OAuth
+ */
+const captureLinkRequest = (provider) => (req, res, next) => {
+  const { link } = req.query;
+
+  if (!link) {
+    if (req.session) delete req.session.oauthLink;
+    return next();
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(link, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(createError('El enlace de vinculación es inválido o ha expirado', 400));
+  }
+
+  if (decoded.type !== 'oauth_link' || decoded.provider !== provider) {
+    return next(createError('El enlace de vinculación es inválido o ha expirado', 400));
+  }
+
+  if (!req.session) {
+    return next(createError('La vinculación de proveedores requiere sesiones habilitadas', 500));
+  }
+
+  const linkRequest = req.session.oauthLinkRequest;
+  if (!linkRequest || !decoded.nonce || linkRequest.nonce !== decoded.nonce ||
+      linkRequest.userId !== String(decoded.id) || linkRequest.provider !== provider) {
+    delete req.session.oauthLink;
+    return next(createError('La vinculación debe completarse en el navegador en el que se inició', 403));
+  }
+
+  req.session.oauthLink = { userId: decoded.id, provider, nonce: decoded.nonce };
+  next();
+};
 
 /**
  * Serialización de usuario para sesiones
@@ -24,6 +149,54 @@ passport.deserializeUser(async (id, done) => {
   }
 });
 
+/**
+ * Lista de URLs de cliente (SPA, apps móviles) a las que se puede redirigir con el código
+ * @returns {string[]}
+ */
+const getAllowedRedirectURIs = () => (process.env.OAUTH_REDIRECT_URIS || '')
+  .split(',')
+  .map(uri => uri.trim())
+  .filter(Boolean);
+
+/**
+ * Middleware que guarda en la sesión los parámetros del cliente al iniciar el login
+ * - code_challenge / code_challenge_method: desafío PKCE que se exigirá al canjear el código
+ * - redirect_uri: URL del cliente que recibirá el código (debe estar en OAUTH_REDIRECT_URIS)
+ * - state: valor opaco que se devuelve al cliente junto al código
+ */
+const captureClientRequest = (req, res, next) => {
+  const { code_challenge: codeChallenge, code_challenge_method: codeChallengeMethod, redirect_uri: redirectUri, state } = req.query;
+
+  if (req.session) delete req.session.oauthClient;
+
+  if (!codeChallenge && !redirectUri && !state) return next();
+
+  if (codeChallenge && !/^[A-Za-z0-9\-._~]{43,128}$/.test(codeChallenge)) {
+    return next(createError('El code_challenge tiene un formato inválido', 400));
+  }
+  if (codeChallengeMethod && !['S256', 'plain'].includes(codeChallengeMethod)) {
+    return next(createError('El code_challenge_method debe ser S256 o plain', 400));
+  }
+  if (redirectUri && !getAllowedRedirectURIs().includes(redirectUri)) {
+    return next(createError('La redirect_uri no está permitida', 400));
+  }
+  if (state && (typeof state !== 'string' || state.length > 500)) {
+    return next(createError('El parámetro state es inválido', 400));
+  }
+
+  if (!req.session) {
+    return next(createError('El login OAuth requiere sesiones habilitadas', 500));
+  }
+
+  req.session.oauthClient = {
+    codeChallenge: codeChallenge || null,
+    codeChallengeMethod: codeChallenge ? (codeChallengeMethod || 'S256') : null,
+    redirectUri: redirectUri || null,
+    state: state || null
+  };
+  next();
+};
+
 /**
  * Estrategia de Google OAuth con URL de callback robusta
  */
@@ -47,38 +220,11 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
     passport.use(new GoogleStrategy({
       clientID: process.env.GOOGLE_CLIENT_ID,
       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      callbackURL: googleCallbackURL
-    }, async (accessToken, refreshToken, profile, done) => {
+      callbackURL: googleCallbackURL,
+      passReqToCallback: true
+    }, async (req, accessToken, refreshToken, profile, done) => {
       try {
-        // Buscar usuario existente por Google ID o email
-        let user = await User.findOne({
-          $or: [
-            { oauthId: profile.id, oauthProvider: 'google' },
-            { email: profile.emails[0].value }
-          ]
-        });
-
-        if (user) {
-          // Usuario existente
-          if (!user.oauthId) {
-            user.oauthId = profile.id;
-            user.oauthProvider = 'google';
-            await user.save();
-          }
-          await user.updateLastLogin();
-          return done(null, user);
-        }
-
-        // Crear nuevo usuario con validaciones corregidas
-        const baseUsername = profile.emails[0].value.split('@')[0];
-        const timestamp = Date.now().toString().slice(-6); // Solo últimos 6 dígitos
-        
-        // Asegurar que el username no exceda 30 caracteres
-        let username = `${baseUsername}_${timestamp}`;
-        if (username.length > 30) {
-          const maxBaseLength = 30 - timestamp.length - 1; // -1 para el '_'
-          username = `${baseUsername.substring(0, maxBaseLength)}_${timestamp}`;
-        }
+        const email = profile.emails?.[0];
 
         // Validar URL de imagen de Google o usar null
         let profilePicture = null;
@@ -91,20 +237,19 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
           }
         }
 
-        const newUser = await User.create({
-          username: username,
-          email: profile.emails[0].value,
-          firstName: (profile.name.givenName || 'Usuario').substring(0, 50), // Límite 50 chars
-          lastName: (profile.name.familyName || 'Google').substring(0, 50),  // Límite 50 chars
-          profilePicture: profilePicture, // Puede ser null si no es válida
-          oauthProvider: 'google',
-          oauthId: profile.id,
-          isActive: true
+        return await completeOAuthLogin(req, done, {
+          provider: 'google',
+          providerId: profile.id,
+          email: email?.value || null,
+          // Google indica si el email está verificado
+          emailVerified: email?.verified === true || email?.verified === 'true',
+          profile: {
+            username: email?.value?.split('@')[0],
+            firstName: profile.name?.givenName || 'Usuario',
+            lastName: profile.name?.familyName || 'Google',
+            profilePicture
+          }
         });
-
-        await newUser.updateLastLogin();
-        return done(null, newUser);
-
       } catch (error) {
         console.error('❌ Error en callback de Google OAuth:', error);
         return done(error, null);
@@ -142,38 +287,16 @@ if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET) {
     passport.use(new GitHubStrategy({
       clientID: process.env.GITHUB_CLIENT_ID,
       clientSecret: process.env.GITHUB_CLIENT_SECRET,
-      callbackURL: githubCallbackURL
-    }, async (accessToken, refreshToken, profile, done) => {
+      callbackURL: githubCallbackURL,
+      // Conservar los campos verified/primary de cada email de GitHub
+      allRawEmails: true,
+      passReqToCallback: true
+    }, async (req, accessToken, refreshToken, profile, done) => {
       try {
-        // Buscar usuario existente
-        let user = await User.findOne({
-          $or: [
-            { oauthId: profile.id.toString(), oauthProvider: 'github' },
-            { email: profile.emails?.[0]?.value }
-          ]
-        });
-
-        if (user) {
-          // Usuario existente
-          if (!user.oauthId) {
-            user.oauthId = profile.id.toString();
-            user.oauthProvider = 'github';
-            await user.save();
-          }
-          await user.updateLastLogin();
-          return done(null, user);
-        }
-
-        // Crear nuevo usuario con validaciones corregidas
-        const baseUsername = profile.username || 'github_user';
-        const timestamp = Date.now().toString().slice(-6); // Solo últimos 6 dígitos
-        
-        // Asegurar que el username no exceda 30 caracteres
-        let username = `${baseUsername}_${timestamp}`;
-        if (username.length > 30) {
-          const maxBaseLength = 30 - timestamp.length - 1; // -1 para el '_'
-          username = `${baseUsername.substring(0, maxBaseLength)}_${timestamp}`;
-        }
+        const emails = profile.emails || [];
+        const email = emails.find(item => item.primary && item.verified) ||
+          emails.find(item => item.verified) ||
+          emails[0];
 
         // Validar URL de imagen de GitHub o usar null
         let profilePicture = null;
@@ -185,22 +308,19 @@ if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET) {
           }
         }
 
-        const email = profile.emails?.[0]?.value || `${profile.username}@github.local`;
-        const newUser = await User.create({
-          username: username,
-          email: email,
-          firstName: (profile.displayName?.split(' ')[0] || profile.username || 'GitHub').substring(0, 50),
-          lastName: (profile.displayName?.split(' ')[1] || 'User').substring(0, 50),
-          profilePicture: profilePicture, // Puede ser null si no es válida
-          bio: (profile._json?.bio || '').substring(0, 500), // Límite 500 chars para bio
-          oauthProvider: 'github',
-          oauthId: profile.id.toString(),
-          isActive: true
+        return await completeOAuthLogin(req, done, {
+          provider: 'github',
+          providerId: profile.id.toString(),
+          email: email?.value || null,
+          emailVerified: email?.verified === true,
+          profile: {
+            username: profile.username || 'github_user',
+            firstName: profile.displayName?.split(' ')[0] || profile.username || 'GitHub',
+            lastName: profile.displayName?.split(' ')[1] || 'User',
+            profilePicture,
+            bio: profile._json?.bio
+          }
         });
-
-        await newUser.updateLastLogin();
-        return done(null, newUser);
-
       } catch (error) {
         console.error('❌ Error en callback de GitHub OAuth:', error);
         return done(error, null);
@@ -215,6 +335,255 @@ if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET) {
   console.log('⚠️ GitHub OAuth deshabilitado - Credenciales faltantes');
 }
 
+/**
+ * Proveedores genéricos OpenID Connect / OAuth2
+ * Las estrategias se crean la primera vez que se usa cada proveedor, tras resolver
+ * sus endpoints con OpenID Connect Discovery si es necesario.
+ */
+const genericStrategies = new Map();
+
+/**
+ * Obtiene la URL base de la API para construir las URLs de callback
+ * @returns {string}
+ */
+const getBaseURL = () => {
+  if (process.env.NODE_ENV === 'production') {
+    return process.env.RENDER_EXTERNAL_URL || 'https://socialconnect-api-f7qx.onrender.com';
+  }
+  return `http://localhost:${process.env.PORT || 3000}`;
+};
+
+/**
+ * Descarga un documento JSON de un proveedor
+ * @param {string} url - URL del documento
+ * @param {Object} headers - Cabeceras adicionales
+ * @returns {Promise<Object>}
+ */
+const fetchJSON = async (url, headers = {}) => {
+  const response = await fetch(url, { headers: { Accept: 'application/json', ...headers } });
+
+  if (!response.ok) {
+    throw new Error(`El proveedor respondió ${response.status} en ${url}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Lee un claim admitiendo rutas con puntos (ej: "attributes.mail")
+ * @param {Object} claims - Claims del usuario
+ * @param {string} path - Ruta del claim
+ * @returns {*}
+ */
+const readClaim = (claims, path) => {
+  if (!path) return undefined;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+};
+
+/**
+ * Resuelve los endpoints de un proveedor (explícitos o por discovery)
+ * @param {Object} provider - Configuración del proveedor
+ * @returns {Promise<Object>} - { authorizationURL, tokenURL, userInfoURL, jwksURL, issuer }
+ */
+const resolveProviderEndpoints = async (provider) => {
+  let discovered = {};
+
+  if (provider.discoveryUrl &&
+      (!provider.authorizationURL || !provider.tokenURL || !provider.userInfoURL || !provider.jwksURL)) {
+    discovered = await fetchJSON(provider.discoveryUrl);
+  }
+
+  const endpoints = {
+    authorizationURL: provider.authorizationURL || discovered.authorization_endpoint,
+    tokenURL: provider.tokenURL || discovered.token_endpoint,
+    userInfoURL: provider.userInfoURL || discovered.userinfo_endpoint || null,
+    jwksURL: provider.jwksURL || discovered.jwks_uri || null,
+    issuer: provider.issuer || discovered.issuer || null
+  };
+
+  if (!endpoints.authorizationURL || !endpoints.tokenURL) {
+    throw new Error(`No se pudieron resolver los endpoints del proveedor "${provider.name}"`);
+  }
+
+  return endpoints;
+};
+
+// Algoritmos aceptados en el id_token: solo de clave pública, para que nadie pueda
+// firmarlo con un secreto compartido
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * Verifica el id_token con las claves públicas del proveedor (JWKS)
+ * Comprueba la firma, la expiración, la audiencia (nuestro clientID) y el emisor.
+ * @param {string} idToken - id_token recibido en la respuesta del endpoint token
+ * @param {Object} provider - Configuración del proveedor
+ * @param {Object} endpoints - Endpoints resueltos del proveedor
+ * @returns {Promise<Object>} - Claims verificados
+ * @throws {Error} - Si el id_token no es válido
+ */
+const verifyIdToken = async (idToken, provider, endpoints) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('El id_token no es un JWT válido');
+  }
+
+  const { keys = [] } = await fetchJSON(endpoints.jwksURL);
+  const jwk = keys.find(key => (!decoded.header.kid || key.kid === decoded.header.kid) &&
+    (!key.use || key.use === 'sig'));
+
+  if (!jwk) {
+    throw new Error('El proveedor no publica la clave con la que se firmó el id_token');
+  }
+
+  return jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    audience: provider.clientID,
+    ...(endpoints.issuer && { issuer: endpoints.issuer })
+  });
+};
+
+/**
+ * Crea la estrategia de Passport de un proveedor genérico
+ * @param {Object} provider - Configuración del proveedor
+ * @returns {Promise<string>} - Nombre de la estrategia registrada en Passport
+ */
+const createGenericStrategy = async (provider) => {
+  const endpoints = await resolveProviderEndpoints(provider);
+  const strategyName = `oauth2-${provider.name}`;
+
+  const strategy = new OAuth2Strategy({
+    authorizationURL: endpoints.authorizationURL,
+    tokenURL: endpoints.tokenURL,
+    clientID: provider.clientID,
+    clientSecret: provider.clientSecret,
+    callbackURL: `${getBaseURL()}/api/auth/${provider.name}/callback`,
+    scope: provider.scope,
+    state: true,
+    pkce: provider.pkce,
+    passReqToCallback: true
+  }, async (req, accessToken, refreshToken, params, profile, done) => {
+    try {
+      // En OIDC los claims del id_token se completan con los de userinfo. El id_token solo
+      // se usa si se puede verificar con las claves del proveedor; si no, se ignora
+      let idTokenClaims = {};
+      if (params.id_token && endpoints.jwksURL) {
+        try {
+          idTokenClaims = await verifyIdToken(params.id_token, provider, endpoints);
+        } catch (error) {
+          console.log(`⚠️ id_token de ${provider.name} rechazado:`, error.message);
+          return done(null, false, { message: 'El id_token del proveedor no es válido' });
+        }
+      }
+
+      // userinfo debe describir al mismo usuario que el id_token
+      if (idTokenClaims.sub && profile.sub && idTokenClaims.sub !== profile.sub) {
+        return done(null, false, { message: 'El id_token y userinfo no corresponden al mismo usuario' });
+      }
+
+      const claims = { ...idTokenClaims, ...profile };
+      const { claims: mapping } = provider;
+      const providerId = readClaim(claims, mapping.id);
+
+      if (!providerId) {
+        return done(null, false, { message: `El proveedor no devolvió el claim "${mapping.id}"` });
+      }
+
+      const email = readClaim(claims, mapping.email) || null;
+      const emailVerified = readClaim(claims, mapping.emailVerified);
+
+      // El modelo solo acepta imágenes personalizadas con extensión de imagen
+      const picture = readClaim(claims, mapping.profilePicture);
+      const profilePicture = typeof picture === 'string' && /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i.test(picture)
+        ? picture
+        : null;
+
+      return await completeOAuthLogin(req, done, {
+        provider: provider.name,
+        providerId,
+        email,
+        emailVerified: emailVerified === true || emailVerified === 'true',
+        profile: {
+          username: readClaim(claims, mapping.username) || email?.split('@')[0],
+          firstName: readClaim(claims, mapping.firstName),
+          lastName: readClaim(claims, mapping.lastName),
+          profilePicture
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Error en callback de ${provider.name} OAuth:`, error);
+      return done(error, null);
+    }
+  });
+
+  strategy.name = strategyName;
+
+  // Perfil del usuario desde el endpoint userinfo (si el proveedor lo tiene)
+  strategy.userProfile = (accessToken, done) => {
+    if (!endpoints.userInfoURL) return done(null, {});
+
+    fetchJSON(endpoints.userInfoURL, { Authorization: `Bearer ${accessToken}` })
+      .then(userInfo => done(null, userInfo))
+      .catch(error => done(error));
+  };
+
+  passport.use(strategyName, strategy);
+  console.log(`✅ Estrategia OAuth genérica configurada: ${provider.name}`);
+
+  return strategyName;
+};
+
+/**
+ * Obtiene (creándola si hace falta) la estrategia de un proveedor genérico
+ * Si la configuración del proveedor cambia, la estrategia se vuelve a crear.
+ * @param {Object} provider - Configuración del proveedor
+ * @returns {Promise<string>} - Nombre de la estrategia
+ */
+const ensureGenericStrategy = (provider) => {
+  const cached = genericStrategies.get(provider.name);
+  if (cached && cached.provider === provider) return cached.ready;
+
+  const ready = createGenericStrategy(provider);
+  genericStrategies.set(provider.name, { provider, ready });
+
+  // Si falla el discovery, se reintenta en la siguiente petición
+  ready.catch(() => genericStrategies.delete(provider.name));
+
+  return ready;
+};
+
+/**
+ * Middleware que inicia el login o procesa el callback de un proveedor genérico
+ * @param {Object} options - { callback: true } para la ruta de callback
+ */
+const authenticateGenericProvider = ({ callback = false } = {}) => (req, res, next) => {
+  const provider = getGenericProvider(req.params.provider);
+
+  if (!provider) {
+    return next(createError('Proveedor OAuth no encontrado', 404));
+  }
+
+  const start = (error) => {
+    if (error) return next(error);
+
+    ensureGenericStrategy(provider)
+      .then(strategyName => {
+        passport.authenticate(strategyName, callback
+          ? { failureRedirect: '/api/auth/failure' }
+          : {})(req, res, next);
+      })
+      .catch(error => {
+        console.error(`❌ Error configurando el proveedor ${provider.name}:`, error.message);
+        next(createError(`El proveedor ${provider.name} no está disponible`, 503));
+      });
+  };
+
+  if (callback) return start();
+  return captureLinkRequest(provider.name)(req, res, (error) => {
+    if (error) return next(error);
+    captureClientRequest(req, res, start);
+  });
+};
+
 /**
  * Manejar éxito de autenticación OAuth
  * ¡CORREGIDO! Ahora redirige a /api/auth/success
@@ -227,35 +596,35 @@ const handleOAuthSuccess = async (req, res) => {
 
     console.log('🎉 OAuth exitoso para:', req.user.username);
 
-    // Generar tokens JWT usando la función de auth.js
-    const { accessToken, refreshToken } = generateTokens(req.user._id);
-
-    // Respuesta con usuario + tokens
-    res.status(200).json({
-      success: true,
-      message: 'Autenticación OAuth completada exitosamente',
-      provider: req.user.oauthProvider,
-      tokens: {
-        accessToken,
-        refreshToken
-      },
-      data: {
-        user: {
-          id: req.user._id,
-          username: req.user.username,
-          firstName: req.user.firstName,
-          lastName: req.user.lastName,
-          email: req.user.email
-        },
-        authentication: {
-          status: 'successful',
-          provider: req.user.oauthProvider,
-          timestamp: new Date().toISOString()
+    // Flujo de vinculación: no se inicia sesión, solo se confirma el proveedor añadido
+    if (req.oauthLinkedProvider) {
+      return res.status(200).json({
+        success: true,
+        message: `Cuenta de ${req.oauthLinkedProvider} vinculada exitosamente`,
+        provider: req.oauthLinkedProvider,
+        data: {
+          identities: req.user.getLinkedIdentities()
         }
-      },
-      note: 'Incluye este accessToken en la cabecera Authorization como "Bearer <token>" para acceder a rutas protegidas'
+      });
+    }
+
+    // Los tokens no viajan en la URL: se emite un código de un solo uso que el cliente
+    // canjea en POST /api/auth/exchange (con su code_verifier o desde esta misma sesión)
+    const client = req.oauthClient || {};
+    const code = await OAuthAuthorizationCode.issue({
+      userId: req.user._id,
+      provider: req.oauthProvider || req.user.oauthProvider,
+      sessionId: req.sessionID || null,
+      codeChallenge: client.codeChallenge,
+      codeChallengeMethod: client.codeChallengeMethod
     });
 
+    const redirectURL = new URL(client.redirectUri || `${getBaseURL()}/api/auth/success`);
+    redirectURL.searchParams.set('code', code);
+    if (client.state) redirectURL.searchParams.set('state', client.state);
+
+    res.redirect(redirectURL.toString());
+
   } catch (error) {
     console.error('❌ Error manejando éxito OAuth:', error);
     res.status(500).json({
@@ -286,6 +655,9 @@ const handleOAuthFailure = (req, res) => {
 
 module.exports = {
   passport,
+  captureLinkRequest,
+  captureClientRequest,
+  authenticateGenericProvider,
   handleOAuthSuccess,
   handleOAuthFailure
 };
\ No newline at end of file
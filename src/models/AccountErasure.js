@@ -0,0 +1,225 @@
+// src/models/AccountErasure.js - Registro del borrado de datos de una cuenta
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Schema de Registros de Borrado
+ * Cada cuenta eliminada deja un único registro que acredita qué se borró y cuándo.
+ * No contiene datos personales: el email solo se guarda como hash para poder localizar
+ * el registro cuando el antiguo titular (o un auditor) lo solicita.
+ */
+const accountErasureSchema = new mongoose.Schema({
+  // Usuario borrado (su documento queda anonimizado)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es obligatorio'],
+    unique: true
+  },
+
+  // Hash SHA-256 del email que tenía la cuenta
+  emailHash: {
+    type: String,
+    required: [true, 'El hash del email es obligatorio'],
+    index: true
+  },
+
+  // Estado del borrado
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed', 'failed'],
+    required: [true, 'El estado es obligatorio']
+  },
+
+  // Fecha en que el usuario solicitó la eliminación
+  requestedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Fin del periodo de gracia
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
+
+  // Inicio y fin del último intento de borrado
+  startedAt: {
+    type: Date,
+    required: [true, 'La fecha de inicio es obligatoria']
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Número de intentos (los fallidos se reintentan pasada una hora)
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Error del último intento fallido
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  // Resumen de lo borrado
+  summary: {
+    postsDeleted: { type: Number, default: 0 },
+    commentsDeleted: { type: Number, default: 0 },
+    commentsAnonymized: { type: Number, default: 0 },
+    commentsOnErasedPostsDeleted: { type: Number, default: 0 },
+    likesRemoved: { type: Number, default: 0 },
+    likeCountersCorrected: { type: Number, default: 0 },
+    commentCountersCorrected: { type: Number, default: 0 },
+    likesOnErasedContentRemoved: { type: Number, default: 0 },
+    followsRemoved: { type: Number, default: 0 },
+    followCountersCorrected: { type: Number, default: 0 },
+    followRequestsRemoved: { type: Number, default: 0 },
+    blocksRemoved: { type: Number, default: 0 },
+    suggestionDismissalsRemoved: { type: Number, default: 0 },
+    mentionsRemoved: { type: Number, default: 0 },
+    timelineEntriesDeleted: { type: Number, default: 0 },
+    tagSubscriptionsDeleted: { type: Number, default: 0 },
+    sessionsDeleted: { type: Number, default: 0 },
+    accessTokensDeleted: { type: Number, default: 0 },
+    dataExportsDeleted: { type: Number, default: 0 },
+    personalDataScrubbed: { type: Boolean, default: false }
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Método estático para obtener el hash con el que se guarda un email
+ * @param {string} email - Email en texto plano
+ * @returns {string} - Hash SHA-256 en hexadecimal
+ */
+accountErasureSchema.statics.hashEmail = function(email) {
+  return crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+};
+
+// Índice para listar los registros más recientes
+accountErasureSchema.index({ status: 1, completedAt: -1 });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AccountErasure:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único del registro
+ *         userId:
+ *           type: string
+ *           description: ID de la cuenta borrada
+ *         emailHash:
+ *           type: string
+ *           description: Hash SHA-256 del email de la cuenta
+ *         status:
+ *           type: string
+ *           enum: [in_progress, completed, failed]
+ *         requestedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de la solicitud de eliminación
+ *         scheduledFor:
+ *           type: string
+ *           format: date-time
+ *           description: Fin del periodo de gracia
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         attempts:
+ *           type: integer
+ *         lastError:
+ *           type: string
+ *         summary:
+ *           type: object
+ *           properties:
+ *             postsDeleted:
+ *               type: integer
+ *             commentsDeleted:
+ *               type: integer
+ *             commentsAnonymized:
+ *               type: integer
+ *             commentsOnErasedPostsDeleted:
+ *               type: integer
+ *             likesRemoved:
+ *               type: integer
+ *             likeCountersCorrected:
+ *               type: integer
+ *             commentCountersCorrected:
+ *               type: integer
+ *             likesOnErasedContentRemoved:
+ *               type: integer
+ *             followsRemoved:
+ *               type: integer
+ *             followCountersCorrected:
+ *               type: integer
+ *               description: Relaciones activas cuyos contadores se corrigieron
+ *             followRequestsRemoved:
+ *               type: integer
+ *             blocksRemoved:
+ *               type: integer
+ *               description: Bloqueos y silenciados aplicados por el usuario o a él
+ *             suggestionDismissalsRemoved:
+ *               type: integer
+ *             mentionsRemoved:
+ *               type: integer
+ *               description: Posts y comentarios de otros usuarios de los que se quitó la mención al usuario
+ *             timelineEntriesDeleted:
+ *               type: integer
+ *             tagSubscriptionsDeleted:
+ *               type: integer
+ *             sessionsDeleted:
+ *               type: integer
+ *             accessTokensDeleted:
+ *               type: integer
+ *             dataExportsDeleted:
+ *               type: integer
+ *             personalDataScrubbed:
+ *               type: boolean
+ *       example:
+ *         _id: "507f1f77bcf86cd799439020"
+ *         userId: "507f1f77bcf86cd799439012"
+ *         emailHash: "5f0c...e91a"
+ *         status: "completed"
+ *         requestedAt: "2024-01-15T10:30:00Z"
+ *         scheduledFor: "2024-02-14T10:30:00Z"
+ *         startedAt: "2024-02-14T11:00:00Z"
+ *         completedAt: "2024-02-14T11:00:02Z"
+ *         attempts: 1
+ *         lastError: null
+ *         summary:
+ *           postsDeleted: 12
+ *           commentsDeleted: 30
+ *           commentsAnonymized: 2
+ *           commentsOnErasedPostsDeleted: 9
+ *           likesRemoved: 85
+ *           likeCountersCorrected: 80
+ *           commentCountersCorrected: 32
+ *           likesOnErasedContentRemoved: 140
+ *           followsRemoved: 56
+ *           followCountersCorrected: 54
+ *           followRequestsRemoved: 1
+ *           blocksRemoved: 2
+ *           suggestionDismissalsRemoved: 3
+ *           mentionsRemoved: 5
+ *           timelineEntriesDeleted: 420
+ *           tagSubscriptionsDeleted: 4
+ *           sessionsDeleted: 3
+ *           accessTokensDeleted: 1
+ *           dataExportsDeleted: 0
+ *           personalDataScrubbed: true
+ */
+
+module.exports = mongoose.model('AccountErasure', accountErasureSchema);
@@ -0,0 +1,171 @@
+// src/models/AuditEvent.js - Modelo para el registro de auditoría de seguridad
+const mongoose = require('mongoose');
+const { AUDIT_ACTIONS, AUDIT_CATEGORIES } = require('../config/auditEvents');
+
+/**
+ * Schema de Eventos de Auditoría
+ * Registro de solo inserción: los eventos no se modifican ni se borran desde la aplicación
+ * (las operaciones de actualización y borrado del modelo se rechazan).
+ */
+const auditEventSchema = new mongoose.Schema({
+  // Acción registrada (ej: "user.login")
+  action: {
+    type: String,
+    enum: Object.keys(AUDIT_ACTIONS),
+    required: [true, 'La acción es obligatoria']
+  },
+
+  // Categoría de la acción (se deduce de la acción)
+  category: {
+    type: String,
+    enum: AUDIT_CATEGORIES
+  },
+
+  // Resultado de la acción
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+
+  // Usuario que realizó la acción (null si no se pudo identificar)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Recurso sobre el que se realizó la acción
+  targetType: {
+    type: String,
+    enum: ['User', 'Post', 'Comment', null],
+    default: null
+  },
+
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Dirección IP y user agent del cliente
+  ipAddress: {
+    type: String,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    maxlength: [500, 'El user agent no puede exceder 500 caracteres'],
+    default: null
+  },
+
+  // Motivo del fallo (ej: "invalid_credentials")
+  reason: {
+    type: String,
+    default: null
+  },
+
+  // Datos adicionales de la acción (ej: proveedor OAuth o propietario del contenido)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// La categoría se calcula siempre a partir de la acción
+auditEventSchema.pre('validate', function(next) {
+  this.category = AUDIT_ACTIONS[this.action];
+  next();
+});
+
+// Solo inserción: un evento guardado no se vuelve a modificar
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Los eventos de auditoría no se pueden modificar'));
+  }
+  next();
+});
+
+const immutableOperations = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+];
+
+auditEventSchema.pre(immutableOperations, function(next) {
+  next(new Error('Los eventos de auditoría no se pueden modificar ni borrar'));
+});
+
+auditEventSchema.pre('deleteOne', { document: true, query: false }, function(next) {
+  next(new Error('Los eventos de auditoría no se pueden modificar ni borrar'));
+});
+
+// Índices para las consultas de administración y del propio usuario
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actorId: 1, createdAt: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, outcome: 1, createdAt: -1 });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único del evento
+ *         action:
+ *           type: string
+ *           enum: [user.login, oauth.login, oauth.link, user.password_change, user.delete, post.delete, comment.delete]
+ *         category:
+ *           type: string
+ *           enum: [auth, account, content]
+ *         outcome:
+ *           type: string
+ *           enum: [success, failure]
+ *         actorId:
+ *           type: string
+ *           description: Usuario que realizó la acción
+ *         targetType:
+ *           type: string
+ *           enum: [User, Post, Comment]
+ *         targetId:
+ *           type: string
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         reason:
+ *           type: string
+ *           description: Motivo del fallo
+ *         metadata:
+ *           type: object
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         _id: "507f1f77bcf86cd799439040"
+ *         action: "user.login"
+ *         category: "auth"
+ *         outcome: "failure"
+ *         actorId: "507f1f77bcf86cd799439011"
+ *         targetType: "User"
+ *         targetId: "507f1f77bcf86cd799439011"
+ *         ipAddress: "203.0.113.10"
+ *         userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) ..."
+ *         reason: "invalid_credentials"
+ *         metadata: { method: "password" }
+ *         createdAt: "2024-01-15T10:30:00Z"
+ */
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
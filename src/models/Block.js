@@ -0,0 +1,198 @@
+// src/models/Block.js - Modelo para los bloqueos y silenciados entre usuarios
+const mongoose = require('mongoose');
+
+/**
+ * Tipos de restricción
+ * - block: el usuario bloqueado no ve el contenido ni el perfil de quien lo bloqueó ni puede
+ *   interactuar con él, y tampoco aparece en las vistas de quien lo bloqueó
+ * - mute: el usuario silenciado solo deja de aparecer en las vistas de quien lo silenció
+ */
+const BLOCK_TYPES = ['block', 'mute'];
+
+/**
+ * Schema de Bloqueos
+ * Cada documento indica que un usuario (userId) bloqueó o silenció a otro (targetId).
+ * Un usuario puede bloquear y silenciar a la vez a otro; son restricciones independientes.
+ */
+const blockSchema = new mongoose.Schema({
+  // Usuario que bloquea o silencia
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es obligatorio']
+  },
+
+  // Usuario bloqueado o silenciado
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario bloqueado es obligatorio']
+  },
+
+  // Tipo de restricción
+  type: {
+    type: String,
+    enum: {
+      values: BLOCK_TYPES,
+      message: 'El tipo debe ser block o mute'
+    },
+    required: [true, 'El tipo es obligatorio']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Índice compuesto para evitar restricciones duplicadas
+ */
+blockSchema.index({ userId: 1, type: 1, targetId: 1 }, { unique: true });
+
+// Índice para saber quién bloqueó a un usuario
+blockSchema.index({ targetId: 1, type: 1 });
+
+/**
+ * Campo virtual para obtener los datos públicos del usuario restringido
+ */
+blockSchema.virtual('target', {
+  ref: 'User',
+  localField: 'targetId',
+  foreignField: '_id',
+  justOne: true
+});
+
+/**
+ * Método estático para bloquear o silenciar a un usuario
+ * @param {string} userId - ID del usuario que bloquea
+ * @param {string} targetId - ID del usuario bloqueado
+ * @param {string} type - block o mute
+ * @returns {Promise<Object>} - { block, created } (created es false si ya existía)
+ */
+blockSchema.statics.restrict = async function(userId, targetId, type) {
+  try {
+    const block = await this.create({ userId, targetId, type });
+    return { block, created: true };
+  } catch (error) {
+    // Índice único: la restricción ya existe (o la creó otra petición a la vez)
+    if (error.code !== 11000) throw error;
+
+    const block = await this.findOne({ userId, targetId, type });
+    return { block, created: false };
+  }
+};
+
+/**
+ * Método estático para levantar un bloqueo o silenciado
+ * @param {string} userId - ID del usuario que bloqueó
+ * @param {string} targetId - ID del usuario bloqueado
+ * @param {string} type - block o mute
+ * @returns {Promise<Object|null>} - Restricción eliminada o null si no existía
+ */
+blockSchema.statics.unrestrict = function(userId, targetId, type) {
+  return this.findOneAndDelete({ userId, targetId, type });
+};
+
+/**
+ * Método estático para verificar si un usuario bloqueó a otro
+ * @param {string} userId - ID del posible bloqueador
+ * @param {string} targetId - ID del posible bloqueado
+ * @returns {Promise<boolean>}
+ */
+blockSchema.statics.hasBlocked = async function(userId, targetId) {
+  const block = await this.exists({ userId, targetId, type: 'block' });
+  return Boolean(block);
+};
+
+/**
+ * Método estático para verificar si hay un bloqueo entre dos usuarios (en cualquier sentido)
+ * @param {string} userId - ID de un usuario
+ * @param {string} otherId - ID del otro usuario
+ * @returns {Promise<boolean>}
+ */
+blockSchema.statics.isBlockedBetween = async function(userId, otherId) {
+  const block = await this.exists({
+    type: 'block',
+    $or: [
+      { userId, targetId: otherId },
+      { userId: otherId, targetId: userId }
+    ]
+  });
+  return Boolean(block);
+};
+
+/**
+ * Método estático para obtener los usuarios con los que un usuario tiene un bloqueo (en cualquier sentido)
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object[]>} - IDs de los usuarios que bloqueó y de los que lo bloquearon
+ */
+blockSchema.statics.getBlockedUserIds = async function(userId) {
+  const blocked = await this.find({ userId, type: 'block' }).distinct('targetId');
+  const blockers = await this.find({ targetId: userId, type: 'block' }).distinct('userId');
+
+  return [...blocked, ...blockers];
+};
+
+/**
+ * Método estático para obtener los usuarios ocultos en las vistas de un usuario:
+ * los que bloqueó o silenció y los que lo bloquearon a él
+ * @param {string} viewerId - ID del usuario que consulta (null si es anónimo)
+ * @returns {Promise<Object[]>} - IDs de los usuarios ocultos
+ */
+blockSchema.statics.getHiddenUserIds = async function(viewerId) {
+  if (!viewerId) return [];
+
+  const restricted = await this.find({ userId: viewerId }).distinct('targetId');
+  const blockers = await this.find({ targetId: viewerId, type: 'block' }).distinct('userId');
+
+  return [...restricted, ...blockers];
+};
+
+/**
+ * Método estático para listar los usuarios bloqueados o silenciados por un usuario
+ * @param {string} userId - ID del usuario
+ * @param {string} type - block o mute
+ * @param {Object} options - Opciones de paginación
+ */
+blockSchema.statics.getRestrictedUsers = function(userId, type, options = {}) {
+  const { page = 1, limit = 20 } = options;
+  const skip = (page - 1) * limit;
+
+  return this.find({ userId, type })
+    .populate({ path: 'target', select: 'username firstName lastName profilePicture', match: { isActive: true } })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Block:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único de la restricción
+ *         userId:
+ *           type: string
+ *           description: Usuario que bloquea o silencia
+ *         targetId:
+ *           type: string
+ *           description: Usuario bloqueado o silenciado
+ *         type:
+ *           type: string
+ *           enum: [block, mute]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         _id: "507f1f77bcf86cd799439060"
+ *         userId: "507f1f77bcf86cd799439011"
+ *         targetId: "507f1f77bcf86cd799439012"
+ *         type: "block"
+ *         createdAt: "2024-01-15T10:30:00Z"
+ */
+
+module.exports = mongoose.model('Block', blockSchema);
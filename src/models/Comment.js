@@ -51,6 +51,49 @@ const commentSchema = new mongoose.Schema({
     default: true
   },
 
+  // Menciones (@usuario) del contenido, con su posición en el texto
+  // Se recalculan cada vez que cambia el contenido (ver utils/mentions.js)
+  mentions: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    start: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    end: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+
+  // Copias usadas para filtrar los listados sin consultar los posts ni los usuarios:
+  // privacidad de la cuenta del autor del comentario y autor, visibilidad y privacidad del post
+  // Se mantienen al día con syncPostVisibility y syncAuthorPrivacy (ver utils/visibility.js)
+  authorPrivate: {
+    type: Boolean,
+    default: false
+  },
+  postAuthorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  postVisibility: {
+    type: String,
+    enum: ['public', 'unlisted', 'members_only', 'private'],
+    default: 'public'
+  },
+  postAuthorPrivate: {
+    type: Boolean,
+    default: false
+  },
+
   // Indica si fue editado
   isEdited: {
     type: Boolean,
@@ -95,16 +138,42 @@ commentSchema.virtual('post', {
   justOne: true
 });
 
+/**
+ * Middleware pre-save para copiar la privacidad del autor y el acceso al post
+ * Se ejecuta antes de guardar un comentario nuevo
+ */
+commentSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    const User = require('./User');
+    const Post = require('./Post');
+    const author = await User.findById(this.userId).select('isPrivate');
+    const post = await Post.findById(this.postId).select('userId visibility authorPrivate');
+
+    this.authorPrivate = Boolean(author?.isPrivate);
+    if (post) {
+      this.postAuthorId = post.userId;
+      this.postVisibility = post.visibility;
+      this.postAuthorPrivate = post.authorPrivate;
+    }
+  }
+  next();
+});
+
 /**
  * Método estático para obtener comentarios de un post
  * @param {string} postId - ID del post
- * @param {Object} options - Opciones de paginación
+ * @param {Object} options - Opciones de paginación y usuarios a excluir (excludeUserIds)
  */
 commentSchema.statics.getCommentsByPost = function(postId, options = {}) {
-  const { page = 1, limit = 10 } = options;
+  const { page = 1, limit = 10, excludeUserIds = [] } = options;
   const skip = (page - 1) * limit;
 
-  return this.find({ postId, isActive: true, parentCommentId: null })
+  const filters = { postId, isActive: true, parentCommentId: null };
+  if (excludeUserIds.length > 0) {
+    filters.userId = { $nin: excludeUserIds };
+  }
+
+  return this.find(filters)
     .populate('author', 'username firstName lastName profilePicture')
     .sort({ createdAt: -1 })
     .skip(skip)
@@ -114,5 +183,7 @@ commentSchema.statics.getCommentsByPost = function(postId, options = {}) {
 // Crear índices para mejorar rendimiento
 commentSchema.index({ postId: 1, createdAt: -1 });
 commentSchema.index({ userId: 1, createdAt: -1 });
+commentSchema.index({ 'mentions.userId': 1, createdAt: -1 });
+commentSchema.index({ postAuthorId: 1 });
 
 module.exports = mongoose.model('Comment', commentSchema);
\ No newline at end of file
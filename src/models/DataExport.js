@@ -0,0 +1,142 @@
+// src/models/DataExport.js - Modelo para las exportaciones de datos personales
+const mongoose = require('mongoose');
+
+/**
+ * Schema de Exportaciones de Datos
+ * Cada solicitud genera, en segundo plano, un archivo ZIP en el disco local con los datos
+ * del usuario. El archivo se borra al caducar; el documento se conserva como historial.
+ */
+const dataExportSchema = new mongoose.Schema({
+  // Usuario que solicitó la exportación
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es obligatorio']
+  },
+
+  // Estado de la exportación
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'expired'],
+    default: 'pending'
+  },
+
+  // Nombre del archivo dentro de la carpeta de exportaciones
+  fileName: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  // Tamaño del archivo en bytes
+  fileSize: {
+    type: Number,
+    default: null
+  },
+
+  // Fecha en que empezó a generarse
+  startedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Fecha en que terminó de generarse
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Fecha a partir de la cual el archivo deja de estar disponible
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Fecha de la última descarga
+  downloadedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Error de la generación (si falló)
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.fileName;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Método de instancia para indicar si el archivo se puede descargar
+ * @returns {boolean}
+ */
+dataExportSchema.methods.isDownloadable = function() {
+  return this.status === 'completed' && Boolean(this.expiresAt) && this.expiresAt > new Date();
+};
+
+// Índices para listar las exportaciones de un usuario y localizar las pendientes o caducadas
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Un usuario solo puede tener una exportación en curso (también con solicitudes simultáneas)
+dataExportSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['pending', 'processing'] } } }
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DataExport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único de la exportación
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, completed, failed, expired]
+ *           description: Estado de la exportación
+ *         fileSize:
+ *           type: integer
+ *           description: Tamaño del archivo ZIP en bytes
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha hasta la que se puede descargar
+ *         downloadedAt:
+ *           type: string
+ *           format: date-time
+ *         error:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de la solicitud
+ *       example:
+ *         _id: "507f1f77bcf86cd799439030"
+ *         status: "completed"
+ *         fileSize: 18342
+ *         startedAt: "2024-01-15T10:30:01Z"
+ *         completedAt: "2024-01-15T10:30:03Z"
+ *         expiresAt: "2024-01-22T10:30:03Z"
+ *         downloadedAt: null
+ *         error: null
+ *         createdAt: "2024-01-15T10:30:00Z"
+ */
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
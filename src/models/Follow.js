@@ -0,0 +1,218 @@
+// src/models/Follow.js - Modelo para las relaciones de seguimiento entre usuarios
+const mongoose = require('mongoose');
+
+/**
+ * Schema de Seguimientos
+ * Cada documento indica que un usuario (followerId) sigue a otro (followingId).
+ * Igual que los likes, dejar de seguir desactiva la relación en lugar de borrarla.
+ */
+const followSchema = new mongoose.Schema({
+  // Usuario que sigue
+  followerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del seguidor es obligatorio']
+  },
+
+  // Usuario seguido
+  followingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario seguido es obligatorio']
+  },
+
+  // Estado de la relación (permite soft delete)
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Fecha en que empezó a seguirlo (la última vez)
+  followedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Índice compuesto para evitar relaciones duplicadas
+ * Un usuario solo puede seguir una vez a otro
+ */
+followSchema.index({ followerId: 1, followingId: 1 }, { unique: true });
+
+// Índices para las listas de seguidores y seguidos
+followSchema.index({ followingId: 1, isActive: 1, followedAt: -1 });
+followSchema.index({ followerId: 1, isActive: 1, followedAt: -1 });
+
+/**
+ * Campos virtuales para obtener los datos públicos de cada usuario
+ */
+followSchema.virtual('follower', {
+  ref: 'User',
+  localField: 'followerId',
+  foreignField: '_id',
+  justOne: true
+});
+
+followSchema.virtual('following', {
+  ref: 'User',
+  localField: 'followingId',
+  foreignField: '_id',
+  justOne: true
+});
+
+// Datos públicos de los usuarios en las listas (las cuentas desactivadas no se pueblan)
+const PUBLIC_USER_FIELDS = 'username firstName lastName profilePicture followersCount followingCount';
+
+/**
+ * Suma o resta 1 a los contadores de los dos usuarios de una relación
+ * Las restas nunca dejan un contador en negativo.
+ * @param {string} followerId - ID del seguidor
+ * @param {string} followingId - ID del usuario seguido
+ * @param {number} increment - 1 o -1
+ */
+const updateFollowCounters = async (followerId, followingId, increment) => {
+  const User = require('./User');
+  const guard = (field) => (increment < 0 ? { [field]: { $gt: 0 } } : {});
+
+  await User.updateOne({ _id: followerId, ...guard('followingCount') }, { $inc: { followingCount: increment } });
+  await User.updateOne({ _id: followingId, ...guard('followersCount') }, { $inc: { followersCount: increment } });
+};
+
+/**
+ * Método estático para seguir a un usuario
+ * La relación cambia de estado con una sola operación atómica, así que dos peticiones
+ * simultáneas nunca suman dos veces al contador.
+ *
+ * @param {string} followerId - ID del seguidor
+ * @param {string} followingId - ID del usuario seguido
+ * @returns {Promise<Object>} - { follow, created } (created es false si ya lo seguía)
+ */
+followSchema.statics.follow = async function(followerId, followingId) {
+  // Reactivar una relación anterior
+  const reactivated = await this.findOneAndUpdate(
+    { followerId, followingId, isActive: false },
+    { isActive: true, followedAt: new Date() },
+    { new: true }
+  );
+
+  if (reactivated) {
+    await updateFollowCounters(followerId, followingId, 1);
+    return { follow: reactivated, created: true };
+  }
+
+  try {
+    const follow = await this.create({ followerId, followingId });
+    await updateFollowCounters(followerId, followingId, 1);
+    return { follow, created: true };
+  } catch (error) {
+    // Índice único: la relación ya existe (activa o creada por otra petición a la vez)
+    if (error.code !== 11000) throw error;
+
+    const existing = await this.findOne({ followerId, followingId });
+    if (existing && !existing.isActive) {
+      return this.follow(followerId, followingId);
+    }
+    return { follow: existing, created: false };
+  }
+};
+
+/**
+ * Método estático para dejar de seguir a un usuario
+ * @param {string} followerId - ID del seguidor
+ * @param {string} followingId - ID del usuario seguido
+ * @returns {Promise<Object|null>} - Relación desactivada o null si no lo seguía
+ */
+followSchema.statics.unfollow = async function(followerId, followingId) {
+  const follow = await this.findOneAndUpdate(
+    { followerId, followingId, isActive: true },
+    { isActive: false },
+    { new: true }
+  );
+
+  if (follow) {
+    await updateFollowCounters(followerId, followingId, -1);
+  }
+
+  return follow;
+};
+
+/**
+ * Método estático para verificar si un usuario sigue a otro
+ * @param {string} followerId - ID del seguidor
+ * @param {string} followingId - ID del usuario seguido
+ * @returns {Promise<boolean>}
+ */
+followSchema.statics.isFollowing = async function(followerId, followingId) {
+  const follow = await this.exists({ followerId, followingId, isActive: true });
+  return Boolean(follow);
+};
+
+/**
+ * Método estático para obtener los seguidores de un usuario
+ * @param {string} userId - ID del usuario
+ * @param {Object} options - Opciones de paginación
+ */
+followSchema.statics.getFollowers = function(userId, options = {}) {
+  const { page = 1, limit = 20 } = options;
+  const skip = (page - 1) * limit;
+
+  return this.find({ followingId: userId, isActive: true })
+    .populate({ path: 'follower', select: PUBLIC_USER_FIELDS, match: { isActive: true } })
+    .sort({ followedAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+};
+
+/**
+ * Método estático para obtener los usuarios a los que sigue un usuario
+ * @param {string} userId - ID del usuario
+ * @param {Object} options - Opciones de paginación
+ */
+followSchema.statics.getFollowing = function(userId, options = {}) {
+  const { page = 1, limit = 20 } = options;
+  const skip = (page - 1) * limit;
+
+  return this.find({ followerId: userId, isActive: true })
+    .populate({ path: 'following', select: PUBLIC_USER_FIELDS, match: { isActive: true } })
+    .sort({ followedAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Follow:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único de la relación
+ *         followerId:
+ *           type: string
+ *           description: Usuario que sigue
+ *         followingId:
+ *           type: string
+ *           description: Usuario seguido
+ *         followedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha en que empezó a seguirlo
+ *         follower:
+ *           $ref: '#/components/schemas/User'
+ *         following:
+ *           $ref: '#/components/schemas/User'
+ *       example:
+ *         _id: "507f1f77bcf86cd799439050"
+ *         followerId: "507f1f77bcf86cd799439011"
+ *         followingId: "507f1f77bcf86cd799439012"
+ *         followedAt: "2024-01-15T10:30:00Z"
+ */
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,132 @@
+// src/models/FollowRequest.js - Modelo para las solicitudes de seguimiento a cuentas privadas
+const mongoose = require('mongoose');
+
+/**
+ * Schema de Solicitudes de seguimiento
+ * Seguir a una cuenta privada crea una solicitud pendiente. Al aprobarla se crea la relación
+ * en el modelo Follow y la solicitud se elimina; al rechazarla o cancelarla solo se elimina.
+ */
+const followRequestSchema = new mongoose.Schema({
+  // Usuario que quiere seguir
+  requesterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del solicitante es obligatorio']
+  },
+
+  // Cuenta privada a la que quiere seguir
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario solicitado es obligatorio']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Índice compuesto para evitar solicitudes duplicadas
+ */
+followRequestSchema.index({ requesterId: 1, targetId: 1 }, { unique: true });
+
+// Índice para la lista de solicitudes recibidas
+followRequestSchema.index({ targetId: 1, createdAt: -1 });
+
+/**
+ * Campo virtual para obtener los datos públicos del solicitante
+ */
+followRequestSchema.virtual('requester', {
+  ref: 'User',
+  localField: 'requesterId',
+  foreignField: '_id',
+  justOne: true
+});
+
+/**
+ * Método estático para crear una solicitud si no existe
+ * @param {string} requesterId - ID del solicitante
+ * @param {string} targetId - ID de la cuenta privada
+ * @returns {Promise<Object>} - { request, created } (created es false si ya estaba pendiente)
+ */
+followRequestSchema.statics.createRequest = async function(requesterId, targetId) {
+  try {
+    const request = await this.create({ requesterId, targetId });
+    return { request, created: true };
+  } catch (error) {
+    // Índice único: la solicitud ya existe (o la creó otra petición a la vez)
+    if (error.code !== 11000) throw error;
+
+    const request = await this.findOne({ requesterId, targetId });
+    return { request, created: false };
+  }
+};
+
+/**
+ * Método estático para obtener las solicitudes pendientes de un usuario
+ * @param {string} targetId - ID de la cuenta privada
+ * @param {Object} options - Opciones de paginación
+ */
+followRequestSchema.statics.getPendingRequests = function(targetId, options = {}) {
+  const { page = 1, limit = 20 } = options;
+  const skip = (page - 1) * limit;
+
+  return this.find({ targetId })
+    .populate({ path: 'requester', select: 'username firstName lastName profilePicture', match: { isActive: true } })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+};
+
+/**
+ * Método estático para aprobar todas las solicitudes pendientes de un usuario
+ * Se usa cuando una cuenta privada pasa a ser pública.
+ * @param {string} targetId - ID del usuario
+ * @returns {Promise<number>} - Solicitudes aprobadas
+ */
+followRequestSchema.statics.approveAll = async function(targetId) {
+  const Follow = require('./Follow');
+  const requests = await this.find({ targetId }).select('requesterId');
+  let approved = 0;
+
+  for (const request of requests) {
+    // Solo se aprueba si la solicitud sigue pendiente (otra petición pudo resolverla a la vez)
+    if (await this.findOneAndDelete({ _id: request._id })) {
+      await Follow.follow(request.requesterId, targetId);
+      approved += 1;
+    }
+  }
+
+  return approved;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FollowRequest:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único de la solicitud
+ *         requesterId:
+ *           type: string
+ *           description: Usuario que quiere seguir
+ *         targetId:
+ *           type: string
+ *           description: Cuenta privada solicitada
+ *         requester:
+ *           $ref: '#/components/schemas/User'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         _id: "507f1f77bcf86cd799439070"
+ *         requesterId: "507f1f77bcf86cd799439011"
+ *         targetId: "507f1f77bcf86cd799439012"
+ *         createdAt: "2024-01-15T10:30:00Z"
+ */
+
+module.exports = mongoose.model('FollowRequest', followRequestSchema);
@@ -28,6 +28,29 @@ const likeSchema = new mongoose.Schema({
     index: true
   },
 
+  // Copias usadas para filtrar los listados sin consultar los posts: el post al que pertenece el like
+  // (el propio post o el del comentario) con su autor, visibilidad y privacidad del autor
+  // Se mantienen al día con syncPostVisibility y syncAuthorPrivacy (ver utils/visibility.js)
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  postAuthorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  postVisibility: {
+    type: String,
+    enum: ['public', 'unlisted', 'members_only', 'private'],
+    default: 'public'
+  },
+  postAuthorPrivate: {
+    type: Boolean,
+    default: false
+  },
+
   // Estado del like (permite soft delete)
   isActive: {
     type: Boolean,
@@ -68,6 +91,31 @@ likeSchema.virtual('user', {
   justOne: true
 });
 
+/**
+ * Middleware pre-save para copiar el acceso al post
+ * Se ejecuta antes de guardar un like nuevo
+ */
+likeSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    const Post = require('./Post');
+    let postId = this.targetId;
+    if (this.targetType === 'Comment') {
+      const Comment = require('./Comment');
+      const comment = await Comment.findById(this.targetId).select('postId');
+      postId = comment?.postId;
+    }
+
+    const post = postId && await Post.findById(postId).select('userId visibility authorPrivate');
+    if (post) {
+      this.postId = post._id;
+      this.postAuthorId = post.userId;
+      this.postVisibility = post.visibility;
+      this.postAuthorPrivate = post.authorPrivate;
+    }
+  }
+  next();
+});
+
 /**
  * Middleware pre-save para actualizar contadores
  * Se ejecuta antes de guardar un like nuevo
@@ -89,13 +137,18 @@ likeSchema.pre('save', async function(next) {
 /**
  * Método estático para obtener likes de un post
  * @param {string} postId - ID del post
- * @param {Object} options - Opciones de paginación
+ * @param {Object} options - Opciones de paginación y usuarios a excluir (excludeUserIds)
  */
 likeSchema.statics.getLikesByPost = function(postId, options = {}) {
-  const { page = 1, limit = 10 } = options;
+  const { page = 1, limit = 10, excludeUserIds = [] } = options;
   const skip = (page - 1) * limit;
 
-  return this.find({ targetType: 'Post', targetId: postId, isActive: true })
+  const filters = { targetType: 'Post', targetId: postId, isActive: true };
+  if (excludeUserIds.length > 0) {
+    filters.userId = { $nin: excludeUserIds };
+  }
+
+  return this.find(filters)
     .populate('user', 'username firstName lastName profilePicture')
     .sort({ createdAt: -1 })
     .skip(skip)
@@ -151,5 +204,7 @@ likeSchema.statics.toggleLike = async function(userId, targetType, targetId) {
 // Crear índices adicionales para mejorar rendimiento
 likeSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
 likeSchema.index({ userId: 1, createdAt: -1 });
+likeSchema.index({ postId: 1 });
+likeSchema.index({ postAuthorId: 1 });
 
 module.exports = mongoose.model('Like', likeSchema);
\ No newline at end of file
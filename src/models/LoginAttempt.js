@@ -0,0 +1,47 @@
+// src/models/LoginAttempt.js - Modelo para contadores de intentos de login fallidos
+const mongoose = require('mongoose');
+
+/**
+ * Schema de Intentos de Login
+ * Guarda un contador de fallos por clave (cuenta o IP) para la protección
+ * contra fuerza bruta. Es el almacén por defecto de src/utils/loginAttemptStore.js.
+ */
+const loginAttemptSchema = new mongoose.Schema({
+  // Clave del contador (ej: "account:<id>" o "ip:<dirección>")
+  key: {
+    type: String,
+    required: [true, 'La clave del contador es obligatoria'],
+    unique: true
+  },
+
+  // Número de intentos fallidos consecutivos dentro de la ventana
+  failures: {
+    type: Number,
+    default: 0
+  },
+
+  // Fecha del último intento fallido
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+
+  // Fecha hasta la que la clave está bloqueada
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Fecha en que el contador deja de tener efecto
+  expiresAt: {
+    type: Date,
+    required: [true, 'La fecha de expiración es obligatoria']
+  }
+}, {
+  timestamps: true
+});
+
+// Índice TTL: MongoDB elimina los contadores automáticamente al expirar
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,131 @@
+// src/models/OAuthAuthorizationCode.js - Modelo para códigos de autorización de un solo uso
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Schema de Códigos de Autorización OAuth
+ * Al terminar el login OAuth no se entregan tokens en la URL: se emite un código de corta
+ * duración que el cliente canjea en POST /api/auth/exchange. Solo se guarda el hash del código.
+ */
+const oauthAuthorizationCodeSchema = new mongoose.Schema({
+  // Hash SHA-256 del código
+  codeHash: {
+    type: String,
+    required: [true, 'El hash del código es obligatorio'],
+    unique: true
+  },
+
+  // Usuario autenticado
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es obligatorio']
+  },
+
+  // Proveedor OAuth con el que se autenticó
+  provider: {
+    type: String,
+    default: null
+  },
+
+  // Sesión del navegador que completó el login (para canjes sin PKCE)
+  sessionId: {
+    type: String,
+    default: null
+  },
+
+  // Desafío PKCE enviado por el cliente al iniciar el login
+  codeChallenge: {
+    type: String,
+    default: null
+  },
+
+  // Método del desafío PKCE
+  codeChallengeMethod: {
+    type: String,
+    enum: ['S256', 'plain', null],
+    default: null
+  },
+
+  // Fecha en que se canjeó el código
+  usedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Fecha de expiración
+  expiresAt: {
+    type: Date,
+    required: [true, 'La fecha de expiración es obligatoria']
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Método estático para obtener el hash de un código
+ * @param {string} code - Código en texto plano
+ * @returns {string} - Hash SHA-256 en hexadecimal
+ */
+oauthAuthorizationCodeSchema.statics.hashCode = function(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+};
+
+/**
+ * Método estático para emitir un código nuevo
+ * @param {Object} params - { userId, provider, sessionId, codeChallenge, codeChallengeMethod }
+ * @returns {Promise<string>} - Código en texto plano
+ */
+oauthAuthorizationCodeSchema.statics.issue = async function({ userId, provider = null, sessionId = null, codeChallenge = null, codeChallengeMethod = null }) {
+  const code = crypto.randomBytes(32).toString('base64url');
+  const ttlSeconds = parseInt(process.env.OAUTH_CODE_EXPIRE_SECONDS, 10) || 60;
+
+  await this.create({
+    codeHash: this.hashCode(code),
+    userId,
+    provider,
+    sessionId,
+    codeChallenge,
+    codeChallengeMethod: codeChallenge ? (codeChallengeMethod || 'S256') : null,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+  });
+
+  return code;
+};
+
+/**
+ * Método estático para consumir un código
+ * El código se marca como usado de forma atómica: un segundo canje siempre falla.
+ * @param {string} code - Código en texto plano
+ * @returns {Promise<Object|null>} - Documento del código o null si no es válido
+ */
+oauthAuthorizationCodeSchema.statics.consume = function(code) {
+  return this.findOneAndUpdate(
+    { codeHash: this.hashCode(code), usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+/**
+ * Método de instancia para comprobar el verificador PKCE
+ * @param {string} codeVerifier - Verificador enviado al canjear el código
+ * @returns {boolean}
+ */
+oauthAuthorizationCodeSchema.methods.verifyCodeVerifier = function(codeVerifier) {
+  if (!this.codeChallenge) return true;
+  if (!codeVerifier) return false;
+
+  const expected = this.codeChallengeMethod === 'plain'
+    ? codeVerifier
+    : crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(this.codeChallenge);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Índice TTL: MongoDB elimina los códigos automáticamente al expirar
+oauthAuthorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthAuthorizationCode', oauthAuthorizationCodeSchema);
@@ -0,0 +1,221 @@
+// src/models/PersonalAccessToken.js - Modelo para tokens de acceso personal (API keys)
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { TOKEN_SCOPES } = require('../config/permissions');
+
+// Prefijo que distingue los tokens de acceso personal de los JWT
+const TOKEN_PREFIX = 'scpat_';
+
+/**
+ * Schema de Tokens de Acceso Personal
+ * Permiten que bots e integraciones actúen en nombre de un usuario sin usar su contraseña.
+ * Solo se guarda el hash SHA-256 del token: el valor en texto plano se muestra una única vez.
+ */
+const personalAccessTokenSchema = new mongoose.Schema({
+  // Usuario propietario del token
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es obligatorio'],
+    index: true
+  },
+
+  // Nombre descriptivo elegido por el usuario (ej: "Bot de publicaciones")
+  name: {
+    type: String,
+    required: [true, 'El nombre del token es obligatorio'],
+    trim: true,
+    maxlength: [100, 'El nombre del token no puede exceder 100 caracteres']
+  },
+
+  // Hash SHA-256 del token
+  tokenHash: {
+    type: String,
+    required: [true, 'El hash del token es obligatorio'],
+    unique: true,
+    select: false
+  },
+
+  // Primeros caracteres del token para que el usuario pueda identificarlo
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+
+  // Alcances concedidos al token
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: TOKEN_SCOPES,
+        message: 'Alcance inválido: {VALUE}'
+      }
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'El token debe tener al menos un alcance'
+    }
+  },
+
+  // Fecha de expiración (null = no expira)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Última vez que se usó el token
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Indica si el token fue revocado
+  isRevoked: {
+    type: Boolean,
+    default: false
+  },
+
+  // Fecha de revocación
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Método estático para saber si un token tiene el formato de token de acceso personal
+ * @param {string} token - Token recibido en la cabecera Authorization
+ * @returns {boolean}
+ */
+personalAccessTokenSchema.statics.isPersonalAccessToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+/**
+ * Método estático para obtener el hash de un token
+ * @param {string} token - Token en texto plano
+ * @returns {string} - Hash SHA-256 en hexadecimal
+ */
+personalAccessTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Método estático para crear un token nuevo
+ * @param {Object} params - Datos del token
+ * @param {string} params.userId - ID del propietario
+ * @param {string} params.name - Nombre descriptivo
+ * @param {string[]} params.scopes - Alcances concedidos
+ * @param {Date|null} params.expiresAt - Fecha de expiración
+ * @returns {Promise<Object>} - { token, accessToken } con el valor en texto plano y el documento
+ */
+personalAccessTokenSchema.statics.generate = async function({ userId, name, scopes, expiresAt = null }) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const accessToken = await this.create({
+    userId,
+    name,
+    tokenHash: this.hashToken(token),
+    tokenPrefix: token.substring(0, TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+
+  return { token, accessToken };
+};
+
+/**
+ * Método estático para buscar un token vigente (no revocado ni expirado)
+ * @param {string} token - Token en texto plano
+ * @returns {Promise<Object|null>} - Documento del token o null
+ */
+personalAccessTokenSchema.statics.findActiveByToken = async function(token) {
+  const accessToken = await this.findOne({ tokenHash: this.hashToken(token), isRevoked: false });
+
+  if (!accessToken) return null;
+  if (accessToken.expiresAt && accessToken.expiresAt <= new Date()) return null;
+
+  return accessToken;
+};
+
+/**
+ * Método estático para revocar todos los tokens vigentes de un usuario
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<number>} - Tokens revocados
+ */
+personalAccessTokenSchema.statics.revokeAllForUser = async function(userId) {
+  const result = await this.updateMany(
+    { userId, isRevoked: false },
+    { isRevoked: true, revokedAt: new Date() }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Método de instancia para comprobar si el token tiene un alcance
+ * @param {string} scope - Alcance (ej: "posts:write")
+ * @returns {boolean}
+ */
+personalAccessTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Índice para listar los tokens de un usuario
+personalAccessTokenSchema.index({ userId: 1, isRevoked: 1, createdAt: -1 });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PersonalAccessToken:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único del token
+ *         name:
+ *           type: string
+ *           description: Nombre descriptivo del token
+ *         tokenPrefix:
+ *           type: string
+ *           description: Primeros caracteres del token para identificarlo
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [posts:read, posts:write, comments:read, comments:write, likes:read, likes:write]
+ *           description: Alcances concedidos
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Fecha de expiración (null si no expira)
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Último uso del token
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de creación
+ *       example:
+ *         _id: "507f1f77bcf86cd799439014"
+ *         name: "Bot de publicaciones"
+ *         tokenPrefix: "scpat_Xk3f9a"
+ *         scopes: ["posts:read", "posts:write"]
+ *         expiresAt: "2024-04-15T10:30:00Z"
+ *         lastUsedAt: null
+ *         createdAt: "2024-01-15T10:30:00Z"
+ */
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
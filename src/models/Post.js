@@ -68,6 +68,21 @@ const postSchema = new mongoose.Schema({
     }
   },
 
+  // Quién puede ver el post
+  // public: todos | unlisted: solo con el enlace | members_only: usuarios autenticados | private: solo el autor
+  visibility: {
+    type: String,
+    enum: ['public', 'unlisted', 'members_only', 'private'],
+    default: 'public'
+  },
+
+  // Copia de isPrivate del autor, para filtrar los listados sin consultar los usuarios
+  // Se mantiene al día con syncAuthorPrivacy (ver utils/visibility.js)
+  authorPrivate: {
+    type: Boolean,
+    default: false
+  },
+
   // Etiquetas/hashtags del post
   tags: [{
     type: String,
@@ -76,6 +91,27 @@ const postSchema = new mongoose.Schema({
     maxlength: [50, 'Cada etiqueta no puede exceder 50 caracteres']
   }],
 
+  // Menciones (@usuario) del contenido, con su posición en el texto
+  // Se recalculan cada vez que cambia el contenido (ver utils/mentions.js)
+  mentions: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    start: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    end: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+
   // Fecha de creación
   createdAt: {
     type: Date,
@@ -126,6 +162,19 @@ postSchema.pre('save', function(next) {
   next();
 });
 
+/**
+ * Middleware pre-save para copiar la privacidad del autor
+ * Se ejecuta antes de guardar un post nuevo
+ */
+postSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    const User = require('./User');
+    const author = await User.findById(this.userId).select('isPrivate');
+    this.authorPrivate = Boolean(author?.isPrivate);
+  }
+  next();
+});
+
 /**
  * Middleware post-save
  * Se ejecuta después de guardar un documento
@@ -177,14 +226,19 @@ postSchema.methods.decrementComments = function() {
 /**
  * Método estático para obtener posts de un usuario
  * @param {string} userId - ID del usuario
- * @param {Object} options - Opciones de paginación
+ * @param {Object} options - Opciones de paginación y visibilidades a incluir (visibilities, todas si se omite)
  * @returns {Promise} - Promesa que resuelve los posts del usuario
  */
 postSchema.statics.getPostsByUser = function(userId, options = {}) {
-  const { page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = options;
+  const { page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc', visibilities = null } = options;
   const skip = (page - 1) * limit;
 
-  return this.find({ userId, isActive: true })
+  const filters = { userId, isActive: true };
+  if (visibilities) {
+    filters.visibility = { $in: visibilities };
+  }
+
+  return this.find(filters)
     .populate('author', 'username firstName lastName profilePicture')
     .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
     .skip(skip)
@@ -193,14 +247,27 @@ postSchema.statics.getPostsByUser = function(userId, options = {}) {
 
 /**
  * Método estático para obtener posts recientes
- * @param {Object} options - Opciones de paginación
+ * @param {Object} options - Opciones de paginación, usuarios a excluir (excludeUserIds),
+ *                           visibilidades a incluir (visibilities, todas si se omite)
+ *                           y condiciones adicionales (conditions, se combinan con $and)
  * @returns {Promise} - Promesa que resuelve los posts recientes
  */
 postSchema.statics.getRecentPosts = function(options = {}) {
-  const { page = 1, limit = 10 } = options;
+  const { page = 1, limit = 10, excludeUserIds = [], visibilities = null, conditions = [] } = options;
   const skip = (page - 1) * limit;
 
-  return this.find({ isActive: true })
+  const filters = { isActive: true };
+  if (excludeUserIds.length > 0) {
+    filters.userId = { $nin: excludeUserIds };
+  }
+  if (visibilities) {
+    filters.visibility = { $in: visibilities };
+  }
+  if (conditions.length > 0) {
+    filters.$and = conditions;
+  }
+
+  return this.find(filters)
     .populate('author', 'username firstName lastName profilePicture')
     .sort({ createdAt: -1 })
     .skip(skip)
@@ -211,6 +278,7 @@ postSchema.statics.getRecentPosts = function(options = {}) {
 postSchema.index({ userId: 1, createdAt: -1 });
 postSchema.index({ createdAt: -1 });
 postSchema.index({ tags: 1 });
+postSchema.index({ 'mentions.userId': 1, createdAt: -1 });
 postSchema.index({ likesCount: -1 });
 
 /**
@@ -256,11 +324,27 @@ postSchema.index({ likesCount: -1 });
  *           type: string
  *           enum: [text, image, text_image]
  *           description: Tipo de contenido del post
+ *         visibility:
+ *           type: string
+ *           enum: [public, unlisted, members_only, private]
+ *           default: public
+ *           description: |
+ *             Quién puede ver el post: public (todos), unlisted (solo con el enlace, no aparece en listados),
+ *             members_only (usuarios autenticados) o private (solo el autor)
+ *         authorPrivate:
+ *           type: boolean
+ *           default: false
+ *           description: Si el autor tiene una cuenta privada (copia usada para filtrar los listados)
  *         tags:
  *           type: array
  *           items:
  *             type: string
  *           description: Etiquetas del post
+ *         mentions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Mention'
+ *           description: Usuarios mencionados en el contenido
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -278,9 +362,28 @@ postSchema.index({ likesCount: -1 });
  *         commentsCount: 3
  *         isActive: true
  *         contentType: "text_image"
+ *         visibility: "public"
  *         tags: ["hola", "primer-post", "socialconnect"]
+ *         mentions: []
  *         createdAt: "2024-01-15T10:30:00Z"
  *         updatedAt: "2024-01-15T10:30:00Z"
+ *     Mention:
+ *       type: object
+ *       description: Mención (@usuario) dentro del contenido de un post o comentario
+ *       properties:
+ *         userId:
+ *           type: string
+ *           description: ID del usuario mencionado
+ *         start:
+ *           type: integer
+ *           description: Posición de la @ en el contenido
+ *         end:
+ *           type: integer
+ *           description: Posición siguiente al último carácter del nombre de usuario
+ *       example:
+ *         userId: "507f1f77bcf86cd799439013"
+ *         start: 6
+ *         end: 12
  */
 
 module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
@@ -0,0 +1,71 @@
+// src/models/RefreshToken.js - Modelo para refresh tokens con rotación
+const mongoose = require('mongoose');
+
+/**
+ * Schema de Refresh Tokens
+ * Cada refresh token emitido se registra aquí para poder rotarlo y revocarlo.
+ * Los tokens que nacen del mismo login comparten una "familia": si un token
+ * ya usado vuelve a presentarse, se revoca la familia completa.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  // Usuario propietario del token
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es obligatorio'],
+    index: true
+  },
+
+  // Identificador único del token (claim jti del JWT)
+  jti: {
+    type: String,
+    required: [true, 'El identificador del token es obligatorio'],
+    unique: true
+  },
+
+  // Familia de tokens (todos los tokens rotados desde un mismo login)
+  family: {
+    type: String,
+    required: [true, 'La familia del token es obligatoria'],
+    index: true
+  },
+
+  // Indica si el token ya fue canjeado por uno nuevo
+  isUsed: {
+    type: Boolean,
+    default: false
+  },
+
+  // Indica si el token fue revocado (logout o reutilización detectada)
+  isRevoked: {
+    type: Boolean,
+    default: false
+  },
+
+  // jti del token que reemplazó a este en la rotación
+  replacedBy: {
+    type: String,
+    default: null
+  },
+
+  // Fecha de expiración del token (coincide con el claim exp)
+  expiresAt: {
+    type: Date,
+    required: [true, 'La fecha de expiración es obligatoria']
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Método estático para revocar todos los tokens de una familia
+ * @param {string} family - Familia a revocar
+ */
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany({ family, isRevoked: false }, { isRevoked: true });
+};
+
+// Índice TTL: MongoDB elimina los tokens automáticamente al expirar
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
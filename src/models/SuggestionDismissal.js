@@ -0,0 +1,34 @@
+// src/models/SuggestionDismissal.js - Modelo para las sugerencias de usuarios descartadas
+const mongoose = require('mongoose');
+
+/**
+ * Schema de Sugerencias descartadas
+ * Cada documento indica que un usuario (userId) no quiere que se le vuelva a sugerir otro (dismissedUserId).
+ */
+const suggestionDismissalSchema = new mongoose.Schema({
+  // Usuario que descarta la sugerencia
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es obligatorio']
+  },
+
+  // Usuario sugerido que se descarta
+  dismissedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario descartado es obligatorio']
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Índice compuesto para evitar descartes duplicados
+ */
+suggestionDismissalSchema.index({ userId: 1, dismissedUserId: 1 }, { unique: true });
+
+// Índice para limpiar los descartes de un usuario eliminado
+suggestionDismissalSchema.index({ dismissedUserId: 1 });
+
+module.exports = mongoose.model('SuggestionDismissal', suggestionDismissalSchema);
@@ -0,0 +1,55 @@
+// src/models/TagSubscription.js - Modelo para las suscripciones a etiquetas
+const mongoose = require('mongoose');
+
+/**
+ * Schema de Suscripciones a Etiquetas
+ * Los posts nuevos con una etiqueta llegan al timeline de los usuarios suscritos a ella.
+ */
+const tagSubscriptionSchema = new mongoose.Schema({
+  // Usuario suscrito
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es obligatorio']
+  },
+
+  // Etiqueta (se guarda igual que en los posts: en minúsculas y sin espacios alrededor)
+  tag: {
+    type: String,
+    required: [true, 'La etiqueta es obligatoria'],
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'La etiqueta no puede exceder 50 caracteres']
+  }
+}, {
+  timestamps: true
+});
+
+// Un usuario solo se suscribe una vez a cada etiqueta; el índice también sirve para listar las suyas
+tagSubscriptionSchema.index({ userId: 1, tag: 1 }, { unique: true });
+
+// Índice para encontrar los suscriptores de una etiqueta al publicar un post
+tagSubscriptionSchema.index({ tag: 1 });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TagSubscription:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         tag:
+ *           type: string
+ *           description: Etiqueta en minúsculas
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         _id: "507f1f77bcf86cd799439060"
+ *         tag: "javascript"
+ *         createdAt: "2024-01-15T10:30:00Z"
+ */
+
+module.exports = mongoose.model('TagSubscription', tagSubscriptionSchema);
@@ -0,0 +1,81 @@
+// src/models/TimelineEntry.js - Modelo para el timeline precalculado de cada usuario
+const mongoose = require('mongoose');
+
+/**
+ * Schema de Entradas del Timeline
+ * Cada post nuevo se copia al timeline de los usuarios a los que les interesa
+ * (fan-out al escribir), de modo que GET /api/feed/home solo lee las entradas del usuario.
+ */
+const timelineEntrySchema = new mongoose.Schema({
+  // Usuario propietario del timeline
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es obligatorio']
+  },
+
+  // Post que aparece en el timeline
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'El ID del post es obligatorio']
+  },
+
+  // Autor del post
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del autor es obligatorio']
+  },
+
+  // Motivo por el que el post está en el timeline
+  reason: {
+    type: String,
+    enum: ['own', 'following', 'engagement', 'tag'],
+    required: [true, 'El motivo es obligatorio']
+  },
+
+  // Etiqueta suscrita que trajo el post (solo con reason "tag")
+  tag: {
+    type: String,
+    default: null
+  },
+
+  // Fecha de publicación del post (orden del timeline)
+  postCreatedAt: {
+    type: Date,
+    required: [true, 'La fecha del post es obligatoria']
+  },
+
+  // Fecha a partir de la cual la entrada se elimina (FEED_RETENTION_DAYS)
+  expiresAt: {
+    type: Date,
+    required: [true, 'La fecha de expiración es obligatoria']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Un post aparece una sola vez en cada timeline
+timelineEntrySchema.index({ userId: 1, postId: 1 }, { unique: true });
+
+// Índice para leer el timeline en orden con paginación por cursor
+timelineEntrySchema.index({ userId: 1, postCreatedAt: -1, _id: -1 });
+
+// Índice para retirar un post de todos los timelines
+timelineEntrySchema.index({ postId: 1 });
+
+// Índice TTL: MongoDB elimina las entradas antiguas automáticamente
+timelineEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Campo virtual para obtener el post de la entrada
+ */
+timelineEntrySchema.virtual('post', {
+  ref: 'Post',
+  localField: 'postId',
+  foreignField: '_id',
+  justOne: true
+});
+
+module.exports = mongoose.model('TimelineEntry', timelineEntrySchema);
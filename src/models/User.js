@@ -1,6 +1,107 @@
 // src/models/User.js - Modelo de Usuario para MongoDB
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { ROLES, PERMISSIONS, getPermissionsFor, hasPermission } = require('../config/permissions');
+const { getPasswordPolicy } = require('../config/passwordPolicy');
+
+/**
+ * Schema de identidad vinculada
+ * Cada entrada representa una cuenta de un proveedor OAuth con la que el usuario puede iniciar sesión
+ */
+const identitySchema = new mongoose.Schema({
+  // Proveedor OAuth (ej: "google", "github")
+  provider: {
+    type: String,
+    required: [true, 'El proveedor es obligatorio'],
+    lowercase: true,
+    trim: true
+  },
+
+  // ID del usuario en el proveedor
+  providerId: {
+    type: String,
+    required: [true, 'El ID del proveedor es obligatorio']
+  },
+
+  // Email informado por el proveedor
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+
+  // Indica si el proveedor garantiza que el email está verificado
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  // Fecha en que se vinculó la identidad
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Schema de passkey (credencial WebAuthn)
+ * Guarda la clave pública del autenticador; la clave privada nunca sale del dispositivo
+ */
+const passkeySchema = new mongoose.Schema({
+  // ID de la credencial en base64url
+  credentialId: {
+    type: String,
+    required: [true, 'El ID de la credencial es obligatorio']
+  },
+
+  // Clave pública en formato SPKI (DER) codificada en base64url
+  publicKey: {
+    type: String,
+    required: [true, 'La clave pública es obligatoria']
+  },
+
+  // Algoritmo COSE de la clave (-7 ES256, -8 EdDSA, -257 RS256)
+  algorithm: {
+    type: Number,
+    required: [true, 'El algoritmo es obligatorio']
+  },
+
+  // Contador de firmas del autenticador (detecta autenticadores clonados)
+  signCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Transportes informados por el navegador (usb, nfc, ble, internal, hybrid...)
+  transports: {
+    type: [String],
+    default: []
+  },
+
+  // Nombre para identificar la passkey (ej: "Portátil del trabajo")
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'El nombre de la passkey no puede exceder 50 caracteres']
+  },
+
+  // Indica si la passkey está sincronizada en la nube del proveedor
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+
+  // Fecha del último login con la passkey
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
 
 /**
  * Schema del Usuario
@@ -28,16 +129,140 @@ const userSchema = new mongoose.Schema({
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Formato de email inválido']
   },
 
+  // Indica si el usuario confirmó la propiedad de su email
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  // Fecha en que se verificó el email
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Identificador (jti) del único enlace de verificación vigente
+  emailVerificationTokenId: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  // Fecha del último envío del email de verificación
+  emailVerificationSentAt: {
+    type: Date,
+    default: null
+  },
+
+  // Identificador (jti) del único enlace de acceso por email vigente
+  magicLinkTokenId: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  // Hash SHA-256 del token de restablecimiento de contraseña vigente
+  passwordResetTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  // Fecha de expiración del token de restablecimiento
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+
+  // Fecha de la última solicitud de restablecimiento (limita reenvíos)
+  passwordResetRequestedAt: {
+    type: Date,
+    default: null,
+    select: false
+  },
+
+  // Fecha del último restablecimiento; los tokens emitidos antes dejan de ser válidos
+  passwordResetAt: {
+    type: Date,
+    default: null
+  },
+
+  // Indica si la autenticación en dos pasos (TOTP) está activa
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+
+  // Fecha en que se activó la autenticación en dos pasos
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+
+  // Secreto TOTP en Base32 de la autenticación en dos pasos activa
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  // Secreto TOTP pendiente de confirmar con el primer código
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  // Hashes SHA-256 de los códigos de recuperación sin usar
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+
+  // Último paso de tiempo TOTP aceptado (impide reutilizar un código)
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
+
+  // Identificador (jti) del único desafío de login en dos pasos vigente
+  twoFactorChallengeId: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  // Intentos fallidos sobre el desafío vigente
+  twoFactorChallengeAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+
   // Contraseña del usuario (será hasheada)
   password: {
     type: String,
     required: function() {
-      // La contraseña es obligatoria solo si no hay OAuth provider
-      return !this.oauthProvider;
+      // La contraseña es obligatoria solo si no hay OAuth provider ni identidades vinculadas
+      return !this.oauthProvider && (!this.identities || this.identities.length === 0);
     },
     minlength: [6, 'La contraseña debe tener al menos 6 caracteres']
   },
 
+  // Hashes de las contraseñas anteriores (la más reciente primero) para impedir su reutilización
+  passwordHistory: {
+    type: [{
+      _id: false,
+      hash: { type: String, required: true },
+      changedAt: { type: Date, default: Date.now }
+    }],
+    default: [],
+    select: false
+  },
+
   // Nombre real del usuario
   firstName: {
     type: String,
@@ -78,6 +303,25 @@ const userSchema = new mongoose.Schema({
     }
   },
 
+  // Contadores de seguidores y seguidos (se actualizan desde el modelo Follow)
+  followersCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El contador de seguidores no puede ser negativo']
+  },
+
+  followingCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El contador de seguidos no puede ser negativo']
+  },
+
+  // Cuenta privada: solo los seguidores aprobados ven su contenido
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+
   // Fecha de creación de la cuenta
   createdAt: {
     type: Date,
@@ -96,7 +340,69 @@ const userSchema = new mongoose.Schema({
     default: true
   },
 
+  // Fecha en que el usuario solicitó eliminar su cuenta
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Fecha a partir de la cual se borran los datos (fin del periodo de gracia)
+  deletionScheduledFor: {
+    type: Date,
+    default: null,
+    index: true
+  },
+
+  // Identificador (jti) del único enlace de reactivación vigente
+  reactivationTokenId: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  // Fecha de la última solicitud del enlace de reactivación (limita reenvíos)
+  reactivationRequestedAt: {
+    type: Date,
+    default: null,
+    select: false
+  },
+
+  // Fecha en que el proceso de borrado empezó a procesar la cuenta
+  erasureStartedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Fecha en que se completó el borrado (la cuenta queda anonimizada)
+  erasedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Rol del usuario (define sus permisos base)
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Rol inválido: {VALUE}'
+    },
+    default: 'user'
+  },
+
+  // Permisos concedidos individualmente además de los del rol
+  permissions: {
+    type: [{
+      type: String,
+      enum: {
+        values: PERMISSIONS,
+        message: 'Permiso inválido: {VALUE}'
+      }
+    }],
+    default: []
+  },
+
   // Información para OAuth (Google, GitHub, etc.)
+  // Campo antiguo: las cuentas nuevas guardan sus proveedores en identities
   oauthProvider: {
     type: String,
     enum: ['google', 'github', null],
@@ -109,6 +415,24 @@ const userSchema = new mongoose.Schema({
     default: null
   },
 
+  // Identidades OAuth vinculadas (una por proveedor)
+  identities: {
+    type: [identitySchema],
+    default: []
+  },
+
+  // Passkeys registradas para iniciar sesión sin contraseña
+  passkeys: {
+    type: [passkeySchema],
+    default: []
+  },
+
+  // Usuario invitado del modo demo (ver src/config/authPolicy.js)
+  isGuest: {
+    type: Boolean,
+    default: false
+  },
+
   // Fecha de último login
   lastLogin: {
     type: Date,
@@ -119,8 +443,28 @@ const userSchema = new mongoose.Schema({
   timestamps: true,     // Añade automáticamente createdAt y updatedAt
   toJSON: {            // Configuración para cuando se convierte a JSON
     transform: function(doc, ret) {
-      // Eliminar la contraseña del objeto cuando se envía como respuesta
+      // Eliminar la contraseña y datos internos del objeto cuando se envía como respuesta
       delete ret.password;
+      delete ret.passwordHistory;
+      delete ret.emailVerificationTokenId;
+      delete ret.magicLinkTokenId;
+      delete ret.reactivationTokenId;
+      delete ret.reactivationRequestedAt;
+      delete ret.passwordResetTokenHash;
+      delete ret.passwordResetExpires;
+      delete ret.passwordResetRequestedAt;
+      delete ret.twoFactorSecret;
+      delete ret.twoFactorPendingSecret;
+      delete ret.twoFactorRecoveryCodes;
+      delete ret.twoFactorLastUsedStep;
+      delete ret.twoFactorChallengeId;
+      delete ret.twoFactorChallengeAttempts;
+      // Las passkeys solo se consultan desde GET /api/users/profile/passkeys
+      delete ret.passkeys;
+      // El ID del usuario en cada proveedor no se expone
+      if (ret.identities) {
+        ret.identities = ret.identities.map(({ providerId, ...identity }) => identity);
+      }
       return ret;
     }
   }
@@ -132,8 +476,8 @@ const userSchema = new mongoose.Schema({
  * Hashea la contraseña si ha sido modificada
  */
 userSchema.pre('save', async function(next) {
-  // Si la contraseña no ha sido modificada, continúa
-  if (!this.isModified('password')) return next();
+  // Si la contraseña no ha sido modificada (o se eliminó), continúa
+  if (!this.isModified('password') || !this.password) return next();
 
   try {
     // Generar salt (valor aleatorio para hacer el hash más seguro)
@@ -161,6 +505,50 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Método de instancia para cambiar la contraseña guardando la anterior en el historial
+ * Se conservan las PASSWORD_HISTORY_SIZE - 1 anteriores: junto con la actual suman las
+ * últimas N contraseñas que no se pueden reutilizar.
+ * Requiere cargar el documento con +passwordHistory y guardarlo después de llamarlo.
+ * @param {string} newPassword - Nueva contraseña en texto plano (se hashea en el pre-save)
+ */
+userSchema.methods.setPassword = function(newPassword) {
+  const { historySize } = getPasswordPolicy();
+
+  if (this.password && historySize > 1) {
+    this.passwordHistory = [
+      { hash: this.password, changedAt: new Date() },
+      ...(this.passwordHistory || [])
+    ].slice(0, historySize - 1);
+  } else {
+    this.passwordHistory = [];
+  }
+
+  this.password = newPassword;
+};
+
+/**
+ * Método de instancia para comprobar si una contraseña es una de las últimas N usadas
+ * Requiere cargar el documento con +passwordHistory.
+ * @param {string} candidatePassword - Contraseña en texto plano
+ * @returns {Promise<boolean>} - True si ya se usó
+ */
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  const { historySize } = getPasswordPolicy();
+  if (historySize === 0) return false;
+
+  const hashes = [
+    this.password,
+    ...(this.passwordHistory || []).slice(0, historySize - 1).map(entry => entry.hash)
+  ].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) return true;
+  }
+
+  return false;
+};
+
 /**
  * Método de instancia para obtener el nombre completo
  * @returns {string} - Nombre completo del usuario
@@ -177,11 +565,460 @@ userSchema.methods.updateLastLogin = function() {
   return this.save();
 };
 
+/**
+ * Método de instancia para generar un enlace de verificación de email
+ * El token está firmado y solo es válido mientras su jti coincida con el guardado,
+ * por lo que cada nuevo envío invalida los enlaces anteriores (uso único).
+ * Requiere guardar el documento después de llamarlo.
+ * @returns {string} - Token de verificación firmado
+ */
+userSchema.methods.createEmailVerificationToken = function() {
+  const jti = crypto.randomUUID();
+
+  this.emailVerificationTokenId = jti;
+  this.emailVerificationSentAt = new Date();
+
+  return jwt.sign(
+    { id: this._id, email: this.email, type: 'email_verification' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h', jwtid: jti }
+  );
+};
+
+/**
+ * Método de instancia para marcar el email como verificado
+ * Consume el enlace de verificación vigente
+ */
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationTokenId = null;
+  return this.save();
+};
+
+/**
+ * Método de instancia para generar un enlace de acceso sin contraseña (magic link)
+ * Igual que el enlace de verificación, solo es válido mientras su jti coincida con
+ * el guardado: cada nuevo envío invalida el anterior y el login lo consume.
+ * Requiere guardar el documento después de llamarlo.
+ * @returns {string} - Token de acceso firmado
+ */
+userSchema.methods.createMagicLinkToken = function() {
+  const jti = crypto.randomUUID();
+
+  this.magicLinkTokenId = jti;
+
+  return jwt.sign(
+    { id: this._id, email: this.email, type: 'magic_link' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.MAGIC_LINK_EXPIRE || '15m', jwtid: jti }
+  );
+};
+
+/**
+ * Método de instancia para programar la eliminación de la cuenta
+ * La cuenta se desactiva de inmediato y sus datos se borran al terminar el periodo de gracia.
+ * Requiere guardar el documento después de llamarlo.
+ * @param {number} graceDays - Días durante los que se puede reactivar
+ */
+userSchema.methods.scheduleDeletion = function(graceDays) {
+  const now = new Date();
+
+  this.isActive = false;
+  this.deletionRequestedAt = now;
+  this.deletionScheduledFor = new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Método de instancia para indicar si la cuenta está en el periodo de gracia de su eliminación
+ * @returns {boolean} - True si aún se puede reactivar
+ */
+userSchema.methods.isPendingDeletion = function() {
+  return !this.isActive && !this.erasureStartedAt && !this.erasedAt &&
+    Boolean(this.deletionScheduledFor) && this.deletionScheduledFor > new Date();
+};
+
+/**
+ * Método de instancia para generar el enlace de reactivación de una cuenta pendiente de eliminación
+ * Caduca al terminar el periodo de gracia y solo es válido mientras su jti coincida con el guardado.
+ * Requiere guardar el documento después de llamarlo.
+ * @returns {string} - Token de reactivación firmado
+ */
+userSchema.methods.createReactivationToken = function() {
+  const jti = crypto.randomUUID();
+  const secondsLeft = Math.floor((this.deletionScheduledFor.getTime() - Date.now()) / 1000);
+
+  this.reactivationTokenId = jti;
+
+  return jwt.sign(
+    { id: this._id, type: 'account_reactivation' },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(secondsLeft, 1), jwtid: jti }
+  );
+};
+
+/**
+ * Método estático para obtener el hash de un token de restablecimiento
+ * Solo se guarda el hash: una filtración de la base de datos no expone tokens utilizables
+ * @param {string} token - Token en texto plano
+ * @returns {string} - Hash SHA-256 en hexadecimal
+ */
+userSchema.statics.hashResetToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Método de instancia para generar un token de restablecimiento de contraseña
+ * Reemplaza cualquier token anterior. Requiere guardar el documento después de llamarlo.
+ * @returns {string} - Token en texto plano (solo se envía por email)
+ */
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.passwordResetTokenHash = this.constructor.hashResetToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  this.passwordResetRequestedAt = new Date();
+
+  return token;
+};
+
+/**
+ * Método de instancia para indicar si un token JWT se emitió antes del último restablecimiento
+ * @param {number} issuedAt - Claim iat del token (segundos)
+ * @returns {boolean} - True si el token ya no debe aceptarse
+ */
+userSchema.methods.isTokenIssuedBeforeReset = function(issuedAt) {
+  if (!this.passwordResetAt || !issuedAt) return false;
+  return issuedAt * 1000 < this.passwordResetAt.getTime();
+};
+
+/**
+ * Método de instancia para obtener los datos del usuario que se devuelven al iniciar sesión
+ * @returns {Object} - Datos públicos del usuario autenticado
+ */
+userSchema.methods.getLoginProfile = function() {
+  return {
+    _id: this._id,
+    username: this.username,
+    email: this.email,
+    firstName: this.firstName,
+    lastName: this.lastName,
+    profilePicture: this.profilePicture,
+    bio: this.bio,
+    emailVerified: this.emailVerified,
+    twoFactorEnabled: this.twoFactorEnabled,
+    role: this.role,
+    lastLogin: this.lastLogin
+  };
+};
+
+/**
+ * Método de instancia para obtener los permisos efectivos (rol + individuales)
+ * @returns {string[]} - Lista de permisos
+ */
+userSchema.methods.getPermissions = function() {
+  return getPermissionsFor(this);
+};
+
+/**
+ * Método de instancia para comprobar si el usuario tiene un permiso
+ * @param {string} permission - Permiso (ej: "posts:delete:any")
+ * @returns {boolean}
+ */
+userSchema.methods.hasPermission = function(permission) {
+  return hasPermission(this, permission);
+};
+
+/**
+ * Método estático para obtener el hash de un código de recuperación
+ * Se normaliza (minúsculas, sin guiones ni espacios) para aceptar el código tal como se escriba
+ * @param {string} code - Código de recuperación en texto plano
+ * @returns {string} - Hash SHA-256 en hexadecimal
+ */
+userSchema.statics.hashRecoveryCode = function(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Método de instancia para generar nuevos códigos de recuperación
+ * Reemplaza los anteriores y solo guarda sus hashes. Requiere guardar el documento después.
+ * @returns {string[]} - Códigos en texto plano (solo se muestran una vez)
+ */
+userSchema.methods.generateRecoveryCodes = function() {
+  const count = parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10;
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(code => this.constructor.hashRecoveryCode(code));
+
+  return codes;
+};
+
+/**
+ * Método de instancia para verificar un código de la autenticación en dos pasos
+ * Acepta un código TOTP (que no se haya usado antes) o un código de recuperación,
+ * que se consume al usarse. Requiere haber seleccionado los campos twoFactor* ocultos
+ * y guardar el documento después.
+ * @param {string} code - Código TOTP o de recuperación
+ * @returns {string|null} - 'totp', 'recovery' o null si el código no es válido
+ */
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  const { verifyTotp } = require('../utils/totp');
+
+  if (!this.twoFactorEnabled || !this.twoFactorSecret) {
+    return null;
+  }
+
+  const step = verifyTotp(this.twoFactorSecret, code, {
+    afterStep: this.twoFactorLastUsedStep ?? -1
+  });
+
+  if (step !== null) {
+    this.twoFactorLastUsedStep = step;
+    return 'totp';
+  }
+
+  const hash = this.constructor.hashRecoveryCode(code);
+  const recoveryCodes = this.twoFactorRecoveryCodes || [];
+
+  if (recoveryCodes.includes(hash)) {
+    this.twoFactorRecoveryCodes = recoveryCodes.filter(stored => stored !== hash);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+/**
+ * Método de instancia para generar el desafío del segundo paso del login
+ * El token es de corta duración y solo es válido mientras su jti coincida con el guardado.
+ * Requiere guardar el documento después de llamarlo.
+ * @returns {string} - Token de desafío firmado
+ */
+userSchema.methods.createTwoFactorChallengeToken = function() {
+  const jti = crypto.randomUUID();
+
+  this.twoFactorChallengeId = jti;
+  this.twoFactorChallengeAttempts = 0;
+
+  return jwt.sign(
+    { id: this._id, type: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m', jwtid: jti }
+  );
+};
+
+/**
+ * Método de instancia para desactivar la autenticación en dos pasos
+ * Requiere guardar el documento después de llamarlo.
+ */
+userSchema.methods.clearTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorEnabledAt = null;
+  this.twoFactorSecret = null;
+  this.twoFactorPendingSecret = null;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorLastUsedStep = null;
+  this.twoFactorChallengeId = null;
+  this.twoFactorChallengeAttempts = 0;
+};
+
+/**
+ * Método estático para buscar al usuario dueño de una identidad OAuth
+ * También encuentra cuentas antiguas que solo tienen oauthProvider/oauthId.
+ * @param {string} provider - Proveedor OAuth
+ * @param {string} providerId - ID del usuario en el proveedor
+ * @returns {Promise<Object|null>} - Usuario o null
+ */
+userSchema.statics.findByIdentity = function(provider, providerId) {
+  return this.findOne({
+    $or: [
+      { identities: { $elemMatch: { provider, providerId: String(providerId) } } },
+      { oauthProvider: provider, oauthId: String(providerId) }
+    ]
+  });
+};
+
+/**
+ * Método de instancia para obtener la identidad vinculada de un proveedor
+ * @param {string} provider - Proveedor OAuth
+ * @returns {Object|null} - Identidad o null si no está vinculada
+ */
+userSchema.methods.getIdentity = function(provider) {
+  const identity = (this.identities || []).find(item => item.provider === provider);
+  if (identity) return identity;
+
+  // Cuentas creadas antes de existir las identidades vinculadas
+  if (this.oauthProvider === provider && this.oauthId) {
+    return { provider, providerId: this.oauthId, email: null, emailVerified: false, linkedAt: this.createdAt };
+  }
+
+  return null;
+};
+
+/**
+ * Método de instancia para listar las identidades vinculadas
+ * Incluye la identidad antigua de oauthProvider/oauthId si aún no se migró
+ * @returns {Object[]} - Identidades sin el ID del proveedor
+ */
+userSchema.methods.getLinkedIdentities = function() {
+  const providers = new Set((this.identities || []).map(identity => identity.provider));
+  if (this.oauthProvider && this.oauthId) providers.add(this.oauthProvider);
+
+  return [...providers].map(provider => {
+    const identity = this.getIdentity(provider);
+    return {
+      provider,
+      email: identity.email,
+      linkedAt: identity.linkedAt
+    };
+  });
+};
+
+/**
+ * Método de instancia para vincular una identidad OAuth
+ * Si el proveedor ya estaba vinculado, actualiza sus datos.
+ * Requiere guardar el documento después de llamarlo.
+ * @param {Object} identity - { provider, providerId, email, emailVerified }
+ */
+userSchema.methods.addIdentity = function({ provider, providerId, email = null, emailVerified = false }) {
+  const existing = (this.identities || []).find(item => item.provider === provider);
+
+  if (existing) {
+    existing.providerId = String(providerId);
+    existing.email = email;
+    existing.emailVerified = emailVerified;
+    return;
+  }
+
+  this.identities.push({ provider, providerId: String(providerId), email, emailVerified });
+};
+
+/**
+ * Método de instancia para desvincular una identidad OAuth
+ * Limpia también los campos antiguos oauthProvider/oauthId si corresponden al proveedor.
+ * Requiere guardar el documento después de llamarlo.
+ * @param {string} provider - Proveedor OAuth
+ */
+userSchema.methods.removeIdentity = function(provider) {
+  this.identities = (this.identities || []).filter(item => item.provider !== provider);
+
+  if (this.oauthProvider === provider) {
+    this.oauthProvider = null;
+    this.oauthId = null;
+  }
+};
+
+/**
+ * Método de instancia para generar el token que autoriza vincular un proveedor
+ * Se envía como parámetro "link" al iniciar el flujo OAuth desde el navegador.
+ * Solo es válido en la sesión que guardó el mismo nonce al pedir la vinculación.
+ * @param {string} provider - Proveedor OAuth
+ * @param {string} nonce - Nonce de un solo uso guardado en la sesión del navegador
+ * @returns {string} - Token de vinculación firmado
+ */
+userSchema.methods.createOAuthLinkToken = function(provider, nonce) {
+  return jwt.sign(
+    { id: this._id, type: 'oauth_link', provider, nonce },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.OAUTH_LINK_EXPIRE || '10m' }
+  );
+};
+
+/**
+ * Método de instancia para contar los métodos de inicio de sesión disponibles
+ * (contraseña, cada identidad OAuth vinculada y cada passkey)
+ * Requiere que el documento se haya cargado con el campo password.
+ * @returns {number}
+ */
+userSchema.methods.countLoginMethods = function() {
+  return (this.password ? 1 : 0) + this.getLinkedIdentities().length + (this.passkeys || []).length;
+};
+
+/**
+ * Método de instancia para obtener el identificador del usuario en WebAuthn (user.id / userHandle)
+ * Son los 12 bytes del ObjectId: no contiene datos personales
+ * @returns {string} - Identificador en base64url
+ */
+userSchema.methods.getWebAuthnUserHandle = function() {
+  return Buffer.from(this._id.toString(), 'hex').toString('base64url');
+};
+
+/**
+ * Método de instancia para listar las passkeys sin su clave pública
+ * @returns {Object[]}
+ */
+userSchema.methods.getPasskeys = function() {
+  return (this.passkeys || []).map(passkey => ({
+    _id: passkey._id,
+    name: passkey.name,
+    transports: passkey.transports,
+    backedUp: passkey.backedUp,
+    createdAt: passkey.createdAt,
+    lastUsedAt: passkey.lastUsedAt
+  }));
+};
+
+/**
+ * Método estático para buscar al usuario dueño de una passkey
+ * @param {string} credentialId - ID de la credencial en base64url
+ * @returns {Promise<Object|null>} - Usuario o null
+ */
+userSchema.statics.findByPasskey = function(credentialId) {
+  return this.findOne({ 'passkeys.credentialId': credentialId });
+};
+
+/**
+ * Método estático para obtener el usuario invitado del modo demo (lo crea si no existe)
+ * Tiene una contraseña aleatoria que no se guarda en ningún sitio, así que no se puede iniciar sesión con él.
+ * @returns {Promise<Object>} - Usuario invitado
+ */
+userSchema.statics.findOrCreateGuest = async function() {
+  const username = process.env.DEMO_GUEST_USERNAME || 'demo_guest';
+
+  const guest = await this.findOne({ username, isGuest: true });
+  if (guest) return guest;
+
+  try {
+    return await this.create({
+      username,
+      email: `${username}@demo.local`,
+      password: crypto.randomBytes(32).toString('hex'),
+      firstName: 'Invitado',
+      lastName: 'Demo',
+      emailVerified: true,
+      isGuest: true
+    });
+  } catch (error) {
+    // Otra petición lo creó al mismo tiempo
+    if (error.code === 11000) {
+      return this.findOne({ username, isGuest: true });
+    }
+    throw error;
+  }
+};
+
 // Crear índices para mejorar el rendimiento de las consultas
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ createdAt: -1 });
 
+// Una identidad OAuth solo puede pertenecer a un usuario
+userSchema.index(
+  { 'identities.provider': 1, 'identities.providerId': 1 },
+  { unique: true, partialFilterExpression: { 'identities.providerId': { $exists: true } } }
+);
+
+// Una passkey solo puede pertenecer a un usuario
+userSchema.index(
+  { 'passkeys.credentialId': 1 },
+  { unique: true, partialFilterExpression: { 'passkeys.credentialId': { $exists: true } } }
+);
+
 /**
  * @swagger
  * components:
@@ -222,9 +1059,50 @@ userSchema.index({ createdAt: -1 });
  *           type: string
  *           description: Biografía del usuario
  *           maxLength: 500
+ *         followersCount:
+ *           type: integer
+ *           description: Número de seguidores
+ *         followingCount:
+ *           type: integer
+ *           description: Número de usuarios a los que sigue
+ *         isPrivate:
+ *           type: boolean
+ *           description: Cuenta privada (solo los seguidores aprobados ven su contenido)
  *         isActive:
  *           type: boolean
  *           description: Estado de la cuenta
+ *         role:
+ *           type: string
+ *           enum: [user, moderator, admin]
+ *           description: Rol del usuario
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Permisos concedidos individualmente además de los del rol
+ *         emailVerified:
+ *           type: boolean
+ *           description: Indica si el email fue verificado
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           description: Indica si la autenticación en dos pasos está activa
+ *         identities:
+ *           type: array
+ *           description: Proveedores OAuth vinculados a la cuenta
+ *           items:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 example: "github"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               emailVerified:
+ *                 type: boolean
+ *               linkedAt:
+ *                 type: string
+ *                 format: date-time
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -246,8 +1124,35 @@ userSchema.index({ createdAt: -1 });
  *         profilePicture: "https://example.com/profile.jpg"
  *         bio: "Desarrollador full-stack apasionado por la tecnología"
  *         isActive: true
+ *         role: "user"
+ *         permissions: []
+ *         emailVerified: true
+ *         twoFactorEnabled: false
  *         createdAt: "2024-01-15T10:30:00Z"
  *         updatedAt: "2024-01-15T10:30:00Z"
+ *     Passkey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID de la passkey
+ *         name:
+ *           type: string
+ *           example: "Portátil del trabajo"
+ *         transports:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["internal", "hybrid"]
+ *         backedUp:
+ *           type: boolean
+ *           description: Indica si la passkey está sincronizada en la nube del proveedor
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
  */
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,217 @@
+// src/models/UserSession.js - Modelo para el registro de sesiones activas
+const mongoose = require('mongoose');
+
+/**
+ * Schema de Sesiones de Usuario
+ * Cada login (password u OAuth) crea una sesión con información del dispositivo.
+ * El ID de la sesión viaja en el access token (claim sid) y se usa como familia
+ * de los refresh tokens, de modo que revocar la sesión invalida ambos tokens.
+ *
+ * Nota: el modelo no se llama "Session" para no chocar con la colección
+ * "sessions" que usa express-session (connect-mongo).
+ */
+const userSessionSchema = new mongoose.Schema({
+  // Usuario propietario de la sesión
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es obligatorio'],
+    index: true
+  },
+
+  // Descripción legible del dispositivo (ej: "Chrome en Windows")
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'El nombre del dispositivo no puede exceder 100 caracteres'],
+    default: 'Dispositivo desconocido'
+  },
+
+  // User agent completo del cliente
+  userAgent: {
+    type: String,
+    maxlength: [500, 'El user agent no puede exceder 500 caracteres'],
+    default: null
+  },
+
+  // Dirección IP desde la que se inició o usó la sesión por última vez
+  ipAddress: {
+    type: String,
+    default: null
+  },
+
+  // Última vez que se usó la sesión
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Indica si la sesión fue revocada (logout, cierre remoto o reutilización de token)
+  isRevoked: {
+    type: Boolean,
+    default: false
+  },
+
+  // Fecha de revocación
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Expiración del último refresh token emitido en la sesión (se amplía en cada rotación)
+  // Pasada esta fecha la sesión ya no se puede usar, esté revocada o no
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Obtiene una descripción legible del dispositivo a partir del user agent
+ * @param {string} userAgent - User agent del cliente
+ * @returns {string} - Descripción del dispositivo
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Dispositivo desconocido';
+  }
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, regex]) => regex.test(userAgent));
+  const system = systems.find(([, regex]) => regex.test(userAgent));
+
+  if (!browser && !system) {
+    return userAgent.substring(0, 100);
+  }
+
+  if (!browser) return system[0];
+  if (!system) return browser[0];
+  return `${browser[0]} en ${system[0]}`;
+};
+
+/**
+ * Método estático para crear una sesión a partir de la petición HTTP
+ * @param {string} userId - ID del usuario
+ * @param {Object} req - Objeto de petición de Express (opcional)
+ */
+userSessionSchema.statics.createFromRequest = function(userId, req) {
+  const userAgent = req?.get?.('user-agent') || null;
+
+  return this.create({
+    userId,
+    device: describeDevice(userAgent),
+    userAgent: userAgent ? userAgent.substring(0, 500) : null,
+    ipAddress: req?.ip || null
+  });
+};
+
+/**
+ * Método estático para registrar actividad en una sesión
+ * @param {string} sessionId - ID de la sesión
+ * @param {Object} req - Objeto de petición de Express (opcional)
+ */
+userSessionSchema.statics.touch = function(sessionId, req) {
+  const update = { lastSeenAt: new Date() };
+  if (req?.ip) {
+    update.ipAddress = req.ip;
+  }
+
+  return this.updateOne({ _id: sessionId, isRevoked: false }, update);
+};
+
+/**
+ * Método estático para revocar una sesión y todos sus refresh tokens
+ * @param {string} sessionId - ID de la sesión (también es la familia de refresh tokens)
+ */
+userSessionSchema.statics.revokeSession = async function(sessionId) {
+  const RefreshToken = require('./RefreshToken');
+
+  if (mongoose.isValidObjectId(sessionId)) {
+    await this.updateOne(
+      { _id: sessionId, isRevoked: false },
+      { isRevoked: true, revokedAt: new Date() }
+    );
+  }
+
+  await RefreshToken.revokeFamily(sessionId.toString());
+};
+
+/**
+ * Método estático para revocar todas las sesiones de un usuario
+ * Invalida también todos sus refresh tokens
+ * @param {string} userId - ID del usuario
+ */
+userSessionSchema.statics.revokeAllForUser = async function(userId) {
+  const RefreshToken = require('./RefreshToken');
+
+  await this.updateMany(
+    { userId, isRevoked: false },
+    { isRevoked: true, revokedAt: new Date() }
+  );
+
+  await RefreshToken.updateMany({ userId, isRevoked: false }, { isRevoked: true });
+};
+
+// Índice para listar las sesiones activas de un usuario
+userSessionSchema.index({ userId: 1, isRevoked: 1, lastSeenAt: -1 });
+
+// Índice TTL: MongoDB elimina las sesiones (activas o revocadas) cuando caduca su último refresh token
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UserSession:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único de la sesión
+ *         device:
+ *           type: string
+ *           description: Descripción del dispositivo
+ *         userAgent:
+ *           type: string
+ *           description: User agent del cliente
+ *         ipAddress:
+ *           type: string
+ *           description: Última IP conocida
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *           description: Última actividad registrada
+ *         current:
+ *           type: boolean
+ *           description: Indica si es la sesión de la petición actual
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de inicio de la sesión
+ *       example:
+ *         _id: "507f1f77bcf86cd799439013"
+ *         device: "Chrome en Windows"
+ *         userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) ..."
+ *         ipAddress: "203.0.113.10"
+ *         lastSeenAt: "2024-01-15T12:00:00Z"
+ *         current: true
+ *         createdAt: "2024-01-15T10:30:00Z"
+ */
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
@@ -0,0 +1,91 @@
+// src/models/WebAuthnChallenge.js - Modelo para los desafíos de registro y login con passkeys
+const mongoose = require('mongoose');
+const { generateChallenge } = require('../utils/webauthn');
+
+/**
+ * Schema de Desafíos WebAuthn
+ * Cada ceremonia (registro o login) usa un desafío aleatorio de un solo uso y corta duración.
+ * El navegador lo devuelve firmado dentro de clientDataJSON, así que el cliente no necesita
+ * enviar ningún identificador adicional para completarla.
+ */
+const webAuthnChallengeSchema = new mongoose.Schema({
+  // Desafío en base64url
+  challenge: {
+    type: String,
+    required: [true, 'El desafío es obligatorio'],
+    unique: true
+  },
+
+  // Ceremonia a la que pertenece
+  type: {
+    type: String,
+    enum: ['registration', 'authentication'],
+    required: [true, 'El tipo de desafío es obligatorio']
+  },
+
+  // Usuario que registra la passkey (null en el login, donde aún no se conoce al usuario)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Fecha en que se usó el desafío
+  usedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Fecha de expiración
+  expiresAt: {
+    type: Date,
+    required: [true, 'La fecha de expiración es obligatoria']
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Obtiene la duración de los desafíos en milisegundos (WEBAUTHN_CHALLENGE_EXPIRE_SECONDS, 300 por defecto)
+ * @returns {number}
+ */
+webAuthnChallengeSchema.statics.getTimeoutMs = function() {
+  return (parseInt(process.env.WEBAUTHN_CHALLENGE_EXPIRE_SECONDS, 10) || 300) * 1000;
+};
+
+/**
+ * Método estático para emitir un desafío nuevo
+ * @param {Object} params - { type, userId }
+ * @returns {Promise<string>} - Desafío en base64url
+ */
+webAuthnChallengeSchema.statics.issue = async function({ type, userId = null }) {
+  const challenge = generateChallenge();
+
+  await this.create({
+    challenge,
+    type,
+    userId,
+    expiresAt: new Date(Date.now() + this.getTimeoutMs())
+  });
+
+  return challenge;
+};
+
+/**
+ * Método estático para consumir un desafío
+ * El desafío se marca como usado de forma atómica: una respuesta repetida siempre falla.
+ * @param {Object} params - { challenge, type, userId }
+ * @returns {Promise<Object|null>} - Documento del desafío o null si no es válido
+ */
+webAuthnChallengeSchema.statics.consume = function({ challenge, type, userId = null }) {
+  return this.findOneAndUpdate(
+    { challenge, type, userId, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Índice TTL: MongoDB elimina los desafíos automáticamente al expirar
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
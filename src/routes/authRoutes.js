@@ -1,13 +1,39 @@
 // src/routes/authRoutes.js - Rutas OAuth sin debug
 const express = require('express');
 const router = express.Router();
-const { passport, handleOAuthSuccess, handleOAuthFailure } = require('../middleware/oauth');
+const {
+  passport,
+  captureLinkRequest,
+  captureClientRequest,
+  authenticateGenericProvider,
+  handleOAuthSuccess,
+  handleOAuthFailure
+} = require('../middleware/oauth');
+const { getGenericProviders } = require('../config/oauthProviders');
+const {
+  refreshTokens,
+  exchangeAuthorizationCode,
+  requestMagicLink,
+  verifyMagicLink,
+  logout,
+  linkProvider,
+  unlinkProvider
+} = require('../controllers/authController');
+const { authenticate, denyPersonalAccessTokens } = require('../middleware/auth');
+const {
+  validateRefreshToken,
+  validateCodeExchange,
+  validateMagicLinkRequest,
+  validateMagicLinkVerify,
+  validateLogout,
+  validateOAuthProvider
+} = require('../validators/authValidators');
 
 /**
  * @swagger
  * tags:
  *   name: Authentication
- *   description: Autenticación OAuth con Google y GitHub
+ *   description: Autenticación OAuth con Google, GitHub y proveedores OpenID Connect configurados
  */
 
 /**
@@ -39,14 +65,24 @@ router.get('/', (req, res) => {
         configured: githubConfigured,
         endpoint: githubConfigured ? `${baseUrl}/api/auth/github` : 'No configurado',
         status: githubConfigured ? 'Disponible ✅' : 'No disponible ❌'
-      }
+      },
+      ...Object.fromEntries(getGenericProviders().map(provider => [provider.name, {
+        configured: true,
+        displayName: provider.displayName,
+        endpoint: `${baseUrl}/api/auth/${provider.name}`,
+        status: 'Disponible ✅'
+      }]))
     },
     endpoints: {
       googleOAuth: `${baseUrl}/api/auth/google`,
       githubOAuth: `${baseUrl}/api/auth/github`,
       status: `${baseUrl}/api/auth/status`,
       test: `${baseUrl}/api/auth/test`,
-      logout: `${baseUrl}/api/auth/logout`
+      exchange: `${baseUrl}/api/auth/exchange`,
+      magicLink: `${baseUrl}/api/auth/magic-link`,
+      refresh: `${baseUrl}/api/auth/refresh`,
+      logout: `${baseUrl}/api/auth/logout`,
+      link: `${baseUrl}/api/auth/link/:provider`
     },
     usage: {
       google: 'Visita /api/auth/google para iniciar sesión con Google',
@@ -63,13 +99,42 @@ router.get('/', (req, res) => {
  *     summary: Iniciar autenticación con Google OAuth
  *     tags: [Authentication]
  *     description: Redirige al usuario a Google para autorización
+ *     parameters:
+ *       - in: query
+ *         name: link
+ *         schema:
+ *           type: string
+ *         description: Token de vinculación emitido por POST /api/auth/link/google (solo para vincular)
+ *       - in: query
+ *         name: code_challenge
+ *         schema:
+ *           type: string
+ *         description: Desafío PKCE; el code_verifier será obligatorio en POST /api/auth/exchange
+ *       - in: query
+ *         name: code_challenge_method
+ *         schema:
+ *           type: string
+ *           enum: [S256, plain]
+ *           default: S256
+ *       - in: query
+ *         name: redirect_uri
+ *         schema:
+ *           type: string
+ *         description: URL del cliente que recibirá el código (debe estar en OAUTH_REDIRECT_URIS)
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Valor opaco que se devuelve al cliente junto al código
  *     responses:
  *       302:
  *         description: Redirección a Google OAuth
+ *       403:
+ *         description: El token de vinculación no se pidió desde esta sesión del navegador
  *       503:
  *         description: OAuth no configurado
  */
-router.get('/google', (req, res, next) => {
+router.get('/google', captureLinkRequest('google'), captureClientRequest, (req, res, next) => {
   // Verificar si Google OAuth está configurado
   if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
     return res.status(503).json({
@@ -108,7 +173,12 @@ router.get('/google', (req, res, next) => {
  *   get:
  *     summary: Callback de Google OAuth
  *     tags: [Authentication]
- *     description: Maneja la respuesta de Google después de la autorización
+ *     description: |
+ *       Maneja la respuesta de Google después de la autorización. Redirige a la redirect_uri del
+ *       cliente (o a /api/auth/success) con un código de un solo uso que se canjea en POST /api/auth/exchange.
+ *     responses:
+ *       302:
+ *         description: Redirección con el código de autorización
  */
 router.get('/google/callback',
   passport.authenticate('google', { 
@@ -124,8 +194,35 @@ router.get('/google/callback',
  *     summary: Iniciar autenticación con GitHub OAuth
  *     tags: [Authentication]
  *     description: Redirige al usuario a GitHub para autorización
+ *     parameters:
+ *       - in: query
+ *         name: link
+ *         schema:
+ *           type: string
+ *         description: Token de vinculación emitido por POST /api/auth/link/github (solo para vincular)
+ *       - in: query
+ *         name: code_challenge
+ *         schema:
+ *           type: string
+ *         description: Desafío PKCE; el code_verifier será obligatorio en POST /api/auth/exchange
+ *       - in: query
+ *         name: code_challenge_method
+ *         schema:
+ *           type: string
+ *           enum: [S256, plain]
+ *           default: S256
+ *       - in: query
+ *         name: redirect_uri
+ *         schema:
+ *           type: string
+ *         description: URL del cliente que recibirá el código (debe estar en OAUTH_REDIRECT_URIS)
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Valor opaco que se devuelve al cliente junto al código
  */
-router.get('/github', (req, res, next) => {
+router.get('/github', captureLinkRequest('github'), captureClientRequest, (req, res, next) => {
   // Verificar si GitHub OAuth está configurado
   if (!process.env.GITHUB_CLIENT_ID || !process.env.GITHUB_CLIENT_SECRET) {
     return res.status(503).json({
@@ -164,7 +261,12 @@ router.get('/github', (req, res, next) => {
  *   get:
  *     summary: Callback de GitHub OAuth
  *     tags: [Authentication]
- *     description: Maneja la respuesta de GitHub después de la autorización
+ *     description: |
+ *       Maneja la respuesta de GitHub después de la autorización. Redirige a la redirect_uri del
+ *       cliente (o a /api/auth/success) con un código de un solo uso que se canjea en POST /api/auth/exchange.
+ *     responses:
+ *       302:
+ *         description: Redirección con el código de autorización
  */
 router.get('/github/callback',
   passport.authenticate('github', { 
@@ -215,40 +317,282 @@ router.get('/status', (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/exchange:
+ *   post:
+ *     summary: Canjear el código de autorización OAuth por tokens
+ *     tags: [Authentication]
+ *     description: |
+ *       El código es de un solo uso y caduca a los pocos segundos (OAUTH_CODE_EXPIRE_SECONDS, 60 por defecto).
+ *       Si el login se inició con code_challenge hay que enviar el codeVerifier; si no, el canje debe
+ *       hacerse con la cookie de la sesión del navegador que completó el login.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "q8Xr2v0h3mS0pZ1yZl4vJk9sQ7c5n2wE4tYu6iOp8aA"
+ *               codeVerifier:
+ *                 type: string
+ *                 example: "dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk"
+ *     responses:
+ *       200:
+ *         description: Tokens emitidos (o desafío de autenticación en dos pasos)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     provider:
+ *                       type: string
+ *                       example: "google"
+ *                     accessToken:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       400:
+ *         description: Código inválido, expirado, ya utilizado o verificador incorrecto
+ */
+router.post('/exchange', validateCodeExchange, exchangeAuthorizationCode);
+
+/**
+ * @swagger
+ * /api/auth/magic-link:
+ *   post:
+ *     summary: Solicitar un enlace de acceso sin contraseña
+ *     tags: [Authentication]
+ *     description: |
+ *       Envía por email un enlace firmado, de un solo uso, que caduca a los pocos minutos (MAGIC_LINK_EXPIRE, 15m por defecto).
+ *       También funciona para cuentas creadas con OAuth que no tienen contraseña. La respuesta es la misma
+ *       exista o no la cuenta. Cada email admite MAGIC_LINK_MAX_REQUESTS solicitudes (3 por defecto) cada
+ *       MAGIC_LINK_WINDOW_MINUTES minutos (15 por defecto).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "juan@example.com"
+ *     responses:
+ *       200:
+ *         description: Solicitud aceptada (se envía el email solo si la cuenta existe)
+ *       400:
+ *         description: Error de validación
+ *       429:
+ *         description: Demasiadas solicitudes para este email
+ */
+router.post('/magic-link', validateMagicLinkRequest, requestMagicLink);
+
+/**
+ * @swagger
+ * /api/auth/magic-link/verify:
+ *   get:
+ *     summary: Iniciar sesión con el enlace recibido por email
+ *     tags: [Authentication]
+ *     description: Consume el enlace y devuelve los mismos datos que el login con contraseña
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login exitoso (o desafío de autenticación en dos pasos)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Login exitoso"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     accessToken:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       400:
+ *         description: Enlace inválido, expirado o ya utilizado
+ */
+router.get('/magic-link/verify', validateMagicLinkVerify, verifyMagicLink);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Renovar tokens con un refresh token (rotación)
+ *     tags: [Authentication]
+ *     description: |
+ *       Canjea un refresh token por un nuevo par de tokens. Cada refresh token solo puede usarse una vez;
+ *       si un token ya canjeado se vuelve a enviar, se revoca toda la familia de tokens de ese login.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *     responses:
+ *       200:
+ *         description: Tokens renovados exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Tokens renovados exitosamente"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accessToken:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       400:
+ *         description: Error de validación
+ *       401:
+ *         description: Refresh token inválido, revocado o reutilizado
+ */
+router.post('/refresh', validateRefreshToken, refreshTokens);
+
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
  *     summary: Cerrar sesión del usuario
  *     tags: [Authentication]
+ *     description: Revoca el refresh token enviado (y su familia) y destruye la sesión OAuth
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *     responses:
  *       200:
  *         description: Sesión cerrada exitosamente
+ *       401:
+ *         description: Refresh token inválido
  */
-router.post('/logout', (req, res) => {
-  req.logout((err) => {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        error: 'Error al cerrar sesión'
-      });
-    }
-    
-    req.session.destroy((err) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          error: 'Error al limpiar sesión'
-        });
-      }
-      
-      res.json({
-        success: true,
-        message: 'Sesión cerrada exitosamente'
-      });
-    });
-  });
-});
+router.post('/logout', validateLogout, logout);
+
+/**
+ * @swagger
+ * /api/auth/link/{provider}:
+ *   post:
+ *     summary: Iniciar la vinculación de un proveedor OAuth
+ *     tags: [Authentication]
+ *     description: |
+ *       Devuelve una URL de autorización de corta duración. Al completarla en el navegador,
+ *       la cuenta del proveedor queda vinculada al usuario autenticado y podrá usarse para iniciar sesión.
+ *       La petición debe hacerse desde el mismo navegador con credenciales (cookie de sesión): la URL
+ *       solo es válida en la sesión que la pidió y se puede usar una sola vez.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: google, github o un proveedor genérico configurado
+ *     responses:
+ *       200:
+ *         description: URL de autorización generada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     provider:
+ *                       type: string
+ *                       example: "github"
+ *                     authorizationUrl:
+ *                       type: string
+ *                       example: "http://localhost:3000/api/auth/github?link=eyJhbGciOi..."
+ *                     expiresIn:
+ *                       type: string
+ *                       example: "10m"
+ *       400:
+ *         description: Proveedor inválido
+ *       401:
+ *         description: No autenticado
+ *       503:
+ *         description: Proveedor no configurado
+ *   delete:
+ *     summary: Desvincular un proveedor OAuth
+ *     tags: [Authentication]
+ *     description: No se puede desvincular el último método de inicio de sesión de la cuenta
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: google, github o un proveedor genérico configurado
+ *     responses:
+ *       200:
+ *         description: Proveedor desvinculado exitosamente
+ *       400:
+ *         description: Es el único método de inicio de sesión de la cuenta
+ *       401:
+ *         description: No autenticado
+ *       404:
+ *         description: El proveedor no está vinculado
+ */
+router.post('/link/:provider', authenticate, denyPersonalAccessTokens, validateOAuthProvider, linkProvider);
+router.delete('/link/:provider', authenticate, denyPersonalAccessTokens, validateOAuthProvider, unlinkProvider);
 
 /**
  * @swagger
@@ -276,6 +620,12 @@ router.get('/test', (req, res) => {
         configured: githubConfigured,
         status: githubConfigured ? 'Configurado ✅' : 'No configurado ❌'
       },
+      providers: getGenericProviders().map(provider => ({
+        name: provider.name,
+        displayName: provider.displayName,
+        type: provider.type,
+        status: 'Configurado ✅'
+      })),
       endpoints: {
         google: '/api/auth/google',
         github: '/api/auth/github',
@@ -292,100 +642,56 @@ router.get('/test', (req, res) => {
  *   get:
  *     summary: Resultado de OAuth exitoso (API response)
  *     tags: [Authentication]
+ *     description: |
+ *       Destino por defecto tras el login OAuth. Solo muestra el código de autorización:
+ *       los tokens se obtienen canjeándolo en POST /api/auth/exchange.
  *     parameters:
  *       - in: query
- *         name: token
- *         schema:
- *           type: string
- *         description: JWT access token
- *       - in: query
- *         name: refresh
+ *         name: code
  *         schema:
  *           type: string
- *         description: JWT refresh token
+ *         description: Código de autorización de un solo uso
  *       - in: query
- *         name: user
+ *         name: state
  *         schema:
  *           type: string
- *         description: User data (URL encoded JSON)
+ *         description: Valor state enviado por el cliente al iniciar el login
  *     responses:
  *       200:
- *         description: OAuth success with tokens and user info
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "OAuth authentication successful"
- *                 data:
- *                   type: object
- *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
- *                     tokens:
- *                       type: object
- *                       properties:
- *                         accessToken:
- *                           type: string
- *                         refreshToken:
- *                           type: string
+ *         description: Código de autorización listo para canjear
+ *       400:
+ *         description: Falta el código de autorización
  */
 router.get('/success', (req, res) => {
-  const { token, refresh, user } = req.query;
-  
-  try {
-    // Decodificar información del usuario
-    let userData = null;
-    if (user) {
-      userData = JSON.parse(decodeURIComponent(user));
-    }
+  const { code, state } = req.query;
 
-    // Respuesta JSON limpia para API
-    res.status(200).json({
-      success: true,
-      message: 'OAuth authentication successful',
-      provider: 'Google',
-      data: {
-        user: userData || null,
-        tokens: {
-          accessToken: token || null,
-          refreshToken: refresh || null,
-          tokenType: 'Bearer',
-          expiresIn: '24h'
-        },
-        usage: {
-          instructions: 'Use the accessToken in the Authorization header: Bearer <token>',
-          example: `Authorization: Bearer ${token ? token.substring(0, 30) + '...' : 'your-token-here'}`
-        }
-      },
-      endpoints: {
-        profile: '/api/users/profile',
-        posts: '/api/posts',
-        users: '/api/users',
-        documentation: '/api-docs'
-      },
-      note: 'OAuth authentication completed successfully. User has been created/updated in database.'
-    });
+  // El código no debe quedar en cachés ni filtrarse en la cabecera Referer
+  res.set('Cache-Control', 'no-store');
+  res.set('Referrer-Policy', 'no-referrer');
 
-  } catch (error) {
-    console.error('Error en OAuth success:', error);
-    res.status(500).json({
+  if (!code) {
+    return res.status(400).json({
       success: false,
-      error: 'Error processing OAuth result',
-      message: 'OAuth was successful but there was an error processing the response',
-      data: {
-        tokens: {
-          accessToken: token ? 'Available but not parsed' : 'Not available',
-          refreshToken: refresh ? 'Available but not parsed' : 'Not available'
-        }
-      }
+      error: 'Falta el código de autorización',
+      statusCode: 400
     });
   }
+
+  res.status(200).json({
+    success: true,
+    message: 'Login OAuth completado. Canjea el código para obtener los tokens',
+    data: {
+      code,
+      state: state || null,
+      expiresIn: `${parseInt(process.env.OAUTH_CODE_EXPIRE_SECONDS, 10) || 60}s`,
+      exchange: {
+        method: 'POST',
+        endpoint: '/api/auth/exchange',
+        body: { code: '<code>', codeVerifier: '<code_verifier si se usó code_challenge>' }
+      }
+    },
+    note: 'El código es de un solo uso. Sin code_challenge, el canje debe hacerse desde esta misma sesión del navegador.'
+  });
 });
 
 /**
@@ -449,5 +755,78 @@ router.get('/error', (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /api/auth/{provider}:
+ *   get:
+ *     summary: Iniciar autenticación con un proveedor OpenID Connect / OAuth2 configurado
+ *     tags: [Authentication]
+ *     description: |
+ *       Los proveedores genéricos se definen en OAUTH_PROVIDERS_CONFIG u OAUTH_PROVIDERS_FILE.
+ *       Redirige al usuario al endpoint de autorización del proveedor.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre del proveedor configurado
+ *       - in: query
+ *         name: link
+ *         schema:
+ *           type: string
+ *         description: Token de vinculación emitido por POST /api/auth/link/{provider} (solo para vincular)
+ *       - in: query
+ *         name: code_challenge
+ *         schema:
+ *           type: string
+ *         description: Desafío PKCE; el code_verifier será obligatorio en POST /api/auth/exchange
+ *       - in: query
+ *         name: code_challenge_method
+ *         schema:
+ *           type: string
+ *           enum: [S256, plain]
+ *           default: S256
+ *       - in: query
+ *         name: redirect_uri
+ *         schema:
+ *           type: string
+ *         description: URL del cliente que recibirá el código (debe estar en OAUTH_REDIRECT_URIS)
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Valor opaco que se devuelve al cliente junto al código
+ *     responses:
+ *       302:
+ *         description: Redirección al proveedor
+ *       403:
+ *         description: El token de vinculación no se pidió desde esta sesión del navegador
+ *       404:
+ *         description: Proveedor no encontrado
+ *       503:
+ *         description: No se pudo contactar con el proveedor
+ */
+router.get('/:provider', authenticateGenericProvider());
+
+/**
+ * @swagger
+ * /api/auth/{provider}/callback:
+ *   get:
+ *     summary: Callback de un proveedor OpenID Connect / OAuth2 configurado
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirección con el código de autorización (o a /api/auth/failure si el proveedor rechaza el login)
+ *       404:
+ *         description: Proveedor no encontrado
+ */
+router.get('/:provider/callback', authenticateGenericProvider({ callback: true }), handleOAuthSuccess);
 
 module.exports = router;
\ No newline at end of file
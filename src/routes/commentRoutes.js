@@ -13,6 +13,9 @@ const {
   getCommentsByUser
 } = require('../controllers/commentController');
 
+// Importar middleware de autenticación
+const { applyAuthPolicy, requireVerifiedEmail, requireScope } = require('../middleware/auth');
+
 // Importar validadores
 const {
   validateCreateComment,
@@ -71,6 +74,11 @@ const {
  *           type: boolean
  *           description: Si el comentario fue editado
  *           default: false
+ *         mentions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Mention'
+ *           description: Usuarios mencionados en el contenido
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -87,6 +95,8 @@ const {
  *   post:
  *     summary: Crear un nuevo comentario
  *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -120,8 +130,10 @@ const {
  *         description: Error de validación
  *       404:
  *         description: Post no encontrado
+ *       401:
+ *         description: No autenticado
  */
-router.post('/', validateCreateComment, createComment);
+router.post('/', applyAuthPolicy('comments:create'), requireScope('comments:write'), requireVerifiedEmail, validateCreateComment, createComment);
 
 /**
  * @swagger
@@ -149,7 +161,7 @@ router.post('/', validateCreateComment, createComment);
  *       200:
  *         description: Lista de comentarios obtenida exitosamente
  */
-router.get('/', validateQueryParams, getAllComments);
+router.get('/', applyAuthPolicy('comments:list'), requireScope('comments:read'), validateQueryParams, getAllComments);
 
 /**
  * @swagger
@@ -183,7 +195,7 @@ router.get('/', validateQueryParams, getAllComments);
  *       404:
  *         description: Post no encontrado
  */
-router.get('/post/:postId', validatePostId, validateQueryParams, getCommentsByPost);
+router.get('/post/:postId', applyAuthPolicy('comments:list'), requireScope('comments:read'), validatePostId, validateQueryParams, getCommentsByPost);
 
 /**
  * @swagger
@@ -204,7 +216,7 @@ router.get('/post/:postId', validatePostId, validateQueryParams, getCommentsByPo
  *       404:
  *         description: Usuario no encontrado
  */
-router.get('/user/:userId', validateUserId, validateQueryParams, getCommentsByUser);
+router.get('/user/:userId', applyAuthPolicy('comments:list'), requireScope('comments:read'), validateUserId, validateQueryParams, getCommentsByUser);
 
 /**
  * @swagger
@@ -225,7 +237,7 @@ router.get('/user/:userId', validateUserId, validateQueryParams, getCommentsByUs
  *       404:
  *         description: Comentario no encontrado
  */
-router.get('/:id', validateCommentId, getCommentById);
+router.get('/:id', applyAuthPolicy('comments:read'), requireScope('comments:read'), validateCommentId, getCommentById);
 
 /**
  * @swagger
@@ -233,6 +245,8 @@ router.get('/:id', validateCommentId, getCommentById);
  *   put:
  *     summary: Actualizar comentario
  *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -265,8 +279,10 @@ router.get('/:id', validateCommentId, getCommentById);
  *         description: No tienes permisos para actualizar este comentario
  *       404:
  *         description: Comentario no encontrado
+ *       401:
+ *         description: No autenticado
  */
-router.put('/:id', validateCommentId, validateUpdateComment, updateComment);
+router.put('/:id', applyAuthPolicy('comments:update'), requireScope('comments:write'), requireVerifiedEmail, validateCommentId, validateUpdateComment, updateComment);
 
 /**
  * @swagger
@@ -274,6 +290,8 @@ router.put('/:id', validateCommentId, validateUpdateComment, updateComment);
  *   delete:
  *     summary: Eliminar comentario
  *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -288,7 +306,9 @@ router.put('/:id', validateCommentId, validateUpdateComment, updateComment);
  *         description: No tienes permisos para eliminar este comentario
  *       404:
  *         description: Comentario no encontrado
+ *       401:
+ *         description: No autenticado
  */
-router.delete('/:id', validateCommentId, deleteComment);
+router.delete('/:id', applyAuthPolicy('comments:delete'), requireScope('comments:write'), requireVerifiedEmail, validateCommentId, deleteComment);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,176 @@
+// src/routes/feedRoutes.js - Rutas del timeline personalizado
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores
+const {
+  getHomeFeed,
+  getTagSubscriptions,
+  subscribeToTag,
+  unsubscribeFromTag
+} = require('../controllers/feedController');
+
+// Importar middleware de autenticación
+const { authenticate, denyPersonalAccessTokens, requireScope } = require('../middleware/auth');
+
+// Importar validadores
+const {
+  validateHomeFeedQuery,
+  validateTagParam
+} = require('../validators/feedValidators');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Feed
+ *   description: Timeline personalizado y suscripciones a etiquetas
+ */
+
+/**
+ * @swagger
+ * /api/feed/home:
+ *   get:
+ *     summary: Obtener el timeline personalizado
+ *     tags: [Feed]
+ *     description: |
+ *       Posts propios, de los usuarios seguidos, de autores con los que el usuario interactuó
+ *       recientemente (likes y comentarios) y de las etiquetas suscritas, del más reciente al más antiguo.
+ *       Cada post indica en feedReason por qué aparece (own, following, engagement o tag).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Valor de nextCursor de la página anterior
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Timeline obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     posts:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Post'
+ *                           - type: object
+ *                             properties:
+ *                               feedReason:
+ *                                 type: string
+ *                                 enum: [own, following, engagement, tag]
+ *                               feedTag:
+ *                                 type: string
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         nextCursor:
+ *                           type: string
+ *                           nullable: true
+ *                         hasMore:
+ *                           type: boolean
+ *                         limit:
+ *                           type: integer
+ *       400:
+ *         description: Cursor o límite inválidos
+ *       401:
+ *         description: No autenticado
+ */
+router.get('/home', authenticate, requireScope('posts:read'), validateHomeFeedQuery, getHomeFeed);
+
+/**
+ * @swagger
+ * /api/feed/tags:
+ *   get:
+ *     summary: Listar las etiquetas suscritas
+ *     tags: [Feed]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Suscripciones obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     subscriptions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TagSubscription'
+ *                     totalSubscriptions:
+ *                       type: integer
+ *       401:
+ *         description: No autenticado
+ */
+router.get('/tags', authenticate, denyPersonalAccessTokens, getTagSubscriptions);
+
+/**
+ * @swagger
+ * /api/feed/tags/{tag}:
+ *   post:
+ *     summary: Suscribirse a una etiqueta
+ *     tags: [Feed]
+ *     description: Los posts nuevos con la etiqueta llegarán al timeline; los recientes se añaden al suscribirse
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: javascript
+ *     responses:
+ *       201:
+ *         description: Suscripción creada exitosamente
+ *       200:
+ *         description: Ya estaba suscrito
+ *       400:
+ *         description: Etiqueta inválida o límite de suscripciones alcanzado
+ *       401:
+ *         description: No autenticado
+ *   delete:
+ *     summary: Cancelar la suscripción a una etiqueta
+ *     tags: [Feed]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suscripción cancelada exitosamente
+ *       401:
+ *         description: No autenticado
+ *       404:
+ *         description: No estaba suscrito
+ */
+router.post('/tags/:tag', authenticate, denyPersonalAccessTokens, validateTagParam, subscribeToTag);
+router.delete('/tags/:tag', authenticate, denyPersonalAccessTokens, validateTagParam, unsubscribeFromTag);
+
+module.exports = router;
@@ -15,6 +15,9 @@ const {
   checkUserLike
 } = require('../controllers/likeController');
 
+// Importar middleware de autenticación
+const { applyAuthPolicy, requireVerifiedEmail, requireScope } = require('../middleware/auth');
+
 // Importar validadores
 const {
   validateCreateLike,
@@ -78,6 +81,8 @@ const {
  *   post:
  *     summary: Dar o quitar like (toggle)
  *     tags: [Likes]
+ *     security:
+ *       - bearerAuth: []
  *     description: Si no existe el like lo crea, si existe lo activa/desactiva
  *     requestBody:
  *       required: true
@@ -106,8 +111,10 @@ const {
  *         description: Error de validación
  *       404:
  *         description: Contenido no encontrado
+ *       401:
+ *         description: No autenticado
  */
-router.post('/toggle', validateToggleLike, toggleLike);
+router.post('/toggle', applyAuthPolicy('likes:toggle'), requireScope('likes:write'), requireVerifiedEmail, validateToggleLike, toggleLike);
 
 /**
  * @swagger
@@ -115,6 +122,8 @@ router.post('/toggle', validateToggleLike, toggleLike);
  *   post:
  *     summary: Crear un nuevo like
  *     tags: [Likes]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -138,8 +147,10 @@ router.post('/toggle', validateToggleLike, toggleLike);
  *         description: Like creado exitosamente
  *       400:
  *         description: Ya has dado like a este contenido
+ *       401:
+ *         description: No autenticado
  */
-router.post('/', validateCreateLike, createLike);
+router.post('/', applyAuthPolicy('likes:create'), requireScope('likes:write'), requireVerifiedEmail, validateCreateLike, createLike);
 
 /**
  * @swagger
@@ -171,7 +182,7 @@ router.post('/', validateCreateLike, createLike);
  *       200:
  *         description: Lista de likes obtenida exitosamente
  */
-router.get('/', validateQueryParams, getAllLikes);
+router.get('/', applyAuthPolicy('likes:list'), requireScope('likes:read'), validateQueryParams, getAllLikes);
 
 /**
  * @swagger
@@ -205,7 +216,7 @@ router.get('/', validateQueryParams, getAllLikes);
  *       404:
  *         description: Post no encontrado
  */
-router.get('/post/:postId', validatePostId, validateQueryParams, getLikesByPost);
+router.get('/post/:postId', applyAuthPolicy('likes:list'), requireScope('likes:read'), validatePostId, validateQueryParams, getLikesByPost);
 
 /**
  * @swagger
@@ -226,7 +237,7 @@ router.get('/post/:postId', validatePostId, validateQueryParams, getLikesByPost)
  *       404:
  *         description: Comentario no encontrado
  */
-router.get('/comment/:commentId', validateCommentId, validateQueryParams, getLikesByComment);
+router.get('/comment/:commentId', applyAuthPolicy('likes:list'), requireScope('likes:read'), validateCommentId, validateQueryParams, getLikesByComment);
 
 /**
  * @swagger
@@ -253,7 +264,7 @@ router.get('/comment/:commentId', validateCommentId, validateQueryParams, getLik
  *       404:
  *         description: Usuario no encontrado
  */
-router.get('/user/:userId', validateUserId, validateQueryParams, getLikesByUser);
+router.get('/user/:userId', applyAuthPolicy('likes:list'), requireScope('likes:read'), validateUserId, validateQueryParams, getLikesByUser);
 
 /**
  * @swagger
@@ -261,6 +272,8 @@ router.get('/user/:userId', validateUserId, validateQueryParams, getLikesByUser)
  *   get:
  *     summary: Verificar si el usuario actual dio like a un contenido
  *     tags: [Likes]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: targetType
@@ -294,8 +307,10 @@ router.get('/user/:userId', validateUserId, validateQueryParams, getLikesByUser)
  *                       type: boolean
  *                     like:
  *                       $ref: '#/components/schemas/Like'
+ *       401:
+ *         description: No autenticado
  */
-router.get('/check/:targetType/:targetId', validateCheckLike, checkUserLike);
+router.get('/check/:targetType/:targetId', applyAuthPolicy('likes:check'), requireScope('likes:read'), validateCheckLike, checkUserLike);
 
 /**
  * @swagger
@@ -310,13 +325,18 @@ router.get('/check/:targetType/:targetId', validateCheckLike, checkUserLike);
  *         schema:
  *           type: string
  *         description: ID del like
+ *     description: El like sigue la visibilidad del post (o del comentario) al que pertenece
  *     responses:
  *       200:
  *         description: Like obtenido exitosamente
+ *       401:
+ *         description: El post es solo para miembros y no hay sesión
+ *       403:
+ *         description: El autor del contenido tiene una cuenta privada que no sigues
  *       404:
- *         description: Like no encontrado
+ *         description: Like no encontrado, o su contenido no es visible
  */
-router.get('/:id', validateLikeId, getLikeById);
+router.get('/:id', applyAuthPolicy('likes:read'), requireScope('likes:read'), validateLikeId, getLikeById);
 
 /**
  * @swagger
@@ -324,6 +344,8 @@ router.get('/:id', validateLikeId, getLikeById);
  *   delete:
  *     summary: Eliminar like
  *     tags: [Likes]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -338,7 +360,9 @@ router.get('/:id', validateLikeId, getLikeById);
  *         description: No tienes permisos para eliminar este like
  *       404:
  *         description: Like no encontrado
+ *       401:
+ *         description: No autenticado
  */
-router.delete('/:id', validateLikeId, deleteLike);
+router.delete('/:id', applyAuthPolicy('likes:delete'), requireScope('likes:write'), requireVerifiedEmail, validateLikeId, deleteLike);
 
 module.exports = router;
\ No newline at end of file
@@ -15,7 +15,7 @@ const {
 } = require('../controllers/postController');
 
 // Importar middleware de autenticación
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const { applyAuthPolicy, requireVerifiedEmail, requireScope } = require('../middleware/auth');
 
 // Importar validadores
 const {
@@ -68,6 +68,11 @@ const {
  *                   pattern: "^[a-zA-Z0-9\\-_]+$"
  *                 maxItems: 10
  *                 example: ["hola-mundo", "primer-post", "socialconnect"]
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, unlisted, members_only, private]
+ *                 default: public
+ *                 description: Quién puede ver el post (unlisted y private no aparecen en listados ni búsquedas)
  *     responses:
  *       201:
  *         description: Post creado exitosamente
@@ -125,7 +130,7 @@ const {
  */
 // Esta ruta maneja POST /api/posts para crear nuevos posts
 // Requiere autenticación y validación del contenido
-router.post('/', authenticate, validateCreatePost, createPost);
+router.post('/', applyAuthPolicy('posts:create'), requireScope('posts:write'), requireVerifiedEmail, validateCreatePost, createPost);
 
 /**
  * @swagger
@@ -212,7 +217,7 @@ router.post('/', authenticate, validateCreatePost, createPost);
  */
 // Esta ruta maneja GET /api/posts para obtener lista de posts
 // Es pública pero puede usar autenticación opcional para contenido personalizado
-router.get('/', validateQueryParams, optionalAuth, getAllPosts);
+router.get('/', validateQueryParams, applyAuthPolicy('posts:list'), requireScope('posts:read'), getAllPosts);
 
 /**
  * @swagger
@@ -274,7 +279,7 @@ router.get('/', validateQueryParams, optionalAuth, getAllPosts);
  *                           type: integer
  */
 // Esta ruta maneja GET /api/posts/feed/recent para obtener posts recientes
-router.get('/feed/recent', validateQueryParams, getRecentPosts);
+router.get('/feed/recent', applyAuthPolicy('posts:list'), requireScope('posts:read'), validateQueryParams, getRecentPosts);
 
 /**
  * @swagger
@@ -336,7 +341,7 @@ router.get('/feed/recent', validateQueryParams, getRecentPosts);
  *         description: Término de búsqueda requerido
  */
 // Esta ruta maneja GET /api/posts/search para buscar posts
-router.get('/search', validateQueryParams, searchPosts);
+router.get('/search', applyAuthPolicy('posts:list'), requireScope('posts:read'), validateQueryParams, searchPosts);
 
 /**
  * @swagger
@@ -420,7 +425,7 @@ router.get('/search', validateQueryParams, searchPosts);
  *         description: Usuario no encontrado
  */
 // Esta ruta maneja GET /api/posts/user/:userId para obtener posts de un usuario
-router.get('/user/:userId', validateUserIdParam, validateQueryParams, getPostsByUser);
+router.get('/user/:userId', applyAuthPolicy('posts:list'), requireScope('posts:read'), validateUserIdParam, validateQueryParams, getPostsByUser);
 
 /**
  * @swagger
@@ -454,8 +459,10 @@ router.get('/user/:userId', validateUserIdParam, validateQueryParams, getPostsBy
  *                   properties:
  *                     post:
  *                       $ref: '#/components/schemas/Post'
+ *       401:
+ *         description: El post es solo para miembros y la petición no está autenticada
  *       404:
- *         description: Post no encontrado
+ *         description: Post no encontrado (o post privado de otro usuario)
  *         content:
  *           application/json:
  *             schema:
@@ -469,7 +476,7 @@ router.get('/user/:userId', validateUserIdParam, validateQueryParams, getPostsBy
  *                   example: "Post no encontrado"
  */
 // Esta ruta maneja GET /api/posts/:id para obtener un post específico
-router.get('/:id', validatePostId, getPostById);
+router.get('/:id', applyAuthPolicy('posts:read'), requireScope('posts:read'), validatePostId, getPostById);
 
 /**
  * @swagger
@@ -510,6 +517,10 @@ router.get('/:id', validatePostId, getPostById);
  *                   maxLength: 50
  *                 maxItems: 10
  *                 example: ["actualizado", "nuevo-contenido"]
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, unlisted, members_only, private]
+ *                 example: "unlisted"
  *     responses:
  *       200:
  *         description: Post actualizado exitosamente
@@ -540,7 +551,7 @@ router.get('/:id', validatePostId, getPostById);
  */
 // Esta ruta maneja PUT /api/posts/:id para actualizar un post
 // Requiere autenticación y que el usuario sea el autor del post
-router.put('/:id', authenticate, validatePostId, validateUpdatePost, updatePost);
+router.put('/:id', applyAuthPolicy('posts:update'), requireScope('posts:write'), requireVerifiedEmail, validatePostId, validateUpdatePost, updatePost);
 
 /**
  * @swagger
@@ -579,6 +590,6 @@ router.put('/:id', authenticate, validatePostId, validateUpdatePost, updatePost)
  *         description: Post no encontrado
  */
 // Esta ruta maneja DELETE /api/posts/:id para eliminar (desactivar) un post
-router.delete('/:id', authenticate, validatePostId, deletePost);
+router.delete('/:id', applyAuthPolicy('posts:delete'), requireScope('posts:write'), requireVerifiedEmail, validatePostId, deletePost);
 
 module.exports = router;
\ No newline at end of file
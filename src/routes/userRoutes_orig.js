@@ -11,11 +11,82 @@ const {
   deleteUser,
   loginUser,
   getUserProfile,
-  changePassword
+  changePassword,
+  getUserSessions,
+  revokeUserSession,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  getRoles,
+  updateUserRole,
+  requestAccountReactivation,
+  reactivateAccount,
+  getAccountErasures
 } = require('../controllers/userController');
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+} = require('../controllers/twoFactorController');
+const {
+  createAccessToken,
+  getAccessTokens,
+  revokeAccessToken
+} = require('../controllers/accessTokenController');
+const {
+  getPasskeyRegistrationOptions,
+  registerPasskey,
+  getPasskeys,
+  deletePasskey,
+  getPasskeyLoginOptions,
+  loginWithPasskey
+} = require('../controllers/passkeyController');
+const {
+  requestDataExport,
+  getDataExports,
+  getDataExport,
+  downloadDataExport
+} = require('../controllers/dataExportController');
+const {
+  getAuditEvents,
+  getSecurityEvents
+} = require('../controllers/auditController');
+const {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  getFollowRequests,
+  approveFollowRequest,
+  rejectFollowRequest
+} = require('../controllers/followController');
+const {
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  getBlockedUsers,
+  getMutedUsers
+} = require('../controllers/blockController');
+const {
+  getSuggestions,
+  dismissSuggestion
+} = require('../controllers/suggestionController');
+const {
+  getUserMentions
+} = require('../controllers/mentionController');
 
 // Importar middleware de autenticación
-const { authenticate, authorize } = require('../middleware/auth');
+const {
+  authenticate,
+  optionalAuth,
+  requireVerifiedEmail,
+  requirePermission,
+  denyPersonalAccessTokens
+} = require('../middleware/auth');
 
 // Importar validadores
 const {
@@ -23,7 +94,28 @@ const {
   validateUpdateUser,
   validateLogin,
   validateChangePassword,
-  validateUserId
+  validateUserId,
+  validateSessionId,
+  validateVerifyEmail,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateUpdateUserRole,
+  validateCreateAccessToken,
+  validateAccessTokenId,
+  validatePasskeyRegistration,
+  validatePasskeyLogin,
+  validatePasskeyId,
+  validateDataExportId,
+  validateReactivationRequest,
+  validateReactivationConfirm,
+  validateErasureQuery,
+  validateAuditEventQuery,
+  validateSecurityEventQuery,
+  validateFollowListQuery,
+  validateFollowRequestId,
+  validateSuggestionQuery
 } = require('../validators/userValidators');
 
 /**
@@ -64,9 +156,9 @@ const {
  *                 example: "john@example.com"
  *               password:
  *                 type: string
- *                 minLength: 6
- *                 pattern: "^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)"
- *                 example: "Password123"
+ *                 minLength: 8
+ *                 description: "Debe cumplir la política de contraseñas: longitud, mayúscula, minúscula y número; sin el username, el email ni el nombre; fuera de la lista de contraseñas comunes y (al cambiarla) distinta de las últimas usadas"
+ *                 example: "Travesia-Nocturna7"
  *               firstName:
  *                 type: string
  *                 maxLength: 50
@@ -109,7 +201,7 @@ const {
  *                       type: string
  *                       example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *       400:
- *         description: Error de validación
+ *         description: Error de validación o contraseña que no cumple la política (errors indica el código de cada regla incumplida)
  *         content:
  *           application/json:
  *             schema:
@@ -244,7 +336,10 @@ router.get('/', getAllUsers);
  *                 description: "Contraseña del usuario"
  *     responses:
  *       200:
- *         description: Login exitoso
+ *         description: |
+ *           Login exitoso. Si el usuario tiene activa la autenticación en dos pasos,
+ *           en lugar de los tokens se devuelve twoFactorRequired y un challengeToken
+ *           que debe canjearse en POST /api/users/login/2fa.
  *         content:
  *           application/json:
  *             schema:
@@ -265,6 +360,10 @@ router.get('/', getAllUsers);
  *                       type: string
  *                     refreshToken:
  *                       type: string
+ *                     twoFactorRequired:
+ *                       type: boolean
+ *                     challengeToken:
+ *                       type: string
  *       401:
  *         description: Credenciales inválidas
  *         content:
@@ -284,15 +383,54 @@ router.post('/login', validateLogin, loginUser);
 
 /**
  * @swagger
- * /api/users/profile:
- *   get:
- *     summary: Obtener perfil del usuario autenticado
+ * /api/users/login/2fa:
+ *   post:
+ *     summary: Completar el login con el código de la autenticación en dos pasos
  *     tags: [Users]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: "Desafío devuelto por el login con contraseña u OAuth"
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *                 description: "Código TOTP de 6 dígitos o código de recuperación"
  *     responses:
  *       200:
- *         description: Perfil obtenido exitosamente
+ *         description: Login exitoso (misma respuesta que POST /api/users/login)
+ *       400:
+ *         description: Error de validación
+ *       401:
+ *         description: Código inválido o desafío expirado
+ *       423:
+ *         description: Cuenta bloqueada temporalmente por demasiados intentos fallidos
+ *       429:
+ *         description: Demasiados intentos fallidos, hay que esperar antes de reintentar
+ */
+// Esta ruta maneja POST /api/users/login/2fa para el segundo paso del login
+router.post('/login/2fa', validateTwoFactorLogin, verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/users/login/passkey/options:
+ *   post:
+ *     summary: Obtener las opciones para iniciar sesión con una passkey
+ *     tags: [Users]
+ *     description: |
+ *       Devuelve las opciones para navigator.credentials.get() (campos binarios en base64url).
+ *       El desafío es de un solo uso y caduca a los pocos minutos (WEBAUTHN_CHALLENGE_EXPIRE_SECONDS, 300 por defecto).
+ *     responses:
+ *       200:
+ *         description: Opciones generadas
  *         content:
  *           application/json:
  *             schema:
@@ -301,40 +439,124 @@ router.post('/login', validateLogin, loginUser);
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Perfil obtenido exitosamente"
  *                 data:
  *                   type: object
  *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
+ *                     challenge:
+ *                       type: string
+ *                     rpId:
+ *                       type: string
+ *                       example: "socialconnect.example.com"
+ *                     timeout:
+ *                       type: integer
+ *                       example: 300000
+ *                     userVerification:
+ *                       type: string
+ *                       example: "preferred"
+ */
+// Esta ruta maneja POST /api/users/login/passkey/options para iniciar el login con passkey
+router.post('/login/passkey/options', getPasskeyLoginOptions);
+
+/**
+ * @swagger
+ * /api/users/login/passkey:
+ *   post:
+ *     summary: Iniciar sesión con una passkey
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - credential
+ *             properties:
+ *               credential:
+ *                 type: object
+ *                 description: "PublicKeyCredential devuelto por navigator.credentials.get() con los campos binarios en base64url"
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   response:
+ *                     type: object
+ *                     properties:
+ *                       clientDataJSON:
+ *                         type: string
+ *                       authenticatorData:
+ *                         type: string
+ *                       signature:
+ *                         type: string
+ *                       userHandle:
+ *                         type: string
+ *     responses:
+ *       200:
+ *         description: Login exitoso (misma respuesta que POST /api/users/login)
+ *       400:
+ *         description: Error de validación o desafío inválido
  *       401:
- *         description: No autorizado
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 error:
- *                   type: string
- *                   example: "Token de autorización inválido"
+ *         description: Passkey no reconocida o firma inválida
  */
-// Esta ruta maneja GET /api/users/profile para obtener perfil del usuario autenticado
-// Requiere autenticación mediante token JWT
-router.get('/profile', authenticate, getUserProfile);
+// Esta ruta maneja POST /api/users/login/passkey para completar el login con passkey
+router.post('/login/passkey', validatePasskeyLogin, loginWithPasskey);
 
 /**
  * @swagger
- * /api/users/change-password:
- *   put:
- *     summary: Cambiar contraseña del usuario
+ * /api/users/verify-email:
+ *   post:
+ *     summary: Verificar el email con el token recibido por correo
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token incluido en el enlace de verificación
+ *     responses:
+ *       200:
+ *         description: Email verificado exitosamente
+ *       400:
+ *         description: Enlace de verificación inválido, usado o expirado
+ */
+// Esta ruta maneja POST /api/users/verify-email para confirmar el email
+router.post('/verify-email', validateVerifyEmail, verifyEmail);
+
+/**
+ * @swagger
+ * /api/users/verify-email/resend:
+ *   post:
+ *     summary: Reenviar el email de verificación
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Email de verificación enviado
+ *       400:
+ *         description: El email ya está verificado
+ *       401:
+ *         description: No autorizado
+ *       429:
+ *         description: Se solicitó un reenvío hace menos de un minuto
+ *       503:
+ *         description: No se pudo enviar el email (se puede volver a intentar enseguida)
+ */
+// Esta ruta maneja POST /api/users/verify-email/resend para enviar un nuevo enlace
+router.post('/verify-email/resend', authenticate, denyPersonalAccessTokens, resendVerificationEmail);
+
+/**
+ * @swagger
+ * /api/users/forgot-password:
+ *   post:
+ *     summary: Solicitar un enlace para restablecer la contraseña
+ *     tags: [Users]
+ *     description: La respuesta es idéntica exista o no el email, para no revelar qué cuentas están registradas
  *     requestBody:
  *       required: true
  *       content:
@@ -342,48 +564,127 @@ router.get('/profile', authenticate, getUserProfile);
  *           schema:
  *             type: object
  *             required:
- *               - currentPassword
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "john@example.com"
+ *     responses:
+ *       200:
+ *         description: Solicitud procesada
+ *       400:
+ *         description: Error de validación
+ */
+// Esta ruta maneja POST /api/users/forgot-password para solicitar el restablecimiento
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+
+/**
+ * @swagger
+ * /api/users/reset-password:
+ *   post:
+ *     summary: Restablecer la contraseña con el token recibido por email
+ *     tags: [Users]
+ *     description: Consume el token (uso único), cierra todas las sesiones del usuario y revoca sus tokens de acceso personal
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
  *               - newPassword
  *               - confirmPassword
  *             properties:
- *               currentPassword:
+ *               token:
  *                 type: string
- *                 example: "OldPassword123"
+ *                 description: Token incluido en el enlace de restablecimiento
  *               newPassword:
  *                 type: string
- *                 minLength: 6
- *                 pattern: "^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)"
+ *                 minLength: 8
+ *                 description: "Debe cumplir la política de contraseñas: longitud, mayúscula, minúscula y número; sin el username, el email ni el nombre; fuera de la lista de contraseñas comunes y (al cambiarla) distinta de las últimas usadas"
  *                 example: "NewPassword456"
  *               confirmPassword:
  *                 type: string
  *                 example: "NewPassword456"
  *     responses:
  *       200:
- *         description: Contraseña cambiada exitosamente
+ *         description: Contraseña restablecida exitosamente
  *       400:
- *         description: Error en los datos proporcionados
- *       401:
- *         description: No autorizado
+ *         description: Token inválido, usado o expirado, o error de validación
  */
-// Esta ruta maneja PUT /api/users/change-password para cambiar contraseña
-router.put('/change-password', authenticate, validateChangePassword, changePassword);
+// Esta ruta maneja POST /api/users/reset-password para establecer una nueva contraseña
+router.post('/reset-password', validateResetPassword, resetPassword);
 
 /**
  * @swagger
- * /api/users/{id}:
+ * /api/users/reactivate:
+ *   post:
+ *     summary: Solicitar un enlace para reactivar una cuenta pendiente de eliminación
+ *     tags: [Users]
+ *     description: Solo se envía durante el periodo de gracia. La respuesta es idéntica exista o no la cuenta
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "john@example.com"
+ *     responses:
+ *       200:
+ *         description: Solicitud procesada
+ *       400:
+ *         description: Error de validación
+ */
+// Esta ruta maneja POST /api/users/reactivate para pedir un nuevo enlace de reactivación
+router.post('/reactivate', validateReactivationRequest, requestAccountReactivation);
+
+/**
+ * @swagger
+ * /api/users/reactivate/confirm:
+ *   post:
+ *     summary: Reactivar la cuenta con el token recibido por email
+ *     tags: [Users]
+ *     description: Cancela el borrado programado. Después hay que iniciar sesión de nuevo
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token incluido en el enlace de reactivación
+ *     responses:
+ *       200:
+ *         description: Cuenta reactivada exitosamente
+ *       400:
+ *         description: Token inválido, usado o expirado (o el periodo de gracia terminó)
+ */
+// Esta ruta maneja POST /api/users/reactivate/confirm para cancelar la eliminación de la cuenta
+router.post('/reactivate/confirm', validateReactivationConfirm, reactivateAccount);
+
+/**
+ * @swagger
+ * /api/users/profile:
  *   get:
- *     summary: Obtener usuario por ID
+ *     summary: Obtener perfil del usuario autenticado
  *     tags: [Users]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: ID único del usuario
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Usuario obtenido exitosamente
+ *         description: Perfil obtenido exitosamente
  *         content:
  *           application/json:
  *             schema:
@@ -394,14 +695,14 @@ router.put('/change-password', authenticate, validateChangePassword, changePassw
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Usuario obtenido exitosamente"
+ *                   example: "Perfil obtenido exitosamente"
  *                 data:
  *                   type: object
  *                   properties:
  *                     user:
  *                       $ref: '#/components/schemas/User'
- *       404:
- *         description: Usuario no encontrado
+ *       401:
+ *         description: No autorizado
  *         content:
  *           application/json:
  *             schema:
@@ -412,16 +713,54 @@ router.put('/change-password', authenticate, validateChangePassword, changePassw
  *                   example: false
  *                 error:
  *                   type: string
- *                   example: "Usuario no encontrado"
+ *                   example: "Token de autorización inválido"
  */
-// Esta ruta maneja GET /api/users/:id para obtener un usuario específico
-router.get('/:id', validateUserId, getUserById);
+// Esta ruta maneja GET /api/users/profile para obtener perfil del usuario autenticado
+// Requiere autenticación mediante token JWT
+router.get('/profile', authenticate, getUserProfile);
 
 /**
  * @swagger
- * /api/users/{id}:
- *   put:
- *     summary: Actualizar usuario (solo el propietario)
+ * /api/users/profile/sessions:
+ *   get:
+ *     summary: Listar sesiones activas del usuario autenticado
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Sesiones obtenidas exitosamente"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UserSession'
+ *                     totalSessions:
+ *                       type: integer
+ *       401:
+ *         description: No autorizado
+ */
+// Esta ruta maneja GET /api/users/profile/sessions para listar dispositivos con sesión abierta
+router.get('/profile/sessions', authenticate, denyPersonalAccessTokens, getUserSessions);
+
+/**
+ * @swagger
+ * /api/users/profile/sessions/{id}:
+ *   delete:
+ *     summary: Cerrar una sesión del usuario autenticado (cierre remoto)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -431,12 +770,1646 @@ router.get('/:id', validateUserId, getUserById);
  *         required: true
  *         schema:
  *           type: string
- *         description: ID único del usuario
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
+ *         description: ID de la sesión
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada exitosamente
+ *       400:
+ *         description: ID de sesión inválido
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Sesión no encontrada
+ */
+// Esta ruta maneja DELETE /api/users/profile/sessions/:id para revocar una sesión
+router.delete('/profile/sessions/:id', authenticate, denyPersonalAccessTokens, validateSessionId, revokeUserSession);
+
+/**
+ * @swagger
+ * /api/users/profile/security-events:
+ *   get:
+ *     summary: Consultar los eventos de seguridad de la cuenta
+ *     tags: [Users]
+ *     description: Inicios de sesión (correctos y fallidos), vinculaciones OAuth, cambios de contraseña y solicitudes de eliminación de la cuenta, con IP y user agent
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [user.login, oauth.login, oauth.link, user.password_change, user.delete]
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Eventos desde esta fecha
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Eventos hasta esta fecha
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Eventos obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditEvent'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Parámetros inválidos
+ *       401:
+ *         description: No autorizado
+ */
+// Esta ruta maneja GET /api/users/profile/security-events para consultar la actividad de seguridad de la cuenta
+router.get('/profile/security-events', authenticate, denyPersonalAccessTokens, validateSecurityEventQuery, getSecurityEvents);
+
+/**
+ * @swagger
+ * /api/users/profile/2fa/setup:
+ *   post:
+ *     summary: Iniciar la activación de la autenticación en dos pasos
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secreto generado; debe confirmarse con un primer código
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                     otpauthUri:
+ *                       type: string
+ *                       example: "otpauth://totp/SocialConnect%3Ajohn%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=SocialConnect"
+ *       400:
+ *         description: La autenticación en dos pasos ya está activada
+ *       401:
+ *         description: No autorizado
+ */
+// Esta ruta maneja POST /api/users/profile/2fa/setup para generar el secreto TOTP
+router.post('/profile/2fa/setup', authenticate, denyPersonalAccessTokens, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/profile/2fa/confirm:
+ *   post:
+ *     summary: Confirmar la activación con el primer código TOTP
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Autenticación en dos pasos activada; devuelve los códigos de recuperación una sola vez
+ *       400:
+ *         description: Código inválido o activación no iniciada
+ *       401:
+ *         description: No autorizado
+ */
+// Esta ruta maneja POST /api/users/profile/2fa/confirm para activar la autenticación en dos pasos
+router.post('/profile/2fa/confirm', authenticate, denyPersonalAccessTokens, validateTwoFactorCode, confirmTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/profile/2fa/disable:
+ *   post:
+ *     summary: Desactivar la autenticación en dos pasos
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: "Código TOTP o de recuperación"
+ *     responses:
+ *       200:
+ *         description: Autenticación en dos pasos desactivada
+ *       400:
+ *         description: Código inválido o autenticación en dos pasos no activada
+ *       401:
+ *         description: No autorizado
+ */
+// Esta ruta maneja POST /api/users/profile/2fa/disable para desactivar la autenticación en dos pasos
+router.post('/profile/2fa/disable', authenticate, denyPersonalAccessTokens, validateTwoFactorCode, disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/profile/2fa/recovery-codes:
+ *   post:
+ *     summary: Generar nuevos códigos de recuperación
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: "Código TOTP o de recuperación"
+ *     responses:
+ *       200:
+ *         description: Códigos regenerados; los anteriores dejan de ser válidos
+ *       400:
+ *         description: Código inválido o autenticación en dos pasos no activada
+ *       401:
+ *         description: No autorizado
+ */
+// Esta ruta maneja POST /api/users/profile/2fa/recovery-codes para regenerar los códigos de recuperación
+router.post('/profile/2fa/recovery-codes', authenticate, denyPersonalAccessTokens, validateTwoFactorCode, regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/users/profile/tokens:
+ *   post:
+ *     summary: Crear un token de acceso personal (API key) con alcances
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Bot de publicaciones"
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [posts:read, posts:write, comments:read, comments:write, likes:read, likes:write]
+ *                 example: ["posts:read", "posts:write"]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 example: 90
+ *                 description: "Días hasta la expiración (si se omite, el token no expira)"
+ *     responses:
+ *       201:
+ *         description: Token creado; el valor en texto plano solo se muestra en esta respuesta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                       example: "scpat_Xk3f9a..."
+ *                     accessToken:
+ *                       $ref: '#/components/schemas/PersonalAccessToken'
+ *       400:
+ *         description: Error de validación o límite de tokens alcanzado
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: No disponible con un token de acceso personal
+ *   get:
+ *     summary: Listar los tokens de acceso personal del usuario autenticado
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tokens obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accessTokens:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PersonalAccessToken'
+ *                     totalAccessTokens:
+ *                       type: integer
+ *       401:
+ *         description: No autorizado
+ */
+// Esta ruta maneja POST /api/users/profile/tokens para crear tokens de acceso personal
+router.post('/profile/tokens', authenticate, denyPersonalAccessTokens, validateCreateAccessToken, createAccessToken);
+
+// Esta ruta maneja GET /api/users/profile/tokens para listar los tokens de acceso personal
+router.get('/profile/tokens', authenticate, denyPersonalAccessTokens, getAccessTokens);
+
+/**
+ * @swagger
+ * /api/users/profile/tokens/{id}:
+ *   delete:
+ *     summary: Revocar un token de acceso personal
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del token
+ *     responses:
+ *       200:
+ *         description: Token revocado exitosamente
+ *       400:
+ *         description: ID de token inválido
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Token de acceso no encontrado
+ */
+// Esta ruta maneja DELETE /api/users/profile/tokens/:id para revocar un token de acceso personal
+router.delete('/profile/tokens/:id', authenticate, denyPersonalAccessTokens, validateAccessTokenId, revokeAccessToken);
+
+/**
+ * @swagger
+ * /api/users/profile/passkeys/options:
+ *   post:
+ *     summary: Obtener las opciones para registrar una passkey
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Devuelve las opciones para navigator.credentials.create() (campos binarios en base64url)
+ *     responses:
+ *       200:
+ *         description: Opciones generadas
+ *       400:
+ *         description: Se alcanzó el máximo de passkeys
+ *       401:
+ *         description: No autorizado
+ */
+// Esta ruta maneja POST /api/users/profile/passkeys/options para iniciar el registro de una passkey
+router.post('/profile/passkeys/options', authenticate, denyPersonalAccessTokens, getPasskeyRegistrationOptions);
+
+/**
+ * @swagger
+ * /api/users/profile/passkeys:
+ *   post:
+ *     summary: Registrar una passkey
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - credential
+ *             properties:
+ *               credential:
+ *                 type: object
+ *                 description: "PublicKeyCredential devuelto por navigator.credentials.create() con los campos binarios en base64url"
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   type:
+ *                     type: string
+ *                     example: "public-key"
+ *                   response:
+ *                     type: object
+ *                     properties:
+ *                       clientDataJSON:
+ *                         type: string
+ *                       attestationObject:
+ *                         type: string
+ *                       transports:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *               name:
+ *                 type: string
+ *                 example: "Portátil del trabajo"
+ *     responses:
+ *       201:
+ *         description: Passkey registrada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     passkey:
+ *                       $ref: '#/components/schemas/Passkey'
+ *       400:
+ *         description: Error de validación, desafío inválido o respuesta del autenticador inválida
+ *       401:
+ *         description: No autorizado
+ *       409:
+ *         description: La passkey ya está registrada
+ *   get:
+ *     summary: Listar las passkeys del usuario autenticado
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Passkeys obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     passkeys:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Passkey'
+ *                     totalPasskeys:
+ *                       type: integer
+ *       401:
+ *         description: No autorizado
+ */
+// Esta ruta maneja POST /api/users/profile/passkeys para registrar una passkey
+router.post('/profile/passkeys', authenticate, denyPersonalAccessTokens, validatePasskeyRegistration, registerPasskey);
+
+// Esta ruta maneja GET /api/users/profile/passkeys para listar las passkeys
+router.get('/profile/passkeys', authenticate, denyPersonalAccessTokens, getPasskeys);
+
+/**
+ * @swagger
+ * /api/users/profile/passkeys/{id}:
+ *   delete:
+ *     summary: Eliminar una passkey
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la passkey
+ *     responses:
+ *       200:
+ *         description: Passkey eliminada exitosamente
+ *       400:
+ *         description: ID inválido o es el único método de inicio de sesión
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Passkey no encontrada
+ */
+// Esta ruta maneja DELETE /api/users/profile/passkeys/:id para eliminar una passkey
+router.delete('/profile/passkeys/:id', authenticate, denyPersonalAccessTokens, validatePasskeyId, deletePasskey);
+
+/**
+ * @swagger
+ * /api/users/profile/export:
+ *   post:
+ *     summary: Solicitar una exportación de los datos personales
+ *     tags: [Users]
+ *     description: Genera en segundo plano un archivo ZIP con el perfil, los posts, los comentarios, los likes dados y recibidos y la actividad de inicio de sesión, en JSON y con un índice HTML legible. El archivo caduca a los 7 días (DATA_EXPORT_EXPIRE_DAYS)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Exportación solicitada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     export:
+ *                       $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         description: No autorizado
+ *       409:
+ *         description: Ya hay una exportación en curso
+ *       429:
+ *         description: Se solicitó otra exportación hace poco (ver Retry-After)
+ *   get:
+ *     summary: Listar las exportaciones de datos del usuario autenticado
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Exportaciones obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     exports:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DataExport'
+ *                     totalExports:
+ *                       type: integer
+ *       401:
+ *         description: No autorizado
+ */
+// Esta ruta maneja POST /api/users/profile/export para solicitar una exportación de datos
+router.post('/profile/export', authenticate, denyPersonalAccessTokens, requestDataExport);
+
+// Esta ruta maneja GET /api/users/profile/export para listar las exportaciones
+router.get('/profile/export', authenticate, denyPersonalAccessTokens, getDataExports);
+
+/**
+ * @swagger
+ * /api/users/profile/export/{id}:
+ *   get:
+ *     summary: Consultar el estado de una exportación de datos
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la exportación
+ *     responses:
+ *       200:
+ *         description: Exportación obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     export:
+ *                       $ref: '#/components/schemas/DataExport'
+ *                     downloadable:
+ *                       type: boolean
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Exportación no encontrada
+ */
+// Esta ruta maneja GET /api/users/profile/export/:id para consultar el estado de una exportación
+router.get('/profile/export/:id', authenticate, denyPersonalAccessTokens, validateDataExportId, getDataExport);
+
+/**
+ * @swagger
+ * /api/users/profile/export/{id}/download:
+ *   get:
+ *     summary: Descargar el archivo ZIP de una exportación de datos
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la exportación
+ *     responses:
+ *       200:
+ *         description: Archivo ZIP
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Exportación no encontrada
+ *       409:
+ *         description: La exportación todavía no está lista o falló
+ *       410:
+ *         description: La exportación ha caducado
+ */
+// Esta ruta maneja GET /api/users/profile/export/:id/download para descargar el archivo
+router.get('/profile/export/:id/download', authenticate, denyPersonalAccessTokens, validateDataExportId, downloadDataExport);
+
+/**
+ * @swagger
+ * /api/users/profile/blocks:
+ *   get:
+ *     summary: Listar los usuarios bloqueados
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Usuarios bloqueados obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           user:
+ *                             $ref: '#/components/schemas/User'
+ *                           since:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         description: No autorizado
+ */
+// Esta ruta maneja GET /api/users/profile/blocks para listar los usuarios bloqueados
+router.get('/profile/blocks', authenticate, denyPersonalAccessTokens, validateFollowListQuery, getBlockedUsers);
+
+/**
+ * @swagger
+ * /api/users/profile/mutes:
+ *   get:
+ *     summary: Listar los usuarios silenciados
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Usuarios silenciados obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           user:
+ *                             $ref: '#/components/schemas/User'
+ *                           since:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         description: No autorizado
+ */
+// Esta ruta maneja GET /api/users/profile/mutes para listar los usuarios silenciados
+router.get('/profile/mutes', authenticate, denyPersonalAccessTokens, validateFollowListQuery, getMutedUsers);
+
+/**
+ * @swagger
+ * /api/users/profile/follow-requests:
+ *   get:
+ *     summary: Listar las solicitudes de seguimiento pendientes
+ *     tags: [Users]
+ *     description: Solicitudes recibidas por una cuenta privada
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Solicitudes obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     requests:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           user:
+ *                             $ref: '#/components/schemas/User'
+ *                           requestedAt:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         description: No autorizado
+ */
+// Esta ruta maneja GET /api/users/profile/follow-requests para listar las solicitudes pendientes
+router.get('/profile/follow-requests', authenticate, denyPersonalAccessTokens, validateFollowListQuery, getFollowRequests);
+
+/**
+ * @swagger
+ * /api/users/profile/follow-requests/{id}/approve:
+ *   post:
+ *     summary: Aprobar una solicitud de seguimiento
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la solicitud
+ *     responses:
+ *       200:
+ *         description: Solicitud aprobada; el solicitante pasa a ser seguidor
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Solicitud no encontrada
+ * /api/users/profile/follow-requests/{id}/reject:
+ *   post:
+ *     summary: Rechazar una solicitud de seguimiento
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la solicitud
+ *     responses:
+ *       200:
+ *         description: Solicitud rechazada
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Solicitud no encontrada
+ */
+// Esta ruta maneja POST /api/users/profile/follow-requests/:id/approve para aprobar una solicitud
+router.post('/profile/follow-requests/:id/approve', authenticate, denyPersonalAccessTokens, validateFollowRequestId, approveFollowRequest);
+
+// Esta ruta maneja POST /api/users/profile/follow-requests/:id/reject para rechazar una solicitud
+router.post('/profile/follow-requests/:id/reject', authenticate, denyPersonalAccessTokens, validateFollowRequestId, rejectFollowRequest);
+
+/**
+ * @swagger
+ * /api/users/change-password:
+ *   put:
+ *     summary: Cambiar contraseña del usuario
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *               - confirmPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 example: "OldPassword123"
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: "Debe cumplir la política de contraseñas: longitud, mayúscula, minúscula y número; sin el username, el email ni el nombre; fuera de la lista de contraseñas comunes y (al cambiarla) distinta de las últimas usadas"
+ *                 example: "NewPassword456"
+ *               confirmPassword:
+ *                 type: string
+ *                 example: "NewPassword456"
+ *     responses:
+ *       200:
+ *         description: Contraseña cambiada exitosamente
+ *       400:
+ *         description: Error en los datos proporcionados
+ *       401:
+ *         description: No autorizado
+ */
+// Esta ruta maneja PUT /api/users/change-password para cambiar contraseña
+router.put('/change-password', authenticate, denyPersonalAccessTokens, validateChangePassword, changePassword);
+
+/**
+ * @swagger
+ * /api/users/roles:
+ *   get:
+ *     summary: Listar los roles disponibles y sus permisos (solo administradores)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                             example: "moderator"
+ *                           permissions:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Solo los administradores pueden gestionar roles
+ */
+// Esta ruta maneja GET /api/users/roles para consultar roles y permisos
+router.get('/roles', authenticate, denyPersonalAccessTokens, requirePermission('users:roles:manage'), getRoles);
+
+/**
+ * @swagger
+ * /api/users/erasures:
+ *   get:
+ *     summary: Listar los registros de borrado de cuentas (solo administradores)
+ *     tags: [Users]
+ *     description: Cada cuenta eliminada deja un registro con el resumen de lo borrado, sin datos personales
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *           format: email
+ *         description: Email que tenía la cuenta (se compara con el hash guardado)
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: ID de la cuenta borrada
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [in_progress, completed, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Registros obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     erasures:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AccountErasure'
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Solo los administradores pueden consultar los registros
+ */
+// Esta ruta maneja GET /api/users/erasures para consultar los registros de borrado
+router.get('/erasures', authenticate, denyPersonalAccessTokens, requirePermission('users:erasures:read'), validateErasureQuery, getAccountErasures);
+
+/**
+ * @swagger
+ * /api/users/audit-events:
+ *   get:
+ *     summary: Consultar el registro de auditoría (solo administradores)
+ *     tags: [Users]
+ *     description: Registro de solo inserción con los inicios de sesión, cambios de cuenta y borrados de contenido
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [user.login, oauth.login, oauth.link, user.password_change, user.delete, post.delete, comment.delete]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [auth, account, content]
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *         description: Usuario que realizó la acción
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [User, Post, Comment]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *         description: Recurso afectado
+ *       - in: query
+ *         name: ipAddress
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Eventos desde esta fecha
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Eventos hasta esta fecha
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Eventos obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditEvent'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Parámetros inválidos
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Solo los administradores pueden consultar el registro
+ */
+// Esta ruta maneja GET /api/users/audit-events para consultar el registro de auditoría
+router.get('/audit-events', authenticate, denyPersonalAccessTokens, requirePermission('audit:read'), validateAuditEventQuery, getAuditEvents);
+
+/**
+ * @swagger
+ * /api/users/suggestions:
+ *   get:
+ *     summary: Obtener sugerencias de usuarios ("personas que quizá conozcas")
+ *     tags: [Users]
+ *     description: |
+ *       Candidatos ordenados por interacciones compartidas (likes y comentarios en los mismos posts),
+ *       etiquetas en común y actividad reciente. Se excluyen el propio usuario, las cuentas desactivadas,
+ *       los usuarios que ya sigue o a los que pidió seguir, los bloqueados o silenciados y las sugerencias descartadas.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Sugerencias obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     suggestions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           user:
+ *                             $ref: '#/components/schemas/User'
+ *                           score:
+ *                             type: number
+ *                             example: 8.5
+ *                           reasons:
+ *                             type: object
+ *                             properties:
+ *                               sharedInteractions:
+ *                                 type: integer
+ *                                 description: Posts en los que ambos dieron like o comentaron
+ *                               sharedTags:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                               lastActiveAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                                 nullable: true
+ *                                 description: Último post o comentario dentro de la ventana de actividad
+ *                     totalSuggestions:
+ *                       type: integer
+ *       401:
+ *         description: No autorizado
+ */
+// Esta ruta maneja GET /api/users/suggestions para obtener sugerencias de usuarios
+router.get('/suggestions', authenticate, denyPersonalAccessTokens, validateSuggestionQuery, getSuggestions);
+
+/**
+ * @swagger
+ * /api/users/suggestions/{id}/dismiss:
+ *   post:
+ *     summary: Descartar una sugerencia de usuario
+ *     tags: [Users]
+ *     description: El usuario descartado no se vuelve a sugerir
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario sugerido
+ *     responses:
+ *       201:
+ *         description: Sugerencia descartada exitosamente
+ *       200:
+ *         description: La sugerencia ya estaba descartada
+ *       400:
+ *         description: No puedes descartarte a ti mismo
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Usuario no encontrado
+ */
+// Esta ruta maneja POST /api/users/suggestions/:id/dismiss para descartar una sugerencia
+router.post('/suggestions/:id/dismiss', authenticate, denyPersonalAccessTokens, validateUserId, dismissSuggestion);
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Cambiar el rol y los permisos individuales de un usuario (solo administradores)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *                 example: "moderator"
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["posts:delete:any"]
+ *     responses:
+ *       200:
+ *         description: Rol actualizado exitosamente
+ *       400:
+ *         description: Datos inválidos o intento de retirar el rol al último administrador
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Solo los administradores pueden gestionar roles
+ *       404:
+ *         description: Usuario no encontrado
+ */
+// Esta ruta maneja PUT /api/users/:id/role para gestionar roles
+router.put('/:id/role', authenticate, denyPersonalAccessTokens, requirePermission('users:roles:manage'), validateUpdateUserRole, updateUserRole);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Obtener usuario por ID
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID único del usuario
+ *     responses:
+ *       200:
+ *         description: Usuario obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Usuario obtenido exitosamente"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     isFollowing:
+ *                       type: boolean
+ *                       description: Si el usuario autenticado sigue a este usuario (false sin autenticación)
+ *                     followRequested:
+ *                       type: boolean
+ *                       description: Si el usuario autenticado tiene una solicitud de seguimiento pendiente
+ *       404:
+ *         description: Usuario no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: "Usuario no encontrado"
+ */
+// Esta ruta maneja GET /api/users/:id para obtener un usuario específico
+router.get('/:id', validateUserId, optionalAuth, getUserById);
+
+/**
+ * @swagger
+ * /api/users/{id}/follow:
+ *   post:
+ *     summary: Seguir a un usuario
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario a seguir
+ *     responses:
+ *       201:
+ *         description: Ahora sigues al usuario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     following:
+ *                       type: boolean
+ *                       example: true
+ *                     followersCount:
+ *                       type: integer
+ *       200:
+ *         description: Ya seguías al usuario
+ *       202:
+ *         description: La cuenta es privada; se envió una solicitud de seguimiento pendiente de aprobación
+ *       400:
+ *         description: No puedes seguirte a ti mismo
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Usuario no encontrado
+ *   delete:
+ *     summary: Dejar de seguir a un usuario
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Ya no sigues al usuario o se canceló la solicitud pendiente (también si no lo seguías)
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Usuario no encontrado
+ */
+// Esta ruta maneja POST /api/users/:id/follow para seguir a un usuario
+router.post('/:id/follow', authenticate, denyPersonalAccessTokens, requireVerifiedEmail, validateUserId, followUser);
+
+// Esta ruta maneja DELETE /api/users/:id/follow para dejar de seguir a un usuario
+router.delete('/:id/follow', authenticate, denyPersonalAccessTokens, validateUserId, unfollowUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/followers:
+ *   get:
+ *     summary: Obtener los seguidores de un usuario
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Seguidores obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     followers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           user:
+ *                             $ref: '#/components/schemas/User'
+ *                           followedAt:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *       403:
+ *         description: La cuenta es privada y el usuario autenticado no es un seguidor aprobado
+ *       404:
+ *         description: Usuario no encontrado (o ha bloqueado al usuario autenticado)
+ */
+// Esta ruta maneja GET /api/users/:id/followers para listar los seguidores
+router.get('/:id/followers', validateUserId, validateFollowListQuery, optionalAuth, getFollowers);
+
+/**
+ * @swagger
+ * /api/users/{id}/following:
+ *   get:
+ *     summary: Obtener los usuarios a los que sigue un usuario
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Usuarios seguidos obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     following:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           user:
+ *                             $ref: '#/components/schemas/User'
+ *                           followedAt:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *       403:
+ *         description: La cuenta es privada y el usuario autenticado no es un seguidor aprobado
+ *       404:
+ *         description: Usuario no encontrado (o ha bloqueado al usuario autenticado)
+ */
+// Esta ruta maneja GET /api/users/:id/following para listar los usuarios seguidos
+router.get('/:id/following', validateUserId, validateFollowListQuery, optionalAuth, getFollowing);
+
+/**
+ * @swagger
+ * /api/users/{id}/mentions:
+ *   get:
+ *     summary: Obtener los posts y comentarios que mencionan a un usuario
+ *     description: |
+ *       Las menciones (@usuario) se guardan al crear o editar posts y comentarios.
+ *       No incluye contenido que el usuario autenticado no puede ver ni el de autores
+ *       con los que el usuario mencionado tiene un bloqueo.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario mencionado
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Menciones obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     mentions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           targetType:
+ *                             type: string
+ *                             enum: [Post, Comment]
+ *                           target:
+ *                             oneOf:
+ *                               - $ref: '#/components/schemas/Post'
+ *                               - $ref: '#/components/schemas/Comment'
+ *                           mentionedAt:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *       404:
+ *         description: Usuario no encontrado
+ */
+// Esta ruta maneja GET /api/users/:id/mentions para listar las menciones de un usuario
+router.get('/:id/mentions', validateUserId, optionalAuth, validateFollowListQuery, getUserMentions);
+
+/**
+ * @swagger
+ * /api/users/{id}/block:
+ *   post:
+ *     summary: Bloquear a un usuario
+ *     tags: [Users]
+ *     description: El usuario bloqueado no puede ver el perfil ni el contenido de quien lo bloquea ni interactuar con él, y deja de aparecer en sus listados. Se eliminan las relaciones de seguimiento en ambos sentidos.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       201:
+ *         description: Usuario bloqueado exitosamente
+ *       200:
+ *         description: Ya estaba bloqueado
+ *       400:
+ *         description: No puedes bloquearte a ti mismo
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Usuario no encontrado
+ *   delete:
+ *     summary: Desbloquear a un usuario
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Usuario desbloqueado (también si no estaba bloqueado)
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Usuario no encontrado
+ */
+// Esta ruta maneja POST /api/users/:id/block para bloquear a un usuario
+router.post('/:id/block', authenticate, denyPersonalAccessTokens, validateUserId, blockUser);
+
+// Esta ruta maneja DELETE /api/users/:id/block para desbloquear a un usuario
+router.delete('/:id/block', authenticate, denyPersonalAccessTokens, validateUserId, unblockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/mute:
+ *   post:
+ *     summary: Silenciar a un usuario
+ *     tags: [Users]
+ *     description: El contenido del usuario silenciado deja de aparecer en los listados de quien lo silencia. El usuario silenciado no se entera y puede seguir interactuando.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       201:
+ *         description: Usuario silenciado exitosamente
+ *       200:
+ *         description: Ya estaba silenciado
+ *       400:
+ *         description: No puedes silenciarte a ti mismo
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Usuario no encontrado
+ *   delete:
+ *     summary: Dejar de silenciar a un usuario
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Usuario ya no silenciado (también si no lo estaba)
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Usuario no encontrado
+ */
+// Esta ruta maneja POST /api/users/:id/mute para silenciar a un usuario
+router.post('/:id/mute', authenticate, denyPersonalAccessTokens, validateUserId, muteUser);
+
+// Esta ruta maneja DELETE /api/users/:id/mute para dejar de silenciar a un usuario
+router.delete('/:id/mute', authenticate, denyPersonalAccessTokens, validateUserId, unmuteUser);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   put:
+ *     summary: Actualizar usuario (solo el propietario)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID único del usuario
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
  *             type: object
  *             properties:
  *               username:
@@ -458,6 +2431,9 @@ router.get('/:id', validateUserId, getUserById);
  *               bio:
  *                 type: string
  *                 maxLength: 500
+ *               isPrivate:
+ *                 type: boolean
+ *                 description: Cuenta privada; al desactivarla se aprueban las solicitudes pendientes
  *             example:
  *               firstName: "John"
  *               lastName: "Smith"
@@ -492,7 +2468,7 @@ router.get('/:id', validateUserId, getUserById);
  */
 // Esta ruta maneja PUT /api/users/:id para actualizar un usuario
 // Requiere autenticación y que el usuario sea el propietario
-router.put('/:id', authenticate, validateUserId, validateUpdateUser, updateUser);
+router.put('/:id', authenticate, denyPersonalAccessTokens, validateUserId, validateUpdateUser, updateUser);
 
 /**
  * @swagger
@@ -500,6 +2476,7 @@ router.put('/:id', authenticate, validateUserId, validateUpdateUser, updateUser)
  *   delete:
  *     summary: Eliminar usuario (solo el propietario)
  *     tags: [Users]
+ *     description: Desactiva la cuenta y cierra sus sesiones. Al terminar el periodo de gracia (30 días por defecto) se borran sus posts, comentarios y likes y se anonimizan sus datos personales. Hasta entonces puede reactivarse con el enlace enviado por email
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -523,6 +2500,15 @@ router.put('/:id', authenticate, validateUserId, validateUpdateUser, updateUser)
  *                 message:
  *                   type: string
  *                   example: "Usuario eliminado exitosamente"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deletionScheduledFor:
+ *                       type: string
+ *                       format: date-time
+ *                     gracePeriodDays:
+ *                       type: integer
+ *                       example: 30
  *       401:
  *         description: No autorizado
  *       403:
@@ -530,7 +2516,7 @@ router.put('/:id', authenticate, validateUserId, validateUpdateUser, updateUser)
  *       404:
  *         description: Usuario no encontrado
  */
-// Esta ruta maneja DELETE /api/users/:id para eliminar (desactivar) un usuario
-router.delete('/:id', authenticate, validateUserId, deleteUser);
+// Esta ruta maneja DELETE /api/users/:id para programar la eliminación de un usuario
+router.delete('/:id', authenticate, denyPersonalAccessTokens, validateUserId, deleteUser);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,63 @@
+// src/scripts/backfillContentVisibility.js - Migración para el contenido creado antes de las copias de visibilidad
+
+/**
+ * Los posts, comentarios y likes guardan una copia de la privacidad de su autor y del acceso
+ * a su post (autor, visibilidad y privacidad del autor) para filtrar los listados.
+ * El contenido anterior no la tiene y se trata como público hasta ejecutar este script una vez.
+ *
+ * Ejecutar con: npm run migrate:content-visibility
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const { syncAuthorPrivacy } = require('../utils/visibility');
+require('dotenv').config();
+
+async function backfillContentVisibility() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Conectado a MongoDB');
+
+    // Copiar el autor y la visibilidad de cada post en sus comentarios y likes
+    let postsCount = 0;
+    for await (const post of Post.find().select('userId visibility').cursor()) {
+      const postAccess = { postAuthorId: post.userId, postVisibility: post.visibility || 'public' };
+      const commentIds = await Comment.find({ postId: post._id }).distinct('_id');
+
+      await Comment.updateMany({ postId: post._id }, { $set: postAccess });
+      await Like.updateMany(
+        { $or: [{ targetType: 'Post', targetId: post._id }, { targetType: 'Comment', targetId: { $in: commentIds } }] },
+        { $set: { postId: post._id, ...postAccess } }
+      );
+      postsCount++;
+    }
+    console.log(`✅ Acceso copiado en los comentarios y likes de ${postsCount} posts`);
+
+    // Copiar la privacidad de las cuentas privadas (el resto ya se trata como pública)
+    let privateCount = 0;
+    for await (const user of User.find({ isPrivate: true }).select('_id').cursor()) {
+      await syncAuthorPrivacy(user._id, true);
+      privateCount++;
+    }
+    console.log(`✅ Privacidad copiada en el contenido de ${privateCount} cuentas privadas`);
+  } catch (error) {
+    console.error('❌ Error durante la migración:', error);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+}
+
+if (require.main === module) {
+  backfillContentVisibility();
+}
+
+module.exports = {
+  backfillContentVisibility
+};
@@ -0,0 +1,51 @@
+// src/scripts/processAccountErasures.js - Borrar los datos de las cuentas eliminadas
+
+/**
+ * El servidor ejecuta este proceso periódicamente (ACCOUNT_ERASURE_INTERVAL_MINUTES).
+ * Este script permite ejecutarlo a mano o desde un cron externo cuando el proceso
+ * del servidor está desactivado.
+ *
+ * Ejecutar con: npm run erasure:run
+ */
+
+const mongoose = require('mongoose');
+const { processDueAccountErasures } = require('../utils/accountErasure');
+require('dotenv').config();
+
+async function processAccountErasures() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Conectado a MongoDB');
+
+    const records = await processDueAccountErasures();
+
+    if (records.length === 0) {
+      console.log('✅ No hay cuentas pendientes de borrar');
+      return;
+    }
+
+    records.forEach(record => {
+      if (record.status === 'completed') {
+        console.log(`✅ Cuenta ${record.userId} borrada`, record.toObject().summary);
+      } else {
+        console.error(`❌ Cuenta ${record.userId}: ${record.lastError}`);
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error borrando las cuentas eliminadas:', error);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+}
+
+if (require.main === module) {
+  processAccountErasures();
+}
+
+module.exports = {
+  processAccountErasures
+};
@@ -0,0 +1,53 @@
+// src/scripts/promoteAdmin.js - Asignar el rol de administrador desde la línea de comandos
+
+/**
+ * Los endpoints de gestión de roles solo están disponibles para administradores,
+ * así que el primer administrador debe crearse con este script.
+ *
+ * Ejecutar con: npm run admin:promote -- <email o username>
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+require('dotenv').config();
+
+async function promoteAdmin(emailOrUsername) {
+  try {
+    if (!emailOrUsername) {
+      console.error('❌ Debes indicar el email o username del usuario');
+      return;
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Conectado a MongoDB');
+
+    const user = await User.findOneAndUpdate(
+      { $or: [{ email: emailOrUsername.toLowerCase() }, { username: emailOrUsername }] },
+      { role: 'admin' },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`❌ No existe ningún usuario con email o username "${emailOrUsername}"`);
+      return;
+    }
+
+    console.log(`✅ ${user.username} ahora es administrador`);
+  } catch (error) {
+    console.error('❌ Error asignando el rol de administrador:', error);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+}
+
+if (require.main === module) {
+  promoteAdmin(process.argv[2]);
+}
+
+module.exports = {
+  promoteAdmin
+};
@@ -230,7 +230,8 @@ async function seedDatabase() {
 
     // 1. Crear usuarios
     console.log('👥 Creando usuarios de ejemplo...');
-    const createdUsers = await User.create(sampleUsers);
+    // Los usuarios de ejemplo se crean con el email ya verificado para poder publicar
+    const createdUsers = await User.create(sampleUsers.map(user => ({ ...user, emailVerified: true })));
     console.log(`✅ ${createdUsers.length} usuarios creados exitosamente`);
 
     // Mostrar usuarios creados (sin contraseñas)
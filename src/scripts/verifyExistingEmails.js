@@ -0,0 +1,44 @@
+// src/scripts/verifyExistingEmails.js - Migración para cuentas creadas antes de la verificación de email
+
+/**
+ * Las cuentas creadas antes de introducir la verificación de email no tienen
+ * el campo emailVerified y quedarían limitadas a solo lectura.
+ * Este script las marca como verificadas una única vez.
+ *
+ * Ejecutar con: npm run migrate:verify-emails
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+require('dotenv').config();
+
+async function verifyExistingEmails() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Conectado a MongoDB');
+
+    // Solo se actualizan las cuentas que nunca tuvieron el campo
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    console.log(`✅ ${result.modifiedCount} cuentas existentes marcadas como verificadas`);
+  } catch (error) {
+    console.error('❌ Error durante la migración:', error);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+}
+
+if (require.main === module) {
+  verifyExistingEmails();
+}
+
+module.exports = {
+  verifyExistingEmails
+};
@@ -0,0 +1,1054 @@
+// src/tests/auth.test.js - Tests para tokens, sesiones, autenticación en dos pasos, bloqueo de login y proveedores OAuth
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { generateTotp } = require('../utils/totp');
+const { generateTokens } = require('../middleware/auth');
+const { getStore } = require('../utils/loginAttemptStore');
+const { resolveOAuthUser } = require('../utils/oauthAccounts');
+const { getOutbox, clearOutbox, setTransport } = require('../utils/mailer');
+
+/**
+ * Configuración de la base de datos de pruebas
+ */
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/socialconnect_test';
+
+// Datos de prueba reutilizables
+const testUser = {
+  username: 'authuser',
+  email: 'authuser@example.com',
+  password: 'Password123',
+  firstName: 'Auth',
+  lastName: 'User'
+};
+
+// Tokens obtenidos en el login de cada test
+let loginTokens;
+
+/**
+ * Realiza login con el usuario de prueba y devuelve sus tokens
+ */
+const login = async () => {
+  const response = await request(app)
+    .post('/api/users/login')
+    .send({ emailOrUsername: testUser.username, password: testUser.password })
+    .expect(200);
+
+  return response.body.data;
+};
+
+/**
+ * Setup y teardown de la suite de tests
+ */
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log('🧪 Conectado a base de datos de pruebas para autenticación');
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+  await PersonalAccessToken.deleteMany({});
+  await getStore().clear();
+
+  await User.create(testUser);
+  loginTokens = await login();
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+  await PersonalAccessToken.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+  console.log('🔌 Conexión a base de datos de pruebas cerrada');
+});
+
+/**
+ * Suite de tests para POST /api/auth/refresh
+ */
+describe('Auth Refresh Token Tests', () => {
+
+  test('Debería registrar el refresh token emitido en el login', async () => {
+    const storedTokens = await RefreshToken.find({});
+
+    expect(storedTokens).toHaveLength(1);
+    expect(storedTokens[0].isUsed).toBe(false);
+    expect(storedTokens[0].isRevoked).toBe(false);
+  });
+
+  test('Debería rotar el refresh token y devolver un par nuevo', async () => {
+    const response = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: loginTokens.refreshToken })
+      .expect(200);
+
+    expect(response.body).toHaveApiStructure(true);
+    expect(response.body.data).toHaveProperty('accessToken');
+    expect(response.body.data).toHaveProperty('refreshToken');
+    expect(response.body.data.refreshToken).not.toBe(loginTokens.refreshToken);
+
+    // El nuevo access token debe servir para rutas protegidas
+    await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${response.body.data.accessToken}`)
+      .expect(200);
+
+    // Ambos tokens pertenecen a la misma familia
+    const storedTokens = await RefreshToken.find({});
+    expect(storedTokens).toHaveLength(2);
+    expect(new Set(storedTokens.map(token => token.family)).size).toBe(1);
+  });
+
+  test('Debería revocar la familia completa cuando se reutiliza un token', async () => {
+    const firstRotation = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: loginTokens.refreshToken })
+      .expect(200);
+
+    // Reutilizar el token original (ya canjeado)
+    const replay = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: loginTokens.refreshToken })
+      .expect(401);
+
+    expect(replay.body).toHaveApiStructure(false);
+    expect(replay.body.error).toContain('reutilizado');
+
+    // El token rotado legítimamente también queda revocado
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: firstRotation.body.data.refreshToken })
+      .expect(401);
+
+    const activeTokens = await RefreshToken.countDocuments({ isRevoked: false });
+    expect(activeTokens).toBe(0);
+  });
+
+  test('Debería rechazar un access token usado como refresh token', async () => {
+    const response = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: loginTokens.accessToken })
+      .expect(401);
+
+    expect(response.body).toHaveApiStructure(false);
+  });
+
+  test('Debería devolver 400 si no se envía refresh token', async () => {
+    const response = await request(app)
+      .post('/api/auth/refresh')
+      .send({})
+      .expect(400);
+
+    expect(response.body.message).toBe('Errores de validación');
+  });
+});
+
+/**
+ * Suite de tests para POST /api/auth/logout
+ */
+describe('Auth Logout Tests', () => {
+
+  test('Debería revocar el refresh token al cerrar sesión', async () => {
+    await request(app)
+      .post('/api/auth/logout')
+      .send({ refreshToken: loginTokens.refreshToken })
+      .expect(200);
+
+    const response = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: loginTokens.refreshToken })
+      .expect(401);
+
+    expect(response.body).toHaveApiStructure(false);
+  });
+
+  test('Debería permitir cerrar sesión sin refresh token', async () => {
+    const response = await request(app)
+      .post('/api/auth/logout')
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+  });
+});
+
+/**
+ * Suite de tests para el registro de sesiones
+ */
+describe('User Sessions Tests', () => {
+
+  test('Debería listar la sesión actual con datos del dispositivo', async () => {
+    const response = await request(app)
+      .get('/api/users/profile/sessions')
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0')
+      .expect(200);
+
+    expect(response.body).toHaveApiStructure(true);
+    expect(response.body.data.sessions).toHaveLength(1);
+
+    const session = response.body.data.sessions[0];
+    expect(session.current).toBe(true);
+    expect(session).toHaveProperty('device');
+    expect(session).toHaveProperty('ipAddress');
+    expect(session).toHaveProperty('lastSeenAt');
+  });
+
+  test('Debería rechazar los tokens de una sesión revocada remotamente', async () => {
+    // Segundo login desde otro dispositivo
+    const otherDevice = await login();
+
+    const sessions = await request(app)
+      .get('/api/users/profile/sessions')
+      .set('Authorization', `Bearer ${otherDevice.accessToken}`)
+      .expect(200);
+
+    expect(sessions.body.data.sessions).toHaveLength(2);
+    const firstSession = sessions.body.data.sessions.find(session => !session.current);
+
+    await request(app)
+      .delete(`/api/users/profile/sessions/${firstSession._id}`)
+      .set('Authorization', `Bearer ${otherDevice.accessToken}`)
+      .expect(200);
+
+    // El access token de la sesión revocada deja de funcionar
+    const response = await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .expect(401);
+
+    expect(response.body.error).toContain('revocada');
+
+    // Y su refresh token tampoco puede rotarse
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: loginTokens.refreshToken })
+      .expect(401);
+
+    // La otra sesión sigue activa
+    await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${otherDevice.accessToken}`)
+      .expect(200);
+  });
+
+  test('Debería devolver 404 al revocar una sesión inexistente', async () => {
+    const response = await request(app)
+      .delete(`/api/users/profile/sessions/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .expect(404);
+
+    expect(response.body.error).toContain('Sesión no encontrada');
+  });
+});
+
+/**
+ * Suite de tests para la autenticación en dos pasos (TOTP)
+ */
+describe('Two Factor Authentication Tests', () => {
+
+  // Periodo TOTP en milisegundos (para generar el código del siguiente paso)
+  const TOTP_PERIOD_MS = 30 * 1000;
+
+  /**
+   * Activa la autenticación en dos pasos y devuelve el secreto y los códigos de recuperación
+   */
+  const enableTwoFactor = async () => {
+    const setup = await request(app)
+      .post('/api/users/profile/2fa/setup')
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .expect(200);
+
+    const { secret } = setup.body.data;
+
+    const confirm = await request(app)
+      .post('/api/users/profile/2fa/confirm')
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .send({ code: generateTotp(secret) })
+      .expect(200);
+
+    return { secret, recoveryCodes: confirm.body.data.recoveryCodes };
+  };
+
+  test('Debería devolver una URI otpauth al iniciar la activación', async () => {
+    const response = await request(app)
+      .post('/api/users/profile/2fa/setup')
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .expect(200);
+
+    expect(response.body).toHaveApiStructure(true);
+    expect(response.body.data.secret).toMatch(/^[A-Z2-7]+$/);
+    expect(response.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+    expect(response.body.data.otpauthUri).toContain(`secret=${response.body.data.secret}`);
+
+    // No se activa hasta confirmar el primer código
+    const user = await User.findOne({ username: testUser.username });
+    expect(user.twoFactorEnabled).toBe(false);
+  });
+
+  test('Debería rechazar la confirmación con un código inválido', async () => {
+    await request(app)
+      .post('/api/users/profile/2fa/setup')
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .expect(200);
+
+    const response = await request(app)
+      .post('/api/users/profile/2fa/confirm')
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .send({ code: '000000' })
+      .expect(400);
+
+    expect(response.body).toHaveApiStructure(false);
+  });
+
+  test('Debería activar la autenticación en dos pasos y guardar los códigos hasheados', async () => {
+    const { recoveryCodes } = await enableTwoFactor();
+
+    expect(recoveryCodes).toHaveLength(10);
+
+    const user = await User.findOne({ username: testUser.username }).select('+twoFactorRecoveryCodes');
+    expect(user.twoFactorEnabled).toBe(true);
+    expect(user.twoFactorRecoveryCodes).toHaveLength(10);
+    expect(user.twoFactorRecoveryCodes).not.toContain(recoveryCodes[0]);
+  });
+
+  test('Debería devolver un desafío en lugar de tokens al hacer login', async () => {
+    await enableTwoFactor();
+
+    const response = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: testUser.username, password: testUser.password })
+      .expect(200);
+
+    expect(response.body.data.twoFactorRequired).toBe(true);
+    expect(response.body.data).toHaveProperty('challengeToken');
+    expect(response.body.data).not.toHaveProperty('accessToken');
+
+    // El desafío no sirve como access token
+    await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${response.body.data.challengeToken}`)
+      .expect(401);
+  });
+
+  test('Debería completar el login con un código TOTP válido', async () => {
+    const { secret } = await enableTwoFactor();
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: testUser.username, password: testUser.password })
+      .expect(200);
+
+    // El código de la confirmación ya se usó, se envía el del siguiente paso
+    const response = await request(app)
+      .post('/api/users/login/2fa')
+      .send({
+        challengeToken: login.body.data.challengeToken,
+        code: generateTotp(secret, Date.now() + TOTP_PERIOD_MS)
+      })
+      .expect(200);
+
+    expect(response.body).toHaveApiStructure(true);
+    expect(response.body.data).toHaveProperty('accessToken');
+    expect(response.body.data).toHaveProperty('refreshToken');
+    expect(response.body.data.user.twoFactorEnabled).toBe(true);
+
+    // El desafío es de un solo uso
+    await request(app)
+      .post('/api/users/login/2fa')
+      .send({
+        challengeToken: login.body.data.challengeToken,
+        code: generateTotp(secret, Date.now() + TOTP_PERIOD_MS)
+      })
+      .expect(401);
+  });
+
+  test('Debería aceptar un código de recuperación una sola vez', async () => {
+    const { recoveryCodes } = await enableTwoFactor();
+
+    const firstLogin = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: testUser.username, password: testUser.password })
+      .expect(200);
+
+    const response = await request(app)
+      .post('/api/users/login/2fa')
+      .send({ challengeToken: firstLogin.body.data.challengeToken, code: recoveryCodes[0] })
+      .expect(200);
+
+    expect(response.body.data.recoveryCodeUsed).toBe(true);
+    expect(response.body.data.remainingRecoveryCodes).toBe(9);
+
+    const secondLogin = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: testUser.username, password: testUser.password })
+      .expect(200);
+
+    await request(app)
+      .post('/api/users/login/2fa')
+      .send({ challengeToken: secondLogin.body.data.challengeToken, code: recoveryCodes[0] })
+      .expect(401);
+  });
+
+  test('Debería invalidar el desafío tras varios intentos fallidos', async () => {
+    const { secret } = await enableTwoFactor();
+
+    // Sin espera entre fallos, para comprobar solo el límite del desafío
+    const originalBackoffAfter = process.env.LOGIN_BACKOFF_AFTER;
+    process.env.LOGIN_BACKOFF_AFTER = '10';
+
+    try {
+      const login = await request(app)
+        .post('/api/users/login')
+        .send({ emailOrUsername: testUser.username, password: testUser.password })
+        .expect(200);
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await request(app)
+          .post('/api/users/login/2fa')
+          .send({ challengeToken: login.body.data.challengeToken, code: '000000' })
+          .expect(401);
+      }
+
+      // Ni siquiera un código válido sirve con el desafío invalidado
+      const response = await request(app)
+        .post('/api/users/login/2fa')
+        .send({
+          challengeToken: login.body.data.challengeToken,
+          code: generateTotp(secret, Date.now() + TOTP_PERIOD_MS)
+        })
+        .expect(401);
+
+      expect(response.body.error).toContain('Inicia sesión de nuevo');
+    } finally {
+      if (originalBackoffAfter === undefined) delete process.env.LOGIN_BACKOFF_AFTER;
+      else process.env.LOGIN_BACKOFF_AFTER = originalBackoffAfter;
+    }
+  });
+
+  test('Debería rechazar los códigos mientras la cuenta esté bloqueada', async () => {
+    const { secret } = await enableTwoFactor();
+    const policyEnv = ['LOGIN_MAX_FAILURES', 'LOGIN_BACKOFF_AFTER'];
+    const originalEnv = Object.fromEntries(policyEnv.map(name => [name, process.env[name]]));
+
+    process.env.LOGIN_MAX_FAILURES = '2';
+    process.env.LOGIN_BACKOFF_AFTER = '10';
+
+    try {
+      const login = await request(app)
+        .post('/api/users/login')
+        .send({ emailOrUsername: testUser.username, password: testUser.password })
+        .expect(200);
+
+      await request(app)
+        .post('/api/users/login/2fa')
+        .send({ challengeToken: login.body.data.challengeToken, code: '000000' })
+        .expect(401);
+
+      // El segundo fallo bloquea la cuenta
+      await request(app)
+        .post('/api/users/login/2fa')
+        .send({ challengeToken: login.body.data.challengeToken, code: '000000' })
+        .expect(423);
+
+      const response = await request(app)
+        .post('/api/users/login/2fa')
+        .send({
+          challengeToken: login.body.data.challengeToken,
+          code: generateTotp(secret, Date.now() + TOTP_PERIOD_MS)
+        })
+        .expect(423);
+
+      expect(response.body.code).toBe('ACCOUNT_LOCKED');
+    } finally {
+      policyEnv.forEach(name => {
+        if (originalEnv[name] === undefined) delete process.env[name];
+        else process.env[name] = originalEnv[name];
+      });
+    }
+  });
+
+  test('Debería contar los códigos fallidos como intentos de login de la cuenta', async () => {
+    const { secret } = await enableTwoFactor();
+    const user = await User.findOne({ username: testUser.username });
+    const accountKey = `account:${user._id}`;
+
+    await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: testUser.username, password: 'WrongPassword1' })
+      .expect(401);
+
+    // La contraseña correcta no reinicia el contador hasta completar el segundo paso
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: testUser.username, password: testUser.password })
+      .expect(200);
+
+    await request(app)
+      .post('/api/users/login/2fa')
+      .send({ challengeToken: login.body.data.challengeToken, code: '000000' })
+      .expect(401);
+
+    expect((await getStore().get(accountKey)).failures).toBe(2);
+
+    await request(app)
+      .post('/api/users/login/2fa')
+      .send({
+        challengeToken: login.body.data.challengeToken,
+        code: generateTotp(secret, Date.now() + TOTP_PERIOD_MS)
+      })
+      .expect(200);
+
+    expect(await getStore().get(accountKey)).toBeNull();
+  });
+
+  test('Debería permitir activar la autenticación en dos pasos a usuarios OAuth', async () => {
+    const oauthUser = await User.create({
+      username: 'oauthuser',
+      email: 'oauthuser@example.com',
+      firstName: 'OAuth',
+      lastName: 'User',
+      oauthProvider: 'github',
+      oauthId: '12345',
+      emailVerified: true
+    });
+    const { accessToken } = await generateTokens(oauthUser._id);
+
+    const setup = await request(app)
+      .post('/api/users/profile/2fa/setup')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    await request(app)
+      .post('/api/users/profile/2fa/confirm')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: generateTotp(setup.body.data.secret) })
+      .expect(200);
+
+    const user = await User.findById(oauthUser._id);
+    expect(user.twoFactorEnabled).toBe(true);
+  });
+
+  test('Debería desactivar la autenticación en dos pasos con un código válido', async () => {
+    const { secret } = await enableTwoFactor();
+
+    await request(app)
+      .post('/api/users/profile/2fa/disable')
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .send({ code: generateTotp(secret, Date.now() + TOTP_PERIOD_MS) })
+      .expect(200);
+
+    // El login vuelve a devolver tokens directamente
+    const response = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: testUser.username, password: testUser.password })
+      .expect(200);
+
+    expect(response.body.data).toHaveProperty('accessToken');
+  });
+});
+
+/**
+ * Suite de tests para la protección contra fuerza bruta en el login
+ */
+describe('Login Brute Force Protection Tests', () => {
+
+  // Variables de entorno de la política que modifican algunos tests
+  const policyEnv = ['LOGIN_MAX_FAILURES', 'LOGIN_BACKOFF_AFTER', 'LOGIN_MAX_FAILURES_PER_IP'];
+  const originalEnv = {};
+
+  beforeEach(() => {
+    policyEnv.forEach(name => { originalEnv[name] = process.env[name]; });
+  });
+
+  afterEach(() => {
+    policyEnv.forEach(name => {
+      if (originalEnv[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = originalEnv[name];
+      }
+    });
+  });
+
+  /**
+   * Intenta hacer login con una contraseña incorrecta
+   */
+  const failLogin = (emailOrUsername = testUser.username) => request(app)
+    .post('/api/users/login')
+    .send({ emailOrUsername, password: 'WrongPassword1' });
+
+  test('Debería exigir una espera creciente tras varios fallos', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await failLogin().expect(401);
+    }
+
+    const response = await failLogin().expect(429);
+
+    expect(response.body).toHaveApiStructure(false);
+    expect(response.body.code).toBe('TOO_MANY_ATTEMPTS');
+    expect(response.body).toHaveProperty('retryAt');
+    expect(response.body.retryAfter).toBeGreaterThan(0);
+    expect(response.headers['retry-after']).toBeDefined();
+  });
+
+  test('Debería bloquear la cuenta al alcanzar el máximo de fallos', async () => {
+    process.env.LOGIN_MAX_FAILURES = '3';
+    process.env.LOGIN_BACKOFF_AFTER = '10';
+
+    await failLogin().expect(401);
+    await failLogin().expect(401);
+
+    const lockResponse = await failLogin().expect(423);
+    expect(lockResponse.body.code).toBe('ACCOUNT_LOCKED');
+    expect(new Date(lockResponse.body.retryAt).getTime()).toBeGreaterThan(Date.now());
+
+    // Ni siquiera la contraseña correcta sirve mientras dure el bloqueo
+    const response = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: testUser.email, password: testUser.password })
+      .expect(423);
+
+    expect(response.body.error).toContain('bloqueada');
+  });
+
+  test('Debería reiniciar el contador tras un login correcto', async () => {
+    process.env.LOGIN_MAX_FAILURES = '3';
+    process.env.LOGIN_BACKOFF_AFTER = '10';
+
+    await failLogin().expect(401);
+    await failLogin().expect(401);
+    await login();
+
+    // Tras el reinicio se vuelven a permitir dos fallos sin bloqueo
+    await failLogin().expect(401);
+    await failLogin().expect(401);
+  });
+
+  test('Debería limitar los fallos por IP aunque cambie la cuenta', async () => {
+    process.env.LOGIN_MAX_FAILURES_PER_IP = '3';
+
+    await failLogin('noexiste1@example.com').expect(401);
+    await failLogin('noexiste2@example.com').expect(401);
+    await failLogin('noexiste3@example.com').expect(401);
+
+    const response = await failLogin('noexiste4@example.com').expect(429);
+    expect(response.body.code).toBe('TOO_MANY_ATTEMPTS');
+  });
+});
+
+/**
+ * Suite de tests para los tokens de acceso personal
+ */
+describe('Personal Access Token Tests', () => {
+
+  /**
+   * Crea un token de acceso personal con los alcances indicados
+   */
+  const createAccessToken = async (scopes, extra = {}) => {
+    const response = await request(app)
+      .post('/api/users/profile/tokens')
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .send({ name: 'Bot de pruebas', scopes, ...extra })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  beforeEach(async () => {
+    // Las acciones de escritura requieren el email verificado
+    await User.updateOne({ username: testUser.username }, { emailVerified: true });
+  });
+
+  test('Debería mostrar el token una sola vez y guardarlo hasheado', async () => {
+    const { token, accessToken } = await createAccessToken(['posts:read']);
+
+    expect(token).toMatch(/^scpat_/);
+    expect(accessToken).not.toHaveProperty('tokenHash');
+    expect(token.startsWith(accessToken.tokenPrefix)).toBe(true);
+
+    const stored = await PersonalAccessToken.findById(accessToken._id).select('+tokenHash');
+    expect(stored.tokenHash).not.toBe(token);
+
+    const list = await request(app)
+      .get('/api/users/profile/tokens')
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .expect(200);
+
+    expect(list.body.data.accessTokens).toHaveLength(1);
+    expect(JSON.stringify(list.body)).not.toContain(token);
+  });
+
+  test('Debería permitir las acciones incluidas en los alcances del token', async () => {
+    const { token } = await createAccessToken(['posts:read', 'posts:write']);
+
+    const response = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Post publicado por un bot con token de acceso personal' })
+      .expect(201);
+
+    expect(response.body).toHaveApiStructure(true);
+  });
+
+  test('Debería rechazar las acciones fuera de los alcances del token', async () => {
+    const { token } = await createAccessToken(['posts:read']);
+
+    const response = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Este post no debería publicarse sin posts:write' })
+      .expect(403);
+
+    expect(response.body.error).toContain('posts:write');
+
+    await request(app)
+      .get('/api/likes')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+  });
+
+  test('No debería permitir gestionar la cuenta con un token de acceso personal', async () => {
+    const { token } = await createAccessToken(['posts:read', 'posts:write']);
+
+    await request(app)
+      .post('/api/users/profile/tokens')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Token escalado', scopes: ['likes:write'] })
+      .expect(403);
+  });
+
+  test('Debería rechazar los tokens revocados y expirados', async () => {
+    const { token, accessToken } = await createAccessToken(['posts:write']);
+
+    await request(app)
+      .delete(`/api/users/profile/tokens/${accessToken._id}`)
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .expect(200);
+
+    await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Post con un token revocado que no debería publicarse' })
+      .expect(401);
+
+    const expiring = await createAccessToken(['posts:write'], { expiresInDays: 1 });
+    await PersonalAccessToken.updateOne(
+      { _id: expiring.accessToken._id },
+      { expiresAt: new Date(Date.now() - 1000) }
+    );
+
+    await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${expiring.token}`)
+      .send({ content: 'Post con un token expirado que no debería publicarse' })
+      .expect(401);
+  });
+
+  test('Debería validar los alcances solicitados', async () => {
+    const response = await request(app)
+      .post('/api/users/profile/tokens')
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .send({ name: 'Token inválido', scopes: ['users:delete'] })
+      .expect(400);
+
+    expect(response.body.message).toBe('Errores de validación');
+  });
+});
+
+/**
+ * Suite de tests para la vinculación de proveedores OAuth
+ */
+describe('OAuth Account Linking Tests', () => {
+
+  const githubIdentity = {
+    provider: 'github',
+    providerId: '424242',
+    email: testUser.email,
+    emailVerified: true,
+    profile: { username: 'octocat', firstName: 'Octo', lastName: 'Cat' }
+  };
+
+  test('Debería vincular varios proveedores al mismo usuario', async () => {
+    const user = await User.findOne({ username: testUser.username });
+
+    const { user: linkedUser, linked } = await resolveOAuthUser({ ...githubIdentity, linkUserId: user._id });
+    expect(linked).toBe(true);
+    expect(linkedUser._id.toString()).toBe(user._id.toString());
+
+    await resolveOAuthUser({
+      provider: 'google',
+      providerId: 'google-1',
+      email: 'otro-email@gmail.com',
+      emailVerified: true,
+      linkUserId: user._id
+    });
+
+    // El login con cualquiera de los proveedores resuelve al mismo usuario
+    const { user: githubUser } = await resolveOAuthUser(githubIdentity);
+    const { user: googleUser } = await resolveOAuthUser({ provider: 'google', providerId: 'google-1' });
+    expect(githubUser._id.toString()).toBe(user._id.toString());
+    expect(googleUser._id.toString()).toBe(user._id.toString());
+
+    const updated = await User.findById(user._id);
+    expect(updated.getLinkedIdentities().map(identity => identity.provider).sort()).toEqual(['github', 'google']);
+    expect(JSON.stringify(updated.toJSON())).not.toContain('424242');
+  });
+
+  test('No debería vincular una identidad que pertenece a otro usuario', async () => {
+    await resolveOAuthUser({ ...githubIdentity, email: 'otro@example.com' });
+    const user = await User.findOne({ username: testUser.username });
+
+    await expect(resolveOAuthUser({ ...githubIdentity, linkUserId: user._id }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('Solo debería fusionar por email cuando el proveedor lo verificó', async () => {
+    await expect(resolveOAuthUser({ ...githubIdentity, emailVerified: false }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    expect(await User.countDocuments({ email: testUser.email })).toBe(1);
+
+    const { user } = await resolveOAuthUser(githubIdentity);
+    expect(user.username).toBe(testUser.username);
+    expect(user.getIdentity('github')).not.toBeNull();
+  });
+
+  test('Debería invalidar la contraseña de una cuenta sin verificar al fusionarla', async () => {
+    await resolveOAuthUser(githubIdentity);
+
+    // La cuenta de prueba no tenía el email verificado: la contraseña deja de servir
+    await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: testUser.username, password: testUser.password })
+      .expect(401);
+
+    const user = await User.findOne({ username: testUser.username });
+    expect(user.emailVerified).toBe(true);
+  });
+
+  test('Debería generar la URL de vinculación solo para proveedores configurados', async () => {
+    const originalId = process.env.GITHUB_CLIENT_ID;
+    const originalSecret = process.env.GITHUB_CLIENT_SECRET;
+    delete process.env.GITHUB_CLIENT_ID;
+    delete process.env.GITHUB_CLIENT_SECRET;
+
+    try {
+      await request(app)
+        .post('/api/auth/link/github')
+        .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+        .expect(503);
+
+      process.env.GITHUB_CLIENT_ID = 'test_client_id';
+      process.env.GITHUB_CLIENT_SECRET = 'test_client_secret';
+
+      const response = await request(app)
+        .post('/api/auth/link/github')
+        .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.authorizationUrl).toContain('/api/auth/github?link=');
+
+      // La URL solo sirve en la sesión que pidió la vinculación (otro navegador no puede usarla)
+      const { pathname, search } = new URL(response.body.data.authorizationUrl);
+      const rejected = await request(app)
+        .get(`${pathname}${search}`)
+        .expect(403);
+
+      expect(rejected.body).toHaveApiStructure(false);
+    } finally {
+      process.env.GITHUB_CLIENT_ID = originalId;
+      process.env.GITHUB_CLIENT_SECRET = originalSecret;
+      if (originalId === undefined) delete process.env.GITHUB_CLIENT_ID;
+      if (originalSecret === undefined) delete process.env.GITHUB_CLIENT_SECRET;
+    }
+
+    await request(app)
+      .post('/api/auth/link/twitter')
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .expect(400);
+
+    await request(app)
+      .post('/api/auth/link/github')
+      .expect(401);
+  });
+
+  test('Debería desvincular un proveedor si queda otro método de inicio de sesión', async () => {
+    const user = await User.findOne({ username: testUser.username });
+    await resolveOAuthUser({ ...githubIdentity, linkUserId: user._id });
+
+    const response = await request(app)
+      .delete('/api/auth/link/github')
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .expect(200);
+
+    expect(response.body.data.identities).toHaveLength(0);
+
+    await request(app)
+      .delete('/api/auth/link/github')
+      .set('Authorization', `Bearer ${loginTokens.accessToken}`)
+      .expect(404);
+  });
+
+  test('No debería desvincular el último método de inicio de sesión', async () => {
+    const { user } = await resolveOAuthUser({ ...githubIdentity, email: 'solo-github@example.com' });
+    const { accessToken } = await generateTokens(user._id);
+
+    const response = await request(app)
+      .delete('/api/auth/link/github')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(400);
+
+    expect(response.body.error).toContain('único método de inicio de sesión');
+
+    const stored = await User.findById(user._id);
+    expect(stored.getIdentity('github')).not.toBeNull();
+  });
+});
+
+/**
+ * Suite de tests para el login con enlace de acceso por email (magic link)
+ */
+describe('Magic Link Login Tests', () => {
+
+  /**
+   * Extrae el token del último enlace de acceso enviado
+   */
+  const getMagicLinkTokenFromLastMail = () => {
+    const outbox = getOutbox();
+    return decodeURIComponent(outbox[outbox.length - 1].text.match(/magic-link\?token=(\S+)/)[1]);
+  };
+
+  const requestMagicLink = (email) => request(app)
+    .post('/api/auth/magic-link')
+    .send({ email });
+
+  beforeEach(() => {
+    clearOutbox();
+  });
+
+  test('Debería responder igual exista o no el email', async () => {
+    const existing = await requestMagicLink(testUser.email).expect(200);
+    const missing = await requestMagicLink('nadie@example.com').expect(200);
+
+    expect(existing.body).toEqual(missing.body);
+    expect(getOutbox()).toHaveLength(1);
+    expect(getOutbox()[0].to).toBe(testUser.email);
+  });
+
+  test('Debería responder igual aunque falle el envío del enlace', async () => {
+    setTransport({ send: async () => { throw new Error('SMTP no disponible'); } });
+    try {
+      const existing = await requestMagicLink(testUser.email).expect(200);
+      const missing = await requestMagicLink('nadie@example.com').expect(200);
+
+      expect(existing.body).toEqual(missing.body);
+    } finally {
+      setTransport('memory');
+    }
+  });
+
+  test('Debería iniciar sesión con el enlace una sola vez', async () => {
+    await requestMagicLink(testUser.email).expect(200);
+    const token = getMagicLinkTokenFromLastMail();
+
+    const response = await request(app)
+      .get('/api/auth/magic-link/verify')
+      .query({ token })
+      .expect(200);
+
+    // Misma respuesta que el login con contraseña
+    expect(response.body.message).toBe('Login exitoso');
+    expect(Object.keys(response.body.data).sort()).toEqual(Object.keys(loginTokens).sort());
+    expect(response.body.data.user.username).toBe(testUser.username);
+
+    const reused = await request(app)
+      .get('/api/auth/magic-link/verify')
+      .query({ token })
+      .expect(400);
+    expect(reused.body.success).toBe(false);
+  });
+
+  test('Debería invalidar el enlace anterior al pedir uno nuevo', async () => {
+    await requestMagicLink(testUser.email).expect(200);
+    const firstToken = getMagicLinkTokenFromLastMail();
+    await requestMagicLink(testUser.email).expect(200);
+    const secondToken = getMagicLinkTokenFromLastMail();
+
+    await request(app).get('/api/auth/magic-link/verify').query({ token: firstToken }).expect(400);
+    await request(app).get('/api/auth/magic-link/verify').query({ token: secondToken }).expect(200);
+  });
+
+  test('Debería permitir el acceso a cuentas sin contraseña creadas con OAuth', async () => {
+    const { user } = await resolveOAuthUser({
+      provider: 'github',
+      providerId: '777',
+      email: 'oauth.only@example.com',
+      emailVerified: true,
+      profile: { username: 'oauthonly' }
+    });
+
+    const stored = await User.findById(user._id).select('+password');
+    expect(stored.password).toBeUndefined();
+
+    await requestMagicLink('oauth.only@example.com').expect(200);
+
+    const response = await request(app)
+      .get('/api/auth/magic-link/verify')
+      .query({ token: getMagicLinkTokenFromLastMail() })
+      .expect(200);
+
+    expect(response.body.data.user._id).toBe(user._id.toString());
+    expect(response.body.data.refreshToken).toBeDefined();
+  });
+
+  test('Debería pedir el segundo factor si la cuenta tiene 2FA', async () => {
+    await User.updateOne({ username: testUser.username }, { twoFactorEnabled: true });
+
+    await requestMagicLink(testUser.email).expect(200);
+
+    const response = await request(app)
+      .get('/api/auth/magic-link/verify')
+      .query({ token: getMagicLinkTokenFromLastMail() })
+      .expect(200);
+
+    expect(response.body.data.twoFactorRequired).toBe(true);
+    expect(response.body.data.accessToken).toBeUndefined();
+  });
+
+  test('Debería limitar las solicitudes por email', async () => {
+    for (let i = 0; i < 3; i++) {
+      await requestMagicLink(testUser.email).expect(200);
+    }
+
+    const limited = await requestMagicLink(testUser.email).expect(429);
+    expect(limited.body.success).toBe(false);
+    expect(limited.headers['retry-after']).toBeDefined();
+    expect(getOutbox()).toHaveLength(3);
+
+    // El límite es por email: otros emails no se ven afectados
+    await requestMagicLink('otro@example.com').expect(200);
+  });
+
+  test('Debería rechazar tokens de otro tipo', async () => {
+    const user = await User.findOne({ username: testUser.username });
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    await request(app)
+      .get('/api/auth/magic-link/verify')
+      .query({ token: verificationToken })
+      .expect(400);
+  });
+});
@@ -0,0 +1,294 @@
+// src/tests/block.test.js - Tests para bloquear y silenciar usuarios
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+
+/**
+ * Configuración de la base de datos de pruebas
+ */
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/socialconnect_test';
+
+// Datos de prueba reutilizables
+const testUsers = [
+  { username: 'blocker', email: 'blocker@example.com', password: 'Password123', firstName: 'Block', lastName: 'Owner' },
+  { username: 'blocked', email: 'blocked@example.com', password: 'Password123', firstName: 'Block', lastName: 'Target' },
+  { username: 'bystander', email: 'bystander@example.com', password: 'Password123', firstName: 'Block', lastName: 'Bystander' }
+];
+
+// Usuarios creados, sus tokens y un post de cada uno
+let users;
+let tokens;
+let posts;
+
+/**
+ * Setup y teardown de la suite de tests
+ */
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log('🧪 Conectado a base de datos de pruebas para bloqueos');
+});
+
+const clearCollections = async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await Comment.deleteMany({});
+  await Like.deleteMany({});
+  await Follow.deleteMany({});
+  await Block.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+};
+
+beforeEach(async () => {
+  await clearCollections();
+
+  users = [];
+  tokens = [];
+  posts = [];
+  for (const data of testUsers) {
+    const user = await User.create({ ...data, emailVerified: true });
+    users.push(user);
+    posts.push(await Post.create({ userId: user._id, content: `Post de ${data.username}`, tags: ['bloqueos'] }));
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: data.username, password: data.password })
+      .expect(200);
+    tokens.push(login.body.data.accessToken);
+  }
+});
+
+afterEach(async () => {
+  await clearCollections();
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+  console.log('🔌 Conexión a base de datos de pruebas cerrada');
+});
+
+/**
+ * Obtiene los nombres de usuario de los autores de GET /api/posts
+ * @param {number} index - Índice del usuario que consulta (null para anónimo)
+ * @param {string} path - Ruta a consultar
+ */
+const listAuthors = async (index, path = '/api/posts') => {
+  const req = request(app).get(path);
+  if (index !== null) req.set('Authorization', `Bearer ${tokens[index]}`);
+
+  const response = await req.expect(200);
+  return response.body.data.posts.map(post => post.author.username).sort();
+};
+
+/**
+ * Suite de tests para bloqueos
+ */
+describe('Block Tests', () => {
+
+  test('Debería bloquear a un usuario y eliminar el seguimiento en ambos sentidos', async () => {
+    await Follow.follow(users[0]._id, users[1]._id);
+    await Follow.follow(users[1]._id, users[0]._id);
+
+    await request(app)
+      .post(`/api/users/${users[1]._id}/block`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(201);
+
+    // Bloquear otra vez no crea otro bloqueo
+    await request(app)
+      .post(`/api/users/${users[1]._id}/block`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(await Follow.isFollowing(users[0]._id, users[1]._id)).toBe(false);
+    expect(await Follow.isFollowing(users[1]._id, users[0]._id)).toBe(false);
+
+    // El usuario bloqueado no puede volver a seguirlo
+    await request(app)
+      .post(`/api/users/${users[0]._id}/follow`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(403);
+
+    await request(app)
+      .post(`/api/users/${users[0]._id}/block`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(400);
+  });
+
+  test('Debería devolver 404 al usuario bloqueado en el perfil de quien lo bloqueó', async () => {
+    await Block.restrict(users[0]._id, users[1]._id, 'block');
+
+    await request(app)
+      .get(`/api/users/${users[0]._id}`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(404);
+
+    await request(app)
+      .get(`/api/posts/${posts[0]._id}`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(404);
+
+    for (const list of ['followers', 'following']) {
+      await request(app)
+        .get(`/api/users/${users[0]._id}/${list}`)
+        .set('Authorization', `Bearer ${tokens[1]}`)
+        .expect(404);
+    }
+
+    // Los demás usuarios siguen viendo el perfil
+    await request(app)
+      .get(`/api/users/${users[0]._id}`)
+      .set('Authorization', `Bearer ${tokens[2]}`)
+      .expect(200);
+  });
+
+  test('Debería ocultar los posts en ambos sentidos en los listados y búsquedas', async () => {
+    await Block.restrict(users[0]._id, users[1]._id, 'block');
+
+    expect(await listAuthors(0)).toEqual(['blocker', 'bystander']);
+    expect(await listAuthors(1)).toEqual(['blocked', 'bystander']);
+    expect(await listAuthors(null)).toEqual(['blocked', 'blocker', 'bystander']);
+
+    expect(await listAuthors(0, '/api/posts/search?q=post')).toEqual(['blocker', 'bystander']);
+  });
+
+  test('Debería impedir comentar y dar like al contenido de quien lo bloqueó', async () => {
+    await Block.restrict(users[0]._id, users[1]._id, 'block');
+
+    await request(app)
+      .post('/api/comments')
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .send({ postId: posts[0]._id, content: 'Comentario no permitido' })
+      .expect(403);
+
+    await request(app)
+      .post('/api/likes/toggle')
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .send({ targetType: 'Post', targetId: posts[0]._id })
+      .expect(403);
+
+    expect(await Comment.countDocuments({})).toBe(0);
+    expect(await Like.countDocuments({})).toBe(0);
+  });
+
+  test('Debería ocultar los comentarios y likes del usuario bloqueado', async () => {
+    await Comment.create({ postId: posts[2]._id, userId: users[1]._id, content: 'Comentario del bloqueado' });
+    await Comment.create({ postId: posts[2]._id, userId: users[2]._id, content: 'Comentario del autor' });
+    await Like.create({ userId: users[1]._id, targetType: 'Post', targetId: posts[2]._id });
+    await Like.create({ userId: users[2]._id, targetType: 'Post', targetId: posts[2]._id });
+
+    await Block.restrict(users[0]._id, users[1]._id, 'block');
+
+    const comments = await request(app)
+      .get(`/api/comments/post/${posts[2]._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(comments.body.data.comments).toHaveLength(1);
+    expect(comments.body.data.pagination.totalComments).toBe(1);
+
+    const likes = await request(app)
+      .get(`/api/likes/post/${posts[2]._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(likes.body.data.likes).toHaveLength(1);
+    expect(likes.body.data.likes[0].user.username).toBe('bystander');
+
+    const allLikes = await request(app)
+      .get('/api/likes')
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(allLikes.body.data.pagination.totalLikes).toBe(1);
+  });
+
+  test('Debería listar y desbloquear usuarios', async () => {
+    await request(app)
+      .post(`/api/users/${users[1]._id}/block`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(201);
+
+    const list = await request(app)
+      .get('/api/users/profile/blocks')
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(list.body.data.users).toHaveLength(1);
+    expect(list.body.data.users[0].user.username).toBe('blocked');
+
+    await request(app)
+      .delete(`/api/users/${users[1]._id}/block`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(await Block.hasBlocked(users[0]._id, users[1]._id)).toBe(false);
+    expect(await listAuthors(1)).toEqual(['blocked', 'blocker', 'bystander']);
+  });
+});
+
+/**
+ * Suite de tests para silenciados
+ */
+describe('Mute Tests', () => {
+
+  test('Debería ocultar los posts del usuario silenciado solo a quien lo silenció', async () => {
+    await request(app)
+      .post(`/api/users/${users[1]._id}/mute`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(201);
+
+    expect(await listAuthors(0)).toEqual(['blocker', 'bystander']);
+    expect(await listAuthors(1)).toEqual(['blocked', 'blocker', 'bystander']);
+    expect(await listAuthors(2)).toEqual(['blocked', 'blocker', 'bystander']);
+
+    // El usuario silenciado puede seguir viendo el perfil e interactuando
+    await request(app)
+      .get(`/api/users/${users[0]._id}`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(200);
+
+    await request(app)
+      .post('/api/comments')
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .send({ postId: posts[0]._id, content: 'Comentario de un usuario silenciado' })
+      .expect(201);
+
+    const comments = await request(app)
+      .get(`/api/comments/post/${posts[0]._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(comments.body.data.comments).toHaveLength(0);
+  });
+
+  test('Debería listar y dejar de silenciar usuarios', async () => {
+    await Block.restrict(users[0]._id, users[1]._id, 'mute');
+
+    const list = await request(app)
+      .get('/api/users/profile/mutes')
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(list.body.data.users).toHaveLength(1);
+    expect(list.body.data.pagination.totalUsers).toBe(1);
+
+    await request(app)
+      .delete(`/api/users/${users[1]._id}/mute`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(await listAuthors(0)).toEqual(['blocked', 'blocker', 'bystander']);
+  });
+});
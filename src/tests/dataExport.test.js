@@ -0,0 +1,255 @@
+// src/tests/dataExport.test.js - Tests para la exportación de datos personales
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+const DataExport = require('../models/DataExport');
+const { processPendingDataExports, removeExpiredDataExports } = require('../utils/dataExport');
+
+/**
+ * Configuración de la base de datos de pruebas
+ */
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/socialconnect_test';
+
+// Carpeta temporal para los archivos generados durante los tests
+const EXPORT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'socialconnect-exports-'));
+
+// Datos de prueba reutilizables
+const testUser = {
+  username: 'exportuser',
+  email: 'exportuser@example.com',
+  password: 'Password123',
+  firstName: 'Export',
+  lastName: 'User'
+};
+
+const otherUser = {
+  username: 'otherexport',
+  email: 'otherexport@example.com',
+  password: 'Password123',
+  firstName: 'Other',
+  lastName: 'User'
+};
+
+// Tokens de los usuarios de prueba
+let accessToken;
+let otherAccessToken;
+
+/**
+ * Lee el cuerpo binario de una respuesta de supertest
+ */
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+/**
+ * Inicia sesión y devuelve el token de acceso
+ * @param {Object} user - Datos del usuario
+ * @returns {Promise<string>}
+ */
+const login = async (user) => {
+  const response = await request(app)
+    .post('/api/users/login')
+    .send({ emailOrUsername: user.username, password: user.password })
+    .expect(200);
+  return response.body.data.accessToken;
+};
+
+/**
+ * Solicita una exportación y espera a que termine de generarse
+ * @returns {Promise<Object>} - Exportación terminada
+ */
+const requestCompletedExport = async () => {
+  const response = await request(app)
+    .post('/api/users/profile/export')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .expect(202);
+
+  return waitForExport(response.body.data.export._id);
+};
+
+/**
+ * Espera a que una exportación termine de generarse
+ * @param {string} exportId - ID de la exportación
+ * @returns {Promise<Object>} - Exportación terminada
+ */
+const waitForExport = async (exportId) => {
+  await processPendingDataExports();
+
+  // La generación lanzada por la petición puede seguir en curso
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const dataExport = await DataExport.findById(exportId);
+    if (['completed', 'failed'].includes(dataExport.status)) return dataExport;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  throw new Error('La exportación no terminó a tiempo');
+};
+
+/**
+ * Setup y teardown de la suite de tests
+ */
+beforeAll(async () => {
+  process.env.DATA_EXPORT_DIR = EXPORT_DIR;
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log('🧪 Conectado a base de datos de pruebas para exportaciones');
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+  await DataExport.deleteMany({});
+
+  const user = await User.create(testUser);
+  await User.create(otherUser);
+  await Post.create({ content: 'Contenido <exportado>', userId: user._id, tags: ['datos'] });
+
+  accessToken = await login(testUser);
+  otherAccessToken = await login(otherUser);
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+  await DataExport.deleteMany({});
+});
+
+afterAll(async () => {
+  delete process.env.DATA_EXPORT_DIR;
+  fs.rmSync(EXPORT_DIR, { recursive: true, force: true });
+  await mongoose.connection.close();
+  console.log('🔌 Conexión a base de datos de pruebas cerrada');
+});
+
+/**
+ * Suite de tests para la exportación de datos personales
+ */
+describe('Data Export Tests', () => {
+
+  test('Debería generar y descargar un ZIP con los datos del usuario', async () => {
+    const dataExport = await requestCompletedExport();
+    expect(dataExport.status).toBe('completed');
+    expect(dataExport.expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+    const status = await request(app)
+      .get(`/api/users/profile/export/${dataExport._id}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(status.body.data.downloadable).toBe(true);
+    expect(status.body.data.export.fileName).toBeUndefined();
+
+    const download = await request(app)
+      .get(`/api/users/profile/export/${dataExport._id}/download`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200);
+
+    expect(download.headers['content-type']).toMatch(/application\/zip/);
+    expect(download.headers['content-disposition']).toMatch(/socialconnect-datos-/);
+    expect(download.body.subarray(0, 2).toString()).toBe('PK');
+
+    // Los nombres de los ficheros se guardan sin comprimir en el ZIP
+    const archive = download.body.toString('latin1');
+    ['index.html', 'profile.json', 'posts.json', 'comments.json', 'likes-given.json', 'likes-received.json', 'login-activity.json']
+      .forEach(name => expect(archive).toContain(name));
+
+    const updated = await DataExport.findById(dataExport._id);
+    expect(updated.downloadedAt).not.toBeNull();
+  });
+
+  test('Debería listar las exportaciones del usuario', async () => {
+    await requestCompletedExport();
+
+    const response = await request(app)
+      .get('/api/users/profile/export')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(response.body.data.totalExports).toBe(1);
+    expect(response.body.data.exports[0].status).toBe('completed');
+  });
+
+  test('Debería rechazar una nueva solicitud durante el tiempo de espera', async () => {
+    await requestCompletedExport();
+
+    const response = await request(app)
+      .post('/api/users/profile/export')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(429);
+
+    expect(response.body.code).toBe('EXPORT_COOLDOWN');
+    expect(response.headers['retry-after']).toBeDefined();
+  });
+
+  test('Debería aceptar solo una de varias solicitudes simultáneas', async () => {
+    // El índice único de las exportaciones en curso es el que resuelve la carrera
+    await DataExport.init();
+
+    const responses = await Promise.all([0, 1, 2].map(() => request(app)
+      .post('/api/users/profile/export')
+      .set('Authorization', `Bearer ${accessToken}`)));
+
+    expect(responses.map(response => response.status).sort()).toEqual([202, 409, 409]);
+    expect(await DataExport.countDocuments({})).toBe(1);
+
+    const accepted = responses.find(response => response.status === 202);
+    await waitForExport(accepted.body.data.export._id);
+  });
+
+  test('No debería mostrar ni descargar exportaciones de otro usuario', async () => {
+    const dataExport = await requestCompletedExport();
+
+    await request(app)
+      .get(`/api/users/profile/export/${dataExport._id}`)
+      .set('Authorization', `Bearer ${otherAccessToken}`)
+      .expect(404);
+
+    await request(app)
+      .get(`/api/users/profile/export/${dataExport._id}/download`)
+      .set('Authorization', `Bearer ${otherAccessToken}`)
+      .expect(404);
+  });
+
+  test('Debería borrar el archivo de las exportaciones caducadas', async () => {
+    const dataExport = await requestCompletedExport();
+    const filePath = path.join(EXPORT_DIR, `${dataExport._id}.zip`);
+    expect(fs.existsSync(filePath)).toBe(true);
+
+    await DataExport.updateOne({ _id: dataExport._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    // Caducada pero todavía sin limpiar: ya no se puede descargar
+    await request(app)
+      .get(`/api/users/profile/export/${dataExport._id}/download`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(410);
+
+    expect(await removeExpiredDataExports()).toBe(1);
+    expect(fs.existsSync(filePath)).toBe(false);
+
+    const updated = await DataExport.findById(dataExport._id);
+    expect(updated.status).toBe('expired');
+  });
+
+  test('Debería requerir autenticación', async () => {
+    await request(app)
+      .post('/api/users/profile/export')
+      .expect(401);
+  });
+});
@@ -0,0 +1,260 @@
+// src/tests/feed.test.js - Tests para el timeline personalizado
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const TagSubscription = require('../models/TagSubscription');
+const TimelineEntry = require('../models/TimelineEntry');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+
+/**
+ * Configuración de la base de datos de pruebas
+ */
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/socialconnect_test';
+
+// Datos de prueba reutilizables
+const testUsers = [
+  { username: 'feedreader', email: 'feedreader@example.com', password: 'Password123', firstName: 'Feed', lastName: 'Reader' },
+  { username: 'feedauthor', email: 'feedauthor@example.com', password: 'Password123', firstName: 'Feed', lastName: 'Author' },
+  { username: 'feedother', email: 'feedother@example.com', password: 'Password123', firstName: 'Feed', lastName: 'Other' }
+];
+
+// Usuarios creados y sus tokens
+let users;
+let tokens;
+
+/**
+ * Publica un post a través de la API
+ * @param {number} index - Índice del autor en testUsers
+ * @param {Object} data - Contenido y etiquetas
+ */
+const publish = async (index, data) => {
+  const response = await request(app)
+    .post('/api/posts')
+    .set('Authorization', `Bearer ${tokens[index]}`)
+    .send(data)
+    .expect(201);
+  return response.body.data.post;
+};
+
+/**
+ * Obtiene una página del timeline
+ * @param {number} index - Índice del usuario en testUsers
+ * @param {Object} query - Parámetros de consulta
+ */
+const getHome = (index, query = {}) => request(app)
+  .get('/api/feed/home')
+  .set('Authorization', `Bearer ${tokens[index]}`)
+  .query(query);
+
+/**
+ * Setup y teardown de la suite de tests
+ */
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log('🧪 Conectado a base de datos de pruebas para el timeline');
+});
+
+const clearCollections = async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await Like.deleteMany({});
+  await Follow.deleteMany({});
+  await TagSubscription.deleteMany({});
+  await TimelineEntry.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+};
+
+beforeEach(async () => {
+  await clearCollections();
+
+  users = [];
+  tokens = [];
+  for (const data of testUsers) {
+    users.push(await User.create({ ...data, emailVerified: true }));
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: data.username, password: data.password })
+      .expect(200);
+    tokens.push(login.body.data.accessToken);
+  }
+});
+
+afterEach(async () => {
+  await clearCollections();
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+  console.log('🔌 Conexión a base de datos de pruebas cerrada');
+});
+
+/**
+ * Suite de tests para el timeline personalizado
+ */
+describe('Feed Tests', () => {
+
+  test('Debería requerir autenticación', async () => {
+    await request(app)
+      .get('/api/feed/home')
+      .expect(401);
+  });
+
+  test('Debería incluir los posts propios, de seguidos y de etiquetas suscritas', async () => {
+    await Follow.follow(users[0]._id, users[1]._id);
+
+    await request(app)
+      .post('/api/feed/tags/JavaScript')
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(201);
+
+    const own = await publish(0, { content: 'Mi propio post' });
+    const followed = await publish(1, { content: 'Post de un usuario seguido' });
+    const tagged = await publish(2, { content: 'Post con etiqueta', tags: ['javascript'] });
+    await publish(2, { content: 'Post sin interés para el lector' });
+
+    const response = await getHome(0).expect(200);
+    const reasons = Object.fromEntries(response.body.data.posts.map(post => [post._id, post.feedReason]));
+
+    expect(response.body.data.posts).toHaveLength(3);
+    expect(reasons[own._id]).toBe('own');
+    expect(reasons[followed._id]).toBe('following');
+    expect(reasons[tagged._id]).toBe('tag');
+    expect(response.body.data.posts[0]._id).toBe(tagged._id);
+    expect(response.body.data.pagination.hasMore).toBe(false);
+  });
+
+  test('Debería incluir los posts de autores con los que interactuó recientemente', async () => {
+    const previous = await Post.create({ userId: users[1]._id, content: 'Post anterior' });
+    await Like.toggleLike(users[0]._id, 'Post', previous._id);
+
+    const post = await publish(1, { content: 'Nuevo post del autor' });
+
+    const entry = await TimelineEntry.findOne({ userId: users[0]._id, postId: post._id });
+    expect(entry.reason).toBe('engagement');
+
+    // Sin interacción no hay entrada
+    expect(await TimelineEntry.exists({ userId: users[2]._id, postId: post._id })).toBeNull();
+  });
+
+  test('Debería añadir posts recientes al suscribirse a una etiqueta o seguir a un usuario', async () => {
+    await Post.create({ userId: users[1]._id, content: 'Post etiquetado', tags: ['nodejs'] });
+    await Post.create({ userId: users[2]._id, content: 'Post de otro autor' });
+
+    await request(app)
+      .post('/api/feed/tags/nodejs')
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(201);
+
+    // Suscribirse otra vez no crea otra suscripción
+    await request(app)
+      .post('/api/feed/tags/nodejs')
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    await request(app)
+      .post(`/api/users/${users[2]._id}/follow`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(201);
+
+    const response = await getHome(0).expect(200);
+    expect(response.body.data.posts).toHaveLength(2);
+
+    const subscriptions = await request(app)
+      .get('/api/feed/tags')
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(subscriptions.body.data.totalSubscriptions).toBe(1);
+    expect(subscriptions.body.data.subscriptions[0].tag).toBe('nodejs');
+
+    await request(app)
+      .delete('/api/feed/tags/nodejs')
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    await request(app)
+      .delete('/api/feed/tags/nodejs')
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(404);
+  });
+
+  test('Debería paginar con cursor sin repetir posts', async () => {
+    for (let i = 0; i < 5; i++) {
+      await publish(0, { content: `Post número ${i}` });
+    }
+
+    const first = await getHome(0, { limit: 2 }).expect(200);
+    expect(first.body.data.posts).toHaveLength(2);
+    expect(first.body.data.pagination.hasMore).toBe(true);
+
+    // Un post nuevo no desplaza las páginas siguientes
+    await publish(0, { content: 'Post publicado mientras se pagina' });
+
+    const second = await getHome(0, { limit: 2, cursor: first.body.data.pagination.nextCursor }).expect(200);
+    const third = await getHome(0, { limit: 2, cursor: second.body.data.pagination.nextCursor }).expect(200);
+
+    const contents = [...first.body.data.posts, ...second.body.data.posts, ...third.body.data.posts]
+      .map(post => post.content);
+
+    expect(contents).toEqual(['Post número 4', 'Post número 3', 'Post número 2', 'Post número 1', 'Post número 0']);
+    expect(third.body.data.pagination.hasMore).toBe(false);
+    expect(third.body.data.pagination.nextCursor).toBeNull();
+  });
+
+  test('Debería llenar la página aunque haya posts ocultos en el límite', async () => {
+    await Follow.follow(users[0]._id, users[1]._id);
+
+    await publish(0, { content: 'Post visible 0' });
+    await publish(0, { content: 'Post visible 1' });
+    await publish(0, { content: 'Post visible 2' });
+
+    // Los posts más recientes dejan de listarse: sus entradas siguen en el timeline del lector
+    for (let i = 0; i < 2; i++) {
+      const hidden = await publish(1, { content: `Post oculto ${i}` });
+      await request(app)
+        .put(`/api/posts/${hidden._id}`)
+        .set('Authorization', `Bearer ${tokens[1]}`)
+        .send({ visibility: 'unlisted' })
+        .expect(200);
+    }
+
+    const first = await getHome(0, { limit: 2 }).expect(200);
+    expect(first.body.data.posts.map(post => post.content)).toEqual(['Post visible 2', 'Post visible 1']);
+    expect(first.body.data.pagination.hasMore).toBe(true);
+
+    const second = await getHome(0, { limit: 2, cursor: first.body.data.pagination.nextCursor }).expect(200);
+    expect(second.body.data.posts.map(post => post.content)).toEqual(['Post visible 0']);
+    expect(second.body.data.pagination.hasMore).toBe(false);
+  });
+
+  test('Debería rechazar un cursor inválido', async () => {
+    await getHome(0, { cursor: 'no-es-un-cursor' }).expect(400);
+  });
+
+  test('Debería retirar del timeline los posts eliminados', async () => {
+    await Follow.follow(users[0]._id, users[1]._id);
+    const post = await publish(1, { content: 'Post que se va a eliminar' });
+
+    expect(await TimelineEntry.countDocuments({ postId: post._id })).toBe(2);
+
+    await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(200);
+
+    expect(await TimelineEntry.countDocuments({ postId: post._id })).toBe(0);
+
+    const response = await getHome(0).expect(200);
+    expect(response.body.data.posts).toHaveLength(0);
+  });
+});
@@ -0,0 +1,208 @@
+// src/tests/follow.test.js - Tests para seguir y dejar de seguir usuarios
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+const AccountErasure = require('../models/AccountErasure');
+const { processDueAccountErasures } = require('../utils/accountErasure');
+
+/**
+ * Configuración de la base de datos de pruebas
+ */
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/socialconnect_test';
+
+// Datos de prueba reutilizables
+const testUsers = [
+  { username: 'followera', email: 'followera@example.com', password: 'Password123', firstName: 'Follower', lastName: 'A' },
+  { username: 'followerb', email: 'followerb@example.com', password: 'Password123', firstName: 'Follower', lastName: 'B' },
+  { username: 'followerc', email: 'followerc@example.com', password: 'Password123', firstName: 'Follower', lastName: 'C' }
+];
+
+// Usuarios creados y sus tokens
+let users;
+let tokens;
+
+/**
+ * Setup y teardown de la suite de tests
+ */
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log('🧪 Conectado a base de datos de pruebas para seguimientos');
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Follow.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+
+  users = [];
+  tokens = [];
+  for (const data of testUsers) {
+    users.push(await User.create({ ...data, emailVerified: true }));
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: data.username, password: data.password })
+      .expect(200);
+    tokens.push(login.body.data.accessToken);
+  }
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await Follow.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+  console.log('🔌 Conexión a base de datos de pruebas cerrada');
+});
+
+/**
+ * Suite de tests para seguir y dejar de seguir usuarios
+ */
+describe('Follow Tests', () => {
+
+  test('Debería seguir y dejar de seguir a un usuario actualizando los contadores', async () => {
+    const follow = await request(app)
+      .post(`/api/users/${users[1]._id}/follow`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(201);
+
+    expect(follow.body.data.following).toBe(true);
+    expect(follow.body.data.followersCount).toBe(1);
+
+    // Seguir otra vez no suma al contador
+    await request(app)
+      .post(`/api/users/${users[1]._id}/follow`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect((await User.findById(users[0]._id)).followingCount).toBe(1);
+    expect((await User.findById(users[1]._id)).followersCount).toBe(1);
+
+    const unfollow = await request(app)
+      .delete(`/api/users/${users[1]._id}/follow`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(unfollow.body.data.following).toBe(false);
+    expect(unfollow.body.data.followersCount).toBe(0);
+    expect((await User.findById(users[0]._id)).followingCount).toBe(0);
+  });
+
+  test('Debería mantener los contadores correctos con peticiones simultáneas', async () => {
+    const follow = () => request(app)
+      .post(`/api/users/${users[1]._id}/follow`)
+      .set('Authorization', `Bearer ${tokens[0]}`);
+    const unfollow = () => request(app)
+      .delete(`/api/users/${users[1]._id}/follow`)
+      .set('Authorization', `Bearer ${tokens[0]}`);
+
+    await Promise.all([follow(), follow(), follow(), follow()]);
+    expect((await User.findById(users[1]._id)).followersCount).toBe(1);
+
+    await Promise.all([unfollow(), follow(), unfollow(), follow(), unfollow()]);
+
+    const isFollowing = await Follow.isFollowing(users[0]._id, users[1]._id);
+    const follower = await User.findById(users[0]._id);
+    const followed = await User.findById(users[1]._id);
+
+    expect(followed.followersCount).toBe(isFollowing ? 1 : 0);
+    expect(follower.followingCount).toBe(isFollowing ? 1 : 0);
+    expect(await Follow.countDocuments({ followerId: users[0]._id })).toBe(1);
+  });
+
+  test('No debería permitir seguirse a uno mismo ni seguir usuarios inexistentes', async () => {
+    await request(app)
+      .post(`/api/users/${users[0]._id}/follow`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(400);
+
+    await request(app)
+      .post(`/api/users/${new mongoose.Types.ObjectId()}/follow`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(404);
+
+    await request(app)
+      .post(`/api/users/${users[1]._id}/follow`)
+      .expect(401);
+  });
+
+  test('Debería listar seguidores y seguidos con paginación', async () => {
+    await Follow.follow(users[0]._id, users[2]._id);
+    await Follow.follow(users[1]._id, users[2]._id);
+    await Follow.follow(users[2]._id, users[0]._id);
+
+    const followers = await request(app)
+      .get(`/api/users/${users[2]._id}/followers`)
+      .query({ limit: 1 })
+      .expect(200);
+
+    expect(followers.body.data.followers).toHaveLength(1);
+    expect(followers.body.data.followers[0].user.username).toBe('followerb');
+    expect(followers.body.data.pagination.totalFollowers).toBe(2);
+    expect(followers.body.data.pagination.hasNextPage).toBe(true);
+
+    const following = await request(app)
+      .get(`/api/users/${users[2]._id}/following`)
+      .expect(200);
+
+    expect(following.body.data.following).toHaveLength(1);
+    expect(following.body.data.following[0].user.username).toBe('followera');
+    expect(following.body.data.user.followingCount).toBe(1);
+  });
+
+  test('Debería indicar en el perfil si el usuario autenticado lo sigue', async () => {
+    await Follow.follow(users[0]._id, users[1]._id);
+
+    const asFollower = await request(app)
+      .get(`/api/users/${users[1]._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(asFollower.body.data.isFollowing).toBe(true);
+    expect(asFollower.body.data.user.followersCount).toBe(1);
+
+    const asOther = await request(app)
+      .get(`/api/users/${users[1]._id}`)
+      .set('Authorization', `Bearer ${tokens[2]}`)
+      .expect(200);
+
+    expect(asOther.body.data.isFollowing).toBe(false);
+
+    const anonymous = await request(app)
+      .get(`/api/users/${users[1]._id}`)
+      .expect(200);
+
+    expect(anonymous.body.data.isFollowing).toBe(false);
+  });
+
+  test('Debería eliminar las relaciones y corregir los contadores al borrar una cuenta', async () => {
+    await Follow.follow(users[0]._id, users[1]._id);
+    await Follow.follow(users[1]._id, users[0]._id);
+
+    users[1].scheduleDeletion(0);
+    await users[1].save();
+
+    const [record] = await processDueAccountErasures();
+    expect(record.summary.followsRemoved).toBe(2);
+    expect(record.summary.followCountersCorrected).toBe(2);
+
+    const remaining = await User.findById(users[0]._id);
+    expect(remaining.followersCount).toBe(0);
+    expect(remaining.followingCount).toBe(0);
+    expect(await Follow.countDocuments({})).toBe(0);
+
+    await AccountErasure.deleteMany({});
+  });
+});
@@ -0,0 +1,196 @@
+// src/tests/mention.test.js - Tests para las menciones (@usuario) en posts y comentarios
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+const { parseMentions } = require('../utils/mentions');
+
+/**
+ * Configuración de la base de datos de pruebas
+ */
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/socialconnect_test';
+
+// Datos de prueba reutilizables
+const testUsers = [
+  { username: 'mentionauthor', email: 'mentionauthor@example.com', password: 'Password123', firstName: 'Mention', lastName: 'Author' },
+  { username: 'mentionalice', email: 'mentionalice@example.com', password: 'Password123', firstName: 'Mention', lastName: 'Alice' },
+  { username: 'mentionbob', email: 'mentionbob@example.com', password: 'Password123', firstName: 'Mention', lastName: 'Bob' }
+];
+
+// Usuarios creados y sus tokens
+let users;
+let tokens;
+
+/**
+ * Setup y teardown de la suite de tests
+ */
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log('🧪 Conectado a base de datos de pruebas para menciones');
+});
+
+const clearCollections = async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await Comment.deleteMany({});
+  await Follow.deleteMany({});
+  await Block.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+};
+
+beforeEach(async () => {
+  await clearCollections();
+
+  users = [];
+  tokens = [];
+  for (const data of testUsers) {
+    users.push(await User.create({ ...data, emailVerified: true }));
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: data.username, password: data.password })
+      .expect(200);
+    tokens.push(login.body.data.accessToken);
+  }
+});
+
+afterEach(async () => {
+  await clearCollections();
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+  console.log('🔌 Conexión a base de datos de pruebas cerrada');
+});
+
+/**
+ * Crea un post como el autor de las pruebas
+ * @param {string} content - Contenido del post
+ */
+const createPost = async (content) => {
+  const response = await request(app)
+    .post('/api/posts')
+    .set('Authorization', `Bearer ${tokens[0]}`)
+    .send({ content })
+    .expect(201);
+
+  return response.body.data.post;
+};
+
+/**
+ * Suite de tests para menciones
+ */
+describe('Mention Tests', () => {
+
+  test('Debería extraer las menciones con sus posiciones e ignorar los emails', () => {
+    const content = 'Hola @mentionalice, escribe a ana@example.com o a @mentionbob';
+
+    const mentions = parseMentions(content);
+
+    expect(mentions.map(mention => mention.username)).toEqual(['mentionalice', 'mentionbob']);
+    mentions.forEach(mention => {
+      expect(content.slice(mention.start, mention.end)).toBe(`@${mention.username}`);
+    });
+  });
+
+  test('Debería guardar las menciones de un post con sus posiciones', async () => {
+    const post = await createPost('Hola @mentionalice y @noexiste');
+
+    expect(post.mentions).toHaveLength(1);
+    expect(post.mentions[0]).toEqual({ userId: users[1]._id.toString(), start: 5, end: 18 });
+  });
+
+  test('Debería actualizar las menciones al editar un post', async () => {
+    const post = await createPost('Hola @mentionalice');
+
+    const response = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .send({ content: 'Ahora hablo con @mentionbob' })
+      .expect(200);
+
+    expect(response.body.data.post.mentions.map(mention => mention.userId))
+      .toEqual([users[2]._id.toString()]);
+
+    const mentions = await request(app)
+      .get(`/api/users/${users[1]._id}/mentions`)
+      .expect(200);
+    expect(mentions.body.data.pagination.totalMentions).toBe(0);
+  });
+
+  test('Debería guardar y actualizar las menciones de los comentarios', async () => {
+    const post = await createPost('Post sin menciones');
+
+    const created = await request(app)
+      .post('/api/comments')
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .send({ postId: post._id, content: '@mentionalice mira esto' })
+      .expect(201);
+
+    expect(created.body.data.comment.mentions[0]).toEqual({ userId: users[1]._id.toString(), start: 0, end: 13 });
+
+    const updated = await request(app)
+      .put(`/api/comments/${created.body.data.comment._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .send({ content: 'Mejor no' })
+      .expect(200);
+
+    expect(updated.body.data.comment.mentions).toEqual([]);
+  });
+
+  test('Debería no guardar menciones de cuentas desactivadas ni de usuarios bloqueados', async () => {
+    await User.updateOne({ _id: users[1]._id }, { isActive: false });
+    await Block.restrict(users[2]._id, users[0]._id, 'block');
+
+    const post = await createPost('Hola @mentionalice y @mentionbob');
+
+    expect(post.mentions).toEqual([]);
+  });
+
+  test('Debería listar los posts y comentarios que mencionan a un usuario', async () => {
+    const post = await createPost('Primera mención a @mentionalice');
+
+    await request(app)
+      .post('/api/comments')
+      .set('Authorization', `Bearer ${tokens[2]}`)
+      .send({ postId: post._id, content: 'Yo también saludo a @mentionalice' })
+      .expect(201);
+
+    const response = await request(app)
+      .get(`/api/users/${users[1]._id}/mentions`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(200);
+
+    const { mentions, pagination } = response.body.data;
+    expect(pagination.totalMentions).toBe(2);
+    expect(mentions.map(mention => mention.targetType)).toEqual(['Comment', 'Post']);
+
+    // Las menciones de autores bloqueados después dejan de aparecer
+    await Block.restrict(users[1]._id, users[2]._id, 'block');
+
+    const filtered = await request(app)
+      .get(`/api/users/${users[1]._id}/mentions`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(200);
+
+    expect(filtered.body.data.mentions.map(mention => mention.targetType)).toEqual(['Post']);
+  });
+
+  test('Debería devolver 404 al listar las menciones de una cuenta desactivada', async () => {
+    await User.updateOne({ _id: users[1]._id }, { isActive: false });
+
+    await request(app)
+      .get(`/api/users/${users[1]._id}/mentions`)
+      .expect(404);
+  });
+});
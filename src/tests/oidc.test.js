@@ -0,0 +1,393 @@
+// src/tests/oidc.test.js - Tests para proveedores genéricos OpenID Connect / OAuth2 y canje de códigos
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+const OAuthAuthorizationCode = require('../models/OAuthAuthorizationCode');
+const { registerGenericProvider, unregisterGenericProvider } = require('../config/oauthProviders');
+
+/**
+ * Configuración de la base de datos de pruebas
+ */
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/socialconnect_test';
+
+/**
+ * Proveedor OpenID Connect de pruebas
+ * Implementa discovery, JWKS, autorización, token y userinfo con un usuario configurable.
+ */
+const stubProvider = {
+  server: null,
+  baseUrl: null,
+  claims: null,
+  idTokenClaims: {},
+  signingKey: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey,
+  forgedKey: null,
+  lastTokenRequest: null,
+
+  start() {
+    const idp = express();
+    idp.use(express.urlencoded({ extended: false }));
+
+    idp.get('/.well-known/openid-configuration', (req, res) => {
+      res.json({
+        issuer: this.baseUrl,
+        authorization_endpoint: `${this.baseUrl}/authorize`,
+        token_endpoint: `${this.baseUrl}/token`,
+        userinfo_endpoint: `${this.baseUrl}/userinfo`,
+        jwks_uri: `${this.baseUrl}/jwks`
+      });
+    });
+
+    idp.get('/jwks', (req, res) => {
+      const jwk = crypto.createPublicKey(this.signingKey).export({ format: 'jwk' });
+      res.json({ keys: [{ ...jwk, kid: 'stub-key', use: 'sig', alg: 'RS256' }] });
+    });
+
+    // Aprueba la autorización directamente y vuelve al callback con un código
+    idp.get('/authorize', (req, res) => {
+      res.redirect(`${req.query.redirect_uri}?code=stub_code&state=${encodeURIComponent(req.query.state)}`);
+    });
+
+    idp.post('/token', (req, res) => {
+      this.lastTokenRequest = req.body;
+      res.json({
+        access_token: 'stub_access_token',
+        token_type: 'Bearer',
+        id_token: jwt.sign(
+          { iss: this.baseUrl, sub: this.claims.sub, aud: 'stub_client', ...this.idTokenClaims },
+          this.forgedKey || this.signingKey,
+          { algorithm: 'RS256', keyid: 'stub-key', expiresIn: '5m' }
+        )
+      });
+    });
+
+    idp.get('/userinfo', (req, res) => {
+      if (req.headers.authorization !== 'Bearer stub_access_token') {
+        return res.status(401).json({ error: 'invalid_token' });
+      }
+      res.json(this.claims);
+    });
+
+    return new Promise((resolve) => {
+      this.server = idp.listen(0, '127.0.0.1', () => {
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+        resolve();
+      });
+    });
+  },
+
+  stop() {
+    return new Promise((resolve) => this.server.close(resolve));
+  }
+};
+
+/**
+ * Recorre el flujo completo de login con el proveedor de pruebas
+ * @param {string} provider - Nombre del proveedor registrado
+ * @param {Object} query - Parámetros del cliente (code_challenge, redirect_uri, state)
+ * @returns {Promise<Object>} - { agent, response, code, state } con la respuesta del callback
+ */
+const loginWithProvider = async (provider, query = {}) => {
+  const agent = request.agent(app);
+
+  const start = await agent.get(`/api/auth/${provider}`).query(query).expect(302);
+  const authorizeResponse = await fetch(start.headers.location, { redirect: 'manual' });
+  const callback = new URL(authorizeResponse.headers.get('location'));
+
+  const response = await agent.get(`${callback.pathname}${callback.search}`);
+  const redirect = response.headers.location ? new URL(response.headers.location, 'http://localhost') : null;
+
+  return {
+    agent,
+    response,
+    redirect,
+    code: redirect?.searchParams.get('code') || null,
+    state: redirect?.searchParams.get('state') || null
+  };
+};
+
+/**
+ * Setup y teardown de la suite de tests
+ */
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  await stubProvider.start();
+  console.log('🧪 Conectado a base de datos de pruebas para OpenID Connect');
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+  await OAuthAuthorizationCode.deleteMany({});
+
+  stubProvider.idTokenClaims = {};
+  stubProvider.forgedKey = null;
+  stubProvider.claims = {
+    sub: 'stub-user-1',
+    email: 'oidc.user@corp.example',
+    email_verified: true,
+    preferred_username: 'oidc.user',
+    given_name: 'Oidc',
+    family_name: 'User'
+  };
+
+  registerGenericProvider({
+    name: 'corp',
+    displayName: 'Corp SSO',
+    issuer: stubProvider.baseUrl,
+    clientID: 'stub_client',
+    clientSecret: 'stub_secret'
+  });
+});
+
+afterEach(async () => {
+  unregisterGenericProvider('corp');
+  unregisterGenericProvider('legacy');
+  await User.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+  await OAuthAuthorizationCode.deleteMany({});
+});
+
+afterAll(async () => {
+  await stubProvider.stop();
+  await mongoose.connection.close();
+  console.log('🔌 Conexión a base de datos de pruebas cerrada');
+});
+
+/**
+ * Suite de tests para el login con proveedores genéricos
+ */
+describe('Generic OIDC Provider Tests', () => {
+
+  test('Debería iniciar sesión y crear el usuario con un proveedor OIDC', async () => {
+    const { agent, response, redirect, code } = await loginWithProvider('corp');
+
+    expect(response.status).toBe(302);
+    expect(redirect.pathname).toBe('/api/auth/success');
+    expect(code).toBeTruthy();
+
+    const exchange = await agent
+      .post('/api/auth/exchange')
+      .send({ code })
+      .expect(200);
+
+    expect(exchange.body.data.provider).toBe('corp');
+    expect(exchange.body.data.accessToken).toBeDefined();
+
+    const user = await User.findOne({ email: 'oidc.user@corp.example' });
+    expect(user.firstName).toBe('Oidc');
+    expect(user.emailVerified).toBe(true);
+    expect(user.getIdentity('corp').providerId).toBe('stub-user-1');
+
+    // El intercambio del código usa PKCE
+    expect(stubProvider.lastTokenRequest.code_verifier).toBeDefined();
+  });
+
+  test('Debería reutilizar el usuario en logins posteriores', async () => {
+    await loginWithProvider('corp');
+    await loginWithProvider('corp');
+
+    expect(await User.countDocuments({})).toBe(1);
+  });
+
+  test('Debería aplicar el mapeo de claims configurado', async () => {
+    stubProvider.claims = {
+      sub: 'ignored',
+      uid: 'legacy-42',
+      attributes: { mail: 'mapped@corp.example', givenName: 'Mapped' }
+    };
+
+    registerGenericProvider({
+      name: 'legacy',
+      type: 'oauth2',
+      authorizationURL: `${stubProvider.baseUrl}/authorize`,
+      tokenURL: `${stubProvider.baseUrl}/token`,
+      userInfoURL: `${stubProvider.baseUrl}/userinfo`,
+      clientID: 'stub_client',
+      clientSecret: 'stub_secret',
+      claims: { id: 'uid', email: 'attributes.mail', firstName: 'attributes.givenName' }
+    });
+
+    const { code } = await loginWithProvider('legacy');
+    expect(code).toBeTruthy();
+
+    const user = await User.findOne({ email: 'mapped@corp.example' });
+    expect(user.firstName).toBe('Mapped');
+    expect(user.getIdentity('legacy').providerId).toBe('legacy-42');
+    // Sin claim de verificación, el email no se considera verificado
+    expect(user.emailVerified).toBe(false);
+  });
+
+  test('No debería fusionar por email si el proveedor no lo verificó', async () => {
+    await User.create({
+      username: 'existing',
+      email: 'oidc.user@corp.example',
+      password: 'Password123',
+      firstName: 'Existing',
+      lastName: 'User'
+    });
+    stubProvider.claims.email_verified = false;
+
+    const { response } = await loginWithProvider('corp');
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('/api/auth/failure');
+
+    const user = await User.findOne({ username: 'existing' });
+    expect(user.getIdentity('corp')).toBeNull();
+  });
+
+  test('Debería rechazar un id_token emitido para otro cliente', async () => {
+    stubProvider.idTokenClaims = { aud: 'other_client' };
+
+    const { response, code } = await loginWithProvider('corp');
+
+    expect(response.headers.location).toBe('/api/auth/failure');
+    expect(code).toBeNull();
+    expect(await User.countDocuments({})).toBe(0);
+  });
+
+  test('Debería rechazar un id_token que no firmó el proveedor', async () => {
+    stubProvider.forgedKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+    const { response } = await loginWithProvider('corp');
+
+    expect(response.headers.location).toBe('/api/auth/failure');
+    expect(await User.countDocuments({})).toBe(0);
+  });
+
+  test('Debería devolver 404 para proveedores no configurados', async () => {
+    const response = await request(app)
+      .get('/api/auth/unknown')
+      .expect(404);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  test('Debería rechazar configuraciones inválidas', () => {
+    expect(() => registerGenericProvider({ name: 'status', issuer: stubProvider.baseUrl, clientID: 'a', clientSecret: 'b' }))
+      .toThrow('reservado');
+    expect(() => registerGenericProvider({ name: 'nourls', clientID: 'a', clientSecret: 'b' }))
+      .toThrow('discoveryUrl');
+    expect(() => registerGenericProvider({ name: 'nosecret', issuer: stubProvider.baseUrl, clientID: 'a' }))
+      .toThrow('clientSecret');
+  });
+
+  test('Debería listar los proveedores configurados', async () => {
+    const response = await request(app)
+      .get('/api/auth/test')
+      .expect(200);
+
+    expect(response.body.data.providers).toEqual([
+      expect.objectContaining({ name: 'corp', displayName: 'Corp SSO', type: 'oidc' })
+    ]);
+  });
+});
+
+/**
+ * Suite de tests para el canje del código de autorización OAuth
+ */
+describe('OAuth Code Exchange Tests', () => {
+
+  // Par verificador/desafío PKCE del ejemplo de la RFC 7636
+  const codeVerifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+  const codeChallenge = 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM';
+
+  test('No debería incluir tokens en la URL de redirección', async () => {
+    const { response } = await loginWithProvider('corp');
+
+    expect(response.headers.location).not.toMatch(/token|refresh/i);
+
+    const success = await request(app)
+      .get(response.headers.location.replace(/^https?:\/\/[^/]+/, ''))
+      .expect(200);
+
+    expect(success.headers['cache-control']).toBe('no-store');
+    expect(JSON.stringify(success.body)).not.toMatch(/accessToken|refreshToken/);
+  });
+
+  test('Debería aceptar cada código una sola vez', async () => {
+    const { agent, code } = await loginWithProvider('corp');
+
+    await agent.post('/api/auth/exchange').send({ code }).expect(200);
+
+    const reused = await agent.post('/api/auth/exchange').send({ code }).expect(400);
+    expect(reused.body.success).toBe(false);
+  });
+
+  test('Debería exigir la misma sesión si no se usó PKCE', async () => {
+    const { code } = await loginWithProvider('corp');
+
+    await request(app)
+      .post('/api/auth/exchange')
+      .send({ code })
+      .expect(400);
+  });
+
+  test('Debería canjear el código con el code_verifier desde otro cliente', async () => {
+    const { code } = await loginWithProvider('corp', { code_challenge: codeChallenge, code_challenge_method: 'S256' });
+
+    // Sin la cookie de sesión (ej: app móvil), el verificador PKCE liga el código al cliente
+    const response = await request(app)
+      .post('/api/auth/exchange')
+      .send({ code, codeVerifier })
+      .expect(200);
+
+    expect(response.body.data.refreshToken).toBeDefined();
+  });
+
+  test('Debería rechazar un code_verifier incorrecto e invalidar el código', async () => {
+    const { code } = await loginWithProvider('corp', { code_challenge: codeChallenge });
+
+    await request(app)
+      .post('/api/auth/exchange')
+      .send({ code, codeVerifier: 'x'.repeat(43) })
+      .expect(400);
+
+    await request(app)
+      .post('/api/auth/exchange')
+      .send({ code, codeVerifier })
+      .expect(400);
+  });
+
+  test('Debería redirigir solo a las redirect_uri permitidas y devolver el state', async () => {
+    const original = process.env.OAUTH_REDIRECT_URIS;
+    process.env.OAUTH_REDIRECT_URIS = 'https://app.example.com/callback';
+
+    try {
+      await request(app)
+        .get('/api/auth/corp')
+        .query({ redirect_uri: 'https://evil.example.com/callback' })
+        .expect(400);
+
+      const { redirect, state } = await loginWithProvider('corp', {
+        redirect_uri: 'https://app.example.com/callback',
+        state: 'client-state-123',
+        code_challenge: codeChallenge
+      });
+
+      expect(`${redirect.origin}${redirect.pathname}`).toBe('https://app.example.com/callback');
+      expect(state).toBe('client-state-123');
+    } finally {
+      if (original === undefined) delete process.env.OAUTH_REDIRECT_URIS;
+      else process.env.OAUTH_REDIRECT_URIS = original;
+    }
+  });
+
+  test('Debería expirar los códigos', async () => {
+    const { agent, code } = await loginWithProvider('corp');
+    await OAuthAuthorizationCode.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+    await agent.post('/api/auth/exchange').send({ code }).expect(400);
+  });
+});
@@ -0,0 +1,372 @@
+// src/tests/passkey.test.js - Tests para el registro y login con passkeys (WebAuthn)
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const { getRelyingParty } = require('../utils/webauthn');
+
+/**
+ * Configuración de la base de datos de pruebas
+ */
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/socialconnect_test';
+
+// Datos de prueba reutilizables
+const testUser = {
+  username: 'passkeyuser',
+  email: 'passkeyuser@example.com',
+  password: 'Password123',
+  firstName: 'Passkey',
+  lastName: 'User'
+};
+
+/**
+ * Codifica un valor en CBOR (solo lo necesario para construir respuestas de autenticador)
+ * @param {*} value - Entero, Buffer, texto o mapa (Map con claves enteras o de texto)
+ * @returns {Buffer}
+ */
+const encodeCbor = (value) => {
+  const header = (majorType, length) => {
+    if (length < 24) return Buffer.from([(majorType << 5) | length]);
+    if (length < 256) return Buffer.from([(majorType << 5) | 24, length]);
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (majorType << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  };
+
+  if (Number.isInteger(value)) {
+    return value >= 0 ? header(0, value) : header(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([header(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([header(3, bytes.length), bytes]);
+  }
+  if (value instanceof Map) {
+    const entries = [...value.entries()].flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)]);
+    return Buffer.concat([header(5, value.size), ...entries]);
+  }
+  throw new Error(`Tipo no soportado en el codificador CBOR de pruebas: ${typeof value}`);
+};
+
+/**
+ * Autenticador WebAuthn por software
+ * Genera una clave ES256 y produce las mismas respuestas que devuelve el navegador
+ * (campos binarios en base64url), con un contador de firmas propio.
+ */
+const createSoftwareAuthenticator = ({ origin = getRelyingParty().origins[0], userVerified = true } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const credentialId = crypto.randomBytes(16);
+  const jwk = publicKey.export({ format: 'jwk' });
+
+  const authenticator = {
+    credentialId: credentialId.toString('base64url'),
+    signCount: 0,
+    userHandle: null,
+    origin,
+    userVerified
+  };
+
+  const buildClientData = (type, challenge) => Buffer.from(JSON.stringify({ type, challenge, origin: authenticator.origin }));
+
+  const buildAuthData = (rpId, attestedCredentialData = null) => {
+    const flags = 0x01 | (authenticator.userVerified ? 0x04 : 0) | (attestedCredentialData ? 0x40 : 0);
+    const signCount = Buffer.alloc(4);
+    signCount.writeUInt32BE(authenticator.signCount);
+
+    return Buffer.concat([
+      crypto.createHash('sha256').update(rpId).digest(),
+      Buffer.from([flags]),
+      signCount,
+      ...(attestedCredentialData ? [attestedCredentialData] : [])
+    ]);
+  };
+
+  /**
+   * Equivalente a navigator.credentials.create()
+   */
+  authenticator.create = (options) => {
+    authenticator.userHandle = options.user.id;
+
+    const coseKey = encodeCbor(new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, Buffer.from(jwk.x, 'base64url')],
+      [-3, Buffer.from(jwk.y, 'base64url')]
+    ]));
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credentialId.length);
+    const attestedCredentialData = Buffer.concat([Buffer.alloc(16), idLength, credentialId, coseKey]);
+
+    const attestationObject = encodeCbor(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', buildAuthData(options.rp.id, attestedCredentialData)]
+    ]));
+
+    return {
+      id: authenticator.credentialId,
+      rawId: authenticator.credentialId,
+      type: 'public-key',
+      response: {
+        clientDataJSON: buildClientData('webauthn.create', options.challenge).toString('base64url'),
+        attestationObject: attestationObject.toString('base64url'),
+        transports: ['internal']
+      }
+    };
+  };
+
+  /**
+   * Equivalente a navigator.credentials.get()
+   */
+  authenticator.get = (options) => {
+    authenticator.signCount += 1;
+
+    const clientDataJSON = buildClientData('webauthn.get', options.challenge);
+    const authenticatorData = buildAuthData(options.rpId);
+    const signature = crypto.sign(
+      'sha256',
+      Buffer.concat([authenticatorData, crypto.createHash('sha256').update(clientDataJSON).digest()]),
+      privateKey
+    );
+
+    return {
+      id: authenticator.credentialId,
+      rawId: authenticator.credentialId,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        authenticatorData: authenticatorData.toString('base64url'),
+        signature: signature.toString('base64url'),
+        userHandle: authenticator.userHandle
+      }
+    };
+  };
+
+  return authenticator;
+};
+
+// Tokens del usuario de prueba
+let accessToken;
+
+/**
+ * Registra una passkey para el usuario autenticado
+ * @param {Object} authenticator - Autenticador por software
+ * @returns {Promise<Object>} - Respuesta del registro
+ */
+const registerPasskey = async (authenticator, name) => {
+  const options = await request(app)
+    .post('/api/users/profile/passkeys/options')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .expect(200);
+
+  return request(app)
+    .post('/api/users/profile/passkeys')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({ credential: authenticator.create(options.body.data), name });
+};
+
+/**
+ * Inicia sesión con la passkey del autenticador
+ * @param {Object} authenticator - Autenticador por software
+ * @returns {Promise<Object>} - Respuesta del login
+ */
+const loginWithPasskey = async (authenticator) => {
+  const options = await request(app)
+    .post('/api/users/login/passkey/options')
+    .expect(200);
+
+  return request(app)
+    .post('/api/users/login/passkey')
+    .send({ credential: authenticator.get(options.body.data) });
+};
+
+/**
+ * Setup y teardown de la suite de tests
+ */
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log('🧪 Conectado a base de datos de pruebas para passkeys');
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+  await WebAuthnChallenge.deleteMany({});
+
+  await User.create(testUser);
+
+  const login = await request(app)
+    .post('/api/users/login')
+    .send({ emailOrUsername: testUser.username, password: testUser.password })
+    .expect(200);
+  accessToken = login.body.data.accessToken;
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+  await WebAuthnChallenge.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+  console.log('🔌 Conexión a base de datos de pruebas cerrada');
+});
+
+/**
+ * Suite de tests para el registro y la gestión de passkeys
+ */
+describe('Passkey Registration Tests', () => {
+
+  test('Debería registrar una passkey y guardar su clave pública', async () => {
+    const authenticator = createSoftwareAuthenticator();
+
+    const response = await registerPasskey(authenticator, 'Portátil').expect(201);
+
+    expect(response.body.data.passkey.name).toBe('Portátil');
+    expect(response.body.data.passkey.transports).toEqual(['internal']);
+    expect(JSON.stringify(response.body)).not.toContain('publicKey');
+
+    const user = await User.findOne({ username: testUser.username });
+    expect(user.passkeys).toHaveLength(1);
+    expect(user.passkeys[0].credentialId).toBe(authenticator.credentialId);
+    expect(user.passkeys[0].algorithm).toBe(-7);
+    expect(user.passkeys[0].signCount).toBe(0);
+  });
+
+  test('Debería listar y eliminar passkeys', async () => {
+    await registerPasskey(createSoftwareAuthenticator(), 'Móvil').expect(201);
+
+    const list = await request(app)
+      .get('/api/users/profile/passkeys')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(list.body.data.totalPasskeys).toBe(1);
+    const passkeyId = list.body.data.passkeys[0]._id;
+
+    await request(app)
+      .delete(`/api/users/profile/passkeys/${passkeyId}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/users/profile/passkeys/${passkeyId}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(404);
+  });
+
+  test('No debería aceptar el mismo desafío dos veces', async () => {
+    const authenticator = createSoftwareAuthenticator();
+    const options = await request(app)
+      .post('/api/users/profile/passkeys/options')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    const credential = authenticator.create(options.body.data);
+
+    await request(app)
+      .post('/api/users/profile/passkeys')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ credential })
+      .expect(201);
+
+    await request(app)
+      .post('/api/users/profile/passkeys')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ credential })
+      .expect(400);
+  });
+
+  test('Debería rechazar respuestas de otro origen', async () => {
+    const authenticator = createSoftwareAuthenticator({ origin: 'https://phishing.example.com' });
+
+    const response = await registerPasskey(authenticator).expect(400);
+    expect(response.body.error).toMatch(/Origen no permitido/);
+  });
+
+  test('Debería exigir autenticación para registrar passkeys', async () => {
+    await request(app)
+      .post('/api/users/profile/passkeys/options')
+      .expect(401);
+  });
+});
+
+/**
+ * Suite de tests para el login con passkeys
+ */
+describe('Passkey Login Tests', () => {
+
+  test('Debería iniciar sesión con la passkey y devolver los mismos tokens que el login', async () => {
+    const authenticator = createSoftwareAuthenticator();
+    await registerPasskey(authenticator).expect(201);
+
+    const response = await loginWithPasskey(authenticator).expect(200);
+
+    expect(response.body.message).toBe('Login exitoso');
+    expect(response.body.data.user.username).toBe(testUser.username);
+    expect(response.body.data.accessToken).toBeDefined();
+    expect(response.body.data.refreshToken).toBeDefined();
+
+    // El access token funciona en las rutas protegidas
+    await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${response.body.data.accessToken}`)
+      .expect(200);
+
+    const user = await User.findOne({ username: testUser.username });
+    expect(user.passkeys[0].signCount).toBe(1);
+    expect(user.passkeys[0].lastUsedAt).not.toBeNull();
+  });
+
+  test('Debería rechazar firmas de otra clave', async () => {
+    const authenticator = createSoftwareAuthenticator();
+    await registerPasskey(authenticator).expect(201);
+
+    // Otro autenticador que se hace pasar por la misma credencial
+    const impostor = createSoftwareAuthenticator();
+    impostor.credentialId = authenticator.credentialId;
+    impostor.userHandle = authenticator.userHandle;
+
+    await loginWithPasskey(impostor).expect(401);
+  });
+
+  test('Debería rechazar contadores que no avanzan (autenticador clonado)', async () => {
+    const authenticator = createSoftwareAuthenticator();
+    await registerPasskey(authenticator).expect(201);
+
+    await loginWithPasskey(authenticator).expect(200);
+
+    authenticator.signCount = 0;
+    const response = await loginWithPasskey(authenticator).expect(401);
+    expect(response.body.error).toMatch(/contador/);
+  });
+
+  test('Debería rechazar passkeys desconocidas', async () => {
+    await loginWithPasskey(createSoftwareAuthenticator()).expect(401);
+  });
+
+  test('Debería pedir el segundo factor si el autenticador no verificó al usuario', async () => {
+    const authenticator = createSoftwareAuthenticator({ userVerified: false });
+    await registerPasskey(authenticator).expect(201);
+    await User.updateOne({ username: testUser.username }, { twoFactorEnabled: true });
+
+    const response = await loginWithPasskey(authenticator).expect(200);
+
+    expect(response.body.data.twoFactorRequired).toBe(true);
+    expect(response.body.data.accessToken).toBeUndefined();
+  });
+});
@@ -0,0 +1,245 @@
+// src/tests/postVisibility.test.js - Tests para la visibilidad de los posts
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+
+/**
+ * Configuración de la base de datos de pruebas
+ */
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/socialconnect_test';
+
+// Datos de prueba reutilizables (el primer usuario es el autor de los posts)
+const testUsers = [
+  { username: 'visibilityauthor', email: 'visibilityauthor@example.com', password: 'Password123', firstName: 'Visibility', lastName: 'Author' },
+  { username: 'visibilitymember', email: 'visibilitymember@example.com', password: 'Password123', firstName: 'Visibility', lastName: 'Member' }
+];
+
+// Usuarios creados, sus tokens y un post del autor por cada visibilidad
+let users;
+let tokens;
+let posts;
+
+/**
+ * Setup y teardown de la suite de tests
+ */
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log('🧪 Conectado a base de datos de pruebas para la visibilidad de posts');
+});
+
+const clearCollections = async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await Comment.deleteMany({});
+  await Like.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+};
+
+beforeEach(async () => {
+  await clearCollections();
+
+  users = [];
+  tokens = [];
+  for (const data of testUsers) {
+    users.push(await User.create({ ...data, emailVerified: true }));
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: data.username, password: data.password })
+      .expect(200);
+    tokens.push(login.body.data.accessToken);
+  }
+
+  posts = {};
+  for (const visibility of ['public', 'unlisted', 'members_only', 'private']) {
+    posts[visibility] = await Post.create({
+      userId: users[0]._id,
+      content: `Post ${visibility} visible`,
+      tags: ['visibilidad'],
+      visibility
+    });
+  }
+});
+
+afterEach(async () => {
+  await clearCollections();
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+  console.log('🔌 Conexión a base de datos de pruebas cerrada');
+});
+
+/**
+ * Obtiene las visibilidades de los posts de un listado
+ * @param {string} path - Ruta a consultar
+ * @param {string} token - Token del usuario (undefined para anónimo)
+ */
+const listVisibilities = async (path, token) => {
+  const req = request(app).get(path);
+  if (token) req.set('Authorization', `Bearer ${token}`);
+
+  const response = await req.expect(200);
+  return response.body.data.posts.map(post => post.visibility).sort();
+};
+
+/**
+ * Suite de tests para la visibilidad de los posts
+ */
+describe('Post Visibility Tests', () => {
+
+  test('Debería crear posts públicos por defecto y rechazar visibilidades inválidas', async () => {
+    const created = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .send({ content: 'Post sin visibilidad' })
+      .expect(201);
+
+    expect(created.body.data.post.visibility).toBe('public');
+
+    await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .send({ content: 'Post con visibilidad inválida', visibility: 'friends' })
+      .expect(400);
+  });
+
+  test('Debería listar solo los posts públicos y, para miembros, los de miembros', async () => {
+    for (const path of ['/api/posts', '/api/posts/feed/recent', '/api/posts/search?q=visible']) {
+      expect(await listVisibilities(path)).toEqual(['public']);
+      expect(await listVisibilities(path, tokens[1])).toEqual(['members_only', 'public']);
+    }
+
+    expect(await listVisibilities(`/api/posts/user/${users[0]._id}`, tokens[1])).toEqual(['members_only', 'public']);
+  });
+
+  test('Debería mostrar al autor todos sus posts en su perfil', async () => {
+    expect(await listVisibilities(`/api/posts/user/${users[0]._id}`, tokens[0]))
+      .toEqual(['members_only', 'private', 'public', 'unlisted']);
+  });
+
+  test('Debería aplicar la visibilidad al ver un post por su enlace', async () => {
+    await request(app).get(`/api/posts/${posts.unlisted._id}`).expect(200);
+    await request(app).get(`/api/posts/${posts.members_only._id}`).expect(401);
+    await request(app).get(`/api/posts/${posts.private._id}`).expect(404);
+
+    await request(app)
+      .get(`/api/posts/${posts.members_only._id}`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/posts/${posts.private._id}`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(404);
+
+    await request(app)
+      .get(`/api/posts/${posts.private._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+  });
+
+  test('Debería impedir comentar y dar like a los posts privados de otros usuarios', async () => {
+    await request(app)
+      .post('/api/comments')
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .send({ postId: posts.private._id, content: 'No debería poder comentar' })
+      .expect(404);
+
+    await request(app)
+      .post('/api/likes/toggle')
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .send({ targetType: 'Post', targetId: posts.private._id })
+      .expect(404);
+
+    await request(app)
+      .get(`/api/comments/post/${posts.private._id}`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(404);
+
+    // Los posts unlisted admiten comentarios de quien tiene el enlace
+    await request(app)
+      .post('/api/comments')
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .send({ postId: posts.unlisted._id, content: 'Comentario por enlace' })
+      .expect(201);
+  });
+
+  test('Debería aplicar la visibilidad del post al ver un like por su ID', async () => {
+    const like = await Like.create({ userId: users[0]._id, targetType: 'Post', targetId: posts.private._id });
+    const membersLike = await Like.create({ userId: users[0]._id, targetType: 'Post', targetId: posts.members_only._id });
+
+    await request(app)
+      .get(`/api/likes/${like._id}`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(404);
+
+    await request(app)
+      .get(`/api/likes/${membersLike._id}`)
+      .expect(401);
+
+    await request(app)
+      .get(`/api/likes/${like._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+  });
+
+  test('Debería ocultar los comentarios de posts no listados en los listados de comentarios', async () => {
+    await Comment.create({ postId: posts.public._id, userId: users[1]._id, content: 'En el post público' });
+    await Comment.create({ postId: posts.unlisted._id, userId: users[1]._id, content: 'En el post unlisted' });
+
+    const response = await request(app)
+      .get(`/api/comments/user/${users[1]._id}`)
+      .expect(200);
+
+    expect(response.body.data.comments.map(comment => comment.content)).toEqual(['En el post público']);
+  });
+
+  test('Debería ocultar los comentarios y likes de un post al dejar de listarlo', async () => {
+    await Comment.create({ postId: posts.public._id, userId: users[1]._id, content: 'Comentario listado' });
+    await Like.create({ userId: users[1]._id, targetType: 'Post', targetId: posts.public._id });
+
+    await request(app)
+      .put(`/api/posts/${posts.public._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .send({ visibility: 'unlisted' })
+      .expect(200);
+
+    const comments = await request(app)
+      .get(`/api/comments/user/${users[1]._id}`)
+      .expect(200);
+    expect(comments.body.data.comments).toHaveLength(0);
+
+    const likes = await request(app)
+      .get(`/api/likes/user/${users[1]._id}`)
+      .expect(200);
+    expect(likes.body.data.pagination.totalLikes).toBe(0);
+  });
+
+  test('Debería permitir al autor cambiar la visibilidad de un post', async () => {
+    const response = await request(app)
+      .put(`/api/posts/${posts.private._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .send({ visibility: 'public' })
+      .expect(200);
+
+    expect(response.body.data.post.visibility).toBe('public');
+    expect(await listVisibilities('/api/posts')).toEqual(['public', 'public']);
+
+    await request(app)
+      .put(`/api/posts/${posts.public._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .send({ visibility: 'secret' })
+      .expect(400);
+  });
+});
@@ -0,0 +1,298 @@
+// src/tests/privateAccount.test.js - Tests para cuentas privadas y solicitudes de seguimiento
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const FollowRequest = require('../models/FollowRequest');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+
+/**
+ * Configuración de la base de datos de pruebas
+ */
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/socialconnect_test';
+
+// Datos de prueba reutilizables (el primer usuario tiene la cuenta privada)
+const testUsers = [
+  { username: 'privateowner', email: 'privateowner@example.com', password: 'Password123', firstName: 'Private', lastName: 'Owner', isPrivate: true },
+  { username: 'privatefan', email: 'privatefan@example.com', password: 'Password123', firstName: 'Private', lastName: 'Fan' },
+  { username: 'privatestranger', email: 'privatestranger@example.com', password: 'Password123', firstName: 'Private', lastName: 'Stranger' }
+];
+
+// Usuarios creados, sus tokens y el post de la cuenta privada
+let users;
+let tokens;
+let privatePost;
+
+/**
+ * Setup y teardown de la suite de tests
+ */
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log('🧪 Conectado a base de datos de pruebas para cuentas privadas');
+});
+
+const clearCollections = async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await Comment.deleteMany({});
+  await Like.deleteMany({});
+  await Follow.deleteMany({});
+  await FollowRequest.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+};
+
+beforeEach(async () => {
+  await clearCollections();
+
+  users = [];
+  tokens = [];
+  for (const data of testUsers) {
+    users.push(await User.create({ ...data, emailVerified: true }));
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: data.username, password: data.password })
+      .expect(200);
+    tokens.push(login.body.data.accessToken);
+  }
+
+  privatePost = await Post.create({ userId: users[0]._id, content: 'Post solo para seguidores', tags: ['privado'] });
+  await Post.create({ userId: users[2]._id, content: 'Post público de otro usuario', tags: ['privado'] });
+});
+
+afterEach(async () => {
+  await clearCollections();
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+  console.log('🔌 Conexión a base de datos de pruebas cerrada');
+});
+
+/**
+ * Solicita seguir a la cuenta privada y la aprueba
+ */
+const approveFan = async () => {
+  await request(app)
+    .post(`/api/users/${users[0]._id}/follow`)
+    .set('Authorization', `Bearer ${tokens[1]}`)
+    .expect(202);
+
+  const { _id } = await FollowRequest.findOne({ requesterId: users[1]._id });
+
+  return request(app)
+    .post(`/api/users/profile/follow-requests/${_id}/approve`)
+    .set('Authorization', `Bearer ${tokens[0]}`)
+    .expect(200);
+};
+
+/**
+ * Suite de tests para cuentas privadas
+ */
+describe('Private Account Tests', () => {
+
+  test('Debería crear una solicitud pendiente al seguir una cuenta privada', async () => {
+    const follow = await request(app)
+      .post(`/api/users/${users[0]._id}/follow`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(202);
+
+    expect(follow.body.data.following).toBe(false);
+    expect(follow.body.data.requested).toBe(true);
+    expect(await Follow.isFollowing(users[1]._id, users[0]._id)).toBe(false);
+
+    const profile = await request(app)
+      .get(`/api/users/${users[0]._id}`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(200);
+
+    expect(profile.body.data.followRequested).toBe(true);
+
+    const requests = await request(app)
+      .get('/api/users/profile/follow-requests')
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(requests.body.data.requests).toHaveLength(1);
+    expect(requests.body.data.requests[0].user.username).toBe('privatefan');
+  });
+
+  test('Debería aprobar una solicitud y dar acceso al contenido', async () => {
+    const approve = await approveFan();
+
+    expect(approve.body.data.followersCount).toBe(1);
+    expect(await Follow.isFollowing(users[1]._id, users[0]._id)).toBe(true);
+    expect(await FollowRequest.countDocuments({})).toBe(0);
+
+    await request(app)
+      .get(`/api/posts/user/${users[0]._id}`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/posts/${privatePost._id}`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(200);
+
+    const followers = await request(app)
+      .get(`/api/users/${users[0]._id}/followers`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(200);
+
+    expect(followers.body.data.followers.map(follower => follower.user.username)).toEqual(['privatefan']);
+
+    const search = await request(app)
+      .get('/api/posts/search?q=seguidores')
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(200);
+
+    expect(search.body.data.posts).toHaveLength(1);
+  });
+
+  test('Debería ocultar los posts de la cuenta privada a quien no la sigue', async () => {
+    for (const token of [tokens[2], null]) {
+      const auth = token ? { Authorization: `Bearer ${token}` } : {};
+
+      await request(app).get(`/api/posts/user/${users[0]._id}`).set(auth).expect(403);
+      await request(app).get(`/api/posts/${privatePost._id}`).set(auth).expect(403);
+      await request(app).get(`/api/comments/post/${privatePost._id}`).set(auth).expect(403);
+      await request(app).get(`/api/likes/post/${privatePost._id}`).set(auth).expect(403);
+      await request(app).get(`/api/users/${users[0]._id}/followers`).set(auth).expect(403);
+      await request(app).get(`/api/users/${users[0]._id}/following`).set(auth).expect(403);
+
+      const search = await request(app).get('/api/posts/search?q=post').set(auth).expect(200);
+      expect(search.body.data.posts.map(post => post.author.username)).toEqual(['privatestranger']);
+
+      const list = await request(app).get('/api/posts').set(auth).expect(200);
+      expect(list.body.data.pagination.totalPosts).toBe(1);
+    }
+
+    // El propio autor sigue viendo su contenido
+    await request(app)
+      .get(`/api/posts/${privatePost._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+  });
+
+  test('Debería impedir comentar y dar like a quien no sigue la cuenta privada', async () => {
+    await request(app)
+      .post('/api/comments')
+      .set('Authorization', `Bearer ${tokens[2]}`)
+      .send({ postId: privatePost._id, content: 'Comentario sin aprobación' })
+      .expect(403);
+
+    await request(app)
+      .post('/api/likes/toggle')
+      .set('Authorization', `Bearer ${tokens[2]}`)
+      .send({ targetType: 'Post', targetId: privatePost._id })
+      .expect(403);
+
+    // Los comentarios de seguidores aprobados no aparecen en los listados de otros usuarios
+    await approveFan();
+    await request(app)
+      .post('/api/comments')
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .send({ postId: privatePost._id, content: 'Comentario de un seguidor aprobado' })
+      .expect(201);
+
+    const comments = await request(app)
+      .get(`/api/comments/user/${users[1]._id}`)
+      .set('Authorization', `Bearer ${tokens[2]}`)
+      .expect(200);
+
+    expect(comments.body.data.comments).toHaveLength(0);
+  });
+
+  test('Debería rechazar o cancelar solicitudes pendientes', async () => {
+    await request(app)
+      .post(`/api/users/${users[0]._id}/follow`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .expect(202);
+
+    const { _id } = await FollowRequest.findOne({ requesterId: users[1]._id });
+
+    // Solo el destinatario puede resolver la solicitud
+    await request(app)
+      .post(`/api/users/profile/follow-requests/${_id}/reject`)
+      .set('Authorization', `Bearer ${tokens[2]}`)
+      .expect(404);
+
+    await request(app)
+      .post(`/api/users/profile/follow-requests/${_id}/reject`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(await FollowRequest.countDocuments({})).toBe(0);
+    expect(await Follow.isFollowing(users[1]._id, users[0]._id)).toBe(false);
+
+    await request(app)
+      .post(`/api/users/${users[0]._id}/follow`)
+      .set('Authorization', `Bearer ${tokens[2]}`)
+      .expect(202);
+
+    await request(app)
+      .delete(`/api/users/${users[0]._id}/follow`)
+      .set('Authorization', `Bearer ${tokens[2]}`)
+      .expect(200);
+
+    expect(await FollowRequest.countDocuments({})).toBe(0);
+  });
+
+  test('Debería aprobar las solicitudes pendientes al hacer pública la cuenta', async () => {
+    await FollowRequest.createRequest(users[1]._id, users[0]._id);
+    await FollowRequest.createRequest(users[2]._id, users[0]._id);
+
+    const update = await request(app)
+      .put(`/api/users/${users[0]._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .send({ isPrivate: false })
+      .expect(200);
+
+    expect(update.body.data.user.isPrivate).toBe(false);
+    expect(await FollowRequest.countDocuments({})).toBe(0);
+    expect((await User.findById(users[0]._id)).followersCount).toBe(2);
+
+    await request(app)
+      .get(`/api/posts/${privatePost._id}`)
+      .expect(200);
+  });
+
+  test('Debería actualizar los listados al cambiar la privacidad de la cuenta', async () => {
+    await Comment.create({ postId: privatePost._id, userId: users[0]._id, content: 'Comentario del autor' });
+    await Like.create({ userId: users[0]._id, targetType: 'Post', targetId: privatePost._id });
+
+    const countListed = async () => {
+      const posts = await request(app).get('/api/posts').expect(200);
+      const comments = await request(app).get('/api/comments').expect(200);
+      const likes = await request(app).get('/api/likes').expect(200);
+      return [posts.body.data.pagination.totalPosts, comments.body.data.pagination.totalComments, likes.body.data.pagination.totalLikes];
+    };
+
+    expect(await countListed()).toEqual([1, 0, 0]);
+
+    await request(app)
+      .put(`/api/users/${users[0]._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .send({ isPrivate: false })
+      .expect(200);
+
+    expect(await countListed()).toEqual([2, 1, 1]);
+
+    await request(app)
+      .put(`/api/users/${users[0]._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .send({ isPrivate: true })
+      .expect(200);
+
+    expect(await countListed()).toEqual([1, 0, 0]);
+  });
+});
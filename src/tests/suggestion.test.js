@@ -0,0 +1,191 @@
+// src/tests/suggestion.test.js - Tests para las sugerencias de usuarios
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const SuggestionDismissal = require('../models/SuggestionDismissal');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+
+/**
+ * Configuración de la base de datos de pruebas
+ */
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/socialconnect_test';
+
+// Datos de prueba reutilizables (el primer usuario es quien recibe las sugerencias)
+const testUsers = [
+  { username: 'suggestviewer', email: 'suggestviewer@example.com', password: 'Password123', firstName: 'Suggest', lastName: 'Viewer' },
+  { username: 'suggestcoliker', email: 'suggestcoliker@example.com', password: 'Password123', firstName: 'Suggest', lastName: 'Coliker' },
+  { username: 'suggesttagger', email: 'suggesttagger@example.com', password: 'Password123', firstName: 'Suggest', lastName: 'Tagger' },
+  { username: 'suggestactive', email: 'suggestactive@example.com', password: 'Password123', firstName: 'Suggest', lastName: 'Active' },
+  { username: 'suggestfollowed', email: 'suggestfollowed@example.com', password: 'Password123', firstName: 'Suggest', lastName: 'Followed' }
+];
+
+// Usuarios creados y sus tokens
+let users;
+let tokens;
+
+/**
+ * Setup y teardown de la suite de tests
+ */
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log('🧪 Conectado a base de datos de pruebas para sugerencias');
+});
+
+const clearCollections = async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await Comment.deleteMany({});
+  await Like.deleteMany({});
+  await Follow.deleteMany({});
+  await Block.deleteMany({});
+  await SuggestionDismissal.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await UserSession.deleteMany({});
+};
+
+beforeEach(async () => {
+  await clearCollections();
+
+  users = [];
+  tokens = [];
+  for (const data of testUsers) {
+    users.push(await User.create({ ...data, emailVerified: true }));
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: data.username, password: data.password })
+      .expect(200);
+    tokens.push(login.body.data.accessToken);
+  }
+
+  // El espectador y suggestcoliker interactúan con el mismo post
+  const sharedPost = await Post.create({ userId: users[4]._id, content: 'Post con mucha actividad' });
+  await Like.create({ userId: users[0]._id, targetType: 'Post', targetId: sharedPost._id });
+  await Like.create({ userId: users[1]._id, targetType: 'Post', targetId: sharedPost._id });
+  await Comment.create({ postId: sharedPost._id, userId: users[1]._id, content: 'Comentario en el mismo post' });
+
+  // El espectador y suggesttagger usan la misma etiqueta
+  await Post.create({ userId: users[0]._id, content: 'Mis viajes', tags: ['viajes'] });
+  await Post.create({ userId: users[2]._id, content: 'Otros viajes', tags: ['viajes'] });
+
+  // suggestactive solo tiene actividad reciente
+  await Post.create({ userId: users[3]._id, content: 'Post reciente sin relación' });
+
+  await Follow.follow(users[0]._id, users[4]._id);
+});
+
+afterEach(async () => {
+  await clearCollections();
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+  console.log('🔌 Conexión a base de datos de pruebas cerrada');
+});
+
+/**
+ * Obtiene los nombres de usuario sugeridos al espectador
+ */
+const getSuggestedUsernames = async () => {
+  const response = await request(app)
+    .get('/api/users/suggestions')
+    .set('Authorization', `Bearer ${tokens[0]}`)
+    .expect(200);
+
+  return response.body.data.suggestions.map(suggestion => suggestion.user.username);
+};
+
+/**
+ * Suite de tests para sugerencias de usuarios
+ */
+describe('Suggestion Tests', () => {
+
+  test('Debería ordenar las sugerencias por interacciones, etiquetas y actividad', async () => {
+    const response = await request(app)
+      .get('/api/users/suggestions')
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    const { suggestions } = response.body.data;
+
+    expect(suggestions.map(suggestion => suggestion.user.username))
+      .toEqual(['suggestcoliker', 'suggesttagger', 'suggestactive']);
+    expect(suggestions[0].reasons.sharedInteractions).toBe(1);
+    expect(suggestions[1].reasons.sharedTags).toEqual(['viajes']);
+    expect(suggestions[0].user.lastLogin).toBeUndefined();
+  });
+
+  test('Debería mostrar como actividad solo el último post o comentario, no el último login', async () => {
+    const postedAt = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    await Post.collection.updateMany({ userId: users[3]._id }, { $set: { createdAt: postedAt } });
+
+    const response = await request(app)
+      .get('/api/users/suggestions')
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    const active = response.body.data.suggestions.find(suggestion => suggestion.user.username === 'suggestactive');
+    expect(new Date(active.reasons.lastActiveAt).getTime()).toBe(postedAt.getTime());
+  });
+
+  test('Debería excluir cuentas desactivadas y usuarios bloqueados', async () => {
+    await User.updateOne({ _id: users[3]._id }, { isActive: false });
+    await Block.restrict(users[2]._id, users[0]._id, 'block');
+
+    expect(await getSuggestedUsernames()).toEqual(['suggestcoliker']);
+  });
+
+  test('Debería descartar sugerencias', async () => {
+    await request(app)
+      .post(`/api/users/suggestions/${users[1]._id}/dismiss`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(201);
+
+    await request(app)
+      .post(`/api/users/suggestions/${users[1]._id}/dismiss`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(await getSuggestedUsernames()).toEqual(['suggesttagger', 'suggestactive']);
+
+    await request(app)
+      .post(`/api/users/suggestions/${users[0]._id}/dismiss`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(400);
+
+    await request(app)
+      .post(`/api/users/suggestions/${new mongoose.Types.ObjectId()}/dismiss`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(404);
+  });
+
+  test('Debería requerir autenticación y validar el límite', async () => {
+    await request(app)
+      .get('/api/users/suggestions')
+      .expect(401);
+
+    await request(app)
+      .get('/api/users/suggestions')
+      .query({ limit: 500 })
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(400);
+
+    const limited = await request(app)
+      .get('/api/users/suggestions')
+      .query({ limit: 1 })
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .expect(200);
+
+    expect(limited.body.data.suggestions).toHaveLength(1);
+  });
+});
@@ -3,6 +3,15 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../../server');
 const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const AccountErasure = require('../models/AccountErasure');
+const AuditEvent = require('../models/AuditEvent');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { getOutbox, clearOutbox, setTransport } = require('../utils/mailer');
+const { checkPassword } = require('../utils/passwordPolicy');
+const { ERASED_COMMENT_CONTENT, processDueAccountErasures } = require('../utils/accountErasure');
 
 /**
  * Configuración de la base de datos de pruebas
@@ -385,4 +394,923 @@ describe('User GET Endpoints Tests', () => {
       expect(response.body.data.pagination.totalUsers).toBe(0);
     });
   });
-});
\ No newline at end of file
+});
+
+/**
+ * Suite de tests para la verificación de email
+ * En test los emails se envían al buzón en memoria del mailer
+ */
+describe('User Email Verification Tests', () => {
+
+  const newUser = {
+    username: 'verifyuser',
+    email: 'verify@example.com',
+    password: 'Travesia-Nocturna7',
+    firstName: 'Verify',
+    lastName: 'User'
+  };
+
+  /**
+   * Extrae el token del enlace incluido en el último email enviado
+   */
+  const getTokenFromLastMail = () => {
+    const outbox = getOutbox();
+    const lastMail = outbox[outbox.length - 1];
+    return decodeURIComponent(lastMail.text.match(/token=([^\s]+)/)[1]);
+  };
+
+  beforeEach(() => {
+    clearOutbox();
+  });
+
+  test('Debería crear la cuenta sin verificar y enviar el email de verificación', async () => {
+    const response = await request(app)
+      .post('/api/users')
+      .send(newUser)
+      .expect(201);
+
+    expect(response.body.data.user.emailVerified).toBe(false);
+
+    const outbox = getOutbox();
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0].to).toBe(newUser.email);
+    expect(outbox[0].text).toContain('verify-email?token=');
+  });
+
+  test('Debería verificar el email con el enlace recibido una sola vez', async () => {
+    await request(app).post('/api/users').send(newUser).expect(201);
+    const token = getTokenFromLastMail();
+
+    const response = await request(app)
+      .post('/api/users/verify-email')
+      .send({ token })
+      .expect(200);
+
+    expect(response.body.data.user.emailVerified).toBe(true);
+
+    // El mismo enlace no puede reutilizarse
+    await request(app)
+      .post('/api/users/verify-email')
+      .send({ token })
+      .expect(400);
+  });
+
+  test('Debería invalidar el enlace anterior al reenviar la verificación', async () => {
+    const created = await request(app).post('/api/users').send(newUser).expect(201);
+    const firstToken = getTokenFromLastMail();
+
+    // Simular que ya pasó el tiempo mínimo entre reenvíos
+    await User.updateOne({ username: newUser.username }, { emailVerificationSentAt: null });
+
+    await request(app)
+      .post('/api/users/verify-email/resend')
+      .set('Authorization', `Bearer ${created.body.data.accessToken}`)
+      .expect(200);
+
+    await request(app)
+      .post('/api/users/verify-email')
+      .send({ token: firstToken })
+      .expect(400);
+
+    await request(app)
+      .post('/api/users/verify-email')
+      .send({ token: getTokenFromLastMail() })
+      .expect(200);
+  });
+
+  test('Debería guardar el cambio de email aunque falle el envío y permitir reenviarlo', async () => {
+    const created = await request(app).post('/api/users').send(newUser).expect(201);
+    const { accessToken, user } = created.body.data;
+
+    setTransport({ send: async () => { throw new Error('SMTP no disponible'); } });
+    try {
+      const update = await request(app)
+        .put(`/api/users/${user._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ email: 'verify-new@example.com' })
+        .expect(200);
+
+      expect(update.body.data.user.email).toBe('verify-new@example.com');
+
+      await request(app)
+        .post('/api/users/verify-email/resend')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(503);
+    } finally {
+      setTransport('memory');
+    }
+
+    // El reenvío fallido no cuenta para el límite de reenvíos
+    await request(app)
+      .post('/api/users/verify-email/resend')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(getOutbox()[getOutbox().length - 1].to).toBe('verify-new@example.com');
+  });
+
+  test('Debería limitar las cuentas sin verificar a acciones de lectura', async () => {
+    const created = await request(app).post('/api/users').send(newUser).expect(201);
+    const { accessToken } = created.body.data;
+
+    const response = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ content: 'Post de una cuenta sin verificar' })
+      .expect(403);
+
+    expect(response.body.error).toContain('verificar tu email');
+
+    // La lectura sigue permitida
+    await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+  });
+});
+
+/**
+ * Suite de tests para el restablecimiento de contraseña
+ */
+describe('User Password Reset Tests', () => {
+
+  /**
+   * Extrae el token de restablecimiento del último email enviado
+   */
+  const getResetTokenFromLastMail = () => {
+    const outbox = getOutbox();
+    return outbox[outbox.length - 1].text.match(/reset-password\?token=([a-f0-9]+)/)[1];
+  };
+
+  beforeEach(() => {
+    clearOutbox();
+  });
+
+  test('Debería responder igual exista o no el email', async () => {
+    const existing = await request(app)
+      .post('/api/users/forgot-password')
+      .send({ email: testUser.email })
+      .expect(200);
+
+    const missing = await request(app)
+      .post('/api/users/forgot-password')
+      .send({ email: 'nadie@example.com' })
+      .expect(200);
+
+    expect(existing.body).toEqual(missing.body);
+
+    // Solo se envía email a la cuenta registrada
+    expect(getOutbox()).toHaveLength(1);
+    expect(getOutbox()[0].to).toBe(testUser.email);
+  });
+
+  test('Debería responder igual aunque falle el envío del email', async () => {
+    setTransport({ send: async () => { throw new Error('SMTP no disponible'); } });
+    try {
+      const existing = await request(app)
+        .post('/api/users/forgot-password')
+        .send({ email: testUser.email })
+        .expect(200);
+
+      const missing = await request(app)
+        .post('/api/users/forgot-password')
+        .send({ email: 'nadie@example.com' })
+        .expect(200);
+
+      expect(existing.body).toEqual(missing.body);
+    } finally {
+      setTransport('memory');
+    }
+  });
+
+  test('Debería restablecer la contraseña con un token de un solo uso', async () => {
+    await request(app)
+      .post('/api/users/forgot-password')
+      .send({ email: testUser.email })
+      .expect(200);
+
+    const token = getResetTokenFromLastMail();
+
+    // El token no se guarda en texto plano
+    const stored = await User.findById(createdUser1._id).select('+passwordResetTokenHash');
+    expect(stored.passwordResetTokenHash).toBeTruthy();
+    expect(stored.passwordResetTokenHash).not.toBe(token);
+
+    const resetData = { token, newPassword: 'NewPassword456', confirmPassword: 'NewPassword456' };
+
+    await request(app)
+      .post('/api/users/reset-password')
+      .send(resetData)
+      .expect(200);
+
+    // Login con la nueva contraseña
+    await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: testUser.username, password: 'NewPassword456' })
+      .expect(200);
+
+    // El token no puede reutilizarse
+    await request(app)
+      .post('/api/users/reset-password')
+      .send(resetData)
+      .expect(400);
+  });
+
+  test('Debería invalidar los tokens emitidos antes del restablecimiento', async () => {
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: testUser.username, password: testUser.password })
+      .expect(200);
+
+    const { token: personalToken } = await PersonalAccessToken.generate({
+      userId: createdUser1._id,
+      name: 'Script personal',
+      scopes: ['posts:read']
+    });
+
+    await request(app)
+      .post('/api/users/forgot-password')
+      .send({ email: testUser.email })
+      .expect(200);
+
+    await request(app)
+      .post('/api/users/reset-password')
+      .send({
+        token: getResetTokenFromLastMail(),
+        newPassword: 'NewPassword456',
+        confirmPassword: 'NewPassword456'
+      })
+      .expect(200);
+
+    await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${login.body.data.accessToken}`)
+      .expect(401);
+
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: login.body.data.refreshToken })
+      .expect(401);
+
+    // Los tokens de acceso personal también se revocan
+    expect(await PersonalAccessToken.findActiveByToken(personalToken)).toBeNull();
+  });
+
+  test('Debería rechazar un token expirado', async () => {
+    await request(app)
+      .post('/api/users/forgot-password')
+      .send({ email: testUser.email })
+      .expect(200);
+
+    const token = getResetTokenFromLastMail();
+    await User.updateOne({ _id: createdUser1._id }, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+    const response = await request(app)
+      .post('/api/users/reset-password')
+      .send({ token, newPassword: 'NewPassword456', confirmPassword: 'NewPassword456' })
+      .expect(400);
+
+    expect(response.body.error).toContain('expirado');
+  });
+});
+
+/**
+ * Suite de tests para la gestión de roles (solo administradores)
+ */
+describe('User Role Management Tests', () => {
+
+  /**
+   * Genera un access token para un usuario de prueba
+   */
+  const tokenFor = (user) => {
+    const jwt = require('jsonwebtoken');
+    return jwt.sign(
+      { id: user._id },
+      process.env.JWT_SECRET || 'test_secret',
+      { expiresIn: '1h' }
+    );
+  };
+
+  test('Debería rechazar la gestión de roles a usuarios sin rol de administrador', async () => {
+    const response = await request(app)
+      .put(`/api/users/${createdUser2._id}/role`)
+      .set('Authorization', `Bearer ${tokenFor(createdUser1)}`)
+      .send({ role: 'moderator' })
+      .expect(403);
+
+    expect(response.body).toHaveApiStructure(false);
+
+    await request(app)
+      .get('/api/users/roles')
+      .set('Authorization', `Bearer ${tokenFor(createdUser1)}`)
+      .expect(403);
+  });
+
+  test('Debería permitir a un administrador asignar roles y permisos', async () => {
+    await User.findByIdAndUpdate(createdUser1._id, { role: 'admin' });
+
+    const response = await request(app)
+      .put(`/api/users/${createdUser2._id}/role`)
+      .set('Authorization', `Bearer ${tokenFor(createdUser1)}`)
+      .send({ role: 'moderator' })
+      .expect(200);
+
+    expect(response.body).toHaveApiStructure(true);
+    expect(response.body.data.user.role).toBe('moderator');
+    expect(response.body.data.user.effectivePermissions).toContain('posts:delete:any');
+
+    const roles = await request(app)
+      .get('/api/users/roles')
+      .set('Authorization', `Bearer ${tokenFor(createdUser1)}`)
+      .expect(200);
+
+    expect(roles.body.data.roles.map(role => role.name)).toEqual(['user', 'moderator', 'admin']);
+  });
+
+  test('Debería validar el rol y los permisos enviados', async () => {
+    await User.findByIdAndUpdate(createdUser1._id, { role: 'admin' });
+
+    const response = await request(app)
+      .put(`/api/users/${createdUser2._id}/role`)
+      .set('Authorization', `Bearer ${tokenFor(createdUser1)}`)
+      .send({ role: 'superuser', permissions: ['todo:hacer'] })
+      .expect(400);
+
+    expect(response.body.message).toBe('Errores de validación');
+  });
+
+  test('No debería permitir retirar el rol al último administrador', async () => {
+    await User.findByIdAndUpdate(createdUser1._id, { role: 'admin' });
+
+    const response = await request(app)
+      .put(`/api/users/${createdUser1._id}/role`)
+      .set('Authorization', `Bearer ${tokenFor(createdUser1)}`)
+      .send({ role: 'user' })
+      .expect(400);
+
+    expect(response.body.error).toContain('último administrador');
+  });
+});
+
+/**
+ * Suite de tests para la política de contraseñas
+ */
+describe('Password Policy Tests', () => {
+
+  const newUser = {
+    username: 'policyuser',
+    email: 'policy.user@example.com',
+    firstName: 'Policy',
+    lastName: 'Tester'
+  };
+
+  /**
+   * Inicia sesión con el usuario de prueba y devuelve el access token
+   */
+  const loginAccessToken = async (password = testUser.password) => {
+    const response = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: testUser.username, password })
+      .expect(200);
+    return response.body.data.accessToken;
+  };
+
+  const changePassword = (accessToken, currentPassword, newPassword) => request(app)
+    .put('/api/users/change-password')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({ currentPassword, newPassword, confirmPassword: newPassword });
+
+  test('Debería devolver cada regla incumplida como error estructurado', async () => {
+    const response = await request(app)
+      .post('/api/users')
+      .send({ ...newUser, password: 'abc' })
+      .expect(400);
+
+    expect(response.body.code).toBe('PASSWORD_POLICY_VIOLATION');
+    const codes = response.body.errors.map(error => error.code);
+    expect(codes).toEqual(expect.arrayContaining(['too_short', 'missing_uppercase', 'missing_digit']));
+    expect(response.body.errors.every(error => error.field === 'password')).toBe(true);
+
+    // La contraseña nunca se devuelve en la respuesta
+    expect(JSON.stringify(response.body)).not.toContain('"abc"');
+    expect(await User.findOne({ username: newUser.username })).toBeNull();
+  });
+
+  test('Debería rechazar contraseñas comunes o filtradas', async () => {
+    const response = await request(app)
+      .post('/api/users')
+      .send({ ...newUser, password: 'Password123' })
+      .expect(400);
+
+    expect(response.body.errors.map(error => error.code)).toEqual(['common_password']);
+  });
+
+  test('Debería rechazar contraseñas con el username, el email o el nombre', async () => {
+    for (const password of ['Policyuser2024', 'xPOLICY.USERx9', 'Tester-Alpha9']) {
+      const response = await request(app)
+        .post('/api/users')
+        .send({ ...newUser, password })
+        .expect(400);
+
+      expect(response.body.errors.map(error => error.code)).toContain('contains_personal_info');
+    }
+
+    expect(checkPassword('Travesia-Nocturna7', newUser)).toEqual([]);
+  });
+
+  test('No debería permitir reutilizar las últimas contraseñas', async () => {
+    let accessToken = await loginAccessToken();
+
+    await changePassword(accessToken, testUser.password, 'Orquidea-Azul31').expect(200);
+    accessToken = await loginAccessToken('Orquidea-Azul31');
+    await changePassword(accessToken, 'Orquidea-Azul31', 'Girasol-Verde42').expect(200);
+    accessToken = await loginAccessToken('Girasol-Verde42');
+
+    // La contraseña anterior está en el historial
+    const response = await changePassword(accessToken, 'Girasol-Verde42', 'Orquidea-Azul31').expect(400);
+    expect(response.body.errors).toEqual([
+      expect.objectContaining({ field: 'newPassword', code: 'reused_password' })
+    ]);
+
+    const stored = await User.findById(createdUser1._id).select('+passwordHistory');
+    expect(stored.passwordHistory).toHaveLength(2);
+    expect(JSON.stringify(stored.toJSON())).not.toContain('passwordHistory');
+  });
+
+  test('Debería aplicar la política al restablecer la contraseña', async () => {
+    await changePassword(await loginAccessToken(), testUser.password, 'Orquidea-Azul31').expect(200);
+
+    clearOutbox();
+    await request(app)
+      .post('/api/users/forgot-password')
+      .send({ email: testUser.email })
+      .expect(200);
+
+    const token = getOutbox()[0].text.match(/reset-password\?token=([a-f0-9]+)/)[1];
+
+    const reused = await request(app)
+      .post('/api/users/reset-password')
+      .send({ token, newPassword: 'Orquidea-Azul31', confirmPassword: 'Orquidea-Azul31' })
+      .expect(400);
+    expect(reused.body.errors.map(error => error.code)).toEqual(['reused_password']);
+
+    // El token no se consume si la contraseña no es válida
+    await request(app)
+      .post('/api/users/reset-password')
+      .send({ token, newPassword: 'Girasol-Verde42', confirmPassword: 'Girasol-Verde42' })
+      .expect(200);
+  });
+
+  test('Debería respetar la configuración de la política', () => {
+    const policyEnv = ['PASSWORD_MIN_LENGTH', 'PASSWORD_REQUIRE_SYMBOL'];
+    const originalEnv = Object.fromEntries(policyEnv.map(name => [name, process.env[name]]));
+
+    process.env.PASSWORD_MIN_LENGTH = '12';
+    process.env.PASSWORD_REQUIRE_SYMBOL = 'true';
+
+    try {
+      const codes = checkPassword('Abcdefgh1').map(violation => violation.code);
+      expect(codes).toEqual(['too_short', 'missing_symbol']);
+      expect(checkPassword('Abcdefgh1234!')).toEqual([]);
+    } finally {
+      policyEnv.forEach(name => {
+        if (originalEnv[name] === undefined) delete process.env[name];
+        else process.env[name] = originalEnv[name];
+      });
+    }
+  });
+});
+
+/**
+ * Suite de tests para la eliminación de cuentas
+ * Periodo de gracia con reactivación y borrado posterior de los datos
+ */
+describe('Account Deletion Tests', () => {
+
+  /**
+   * Inicia sesión con un usuario de prueba y devuelve el access token
+   */
+  const loginAccessToken = async (user = testUser) => {
+    const response = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: user.username, password: user.password })
+      .expect(200);
+    return response.body.data.accessToken;
+  };
+
+  /**
+   * Elimina la cuenta del usuario de prueba y devuelve el token del email de reactivación
+   */
+  const deleteAccount = async () => {
+    clearOutbox();
+    await request(app)
+      .delete(`/api/users/${createdUser1._id}`)
+      .set('Authorization', `Bearer ${await loginAccessToken()}`)
+      .expect(200);
+
+    return getOutbox()[0].text.match(/reactivate-account\?token=([\w.-]+)/)[1];
+  };
+
+  /**
+   * Adelanta el fin del periodo de gracia de la cuenta del usuario de prueba
+   */
+  const expireGracePeriod = () => User.findByIdAndUpdate(createdUser1._id, {
+    deletionScheduledFor: new Date(Date.now() - 1000)
+  });
+
+  afterEach(async () => {
+    await Promise.all([
+      Post.deleteMany({}),
+      Comment.deleteMany({}),
+      Like.deleteMany({}),
+      AccountErasure.deleteMany({})
+    ]);
+  });
+
+  test('Debería desactivar la cuenta y programar su borrado', async () => {
+    const accessToken = await loginAccessToken();
+
+    clearOutbox();
+    const response = await request(app)
+      .delete(`/api/users/${createdUser1._id}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(response.body.data.gracePeriodDays).toBe(30);
+
+    const user = await User.findById(createdUser1._id);
+    const daysLeft = (user.deletionScheduledFor - user.deletionRequestedAt) / (24 * 60 * 60 * 1000);
+    expect(user.isActive).toBe(false);
+    expect(daysLeft).toBe(30);
+
+    // El email incluye el enlace de reactivación
+    expect(getOutbox()).toHaveLength(1);
+    expect(getOutbox()[0].to).toBe(testUser.email);
+    expect(getOutbox()[0].text).toContain('reactivate-account?token=');
+
+    // Las sesiones abiertas se cierran
+    await request(app)
+      .get('/api/users/profile')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(401);
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: testUser.username, password: testUser.password })
+      .expect(401);
+    expect(login.body.error).toContain('pendiente de eliminación');
+  });
+
+  test('Debería reactivar la cuenta con el enlace del email (un solo uso)', async () => {
+    const token = await deleteAccount();
+
+    await request(app)
+      .post('/api/users/reactivate/confirm')
+      .send({ token })
+      .expect(200);
+
+    const user = await User.findById(createdUser1._id);
+    expect(user.isActive).toBe(true);
+    expect(user.deletionScheduledFor).toBeNull();
+
+    await loginAccessToken();
+
+    await request(app)
+      .post('/api/users/reactivate/confirm')
+      .send({ token })
+      .expect(400);
+  });
+
+  test('Debería completar la eliminación y la solicitud de reactivación aunque falle el email', async () => {
+    const accessToken = await loginAccessToken();
+
+    setTransport({ send: async () => { throw new Error('SMTP no disponible'); } });
+    try {
+      await request(app)
+        .delete(`/api/users/${createdUser1._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect((await User.findById(createdUser1._id)).isPendingDeletion()).toBe(true);
+
+      const existing = await request(app)
+        .post('/api/users/reactivate')
+        .send({ email: testUser.email })
+        .expect(200);
+
+      const missing = await request(app)
+        .post('/api/users/reactivate')
+        .send({ email: 'nadie@example.com' })
+        .expect(200);
+
+      expect(existing.body).toEqual(missing.body);
+    } finally {
+      setTransport('memory');
+    }
+
+    // La solicitud fallida no cuenta para el límite: se puede pedir otro enlace enseguida
+    clearOutbox();
+    await request(app)
+      .post('/api/users/reactivate')
+      .send({ email: testUser.email })
+      .expect(200);
+    expect(getOutbox()).toHaveLength(1);
+  });
+
+  test('Debería enviar un nuevo enlace solo a cuentas pendientes de eliminación', async () => {
+    clearOutbox();
+    await request(app)
+      .post('/api/users/reactivate')
+      .send({ email: testUser.email })
+      .expect(200);
+    expect(getOutbox()).toHaveLength(0);
+
+    const oldToken = await deleteAccount();
+
+    clearOutbox();
+    await request(app)
+      .post('/api/users/reactivate')
+      .send({ email: testUser.email })
+      .expect(200);
+    expect(getOutbox()).toHaveLength(1);
+
+    // El nuevo enlace invalida el anterior
+    await request(app)
+      .post('/api/users/reactivate/confirm')
+      .send({ token: oldToken })
+      .expect(400);
+
+    const newToken = getOutbox()[0].text.match(/reactivate-account\?token=([\w.-]+)/)[1];
+    await request(app)
+      .post('/api/users/reactivate/confirm')
+      .send({ token: newToken })
+      .expect(200);
+  });
+
+  test('No debería permitir reactivar la cuenta al terminar el periodo de gracia', async () => {
+    const token = await deleteAccount();
+    await expireGracePeriod();
+
+    await request(app)
+      .post('/api/users/reactivate/confirm')
+      .send({ token })
+      .expect(400);
+  });
+
+  test('Debería borrar el contenido, corregir los contadores y anonimizar la cuenta', async () => {
+    // Post propio con un comentario y un like de otro usuario
+    const ownPost = await Post.create({ userId: createdUser1._id, content: 'Post que se borrará', commentsCount: 1 });
+    await Comment.create({ postId: ownPost._id, userId: createdUser2._id, content: 'Comentario ajeno' });
+    await Like.create({ userId: createdUser2._id, targetType: 'Post', targetId: ownPost._id });
+
+    // Actividad en el post de otro usuario: un like, un comentario suelto y otro con respuesta
+    const otherPost = await Post.create({ userId: createdUser2._id, content: 'Post de otro usuario', commentsCount: 3 });
+    await Like.create({ userId: createdUser1._id, targetType: 'Post', targetId: otherPost._id });
+    const plainComment = await Comment.create({ postId: otherPost._id, userId: createdUser1._id, content: 'Sin respuestas' });
+    const repliedComment = await Comment.create({ postId: otherPost._id, userId: createdUser1._id, content: 'Con respuesta' });
+    await Comment.create({
+      postId: otherPost._id,
+      userId: createdUser2._id,
+      content: 'Respuesta',
+      parentCommentId: repliedComment._id
+    });
+    await Like.create({ userId: createdUser2._id, targetType: 'Comment', targetId: plainComment._id });
+
+    await deleteAccount();
+
+    // Durante el periodo de gracia no se borra nada
+    expect(await processDueAccountErasures()).toHaveLength(0);
+    expect(await Post.countDocuments({ userId: createdUser1._id })).toBe(1);
+
+    await expireGracePeriod();
+    const [record] = await processDueAccountErasures();
+
+    // Posts propios con sus comentarios y likes
+    expect(await Post.findById(ownPost._id)).toBeNull();
+    expect(await Comment.countDocuments({ postId: ownPost._id })).toBe(0);
+    expect(await Like.countDocuments({ targetId: ownPost._id })).toBe(0);
+
+    // Likes y comentarios en contenido ajeno, con los contadores corregidos
+    const updatedPost = await Post.findById(otherPost._id);
+    expect(updatedPost.likesCount).toBe(0);
+    expect(updatedPost.commentsCount).toBe(1);
+    expect(await Like.countDocuments({ userId: createdUser1._id })).toBe(0);
+    expect(await Comment.findById(plainComment._id)).toBeNull();
+
+    const anonymized = await Comment.findById(repliedComment._id);
+    expect(anonymized.content).toBe(ERASED_COMMENT_CONTENT);
+    expect(anonymized.isActive).toBe(false);
+
+    // Datos personales
+    const erased = await User.findById(createdUser1._id).select('+password');
+    expect(erased.erasedAt).toBeInstanceOf(Date);
+    expect(erased.password).toBeNull();
+    expect(JSON.stringify(erased.toJSON())).not.toMatch(/testuser|test@example\.com|Test/);
+
+    // Registro para auditoría
+    expect(record.status).toBe('completed');
+    expect(record.emailHash).toBe(AccountErasure.hashEmail(testUser.email));
+    expect(record.toObject().summary).toEqual(expect.objectContaining({
+      postsDeleted: 1,
+      commentsDeleted: 1,
+      commentsAnonymized: 1,
+      commentsOnErasedPostsDeleted: 1,
+      likesRemoved: 1,
+      likeCountersCorrected: 1,
+      commentCountersCorrected: 2,
+      likesOnErasedContentRemoved: 2,
+      personalDataScrubbed: true
+    }));
+
+    // Una cuenta borrada no se vuelve a procesar
+    expect(await processDueAccountErasures()).toHaveLength(0);
+  });
+
+  test('Debería permitir a los administradores consultar los registros de borrado', async () => {
+    await deleteAccount();
+    await expireGracePeriod();
+    await processDueAccountErasures();
+
+    const userToken = await loginAccessToken(testUser2);
+    await request(app)
+      .get('/api/users/erasures')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+
+    await User.findByIdAndUpdate(createdUser2._id, { role: 'admin' });
+    const adminToken = await loginAccessToken(testUser2);
+
+    const response = await request(app)
+      .get('/api/users/erasures')
+      .query({ email: testUser.email })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.data.erasures).toHaveLength(1);
+    expect(response.body.data.erasures[0].userId).toBe(createdUser1._id.toString());
+    expect(response.body.data.erasures[0].status).toBe('completed');
+  });
+});
+
+/**
+ * Suite de tests para el registro de auditoría
+ */
+describe('Audit Log Tests', () => {
+
+  /**
+   * Inicia sesión con un usuario de prueba y devuelve el access token
+   */
+  const loginAccessToken = async (user = testUser) => {
+    const response = await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: user.username, password: user.password })
+      .expect(200);
+    return response.body.data.accessToken;
+  };
+
+  // El modelo rechaza los borrados: se limpia la colección directamente
+  // Los usuarios tienen el email verificado para poder usar las rutas de contenido
+  beforeEach(async () => {
+    await AuditEvent.collection.deleteMany({});
+    await User.updateMany({}, { emailVerified: true });
+  });
+
+  afterEach(async () => {
+    await AuditEvent.collection.deleteMany({});
+    await Post.deleteMany({});
+  });
+
+  test('Debería registrar los logins correctos y fallidos con IP y user agent', async () => {
+    await request(app)
+      .post('/api/users/login')
+      .set('User-Agent', 'AuditTest/1.0')
+      .send({ emailOrUsername: testUser.username, password: 'Incorrecta123' })
+      .expect(401);
+
+    await request(app)
+      .post('/api/users/login')
+      .set('User-Agent', 'AuditTest/1.0')
+      .send({ emailOrUsername: testUser.username, password: testUser.password })
+      .expect(200);
+
+    const events = await AuditEvent.find({ action: 'user.login' }).sort({ createdAt: 1 });
+    expect(events).toHaveLength(2);
+    expect(events[0].outcome).toBe('failure');
+    expect(events[0].reason).toBe('invalid_credentials');
+    expect(events[1].outcome).toBe('success');
+    events.forEach(event => {
+      expect(event.actorId.toString()).toBe(createdUser1._id.toString());
+      expect(event.userAgent).toBe('AuditTest/1.0');
+      expect(event.ipAddress).toBeTruthy();
+    });
+  });
+
+  test('Debería registrar los cambios de contraseña y la eliminación de la cuenta', async () => {
+    const accessToken = await loginAccessToken();
+
+    await request(app)
+      .put('/api/users/change-password')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ currentPassword: testUser.password, newPassword: 'NuevaClave456', confirmPassword: 'NuevaClave456' })
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/users/${createdUser1._id}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    const passwordChange = await AuditEvent.findOne({ action: 'user.password_change' });
+    expect(passwordChange.outcome).toBe('success');
+    expect(passwordChange.targetId.toString()).toBe(createdUser1._id.toString());
+
+    const deletion = await AuditEvent.findOne({ action: 'user.delete' });
+    expect(deletion.outcome).toBe('success');
+    expect(deletion.category).toBe('account');
+  });
+
+  test('Debería registrar el borrado de posts con su propietario', async () => {
+    const post = await Post.create({ userId: createdUser1._id, content: 'Post que se borrará' });
+
+    await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${await loginAccessToken(testUser2)}`)
+      .expect(403);
+
+    await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${await loginAccessToken()}`)
+      .expect(200);
+
+    const events = await AuditEvent.find({ action: 'post.delete' }).sort({ createdAt: 1 });
+    expect(events.map(event => event.outcome)).toEqual(['failure', 'success']);
+    expect(events[0].actorId.toString()).toBe(createdUser2._id.toString());
+    expect(events[1].metadata.ownerId.toString()).toBe(createdUser1._id.toString());
+  });
+
+  test('Debería mostrar al usuario solo sus eventos de seguridad', async () => {
+    await request(app)
+      .post('/api/users/login')
+      .send({ emailOrUsername: testUser.username, password: 'Incorrecta123' })
+      .expect(401);
+
+    const accessToken = await loginAccessToken();
+    await loginAccessToken(testUser2);
+
+    const response = await request(app)
+      .get('/api/users/profile/security-events')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(response.body.data.events).toHaveLength(2);
+    response.body.data.events.forEach(event => {
+      expect(event.targetId).toBe(createdUser1._id.toString());
+    });
+
+    const failures = await request(app)
+      .get('/api/users/profile/security-events')
+      .query({ outcome: 'failure' })
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(failures.body.data.events).toHaveLength(1);
+    expect(failures.body.data.events[0].reason).toBe('invalid_credentials');
+  });
+
+  test('Debería permitir solo a los administradores consultar el registro de auditoría', async () => {
+    await loginAccessToken();
+
+    await request(app)
+      .get('/api/users/audit-events')
+      .set('Authorization', `Bearer ${await loginAccessToken(testUser2)}`)
+      .expect(403);
+
+    await User.findByIdAndUpdate(createdUser2._id, { role: 'admin' });
+    const adminToken = await loginAccessToken(testUser2);
+
+    const response = await request(app)
+      .get('/api/users/audit-events')
+      .query({ action: 'user.login', actorId: createdUser1._id.toString() })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.data.events).toHaveLength(1);
+    expect(response.body.data.pagination.totalEvents).toBe(1);
+
+    await request(app)
+      .get('/api/users/audit-events')
+      .query({ action: 'user.unknown' })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+  });
+
+  test('No debería permitir modificar ni borrar eventos', async () => {
+    await loginAccessToken();
+
+    await expect(AuditEvent.deleteMany({})).rejects.toThrow();
+    await expect(AuditEvent.updateMany({}, { outcome: 'failure' })).rejects.toThrow();
+
+    const event = await AuditEvent.findOne({ action: 'user.login' });
+    event.outcome = 'failure';
+    await expect(event.save()).rejects.toThrow();
+  });
+});
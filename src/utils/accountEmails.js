@@ -0,0 +1,190 @@
+// src/utils/accountEmails.js - Emails transaccionales de la cuenta de usuario
+const { sendMail } = require('./mailer');
+
+/**
+ * Obtiene la URL base a la que apuntan los enlaces enviados por email
+ * Se usa el frontend si está configurado; si no, la propia API
+ * @returns {string} - URL base sin barra final
+ */
+const getLinkBaseUrl = () => {
+  const baseUrl = process.env.FRONTEND_URL
+    || process.env.RENDER_EXTERNAL_URL
+    || process.env.API_URL
+    || `http://localhost:${process.env.PORT || 3000}`;
+
+  return baseUrl.replace(/\/$/, '');
+};
+
+/**
+ * Escapa un valor para incluirlo en el cuerpo HTML de un email
+ * @param {*} value - Valor a mostrar
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Envía el email con el enlace de verificación de la cuenta
+ *
+ * @param {Object} user - Usuario destinatario
+ * @param {string} token - Token de verificación firmado
+ * @returns {Promise<Object>} - Resultado del transporte
+ */
+const sendVerificationEmail = (user, token) => {
+  const link = `${getLinkBaseUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verifica tu email en SocialConnect',
+    text: [
+      `Hola ${user.firstName},`,
+      '',
+      'Confirma tu dirección de email abriendo el siguiente enlace:',
+      link,
+      '',
+      'El enlace solo puede usarse una vez y tiene una validez limitada.',
+      'Si no creaste una cuenta en SocialConnect, ignora este mensaje.'
+    ].join('\n'),
+    html: `<p>Hola ${escapeHtml(user.firstName)},</p>
+<p>Confirma tu dirección de email abriendo el siguiente enlace:</p>
+<p><a href="${escapeHtml(link)}">Verificar email</a></p>
+<p>El enlace solo puede usarse una vez y tiene una validez limitada.</p>`
+  });
+};
+
+/**
+ * Envía el email con el enlace para restablecer la contraseña
+ *
+ * @param {Object} user - Usuario destinatario
+ * @param {string} token - Token de restablecimiento en texto plano
+ * @returns {Promise<Object>} - Resultado del transporte
+ */
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${getLinkBaseUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Restablece tu contraseña de SocialConnect',
+    text: [
+      `Hola ${user.firstName},`,
+      '',
+      'Recibimos una solicitud para restablecer tu contraseña. Abre el siguiente enlace para elegir una nueva:',
+      link,
+      '',
+      'El enlace solo puede usarse una vez y tiene una validez limitada.',
+      'Al restablecer la contraseña se cerrarán todas tus sesiones abiertas.',
+      'Si no solicitaste este cambio, ignora este mensaje.'
+    ].join('\n'),
+    html: `<p>Hola ${escapeHtml(user.firstName)},</p>
+<p>Recibimos una solicitud para restablecer tu contraseña. Abre el siguiente enlace para elegir una nueva:</p>
+<p><a href="${escapeHtml(link)}">Restablecer contraseña</a></p>
+<p>El enlace solo puede usarse una vez y tiene una validez limitada.</p>
+<p>Si no solicitaste este cambio, ignora este mensaje.</p>`
+  });
+};
+
+/**
+ * Envía el email con el enlace de acceso sin contraseña
+ *
+ * @param {Object} user - Usuario destinatario
+ * @param {string} token - Token de acceso firmado
+ * @returns {Promise<Object>} - Resultado del transporte
+ */
+const sendMagicLinkEmail = (user, token) => {
+  // Sin frontend configurado, el enlace apunta directamente al endpoint de la API
+  const path = process.env.FRONTEND_URL ? '/magic-link' : '/api/auth/magic-link/verify';
+  const link = `${getLinkBaseUrl()}${path}?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Tu enlace para iniciar sesión en SocialConnect',
+    text: [
+      `Hola ${user.firstName},`,
+      '',
+      'Abre el siguiente enlace para iniciar sesión sin contraseña:',
+      link,
+      '',
+      'El enlace solo puede usarse una vez y caduca en pocos minutos.',
+      'Si no lo solicitaste, ignora este mensaje: nadie podrá acceder a tu cuenta sin él.'
+    ].join('\n'),
+    html: `<p>Hola ${escapeHtml(user.firstName)},</p>
+<p>Abre el siguiente enlace para iniciar sesión sin contraseña:</p>
+<p><a href="${escapeHtml(link)}">Iniciar sesión</a></p>
+<p>El enlace solo puede usarse una vez y caduca en pocos minutos.</p>
+<p>Si no lo solicitaste, ignora este mensaje.</p>`
+  });
+};
+
+/**
+ * Envía el email que confirma la solicitud de eliminación de la cuenta
+ * Incluye el enlace para reactivarla durante el periodo de gracia.
+ *
+ * @param {Object} user - Usuario destinatario
+ * @param {string} token - Token de reactivación firmado
+ * @returns {Promise<Object>} - Resultado del transporte
+ */
+const sendAccountDeletionEmail = (user, token) => {
+  const link = `${getLinkBaseUrl()}/reactivate-account?token=${encodeURIComponent(token)}`;
+  const scheduledFor = user.deletionScheduledFor.toISOString().substring(0, 10);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Tu cuenta de SocialConnect se eliminará pronto',
+    text: [
+      `Hola ${user.firstName},`,
+      '',
+      `Hemos desactivado tu cuenta. El ${scheduledFor} se borrarán definitivamente tus posts, comentarios, likes y datos personales.`,
+      'Si cambias de opinión antes de esa fecha, abre el siguiente enlace para reactivarla:',
+      link,
+      '',
+      'Si no solicitaste la eliminación, reactiva la cuenta y cambia tu contraseña.'
+    ].join('\n'),
+    html: `<p>Hola ${escapeHtml(user.firstName)},</p>
+<p>Hemos desactivado tu cuenta. El ${scheduledFor} se borrarán definitivamente tus posts, comentarios, likes y datos personales.</p>
+<p>Si cambias de opinión antes de esa fecha, abre el siguiente enlace para reactivarla:</p>
+<p><a href="${escapeHtml(link)}">Reactivar cuenta</a></p>
+<p>Si no solicitaste la eliminación, reactiva la cuenta y cambia tu contraseña.</p>`
+  });
+};
+
+/**
+ * Envía un nuevo enlace de reactivación a una cuenta pendiente de eliminación
+ *
+ * @param {Object} user - Usuario destinatario
+ * @param {string} token - Token de reactivación firmado
+ * @returns {Promise<Object>} - Resultado del transporte
+ */
+const sendAccountReactivationEmail = (user, token) => {
+  const link = `${getLinkBaseUrl()}/reactivate-account?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reactiva tu cuenta de SocialConnect',
+    text: [
+      `Hola ${user.firstName},`,
+      '',
+      'Abre el siguiente enlace para reactivar tu cuenta y cancelar su eliminación:',
+      link,
+      '',
+      'El enlace solo puede usarse una vez y caduca cuando termina el periodo de gracia.',
+      'Si no lo solicitaste, ignora este mensaje.'
+    ].join('\n'),
+    html: `<p>Hola ${escapeHtml(user.firstName)},</p>
+<p>Abre el siguiente enlace para reactivar tu cuenta y cancelar su eliminación:</p>
+<p><a href="${escapeHtml(link)}">Reactivar cuenta</a></p>
+<p>El enlace solo puede usarse una vez y caduca cuando termina el periodo de gracia.</p>`
+  });
+};
+
+module.exports = {
+  getLinkBaseUrl,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail,
+  sendAccountDeletionEmail,
+  sendAccountReactivationEmail
+};
@@ -0,0 +1,424 @@
+// src/utils/accountErasure.js - Borrado de los datos de las cuentas eliminadas
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const FollowRequest = require('../models/FollowRequest');
+const SuggestionDismissal = require('../models/SuggestionDismissal');
+const UserSession = require('../models/UserSession');
+const RefreshToken = require('../models/RefreshToken');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const OAuthAuthorizationCode = require('../models/OAuthAuthorizationCode');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const AccountErasure = require('../models/AccountErasure');
+const { getAccountDeletionPolicy } = require('../config/accountDeletion');
+const { removeUserDataExports } = require('./dataExport');
+const { removeUserTimeline } = require('./timeline');
+
+// Contenido de los comentarios anonimizados
+const ERASED_COMMENT_CONTENT = '[Comentario eliminado]';
+
+// Tiempo tras el que se vuelve a procesar una cuenta cuyo borrado no terminó (1 hora)
+const ERASURE_RETRY_AFTER_MS = 60 * 60 * 1000;
+
+// Temporizador del proceso periódico
+let erasureTimer = null;
+
+/**
+ * Resta 1 al contador de un post o comentario sin dejarlo en negativo
+ * @param {Object} Model - Modelo Post o Comment
+ * @param {string} field - Campo del contador
+ * @param {string} id - ID del documento
+ * @returns {Promise<number>} - 1 si se corrigió el contador, 0 si no
+ */
+const decrementCounter = async (Model, field, id) => {
+  const result = await Model.updateOne(
+    { _id: id, [field]: { $gt: 0 } },
+    { $inc: { [field]: -1 } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Elimina los likes dados por el usuario y corrige los contadores del contenido que recibió cada like
+ * Cada like se elimina antes de corregir su contador: si el proceso se interrumpe,
+ * al reintentarlo no se vuelve a restar el mismo like.
+ * @param {string} userId - ID del usuario
+ * @param {Object} summary - Resumen del borrado
+ */
+const removeUserLikes = async (userId, summary) => {
+  // Los likes retirados no cuentan en ningún contador
+  const inactive = await Like.deleteMany({ userId, isActive: false });
+  summary.likesRemoved += inactive.deletedCount;
+
+  const likes = await Like.find({ userId, isActive: true }).select('targetType targetId');
+
+  for (const like of likes) {
+    const deleted = await Like.findOneAndDelete({ _id: like._id, isActive: true });
+    if (!deleted) continue;
+
+    summary.likesRemoved += 1;
+    const Model = deleted.targetType === 'Post' ? Post : Comment;
+    summary.likeCountersCorrected += await decrementCounter(Model, 'likesCount', deleted.targetId);
+  }
+};
+
+/**
+ * Elimina los posts del usuario junto con sus comentarios y los likes que recibieron
+ * @param {string} userId - ID del usuario
+ * @param {Object} summary - Resumen del borrado
+ */
+const removeUserPosts = async (userId, summary) => {
+  const postIds = await Post.find({ userId }).distinct('_id');
+  if (postIds.length === 0) return;
+
+  const commentIds = await Comment.find({ postId: { $in: postIds } }).distinct('_id');
+
+  const likes = await Like.deleteMany({
+    $or: [
+      { targetType: 'Post', targetId: { $in: postIds } },
+      { targetType: 'Comment', targetId: { $in: commentIds } }
+    ]
+  });
+  summary.likesOnErasedContentRemoved += likes.deletedCount;
+
+  // Los comentarios del propio usuario se cuentan aparte de los de otros usuarios
+  const ownComments = await Comment.deleteMany({ postId: { $in: postIds }, userId });
+  const otherComments = await Comment.deleteMany({ postId: { $in: postIds } });
+  summary.commentsDeleted += ownComments.deletedCount;
+  summary.commentsOnErasedPostsDeleted += otherComments.deletedCount;
+
+  // Los posts se eliminan al final para poder reintentar el borrado si se interrumpe
+  const posts = await Post.deleteMany({ _id: { $in: postIds } });
+  summary.postsDeleted += posts.deletedCount;
+};
+
+/**
+ * Elimina los comentarios del usuario en posts de otros usuarios
+ * Los que tienen respuestas de otros usuarios se anonimizan para no romper esos hilos.
+ * @param {string} userId - ID del usuario
+ * @param {Object} summary - Resumen del borrado
+ */
+const removeUserComments = async (userId, summary) => {
+  const comments = await Comment.find({ userId, content: { $ne: ERASED_COMMENT_CONTENT } }).select('_id');
+  if (comments.length === 0) return;
+
+  const commentIds = comments.map(comment => comment._id);
+
+  const repliedIds = new Set((await Comment.find({
+    parentCommentId: { $in: commentIds },
+    userId: { $ne: userId }
+  }).distinct('parentCommentId')).map(id => id.toString()));
+
+  const likes = await Like.deleteMany({ targetType: 'Comment', targetId: { $in: commentIds } });
+  summary.likesOnErasedContentRemoved += likes.deletedCount;
+
+  for (const commentId of commentIds) {
+    // Ambas operaciones devuelven el comentario anterior: solo se resta si seguía activo
+    const previous = repliedIds.has(commentId.toString())
+      ? await Comment.findOneAndUpdate(
+        { _id: commentId },
+        { content: ERASED_COMMENT_CONTENT, isActive: false, likesCount: 0 }
+      )
+      : await Comment.findOneAndDelete({ _id: commentId });
+
+    if (!previous) continue;
+
+    if (repliedIds.has(commentId.toString())) {
+      summary.commentsAnonymized += 1;
+    } else {
+      summary.commentsDeleted += 1;
+    }
+
+    if (previous.isActive) {
+      summary.commentCountersCorrected += await decrementCounter(Post, 'commentsCount', previous.postId);
+    }
+  }
+};
+
+/**
+ * Elimina las relaciones y solicitudes de seguimiento del usuario y corrige los contadores de los otros usuarios
+ * Cada relación activa se desactiva de forma atómica antes de corregir los contadores,
+ * así que al reintentar el borrado no se vuelve a restar la misma relación.
+ * @param {string} userId - ID del usuario
+ * @param {Object} summary - Resumen del borrado
+ */
+const removeUserFollows = async (userId, summary) => {
+  const follows = await Follow.find({
+    $or: [{ followerId: userId }, { followingId: userId }],
+    isActive: true
+  }).select('followerId followingId');
+
+  for (const follow of follows) {
+    if (await Follow.unfollow(follow.followerId, follow.followingId)) {
+      summary.followCountersCorrected += 1;
+    }
+  }
+
+  const deleted = await Follow.deleteMany({ $or: [{ followerId: userId }, { followingId: userId }] });
+  summary.followsRemoved += deleted.deletedCount;
+
+  const requests = await FollowRequest.deleteMany({ $or: [{ requesterId: userId }, { targetId: userId }] });
+  summary.followRequestsRemoved += requests.deletedCount;
+};
+
+/**
+ * Elimina los bloqueos, silenciados y sugerencias descartadas del usuario y los que otros usuarios le aplicaron
+ * @param {string} userId - ID del usuario
+ * @param {Object} summary - Resumen del borrado
+ */
+const removeUserBlocks = async (userId, summary) => {
+  const deleted = await Block.deleteMany({ $or: [{ userId }, { targetId: userId }] });
+  summary.blocksRemoved += deleted.deletedCount;
+
+  const dismissals = await SuggestionDismissal.deleteMany({ $or: [{ userId }, { dismissedUserId: userId }] });
+  summary.suggestionDismissalsRemoved += dismissals.deletedCount;
+};
+
+/**
+ * Quita las menciones al usuario de los posts y comentarios de otros usuarios
+ * El texto no se modifica; solo deja de enlazar a la cuenta eliminada.
+ * @param {string} userId - ID del usuario
+ * @param {Object} summary - Resumen del borrado
+ */
+const removeUserMentions = async (userId, summary) => {
+  const update = { $pull: { mentions: { userId } } };
+  const posts = await Post.updateMany({ 'mentions.userId': userId }, update);
+  const comments = await Comment.updateMany({ 'mentions.userId': userId }, update);
+  summary.mentionsRemoved += posts.modifiedCount + comments.modifiedCount;
+};
+
+/**
+ * Elimina el timeline del usuario, sus suscripciones a etiquetas y sus posts de otros timelines
+ * @param {string} userId - ID del usuario
+ * @param {Object} summary - Resumen del borrado
+ */
+const removeUserFeed = async (userId, summary) => {
+  const { entriesDeleted, subscriptionsDeleted } = await removeUserTimeline(userId);
+  summary.timelineEntriesDeleted += entriesDeleted;
+  summary.tagSubscriptionsDeleted += subscriptionsDeleted;
+};
+
+/**
+ * Elimina las sesiones, tokens, desafíos pendientes y exportaciones de datos del usuario
+ * @param {string} userId - ID del usuario
+ * @param {Object} summary - Resumen del borrado
+ */
+const removeUserCredentials = async (userId, summary) => {
+  const sessions = await UserSession.deleteMany({ userId });
+  const accessTokens = await PersonalAccessToken.deleteMany({ userId });
+
+  await RefreshToken.deleteMany({ userId });
+  await OAuthAuthorizationCode.deleteMany({ userId });
+  await WebAuthnChallenge.deleteMany({ userId });
+
+  summary.sessionsDeleted += sessions.deletedCount;
+  summary.accessTokensDeleted += accessTokens.deletedCount;
+  summary.dataExportsDeleted += await removeUserDataExports(userId);
+};
+
+/**
+ * Sustituye los datos personales de la cuenta por valores anónimos
+ * El documento se conserva para que los comentarios anonimizados sigan teniendo autor.
+ * @param {string} userId - ID del usuario
+ */
+const scrubPersonalData = (userId) => User.updateOne({ _id: userId }, {
+  $set: {
+    username: `del_${userId}`,
+    email: `del_${userId}@erased.socialconnect.com`,
+    firstName: 'Usuario',
+    lastName: 'eliminado',
+    profilePicture: null,
+    followersCount: 0,
+    followingCount: 0,
+    password: null,
+    passwordHistory: [],
+    emailVerified: false,
+    emailVerifiedAt: null,
+    emailVerificationTokenId: null,
+    emailVerificationSentAt: null,
+    magicLinkTokenId: null,
+    passwordResetTokenHash: null,
+    passwordResetExpires: null,
+    passwordResetRequestedAt: null,
+    reactivationTokenId: null,
+    reactivationRequestedAt: null,
+    twoFactorEnabled: false,
+    twoFactorEnabledAt: null,
+    twoFactorSecret: null,
+    twoFactorPendingSecret: null,
+    twoFactorRecoveryCodes: [],
+    twoFactorLastUsedStep: null,
+    twoFactorChallengeId: null,
+    twoFactorChallengeAttempts: 0,
+    oauthProvider: null,
+    oauthId: null,
+    identities: [],
+    passkeys: [],
+    role: 'user',
+    permissions: [],
+    lastLogin: null,
+    isActive: false
+  }
+});
+
+/**
+ * Borra los datos de una cuenta y guarda el registro del borrado
+ * Todos los pasos se pueden repetir sin efectos duplicados, así que un borrado
+ * interrumpido se completa al volver a procesar la cuenta.
+ *
+ * @param {Object} user - Usuario reclamado por processDueAccountErasures
+ * @returns {Promise<Object>} - Registro del borrado (AccountErasure)
+ */
+const eraseUserAccount = async (user) => {
+  const userId = user._id;
+  const startedAt = new Date();
+
+  // El hash del email solo se guarda en el primer intento (en los siguientes ya puede estar anonimizado)
+  await AccountErasure.updateOne(
+    { userId },
+    {
+      $setOnInsert: {
+        emailHash: AccountErasure.hashEmail(user.email),
+        requestedAt: user.deletionRequestedAt,
+        scheduledFor: user.deletionScheduledFor
+      },
+      $set: { status: 'in_progress', startedAt, completedAt: null, lastError: null },
+      $inc: { attempts: 1 }
+    },
+    { upsert: true }
+  );
+
+  const summary = {
+    postsDeleted: 0,
+    commentsDeleted: 0,
+    commentsAnonymized: 0,
+    commentsOnErasedPostsDeleted: 0,
+    likesRemoved: 0,
+    likeCountersCorrected: 0,
+    commentCountersCorrected: 0,
+    likesOnErasedContentRemoved: 0,
+    followsRemoved: 0,
+    followCountersCorrected: 0,
+    followRequestsRemoved: 0,
+    blocksRemoved: 0,
+    suggestionDismissalsRemoved: 0,
+    mentionsRemoved: 0,
+    timelineEntriesDeleted: 0,
+    tagSubscriptionsDeleted: 0,
+    sessionsDeleted: 0,
+    accessTokensDeleted: 0,
+    dataExportsDeleted: 0,
+    personalDataScrubbed: false
+  };
+
+  try {
+    await removeUserLikes(userId, summary);
+    await removeUserPosts(userId, summary);
+    await removeUserComments(userId, summary);
+    await removeUserFollows(userId, summary);
+    await removeUserBlocks(userId, summary);
+    await removeUserMentions(userId, summary);
+    await removeUserFeed(userId, summary);
+    await removeUserCredentials(userId, summary);
+    await scrubPersonalData(userId);
+    summary.personalDataScrubbed = true;
+  } catch (error) {
+    console.error(`❌ Error borrando los datos de la cuenta ${userId}:`, error.message);
+
+    return AccountErasure.findOneAndUpdate(
+      { userId },
+      { status: 'failed', lastError: error.message, summary },
+      { new: true }
+    );
+  }
+
+  const record = await AccountErasure.findOneAndUpdate(
+    { userId },
+    { status: 'completed', completedAt: new Date(), summary },
+    { new: true }
+  );
+
+  // Solo ahora la cuenta deja de procesarse: si algo falla antes, se reintenta completa
+  await User.updateOne({ _id: userId }, { erasedAt: record.completedAt });
+
+  return record;
+};
+
+/**
+ * Reclama la siguiente cuenta cuyo periodo de gracia terminó
+ * La reclamación es atómica: varias instancias del servidor pueden ejecutar el proceso a la vez.
+ * @returns {Promise<Object|null>} - Usuario reclamado o null si no hay ninguno pendiente
+ */
+const claimNextAccount = () => {
+  const now = new Date();
+
+  return User.findOneAndUpdate(
+    {
+      isActive: false,
+      deletionScheduledFor: { $ne: null, $lte: now },
+      erasedAt: null,
+      $or: [
+        { erasureStartedAt: null },
+        { erasureStartedAt: { $lt: new Date(now.getTime() - ERASURE_RETRY_AFTER_MS) } }
+      ]
+    },
+    { erasureStartedAt: now },
+    { new: true }
+  );
+};
+
+/**
+ * Borra las cuentas cuyo periodo de gracia terminó
+ * Los borrados fallidos se reintentan en una ejecución posterior (pasada una hora).
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Máximo de cuentas a procesar (ACCOUNT_ERASURE_BATCH_SIZE por defecto)
+ * @returns {Promise<Object[]>} - Registros de los borrados procesados
+ */
+const processDueAccountErasures = async ({ limit = getAccountDeletionPolicy().batchSize } = {}) => {
+  const records = [];
+
+  while (records.length < limit) {
+    const user = await claimNextAccount();
+    if (!user) break;
+
+    records.push(await eraseUserAccount(user));
+  }
+
+  return records;
+};
+
+/**
+ * Inicia el proceso periódico de borrado en el servidor (ACCOUNT_ERASURE_INTERVAL_MINUTES)
+ * No impide que el proceso de Node termine.
+ * @returns {Object|null} - Temporizador o null si el proceso está desactivado
+ */
+const startAccountErasureJob = () => {
+  const { intervalMinutes } = getAccountDeletionPolicy();
+  if (!intervalMinutes || erasureTimer) return erasureTimer;
+
+  const run = () => processDueAccountErasures()
+    .then(records => {
+      if (records.length > 0) {
+        const completed = records.filter(record => record.status === 'completed').length;
+        console.log(`🧹 Cuentas borradas: ${completed} de ${records.length}`);
+      }
+    })
+    .catch(error => console.error('❌ Error en el proceso de borrado de cuentas:', error.message));
+
+  erasureTimer = setInterval(run, intervalMinutes * 60 * 1000);
+  erasureTimer.unref();
+  run();
+
+  return erasureTimer;
+};
+
+module.exports = {
+  ERASED_COMMENT_CONTENT,
+  eraseUserAccount,
+  processDueAccountErasures,
+  startAccountErasureJob
+};
@@ -0,0 +1,42 @@
+// src/utils/auditLog.js - Registro de eventos de auditoría
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Registra un evento de auditoría con los datos del cliente de la petición
+ * Un fallo al escribir el evento no interrumpe la petición: se registra en consola.
+ *
+ * @param {Object} req - Objeto de petición de Express (opcional)
+ * @param {Object} event - Datos del evento
+ * @param {string} event.action - Acción (ver AuditEvent)
+ * @param {string} event.outcome - "success" o "failure" (success por defecto)
+ * @param {Object|string} event.actor - Usuario o ID que realizó la acción (req.user por defecto)
+ * @param {Object} event.target - Recurso afectado { type, id }
+ * @param {string} event.reason - Motivo del fallo
+ * @param {Object} event.metadata - Datos adicionales
+ * @returns {Promise<Object|null>} - Evento creado o null si no se pudo guardar
+ */
+const recordAuditEvent = async (req, { action, outcome = 'success', actor, target = null, reason = null, metadata = {} }) => {
+  const actorValue = actor === undefined ? req?.user : actor;
+  const userAgent = req?.get?.('user-agent') || null;
+
+  try {
+    return await AuditEvent.create({
+      action,
+      outcome,
+      actorId: actorValue?._id || actorValue || null,
+      targetType: target?.type || null,
+      targetId: target?.id || null,
+      ipAddress: req?.ip || null,
+      userAgent: userAgent ? userAgent.substring(0, 500) : null,
+      reason,
+      metadata
+    });
+  } catch (error) {
+    console.error(`❌ Error registrando el evento de auditoría ${action}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAuditEvent
+};
@@ -0,0 +1,411 @@
+// src/utils/dataExport.js - Generación de los archivos de exportación de datos personales
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const UserSession = require('../models/UserSession');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const DataExport = require('../models/DataExport');
+const { createZip } = require('./zip');
+const { getDataExportPolicy } = require('../config/dataExport');
+
+// Tiempo tras el que se vuelve a generar una exportación que no terminó (1 hora)
+const EXPORT_RETRY_AFTER_MS = 60 * 60 * 1000;
+
+// Temporizador del proceso periódico
+let exportTimer = null;
+
+/**
+ * Escapa un valor para incluirlo en el HTML del índice
+ * @param {*} value - Valor a mostrar
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Formatea una fecha para el índice HTML
+ * @param {Date|null} date - Fecha
+ * @returns {string}
+ */
+const formatDate = (date) => (date ? new Date(date).toISOString().replace('T', ' ').substring(0, 19) + ' UTC' : '—');
+
+/**
+ * Genera una tabla HTML
+ * @param {string[]} headers - Títulos de las columnas
+ * @param {Array[]} rows - Filas con los valores de cada columna
+ * @returns {string}
+ */
+const renderTable = (headers, rows) => {
+  if (rows.length === 0) return '<p>Sin datos.</p>';
+
+  return `<table>
+<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+};
+
+/**
+ * Reúne todos los datos del usuario usando los modelos existentes
+ * Incluye el contenido eliminado (desactivado) que todavía se conserva.
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object>} - Datos agrupados por sección
+ */
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new Error('El usuario de la exportación no existe');
+  }
+
+  const posts = await Post.find({ userId }).sort({ createdAt: -1 }).lean();
+  const comments = await Comment.find({ userId }).sort({ createdAt: -1 }).lean();
+  const likesGiven = await Like.find({ userId }).sort({ createdAt: -1 }).lean();
+
+  // Likes de otros usuarios en los posts y comentarios del usuario
+  const likesReceived = await Like.find({
+    userId: { $ne: userId },
+    isActive: true,
+    $or: [
+      { targetType: 'Post', targetId: { $in: posts.map(post => post._id) } },
+      { targetType: 'Comment', targetId: { $in: comments.map(comment => comment._id) } }
+    ]
+  })
+    .populate('user', 'username')
+    .sort({ createdAt: -1 });
+
+  const sessions = await UserSession.find({ userId }).sort({ createdAt: -1 }).lean();
+  const accessTokens = await PersonalAccessToken.find({ userId }).sort({ createdAt: -1 }).lean();
+
+  return {
+    profile: user.toJSON(),
+    posts: posts.map(post => ({
+      _id: post._id,
+      content: post.content,
+      imageUrl: post.imageUrl,
+      tags: post.tags,
+      likesCount: post.likesCount,
+      commentsCount: post.commentsCount,
+      isActive: post.isActive,
+      createdAt: post.createdAt,
+      updatedAt: post.updatedAt
+    })),
+    comments: comments.map(comment => ({
+      _id: comment._id,
+      postId: comment.postId,
+      parentCommentId: comment.parentCommentId,
+      content: comment.content,
+      likesCount: comment.likesCount,
+      isEdited: comment.isEdited,
+      isActive: comment.isActive,
+      createdAt: comment.createdAt,
+      updatedAt: comment.updatedAt
+    })),
+    likesGiven: likesGiven.map(like => ({
+      _id: like._id,
+      targetType: like.targetType,
+      targetId: like.targetId,
+      isActive: like.isActive,
+      createdAt: like.createdAt
+    })),
+    likesReceived: likesReceived.map(like => ({
+      _id: like._id,
+      targetType: like.targetType,
+      targetId: like.targetId,
+      username: like.user ? like.user.username : null,
+      createdAt: like.createdAt
+    })),
+    loginActivity: {
+      lastLogin: user.lastLogin,
+      emailVerifiedAt: user.emailVerifiedAt,
+      passwordResetAt: user.passwordResetAt,
+      twoFactorEnabled: user.twoFactorEnabled,
+      twoFactorEnabledAt: user.twoFactorEnabledAt,
+      linkedIdentities: user.getLinkedIdentities(),
+      passkeys: user.getPasskeys(),
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        isRevoked: session.isRevoked,
+        revokedAt: session.revokedAt
+      })),
+      accessTokens: accessTokens.map(accessToken => ({
+        _id: accessToken._id,
+        name: accessToken.name,
+        tokenPrefix: accessToken.tokenPrefix,
+        scopes: accessToken.scopes,
+        createdAt: accessToken.createdAt,
+        lastUsedAt: accessToken.lastUsedAt,
+        expiresAt: accessToken.expiresAt,
+        isRevoked: accessToken.isRevoked
+      }))
+    }
+  };
+};
+
+/**
+ * Genera el índice HTML legible del archivo
+ * @param {Object} data - Datos devueltos por collectUserData
+ * @param {Date} generatedAt - Fecha de generación
+ * @returns {string}
+ */
+const renderIndexHtml = (data, generatedAt) => {
+  const { profile, posts, comments, likesGiven, likesReceived, loginActivity } = data;
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Tus datos en SocialConnect</title>
+<style>
+body { font-family: sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f3f3f3; }
+</style>
+</head>
+<body>
+<h1>Tus datos en SocialConnect</h1>
+<p>Generado el ${escapeHtml(formatDate(generatedAt))}. Los datos completos están en los archivos JSON de esta misma carpeta.</p>
+
+<h2>Perfil</h2>
+${renderTable(['Campo', 'Valor'], [
+    ['Usuario', profile.username],
+    ['Email', profile.email],
+    ['Nombre', `${profile.firstName} ${profile.lastName}`],
+    ['Rol', profile.role],
+    ['Cuenta creada', formatDate(profile.createdAt)],
+    ['Último login', formatDate(loginActivity.lastLogin)]
+  ])}
+<p><a href="profile.json">profile.json</a></p>
+
+<h2>Contenido</h2>
+${renderTable(['Sección', 'Elementos', 'Archivo'], [
+    ['Posts', posts.length, 'posts.json'],
+    ['Comentarios', comments.length, 'comments.json'],
+    ['Likes dados', likesGiven.length, 'likes-given.json'],
+    ['Likes recibidos', likesReceived.length, 'likes-received.json']
+  ])}
+
+<h2>Posts</h2>
+${renderTable(['Fecha', 'Contenido', 'Likes', 'Comentarios', 'Estado'], posts.map(post => [
+    formatDate(post.createdAt),
+    post.content,
+    post.likesCount,
+    post.commentsCount,
+    post.isActive ? 'Publicado' : 'Eliminado'
+  ]))}
+
+<h2>Comentarios</h2>
+${renderTable(['Fecha', 'Post', 'Contenido', 'Estado'], comments.map(comment => [
+    formatDate(comment.createdAt),
+    comment.postId,
+    comment.content,
+    comment.isActive ? 'Publicado' : 'Eliminado'
+  ]))}
+
+<h2>Actividad de inicio de sesión</h2>
+<p>Autenticación en dos pasos: ${loginActivity.twoFactorEnabled ? 'activada' : 'desactivada'}.
+Proveedores vinculados: ${escapeHtml(loginActivity.linkedIdentities.map(identity => identity.provider).join(', ') || 'ninguno')}.
+Passkeys: ${loginActivity.passkeys.length}. Tokens de acceso personal: ${loginActivity.accessTokens.length}.</p>
+${renderTable(['Inicio', 'Última actividad', 'Dispositivo', 'IP', 'Estado'], loginActivity.sessions.map(session => [
+    formatDate(session.createdAt),
+    formatDate(session.lastSeenAt),
+    session.device,
+    session.ipAddress,
+    session.isRevoked ? 'Cerrada' : 'Activa'
+  ]))}
+<p><a href="login-activity.json">login-activity.json</a></p>
+</body>
+</html>
+`;
+};
+
+/**
+ * Genera los ficheros que forman el archivo de exportación
+ * @param {string} userId - ID del usuario
+ * @param {Date} generatedAt - Fecha de generación
+ * @returns {Promise<Object[]>} - Ficheros [{ name, content }]
+ */
+const buildExportFiles = async (userId, generatedAt = new Date()) => {
+  const data = await collectUserData(userId);
+  const toJson = (value) => JSON.stringify(value, null, 2);
+
+  return [
+    { name: 'index.html', content: renderIndexHtml(data, generatedAt) },
+    { name: 'profile.json', content: toJson(data.profile) },
+    { name: 'posts.json', content: toJson(data.posts) },
+    { name: 'comments.json', content: toJson(data.comments) },
+    { name: 'likes-given.json', content: toJson(data.likesGiven) },
+    { name: 'likes-received.json', content: toJson(data.likesReceived) },
+    { name: 'login-activity.json', content: toJson(data.loginActivity) }
+  ];
+};
+
+/**
+ * Obtiene la ruta en disco del archivo de una exportación
+ * @param {string} fileName - Nombre del archivo guardado en la exportación
+ * @returns {string}
+ */
+const getExportFilePath = (fileName) => path.join(getDataExportPolicy().directory, fileName);
+
+/**
+ * Borra el archivo de una exportación (si existe)
+ * @param {string|null} fileName - Nombre del archivo
+ */
+const removeExportFile = async (fileName) => {
+  if (!fileName) return;
+
+  try {
+    await fs.promises.unlink(getExportFilePath(fileName));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+/**
+ * Genera el archivo ZIP de una exportación pendiente
+ * La exportación se reclama de forma atómica, así que no se genera dos veces a la vez.
+ *
+ * @param {string} exportId - ID de la exportación
+ * @returns {Promise<Object|null>} - Exportación actualizada o null si ya la procesó otro
+ */
+const generateDataExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { status: 'processing', startedAt: new Date() },
+    { new: true }
+  );
+
+  if (!dataExport) return null;
+
+  try {
+    const { directory, expireDays } = getDataExportPolicy();
+    const generatedAt = new Date();
+    const archive = createZip(await buildExportFiles(dataExport.userId, generatedAt), generatedAt);
+    const fileName = `${dataExport._id}.zip`;
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(path.join(directory, fileName), archive);
+
+    const completedAt = new Date();
+    return DataExport.findByIdAndUpdate(dataExport._id, {
+      status: 'completed',
+      fileName,
+      fileSize: archive.length,
+      completedAt,
+      expiresAt: new Date(completedAt.getTime() + expireDays * 24 * 60 * 60 * 1000),
+      error: null
+    }, { new: true });
+  } catch (error) {
+    console.error(`❌ Error generando la exportación ${dataExport._id}:`, error.message);
+
+    return DataExport.findByIdAndUpdate(dataExport._id, {
+      status: 'failed',
+      error: error.message
+    }, { new: true });
+  }
+};
+
+/**
+ * Genera las exportaciones pendientes (incluidas las que quedaron a medias tras un reinicio)
+ * @returns {Promise<Object[]>} - Exportaciones procesadas
+ */
+const processPendingDataExports = async () => {
+  await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lt: new Date(Date.now() - EXPORT_RETRY_AFTER_MS) } },
+    { status: 'pending' }
+  );
+
+  const pending = await DataExport.find({ status: 'pending' }).sort({ createdAt: 1 }).select('_id');
+  const processed = [];
+
+  for (const { _id } of pending) {
+    const dataExport = await generateDataExport(_id);
+    if (dataExport) processed.push(dataExport);
+  }
+
+  return processed;
+};
+
+/**
+ * Borra los archivos de las exportaciones caducadas
+ * Las exportaciones se conservan con el estado "expired" como historial.
+ * @returns {Promise<number>} - Número de exportaciones caducadas
+ */
+const removeExpiredDataExports = async () => {
+  const expired = await DataExport.find({
+    status: 'completed',
+    expiresAt: { $lte: new Date() }
+  }).select('+fileName');
+
+  for (const dataExport of expired) {
+    await removeExportFile(dataExport.fileName);
+    await DataExport.updateOne({ _id: dataExport._id }, { status: 'expired', fileName: null });
+  }
+
+  return expired.length;
+};
+
+/**
+ * Borra todas las exportaciones de un usuario (archivos y documentos)
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<number>} - Número de exportaciones borradas
+ */
+const removeUserDataExports = async (userId) => {
+  const dataExports = await DataExport.find({ userId }).select('+fileName');
+
+  for (const dataExport of dataExports) {
+    await removeExportFile(dataExport.fileName);
+  }
+
+  const result = await DataExport.deleteMany({ userId });
+  return result.deletedCount;
+};
+
+/**
+ * Inicia el proceso periódico de exportaciones en el servidor (DATA_EXPORT_INTERVAL_MINUTES)
+ * Retoma las exportaciones pendientes y borra los archivos caducados. No impide que el
+ * proceso de Node termine.
+ * @returns {Object|null} - Temporizador o null si el proceso está desactivado
+ */
+const startDataExportJob = () => {
+  const { intervalMinutes } = getDataExportPolicy();
+  if (!intervalMinutes || exportTimer) return exportTimer;
+
+  const run = () => processPendingDataExports()
+    .then(() => removeExpiredDataExports())
+    .then(expired => {
+      if (expired > 0) console.log(`🧹 Exportaciones caducadas borradas: ${expired}`);
+    })
+    .catch(error => console.error('❌ Error en el proceso de exportaciones:', error.message));
+
+  exportTimer = setInterval(run, intervalMinutes * 60 * 1000);
+  exportTimer.unref();
+  run();
+
+  return exportTimer;
+};
+
+module.exports = {
+  buildExportFiles,
+  getExportFilePath,
+  generateDataExport,
+  processPendingDataExports,
+  removeExpiredDataExports,
+  removeUserDataExports,
+  startDataExportJob
+};
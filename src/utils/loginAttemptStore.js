@@ -0,0 +1,167 @@
+// src/utils/loginAttemptStore.js - Almacenes intercambiables para los contadores de login fallidos
+const LoginAttempt = require('../models/LoginAttempt');
+
+/**
+ * Almacenes disponibles
+ * Todos exponen la misma interfaz asíncrona:
+ *
+ * - get(key):                 devuelve { failures, lastFailureAt, lockedUntil, expiresAt } o null
+ * - increment(key, windowMs): suma un fallo y extiende la ventana; devuelve el registro actualizado
+ * - lock(key, until):         bloquea la clave hasta la fecha indicada
+ * - reset(key):               elimina el contador
+ * - clear():                  elimina todos los contadores
+ *
+ * - mongo:  colección LoginAttempt con índice TTL (por defecto)
+ * - memory: Map en memoria del proceso (tests)
+ */
+const stores = {
+  mongo: () => {
+    // Un registro vencido que el índice TTL aún no eliminó se trata como inexistente
+    const toRecord = (doc) => {
+      if (!doc || doc.expiresAt <= new Date()) return null;
+      return {
+        failures: doc.failures,
+        lastFailureAt: doc.lastFailureAt,
+        lockedUntil: doc.lockedUntil,
+        expiresAt: doc.expiresAt
+      };
+    };
+
+    return {
+      name: 'mongo',
+
+      get: async (key) => toRecord(await LoginAttempt.findOne({ key }).lean()),
+
+      increment: async (key, windowMs) => {
+        const now = new Date();
+        await LoginAttempt.deleteOne({ key, expiresAt: { $lte: now } });
+
+        // Incremento atómico: los intentos concurrentes no se pierden
+        const doc = await LoginAttempt.findOneAndUpdate(
+          { key },
+          {
+            $inc: { failures: 1 },
+            $set: { lastFailureAt: now },
+            $max: { expiresAt: new Date(now.getTime() + windowMs) }
+          },
+          { upsert: true, new: true, setDefaultsOnInsert: true }
+        ).lean();
+
+        return toRecord(doc);
+      },
+
+      lock: async (key, until) => {
+        await LoginAttempt.updateOne(
+          { key },
+          { $set: { lockedUntil: until }, $max: { expiresAt: until } }
+        );
+      },
+
+      reset: async (key) => {
+        await LoginAttempt.deleteOne({ key });
+      },
+
+      clear: async () => {
+        await LoginAttempt.deleteMany({});
+      }
+    };
+  },
+
+  memory: () => {
+    const records = new Map();
+
+    const getRecord = (key) => {
+      const record = records.get(key);
+      if (!record) return null;
+      if (record.expiresAt <= new Date()) {
+        records.delete(key);
+        return null;
+      }
+      return record;
+    };
+
+    return {
+      name: 'memory',
+
+      get: async (key) => {
+        const record = getRecord(key);
+        return record ? { ...record } : null;
+      },
+
+      increment: async (key, windowMs) => {
+        const now = new Date();
+        const record = getRecord(key) || { failures: 0, lockedUntil: null, expiresAt: now };
+        const expiresAt = new Date(now.getTime() + windowMs);
+
+        record.failures += 1;
+        record.lastFailureAt = now;
+        record.expiresAt = expiresAt > record.expiresAt ? expiresAt : record.expiresAt;
+        records.set(key, record);
+
+        return { ...record };
+      },
+
+      lock: async (key, until) => {
+        const record = getRecord(key);
+        if (!record) return;
+        record.lockedUntil = until;
+        record.expiresAt = until > record.expiresAt ? until : record.expiresAt;
+      },
+
+      reset: async (key) => {
+        records.delete(key);
+      },
+
+      clear: async () => {
+        records.clear();
+      }
+    };
+  }
+};
+
+/**
+ * Determina el almacén por defecto según el entorno
+ * Se puede forzar con la variable LOGIN_ATTEMPT_STORE (mongo o memory)
+ */
+const getDefaultStoreName = () => {
+  if (process.env.LOGIN_ATTEMPT_STORE) return process.env.LOGIN_ATTEMPT_STORE;
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  return 'mongo';
+};
+
+let activeStore = null;
+
+/**
+ * Cambia el almacén activo
+ * Acepta el nombre de un almacén registrado o un objeto que implemente la interfaz
+ *
+ * @param {string|Object} store - Nombre del almacén o implementación propia
+ */
+const setStore = (store) => {
+  if (typeof store === 'string') {
+    if (!stores[store]) {
+      throw new Error(`Almacén de intentos de login desconocido: ${store}`);
+    }
+    activeStore = stores[store]();
+  } else if (store && ['get', 'increment', 'lock', 'reset'].every(method => typeof store[method] === 'function')) {
+    activeStore = store;
+  } else {
+    throw new Error('El almacén de intentos de login debe implementar get, increment, lock y reset');
+  }
+};
+
+/**
+ * Devuelve el almacén activo (lo crea la primera vez)
+ * @returns {Object} - Almacén de contadores
+ */
+const getStore = () => {
+  if (!activeStore) {
+    setStore(getDefaultStoreName());
+  }
+  return activeStore;
+};
+
+module.exports = {
+  setStore,
+  getStore
+};
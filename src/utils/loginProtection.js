@@ -0,0 +1,186 @@
+// src/utils/loginProtection.js - Protección contra fuerza bruta en el login
+const { createError } = require('../middleware/errorHandler');
+const { getStore } = require('./loginAttemptStore');
+
+/**
+ * Política de intentos fallidos (configurable por variables de entorno)
+ *
+ * Por cuenta:
+ * - Los primeros LOGIN_BACKOFF_AFTER fallos no tienen espera.
+ * - A partir de ahí cada fallo duplica la espera antes del siguiente intento
+ *   (LOGIN_BACKOFF_BASE_SECONDS, 2x, 4x...) hasta LOGIN_BACKOFF_MAX_SECONDS.
+ * - Al llegar a LOGIN_MAX_FAILURES la cuenta se bloquea LOGIN_LOCKOUT_MINUTES.
+ *
+ * Por IP:
+ * - Al llegar a LOGIN_MAX_FAILURES_PER_IP fallos dentro de la ventana se
+ *   rechazan los intentos desde esa IP hasta que la ventana expire.
+ *
+ * Los contadores caducan LOGIN_ATTEMPT_WINDOW_MINUTES después del último fallo
+ * y el de la cuenta se reinicia con un login correcto.
+ */
+const getPolicy = () => ({
+  maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 10,
+  maxFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 50,
+  backoffAfter: parseInt(process.env.LOGIN_BACKOFF_AFTER) || 3,
+  backoffBaseMs: (parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1) * 1000,
+  backoffMaxMs: (parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 60) * 1000,
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+  windowMs: (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000
+});
+
+/**
+ * Crea un error de bloqueo con la fecha a partir de la cual se puede reintentar
+ * El errorHandler añade retryAt/retryAfter a la respuesta y la cabecera Retry-After.
+ *
+ * @param {string} message - Mensaje del error
+ * @param {number} statusCode - 423 (cuenta bloqueada) o 429 (demasiados intentos)
+ * @param {Date} retryAt - Fecha a partir de la cual se puede reintentar
+ * @returns {Error} - Error con código y fecha de desbloqueo
+ */
+const createLockoutError = (message, statusCode, retryAt) => {
+  const error = createError(message, statusCode);
+  error.code = statusCode === 423 ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS';
+  error.retryAt = retryAt;
+  return error;
+};
+
+/**
+ * Calcula la espera exigida tras un número de fallos consecutivos
+ * @param {number} failures - Fallos consecutivos de la cuenta
+ * @param {Object} policy - Política activa
+ * @returns {number} - Espera en milisegundos (0 si no hay espera)
+ */
+const getBackoffMs = (failures, policy) => {
+  if (failures < policy.backoffAfter) return 0;
+  const exponent = failures - policy.backoffAfter;
+  return Math.min(policy.backoffBaseMs * 2 ** exponent, policy.backoffMaxMs);
+};
+
+/**
+ * Obtiene las claves de los contadores para un intento de login
+ * La cuenta se identifica por su ID si existe; si no, por el identificador
+ * introducido, para que las cuentas inexistentes se comporten igual.
+ *
+ * @param {Object} req - Objeto de petición de Express
+ * @param {Object|null} user - Usuario encontrado (o null)
+ * @param {string} identifier - Email o username introducido
+ * @returns {Object} - Claves { account, ip }
+ */
+const getLoginAttemptKeys = (req, user, identifier) => ({
+  account: `account:${user ? user._id : String(identifier).trim().toLowerCase()}`,
+  ip: `ip:${req.ip || 'desconocida'}`
+});
+
+/**
+ * Comprueba si se permite un intento de login
+ * Lanza 423 si la cuenta está bloqueada y 429 si hay que esperar (backoff o IP)
+ *
+ * @param {Object} keys - Claves devueltas por getLoginAttemptKeys
+ */
+const assertLoginAllowed = async (keys) => {
+  const store = getStore();
+  const policy = getPolicy();
+  const now = Date.now();
+
+  const [account, ip] = await Promise.all([store.get(keys.account), store.get(keys.ip)]);
+
+  if (account?.lockedUntil && account.lockedUntil.getTime() > now) {
+    throw createLockoutError(
+      'Cuenta bloqueada temporalmente por demasiados intentos fallidos',
+      423,
+      account.lockedUntil
+    );
+  }
+
+  if (ip && ip.failures >= policy.maxFailuresPerIp) {
+    throw createLockoutError(
+      'Demasiados intentos fallidos desde esta dirección. Inténtalo más tarde',
+      429,
+      ip.expiresAt
+    );
+  }
+
+  if (account?.lastFailureAt) {
+    const retryAt = account.lastFailureAt.getTime() + getBackoffMs(account.failures, policy);
+    if (retryAt > now) {
+      throw createLockoutError(
+        'Demasiados intentos fallidos. Espera antes de volver a intentarlo',
+        429,
+        new Date(retryAt)
+      );
+    }
+  }
+};
+
+/**
+ * Registra un intento de login fallido en la cuenta y en la IP
+ * Si la cuenta alcanza el máximo de fallos se bloquea y se lanza el error 423
+ *
+ * @param {Object} keys - Claves devueltas por getLoginAttemptKeys
+ */
+const registerLoginFailure = async (keys) => {
+  const store = getStore();
+  const policy = getPolicy();
+
+  const [account] = await Promise.all([
+    store.increment(keys.account, policy.windowMs),
+    store.increment(keys.ip, policy.windowMs)
+  ]);
+
+  if (account.failures >= policy.maxFailures) {
+    const lockedUntil = new Date(Date.now() + policy.lockoutMs);
+    await store.lock(keys.account, lockedUntil);
+
+    throw createLockoutError(
+      'Cuenta bloqueada temporalmente por demasiados intentos fallidos',
+      423,
+      lockedUntil
+    );
+  }
+};
+
+/**
+ * Reinicia el contador de la cuenta tras un login correcto
+ * El contador de la IP no se reinicia: caduca con su ventana, de modo que
+ * acertar con una cuenta propia no permite seguir probando otras.
+ *
+ * @param {Object} keys - Claves devueltas por getLoginAttemptKeys
+ */
+const registerLoginSuccess = async (keys) => {
+  await getStore().reset(keys.account);
+};
+
+/**
+ * Registra una solicitud de enlace de acceso (magic link) para un email
+ * Se permiten MAGIC_LINK_MAX_REQUESTS solicitudes por email dentro de una ventana de
+ * MAGIC_LINK_WINDOW_MINUTES; a partir de ahí se responde 429 hasta que la ventana expire.
+ * El límite se aplica aunque el email no esté registrado, para no revelar qué cuentas existen.
+ *
+ * @param {string} email - Email para el que se pide el enlace
+ */
+const registerMagicLinkRequest = async (email) => {
+  const store = getStore();
+  const key = `magic-link:${String(email).trim().toLowerCase()}`;
+  const maxRequests = parseInt(process.env.MAGIC_LINK_MAX_REQUESTS) || 3;
+  const windowMs = (parseInt(process.env.MAGIC_LINK_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+  const record = await store.get(key);
+
+  if (record && record.failures >= maxRequests) {
+    throw createLockoutError(
+      'Demasiadas solicitudes de enlace de acceso para este email. Inténtalo más tarde',
+      429,
+      record.expiresAt
+    );
+  }
+
+  await store.increment(key, windowMs);
+};
+
+module.exports = {
+  getLoginAttemptKeys,
+  assertLoginAllowed,
+  registerLoginFailure,
+  registerLoginSuccess,
+  registerMagicLinkRequest
+};
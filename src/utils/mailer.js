@@ -0,0 +1,133 @@
+// src/utils/mailer.js - Envío de emails con transportes intercambiables
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Transportes disponibles
+ * Cada transporte expone send(message) y devuelve una promesa.
+ *
+ * - smtp:   envío real mediante nodemailer (producción)
+ * - file:   guarda cada email como JSON en un directorio local (desarrollo)
+ * - memory: guarda los emails en un array accesible con getOutbox() (tests)
+ */
+const outbox = [];
+
+const transports = {
+  smtp: () => {
+    // Se carga solo cuando se usa SMTP para no exigir configuración en dev/test
+    const nodemailer = require('nodemailer');
+    const smtpTransport = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: parseInt(process.env.EMAIL_PORT) || 587,
+      secure: process.env.EMAIL_SECURE === 'true',
+      auth: process.env.EMAIL_USER
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        : undefined
+    });
+
+    return {
+      name: 'smtp',
+      send: (message) => smtpTransport.sendMail(message)
+    };
+  },
+
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'mail');
+
+    return {
+      name: 'file',
+      send: async (message) => {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}.json`;
+        const filePath = path.join(outboxDir, fileName);
+        await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+        console.log(`📧 Email guardado en ${filePath}`);
+        return { messageId: fileName };
+      }
+    };
+  },
+
+  memory: () => ({
+    name: 'memory',
+    send: async (message) => {
+      outbox.push({ ...message, sentAt: new Date() });
+      return { messageId: `memory-${outbox.length}` };
+    }
+  })
+};
+
+/**
+ * Determina el transporte por defecto según el entorno
+ * Se puede forzar con la variable MAIL_TRANSPORT (smtp, file o memory)
+ */
+const getDefaultTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'production') return 'smtp';
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  return 'file';
+};
+
+let activeTransport = null;
+
+/**
+ * Cambia el transporte activo
+ * Acepta el nombre de un transporte registrado o un objeto con método send()
+ *
+ * @param {string|Object} transport - Nombre del transporte o implementación propia
+ */
+const setTransport = (transport) => {
+  if (typeof transport === 'string') {
+    if (!transports[transport]) {
+      throw new Error(`Transporte de email desconocido: ${transport}`);
+    }
+    activeTransport = transports[transport]();
+  } else if (transport && typeof transport.send === 'function') {
+    activeTransport = transport;
+  } else {
+    throw new Error('El transporte de email debe implementar send(message)');
+  }
+};
+
+/**
+ * Envía un email con el transporte activo
+ *
+ * @param {Object} options - Datos del email
+ * @param {string} options.to - Destinatario
+ * @param {string} options.subject - Asunto
+ * @param {string} options.text - Cuerpo en texto plano
+ * @param {string} options.html - Cuerpo en HTML (opcional)
+ * @returns {Promise<Object>} - Resultado del transporte
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!activeTransport) {
+    setTransport(getDefaultTransportName());
+  }
+
+  return activeTransport.send({
+    from: process.env.EMAIL_FROM || 'SocialConnect <no-reply@socialconnect.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Devuelve los emails enviados con el transporte en memoria
+ * @returns {Array} - Emails enviados
+ */
+const getOutbox = () => outbox;
+
+/**
+ * Vacía el buzón del transporte en memoria
+ */
+const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getOutbox,
+  clearOutbox
+};
@@ -0,0 +1,54 @@
+// src/utils/mentions.js - Menciones (@usuario) en posts y comentarios
+const User = require('../models/User');
+const Block = require('../models/Block');
+
+// @usuario con el mismo formato que los nombres de usuario (3-30 letras, números o guión bajo).
+// La @ no puede ir pegada a una palabra, para no confundir los emails (ana@example.com) con menciones.
+const MENTION_PATTERN = /(^|[^a-zA-Z0-9_@.])@([a-zA-Z0-9_]{3,30})(?![a-zA-Z0-9_])/g;
+
+/**
+ * Extrae las menciones de un texto
+ * Las posiciones son índices del string de JavaScript: start apunta a la @ y end al carácter
+ * siguiente al nombre de usuario, así que content.slice(start, end) devuelve "@usuario".
+ *
+ * @param {string} content - Texto del post o comentario
+ * @returns {Object[]} - [{ username, start, end }] en el orden en que aparecen
+ */
+const parseMentions = (content = '') => {
+  return [...content.matchAll(MENTION_PATTERN)].map(match => {
+    const start = match.index + match[1].length;
+    return { username: match[2], start, end: start + match[2].length + 1 };
+  });
+};
+
+/**
+ * Resuelve las menciones de un texto a usuarios
+ * No se guardan las menciones de usuarios que no existen, de cuentas desactivadas
+ * ni de usuarios con los que el autor tiene un bloqueo (en cualquier sentido).
+ *
+ * @param {string} content - Texto ya normalizado (el mismo que se guarda)
+ * @param {Object} authorId - ID del autor del contenido
+ * @returns {Promise<Object[]>} - [{ userId, start, end }] listo para guardar en el campo mentions
+ */
+const resolveMentions = async (content, authorId) => {
+  const parsed = parseMentions(content);
+  if (parsed.length === 0) return [];
+
+  const usernames = [...new Set(parsed.map(mention => mention.username))];
+  const users = await User.find({ username: { $in: usernames }, isActive: true }).select('username');
+  if (users.length === 0) return [];
+
+  const blockedIds = new Set((await Block.getBlockedUserIds(authorId)).map(id => id.toString()));
+  const userIds = new Map(users
+    .filter(user => !blockedIds.has(user._id.toString()))
+    .map(user => [user.username, user._id]));
+
+  return parsed
+    .filter(mention => userIds.has(mention.username))
+    .map(({ username, start, end }) => ({ userId: userIds.get(username), start, end }));
+};
+
+module.exports = {
+  parseMentions,
+  resolveMentions
+};
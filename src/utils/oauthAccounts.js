@@ -0,0 +1,123 @@
+// src/utils/oauthAccounts.js - Resolución de cuentas para los logins OAuth
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Genera un username disponible a partir de una base (máximo 30 caracteres)
+ * @param {string} baseUsername - Base del username (ej: parte local del email)
+ * @returns {string}
+ */
+const buildUsername = (baseUsername) => {
+  const timestamp = Date.now().toString().slice(-6); // Solo últimos 6 dígitos
+
+  // Asegurar que el username no exceda 30 caracteres
+  let username = `${baseUsername}_${timestamp}`;
+  if (username.length > 30) {
+    const maxBaseLength = 30 - timestamp.length - 1; // -1 para el '_'
+    username = `${baseUsername.substring(0, maxBaseLength)}_${timestamp}`;
+  }
+
+  return username;
+};
+
+/**
+ * Obtiene el usuario que corresponde a un login OAuth
+ *
+ * Orden de resolución:
+ * 1. Si hay un flujo de vinculación en curso, la identidad se añade al usuario que lo inició.
+ * 2. Si la identidad ya está vinculada, se devuelve su dueño.
+ * 3. Si existe una cuenta con el mismo email, solo se fusiona cuando el proveedor garantiza
+ *    que el email está verificado; si no, el usuario debe vincular el proveedor desde su cuenta.
+ * 4. En otro caso se crea un usuario nuevo.
+ *
+ * @param {Object} params
+ * @param {string} params.provider - Proveedor OAuth
+ * @param {string} params.providerId - ID del usuario en el proveedor
+ * @param {string|null} params.email - Email informado por el proveedor
+ * @param {boolean} params.emailVerified - Si el proveedor verificó el email
+ * @param {Object} params.profile - Datos para crear la cuenta (username, firstName, lastName, profilePicture, bio)
+ * @param {string|null} params.linkUserId - Usuario que inició la vinculación (si la hay)
+ * @returns {Promise<Object>} - { user, linked }
+ */
+const resolveOAuthUser = async ({ provider, providerId, email = null, emailVerified = false, profile = {}, linkUserId = null }) => {
+  const identity = {
+    provider,
+    providerId: String(providerId),
+    email: email ? email.toLowerCase() : null,
+    emailVerified: Boolean(email && emailVerified)
+  };
+
+  const owner = await User.findByIdentity(provider, identity.providerId);
+
+  // 1. Vinculación iniciada por un usuario autenticado
+  if (linkUserId) {
+    if (owner && owner._id.toString() !== linkUserId.toString()) {
+      throw createError(`Esta cuenta de ${provider} ya está vinculada a otro usuario`, 409);
+    }
+
+    const user = await User.findById(linkUserId);
+    if (!user || !user.isActive) {
+      throw createError('Usuario no encontrado', 404);
+    }
+
+    user.addIdentity(identity);
+    await user.save();
+    return { user, linked: true };
+  }
+
+  // 2. Identidad ya vinculada
+  if (owner) {
+    // Migrar cuentas antiguas que solo tienen oauthProvider/oauthId
+    owner.addIdentity(identity);
+    await owner.save();
+    return { user: owner, linked: false };
+  }
+
+  // 3. Cuenta existente con el mismo email
+  if (identity.email) {
+    const existing = await User.findOne({ email: identity.email }).select('+password');
+
+    if (existing) {
+      if (!identity.emailVerified) {
+        throw createError(
+          `Ya existe una cuenta con este email. Inicia sesión y vincula ${provider} desde tu perfil`,
+          409
+        );
+      }
+
+      // Si el email de la cuenta existente nunca se verificó, quien la creó no demostró
+      // ser el dueño del email: se invalida su contraseña y sus sesiones antes de fusionar
+      if (!existing.emailVerified) {
+        existing.password = undefined;
+        existing.emailVerified = true;
+        existing.emailVerifiedAt = new Date();
+        existing.emailVerificationTokenId = null;
+        await UserSession.revokeAllForUser(existing._id);
+      }
+
+      existing.addIdentity(identity);
+      await existing.save();
+      return { user: existing, linked: false };
+    }
+  }
+
+  // 4. Usuario nuevo
+  const user = await User.create({
+    username: buildUsername(profile.username || `${provider}_user`),
+    email: identity.email || `${profile.username || identity.providerId}@${provider}.local`,
+    firstName: (profile.firstName || 'Usuario').substring(0, 50), // Límite 50 chars
+    lastName: (profile.lastName || 'User').substring(0, 50),      // Límite 50 chars
+    profilePicture: profile.profilePicture || null,
+    bio: (profile.bio || '').substring(0, 500),                   // Límite 500 chars para bio
+    emailVerified: identity.emailVerified,
+    identities: [identity],
+    isActive: true
+  });
+
+  return { user, linked: false };
+};
+
+module.exports = {
+  resolveOAuthUser
+};
@@ -0,0 +1,140 @@
+// src/utils/passwordPolicy.js - Validación central de contraseñas según la política configurada
+const fs = require('fs');
+const path = require('path');
+const { createError } = require('../middleware/errorHandler');
+const { getPasswordPolicy } = require('../config/passwordPolicy');
+
+// Lista incluida con el proyecto
+const DEFAULT_BLOCKLIST_FILE = path.join(__dirname, '..', 'config', 'commonPasswords.txt');
+
+// Listas ya cargadas (por ruta de archivo)
+const blocklists = new Map();
+
+/**
+ * Carga la lista de contraseñas comunes y filtradas
+ * Se lee una sola vez por archivo y se guarda en minúsculas.
+ * @param {string|null} file - Archivo alternativo (PASSWORD_BLOCKLIST_FILE)
+ * @returns {Set<string>}
+ */
+const getBlocklist = (file) => {
+  const filePath = file || DEFAULT_BLOCKLIST_FILE;
+
+  if (!blocklists.has(filePath)) {
+    let entries = [];
+    try {
+      entries = fs.readFileSync(filePath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'));
+    } catch (error) {
+      console.error('❌ No se pudo leer la lista de contraseñas comunes:', error.message);
+    }
+    blocklists.set(filePath, new Set(entries));
+  }
+
+  return blocklists.get(filePath);
+};
+
+/**
+ * Obtiene los fragmentos de datos personales que no pueden aparecer en la contraseña
+ * Se ignoran los fragmentos de menos de 3 caracteres.
+ * @param {Object} personalInfo - { username, email, firstName, lastName }
+ * @returns {string[]} - Fragmentos en minúsculas
+ */
+const getPersonalTokens = ({ username, email, firstName, lastName } = {}) => {
+  const tokens = [
+    username,
+    email ? String(email).split('@')[0] : null,
+    ...String(firstName || '').split(/\s+/),
+    ...String(lastName || '').split(/\s+/)
+  ];
+
+  return [...new Set(tokens
+    .filter(Boolean)
+    .map(token => String(token).trim().toLowerCase())
+    .filter(token => token.length >= 3))];
+};
+
+/**
+ * Comprueba una contraseña contra las reglas de la política que no dependen del historial
+ *
+ * @param {string} password - Contraseña en texto plano
+ * @param {Object} personalInfo - Datos del usuario { username, email, firstName, lastName }
+ * @returns {Object[]} - Incumplimientos [{ code, message }] (vacío si la contraseña es válida)
+ */
+const checkPassword = (password, personalInfo = {}) => {
+  const policy = getPasswordPolicy();
+  const value = typeof password === 'string' ? password : '';
+  const violations = [];
+
+  if (value.length < policy.minLength) {
+    violations.push({ code: 'too_short', message: `La contraseña debe tener al menos ${policy.minLength} caracteres` });
+  }
+  if (value.length > policy.maxLength) {
+    violations.push({ code: 'too_long', message: `La contraseña no puede tener más de ${policy.maxLength} caracteres` });
+  }
+  if (policy.requireLowercase && !/\p{Ll}/u.test(value)) {
+    violations.push({ code: 'missing_lowercase', message: 'La contraseña debe contener al menos una minúscula' });
+  }
+  if (policy.requireUppercase && !/\p{Lu}/u.test(value)) {
+    violations.push({ code: 'missing_uppercase', message: 'La contraseña debe contener al menos una mayúscula' });
+  }
+  if (policy.requireDigit && !/\d/.test(value)) {
+    violations.push({ code: 'missing_digit', message: 'La contraseña debe contener al menos un número' });
+  }
+  if (policy.requireSymbol && !/[^\p{L}\d]/u.test(value)) {
+    violations.push({ code: 'missing_symbol', message: 'La contraseña debe contener al menos un símbolo' });
+  }
+
+  const normalized = value.toLowerCase();
+
+  if (policy.blockPersonalInfo && getPersonalTokens(personalInfo).some(token => normalized.includes(token))) {
+    violations.push({
+      code: 'contains_personal_info',
+      message: 'La contraseña no puede contener tu nombre de usuario, tu email ni tu nombre'
+    });
+  }
+  if (policy.blockCommon && getBlocklist(policy.blocklistFile).has(normalized)) {
+    violations.push({
+      code: 'common_password',
+      message: 'La contraseña es demasiado común o aparece en filtraciones conocidas. Elige otra'
+    });
+  }
+
+  return violations;
+};
+
+/**
+ * Exige que una contraseña cumpla la política completa (incluido el historial)
+ * Lanza un error 400 con la lista de incumplimientos en validationErrors, que el
+ * errorHandler devuelve en el campo "errors" de la respuesta.
+ *
+ * @param {string} password - Contraseña en texto plano
+ * @param {Object} options
+ * @param {string} options.field - Campo del body que contiene la contraseña
+ * @param {Object} options.user - Usuario existente (para datos personales e historial)
+ * @param {Object} options.personalInfo - Datos personales si aún no existe el usuario
+ */
+const assertPasswordAllowed = async (password, { field = 'password', user = null, personalInfo = null } = {}) => {
+  const violations = checkPassword(password, personalInfo || user || {});
+
+  if (user && violations.length === 0 && await user.isPasswordReused(password)) {
+    const { historySize } = getPasswordPolicy();
+    violations.push({
+      code: 'reused_password',
+      message: `No puedes reutilizar ninguna de tus últimas ${historySize} contraseñas`
+    });
+  }
+
+  if (violations.length > 0) {
+    const error = createError('La contraseña no cumple la política de seguridad', 400);
+    error.code = 'PASSWORD_POLICY_VIOLATION';
+    error.validationErrors = violations.map(violation => ({ field, ...violation }));
+    throw error;
+  }
+};
+
+module.exports = {
+  checkPassword,
+  assertPasswordAllowed
+};
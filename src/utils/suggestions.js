@@ -0,0 +1,196 @@
+// src/utils/suggestions.js - Sugerencias de usuarios ("personas que quizá conozcas")
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const FollowRequest = require('../models/FollowRequest');
+const SuggestionDismissal = require('../models/SuggestionDismissal');
+const { SUGGESTION_WEIGHTS, getSuggestionPolicy } = require('../config/suggestions');
+const { getListedVisibilities } = require('./visibility');
+
+// Máximo de usuarios activos recientemente que se añaden como candidatos sin otra señal
+const RECENT_CANDIDATES_LIMIT = 50;
+
+/**
+ * Obtiene los usuarios que nunca se deben sugerir a un usuario: él mismo, los que ya sigue
+ * o a los que pidió seguir, los descartados y los bloqueados o silenciados en cualquier sentido
+ * @param {Object} userId - ID del usuario
+ * @returns {Promise<Object[]>}
+ */
+const getExcludedUserIds = async (userId) => {
+  const following = await Follow.find({ followerId: userId, isActive: true }).distinct('followingId');
+  const requested = await FollowRequest.find({ requesterId: userId }).distinct('targetId');
+  const dismissed = await SuggestionDismissal.find({ userId }).distinct('dismissedUserId');
+  const hidden = await Block.getHiddenUserIds(userId);
+
+  return [userId, ...following, ...requested, ...dismissed, ...hidden];
+};
+
+/**
+ * Obtiene los posts recientes con los que interactuó un usuario (likes y comentarios)
+ * @param {Object} userId - ID del usuario
+ * @param {number} historyLimit - Máximo de likes y de comentarios que se revisan
+ * @returns {Promise<Object[]>} - IDs de los posts
+ */
+const getInteractedPostIds = async (userId, historyLimit) => {
+  const likes = await Like.find({ userId, targetType: 'Post', isActive: true })
+    .select('targetId')
+    .sort({ createdAt: -1 })
+    .limit(historyLimit);
+
+  const comments = await Comment.find({ userId, isActive: true })
+    .select('postId')
+    .sort({ createdAt: -1 })
+    .limit(historyLimit);
+
+  const ids = new Map();
+  likes.forEach(like => ids.set(like.targetId.toString(), like.targetId));
+  comments.forEach(comment => ids.set(comment.postId.toString(), comment.postId));
+  return [...ids.values()];
+};
+
+/**
+ * Calcula la puntuación de un candidato
+ * @param {Object} candidate - Señales del candidato
+ * @param {number} activityDays - Ventana de actividad reciente
+ * @returns {number}
+ */
+const scoreCandidate = ({ sharedInteractions, sharedTags, lastActiveAt }, activityDays) => {
+  let score = sharedInteractions * SUGGESTION_WEIGHTS.sharedInteraction
+    + sharedTags * SUGGESTION_WEIGHTS.sharedTag;
+
+  if (lastActiveAt) {
+    const ageDays = (Date.now() - lastActiveAt.getTime()) / (24 * 60 * 60 * 1000);
+    score += Math.max(0, 1 - ageDays / activityDays) * SUGGESTION_WEIGHTS.recentActivity;
+  }
+
+  return Math.round(score * 100) / 100;
+};
+
+/**
+ * Obtiene las sugerencias de usuarios para un usuario
+ * Los candidatos se puntúan por:
+ * - interacciones compartidas: posts en los que ambos dieron like o comentaron
+ * - etiquetas en común entre sus posts y los posts propios o con los que interactuó el usuario
+ * - actividad reciente (posts y comentarios en los últimos SUGGESTIONS_ACTIVITY_DAYS días o último login)
+ *
+ * @param {Object} userId - ID del usuario
+ * @param {Object} options
+ * @param {number} options.limit - Máximo de sugerencias
+ * @returns {Promise<Object[]>} - [{ user, score, reasons }]
+ */
+const getUserSuggestions = async (userId, { limit = 10 } = {}) => {
+  const { activityDays, historyLimit } = getSuggestionPolicy();
+  const since = new Date(Date.now() - activityDays * 24 * 60 * 60 * 1000);
+
+  const excludedIds = await getExcludedUserIds(userId);
+  const candidates = new Map();
+  const getCandidate = (id) => {
+    const key = id.toString();
+    if (!candidates.has(key)) {
+      candidates.set(key, { sharedPosts: new Set(), sharedTags: new Set(), lastActiveAt: null });
+    }
+    return candidates.get(key);
+  };
+
+  // Usuarios que dieron like o comentaron en los mismos posts
+  const interactedPostIds = await getInteractedPostIds(userId, historyLimit);
+  if (interactedPostIds.length > 0) {
+    const likers = await Like.aggregate([
+      { $match: { targetType: 'Post', targetId: { $in: interactedPostIds }, isActive: true, userId: { $nin: excludedIds } } },
+      { $group: { _id: '$userId', posts: { $addToSet: '$targetId' } } }
+    ]);
+    const commenters = await Comment.aggregate([
+      { $match: { postId: { $in: interactedPostIds }, isActive: true, userId: { $nin: excludedIds } } },
+      { $group: { _id: '$userId', posts: { $addToSet: '$postId' } } }
+    ]);
+
+    [...likers, ...commenters].forEach(({ _id, posts }) => {
+      const candidate = getCandidate(_id);
+      posts.forEach(postId => candidate.sharedPosts.add(postId.toString()));
+    });
+  }
+
+  // Autores que usan las mismas etiquetas (solo en posts que se listan, para no revelar las de posts ocultos)
+  const ownTags = await Post.find({
+    isActive: true,
+    $or: [{ userId }, { _id: { $in: interactedPostIds } }]
+  }).distinct('tags');
+
+  if (ownTags.length > 0) {
+    const authors = await Post.aggregate([
+      { $match: { isActive: true, visibility: { $in: getListedVisibilities(userId) }, tags: { $in: ownTags }, userId: { $nin: excludedIds } } },
+      { $unwind: '$tags' },
+      { $match: { tags: { $in: ownTags } } },
+      { $group: { _id: '$userId', tags: { $addToSet: '$tags' } } }
+    ]);
+
+    authors.forEach(({ _id, tags }) => {
+      const candidate = getCandidate(_id);
+      tags.forEach(tag => candidate.sharedTags.add(tag));
+    });
+  }
+
+  // Usuarios activos recientemente (también sirven de candidatos para usuarios sin historial)
+  const recentAuthors = await Post.aggregate([
+    { $match: { isActive: true, createdAt: { $gte: since }, userId: { $nin: excludedIds } } },
+    { $group: { _id: '$userId', lastActiveAt: { $max: '$createdAt' } } },
+    { $sort: { lastActiveAt: -1 } },
+    { $limit: RECENT_CANDIDATES_LIMIT }
+  ]);
+  recentAuthors.forEach(({ _id, lastActiveAt }) => {
+    getCandidate(_id).lastActiveAt = lastActiveAt;
+  });
+
+  if (candidates.size === 0) return [];
+
+  const candidateIds = [...candidates.keys()].map(id => new mongoose.Types.ObjectId(id));
+  const recentComments = await Comment.aggregate([
+    { $match: { isActive: true, createdAt: { $gte: since }, userId: { $in: candidateIds } } },
+    { $group: { _id: '$userId', lastActiveAt: { $max: '$createdAt' } } }
+  ]);
+  const lastCommentAt = new Map(recentComments.map(({ _id, lastActiveAt }) => [_id.toString(), lastActiveAt]));
+
+  // Solo se sugieren cuentas activas
+  const users = await User.find({ _id: { $in: candidateIds }, isActive: true })
+    .select('username firstName lastName profilePicture bio followersCount isPrivate lastLogin');
+
+  const latest = (...dates) => dates.filter(Boolean).reduce((max, date) => (!max || date > max ? date : max), null);
+
+  return users
+    .map(user => {
+      const candidate = candidates.get(user._id.toString());
+      const inWindow = date => (date && date >= since ? date : null);
+
+      // Actividad pública (posts y comentarios): es la única que se muestra en los motivos
+      const contentActiveAt = inWindow(latest(candidate.lastActiveAt, lastCommentAt.get(user._id.toString())));
+
+      const reasons = {
+        sharedInteractions: candidate.sharedPosts.size,
+        sharedTags: [...candidate.sharedTags],
+        lastActiveAt: contentActiveAt
+      };
+
+      // El último login solo se usa para puntuar; no se muestra a otros usuarios
+      const { lastLogin, ...publicUser } = user.toJSON();
+
+      return {
+        user: publicUser,
+        score: scoreCandidate({
+          sharedInteractions: reasons.sharedInteractions,
+          sharedTags: reasons.sharedTags.length,
+          lastActiveAt: inWindow(latest(contentActiveAt, lastLogin))
+        }, activityDays),
+        reasons
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.user.followersCount - a.user.followersCount)
+    .slice(0, limit);
+};
+
+module.exports = {
+  getUserSuggestions
+};
@@ -0,0 +1,303 @@
+// src/utils/timeline.js - Timeline personalizado precalculado (fan-out al publicar)
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const TagSubscription = require('../models/TagSubscription');
+const TimelineEntry = require('../models/TimelineEntry');
+const Block = require('../models/Block');
+const { createError } = require('../middleware/errorHandler');
+const { getFeedPolicy } = require('../config/feed');
+const { getPrivateAuthorsFilter, getListedVisibilities } = require('./visibility');
+
+/**
+ * Calcula la fecha de expiración de una entrada a partir de la fecha del post
+ * @param {Date} postCreatedAt - Fecha de publicación del post
+ * @returns {Date}
+ */
+const getExpiresAt = (postCreatedAt) => {
+  const { retentionDays } = getFeedPolicy();
+  return new Date(new Date(postCreatedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Inserta entradas en los timelines ignorando las que ya existían
+ * @param {Object[]} entries - Entradas a insertar
+ * @returns {Promise<number>} - Entradas nuevas
+ */
+const insertEntries = async (entries) => {
+  if (entries.length === 0) return 0;
+
+  try {
+    const inserted = await TimelineEntry.insertMany(entries, { ordered: false });
+    return inserted.length;
+  } catch (error) {
+    // Índice único (usuario, post): el post ya estaba en algunos timelines
+    if (error.code !== 11000 && !error.writeErrors?.every(writeError => writeError.code === 11000)) {
+      throw error;
+    }
+    return error.insertedDocs?.length ?? error.result?.insertedCount ?? 0;
+  }
+};
+
+/**
+ * Obtiene los usuarios que interactuaron recientemente con un autor
+ * (likes a sus posts o comentarios y comentarios o respuestas a su contenido)
+ * @param {string} authorId - ID del autor
+ * @returns {Promise<string[]>} - IDs de los usuarios
+ */
+const findEngagedUsers = async (authorId) => {
+  const { engagementDays } = getFeedPolicy();
+  const since = new Date(Date.now() - engagementDays * 24 * 60 * 60 * 1000);
+
+  const postIds = await Post.find({ userId: authorId, isActive: true }).distinct('_id');
+  const commentIds = await Comment.find({ userId: authorId, isActive: true }).distinct('_id');
+
+  const likers = await Like.distinct('userId', {
+    isActive: true,
+    createdAt: { $gte: since },
+    $or: [
+      { targetType: 'Post', targetId: { $in: postIds } },
+      { targetType: 'Comment', targetId: { $in: commentIds } }
+    ]
+  });
+
+  const commenters = await Comment.distinct('userId', {
+    isActive: true,
+    createdAt: { $gte: since },
+    $or: [
+      { postId: { $in: postIds } },
+      { parentCommentId: { $in: commentIds } }
+    ]
+  });
+
+  return [...likers, ...commenters].map(id => id.toString());
+};
+
+/**
+ * Añade un post nuevo a los timelines de los usuarios interesados
+ * - el propio autor
+ * - sus seguidores
+ * - quienes interactuaron con él en los últimos FEED_ENGAGEMENT_DAYS días
+ * - los suscritos a alguna de sus etiquetas
+ * Si un usuario cumple varios motivos, se guarda el primero de la lista.
+ * Los posts que no aparecen en los listados (unlisted y private) solo se añaden al timeline del autor.
+ *
+ * @param {Object} post - Post recién creado (o que acaba de cambiar de visibilidad)
+ * @returns {Promise<number>} - Timelines a los que se añadió
+ */
+const addPostToTimelines = async (post) => {
+  const authorId = post.userId.toString();
+  const recipients = new Map([[authorId, { reason: 'own' }]]);
+  // Los destinatarios siempre son usuarios autenticados (incluye members_only)
+  const isListed = getListedVisibilities(authorId).includes(post.visibility);
+
+  const addRecipients = (userIds, reason, tag = null) => {
+    userIds.forEach(userId => {
+      const key = userId.toString();
+      if (!recipients.has(key)) recipients.set(key, { reason, tag });
+    });
+  };
+
+  if (isListed) {
+    addRecipients(await Follow.distinct('followerId', { followingId: post.userId, isActive: true }), 'following');
+    addRecipients(await findEngagedUsers(post.userId), 'engagement');
+  }
+
+  if (isListed && post.tags?.length > 0) {
+    const subscriptions = await TagSubscription.find({ tag: { $in: post.tags } }).select('userId tag');
+    subscriptions.forEach(({ userId, tag }) => addRecipients([userId], 'tag', tag));
+  }
+
+  // Las cuentas desactivadas no reciben entradas
+  const activeIds = new Set((await User.find({
+    _id: { $in: [...recipients.keys()] },
+    isActive: true
+  }).distinct('_id')).map(id => id.toString()));
+
+  const expiresAt = getExpiresAt(post.createdAt);
+  const entries = [...recipients.entries()]
+    .filter(([userId]) => activeIds.has(userId))
+    .map(([userId, { reason, tag }]) => ({
+      userId,
+      postId: post._id,
+      authorId: post.userId,
+      reason,
+      tag: tag || null,
+      postCreatedAt: post.createdAt,
+      expiresAt
+    }));
+
+  return insertEntries(entries);
+};
+
+/**
+ * Añade al timeline de un usuario los posts recientes que cumplen un filtro
+ * Se usa al suscribirse a una etiqueta o seguir a un usuario para no empezar con el timeline vacío.
+ *
+ * @param {string} userId - ID del usuario
+ * @param {Object} filter - Filtro de posts (ej: { tags: 'javascript' })
+ * @param {string} reason - Motivo de las entradas
+ * @param {string} tag - Etiqueta (solo con reason "tag")
+ * @returns {Promise<number>} - Entradas nuevas
+ */
+const backfillTimeline = async (userId, filter, reason, tag = null) => {
+  const { backfillLimit, retentionDays } = getFeedPolicy();
+  if (!backfillLimit) return 0;
+
+  const posts = await Post.find({
+    ...filter,
+    isActive: true,
+    visibility: { $in: getListedVisibilities(userId) },
+    createdAt: { $gte: new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000) }
+  })
+    .select('userId createdAt')
+    .sort({ createdAt: -1 })
+    .limit(backfillLimit);
+
+  return insertEntries(posts.map(post => ({
+    userId,
+    postId: post._id,
+    authorId: post.userId,
+    reason,
+    tag,
+    postCreatedAt: post.createdAt,
+    expiresAt: getExpiresAt(post.createdAt)
+  })));
+};
+
+/**
+ * Retira un post de todos los timelines
+ * @param {string} postId - ID del post
+ * @returns {Promise<number>} - Entradas eliminadas
+ */
+const removePostFromTimelines = async (postId) => {
+  const result = await TimelineEntry.deleteMany({ postId });
+  return result.deletedCount;
+};
+
+/**
+ * Codifica la posición de una entrada como cursor opaco
+ * @param {Object} entry - Última entrada de la página
+ * @returns {string}
+ */
+const encodeCursor = (entry) => Buffer.from(JSON.stringify({
+  t: entry.postCreatedAt.toISOString(),
+  id: entry._id.toString()
+})).toString('base64url');
+
+/**
+ * Decodifica un cursor de GET /api/feed/home
+ * @param {string} cursor - Cursor recibido
+ * @returns {Object} - { postCreatedAt, id }
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const postCreatedAt = new Date(t);
+
+    if (Number.isNaN(postCreatedAt.getTime()) || !mongoose.isValidObjectId(id)) {
+      throw new Error('Cursor incompleto');
+    }
+
+    return { postCreatedAt, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw createError('El cursor de paginación es inválido', 400);
+  }
+};
+
+/**
+ * Obtiene una página del timeline de un usuario
+ * Las entradas se ordenan por fecha del post (y por ID para desempatar), y el cursor
+ * apunta a la última entrada devuelta, así que los posts nuevos no desplazan las páginas.
+ * Los posts que el usuario ya no puede ver se descartan en la misma consulta, antes de cortar
+ * la página, para que cada página tenga `limit` posts visibles mientras queden.
+ *
+ * @param {string} userId - ID del usuario
+ * @param {Object} options
+ * @param {string} options.cursor - Cursor devuelto en la página anterior
+ * @param {number} options.limit - Posts por página
+ * @returns {Promise<Object>} - { entries, nextCursor } (cada entrada con su post en entry.post)
+ */
+const getHomeTimeline = async (userId, { cursor = null, limit = 20 } = {}) => {
+  const viewerId = new mongoose.Types.ObjectId(userId);
+  const filters = { userId: viewerId };
+
+  // Ocultar los posts de usuarios bloqueados o silenciados
+  const hiddenUserIds = await Block.getHiddenUserIds(viewerId);
+  if (hiddenUserIds.length > 0) {
+    filters.authorId = { $nin: hiddenUserIds };
+  }
+
+  if (cursor) {
+    const { postCreatedAt, id } = decodeCursor(cursor);
+    filters.$or = [
+      { postCreatedAt: { $lt: postCreatedAt } },
+      { postCreatedAt, _id: { $lt: id } }
+    ];
+  }
+
+  // Se pide una entrada más para saber si hay otra página
+  const rows = await TimelineEntry.aggregate([
+    { $match: filters },
+    { $sort: { postCreatedAt: -1, _id: -1 } },
+    {
+      $lookup: {
+        from: Post.collection.name,
+        let: { postId: '$postId' },
+        pipeline: [{
+          $match: {
+            $expr: { $eq: ['$_id', '$$postId'] },
+            isActive: true,
+            // Los posts que dejaron de listarse (unlisted o private) solo siguen en el timeline de su autor,
+            // y los de cuentas privadas que ya no sigue se ocultan
+            $and: [
+              { $or: [{ visibility: { $in: getListedVisibilities(viewerId) } }, { userId: viewerId }] },
+              await getPrivateAuthorsFilter(viewerId)
+            ]
+          }
+        }],
+        as: 'post'
+      }
+    },
+    { $unwind: '$post' },
+    { $limit: limit + 1 }
+  ]);
+
+  const hasMore = rows.length > limit;
+  const entries = rows.slice(0, limit).map(row => ({ ...row, post: Post.hydrate(row.post) }));
+  await Post.populate(entries.map(entry => entry.post), {
+    path: 'author',
+    select: 'username firstName lastName profilePicture'
+  });
+
+  return {
+    entries,
+    nextCursor: hasMore ? encodeCursor(entries[entries.length - 1]) : null
+  };
+};
+
+/**
+ * Elimina el timeline, las suscripciones y las entradas de los posts de un usuario
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object>} - { entriesDeleted, subscriptionsDeleted }
+ */
+const removeUserTimeline = async (userId) => {
+  const entries = await TimelineEntry.deleteMany({ $or: [{ userId }, { authorId: userId }] });
+  const subscriptions = await TagSubscription.deleteMany({ userId });
+
+  return {
+    entriesDeleted: entries.deletedCount,
+    subscriptionsDeleted: subscriptions.deletedCount
+  };
+};
+
+module.exports = {
+  addPostToTimelines,
+  backfillTimeline,
+  removePostFromTimelines,
+  getHomeTimeline,
+  removeUserTimeline
+};
@@ -0,0 +1,179 @@
+// src/utils/totp.js - Implementación local de TOTP (RFC 6238) para autenticación en dos pasos
+const crypto = require('crypto');
+
+// Parámetros estándar compatibles con Google Authenticator, Authy, 1Password, etc.
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_ALGORITHM = 'sha1';
+
+// Ventana de tolerancia (pasos antes/después) para compensar desfases de reloj
+const TOTP_WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Codifica un buffer en Base32 (RFC 4648, sin relleno)
+ * @param {Buffer} buffer - Datos a codificar
+ * @returns {string} - Texto en Base32
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decodifica un texto Base32 (ignora espacios, guiones y relleno)
+ * @param {string} input - Texto en Base32
+ * @returns {Buffer} - Datos decodificados
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secreto Base32 inválido');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Genera un secreto aleatorio de 160 bits codificado en Base32
+ * @returns {string} - Secreto en Base32
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calcula un código HOTP (RFC 4226) para un contador dado
+ * @param {string} secret - Secreto en Base32
+ * @param {number} counter - Contador (paso de tiempo en TOTP)
+ * @returns {string} - Código numérico con ceros a la izquierda
+ */
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(TOTP_ALGORITHM, base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Truncamiento dinámico
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Obtiene el paso de tiempo TOTP para una fecha
+ * @param {number} timestamp - Marca de tiempo en milisegundos
+ * @returns {number} - Paso de tiempo
+ */
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Genera el código TOTP vigente
+ * @param {string} secret - Secreto en Base32
+ * @param {number} timestamp - Marca de tiempo en milisegundos (por defecto ahora)
+ * @returns {string} - Código de 6 dígitos
+ */
+const generateTotp = (secret, timestamp = Date.now()) => generateHotp(secret, getTimeStep(timestamp));
+
+/**
+ * Verifica un código TOTP dentro de la ventana de tolerancia
+ * Devuelve el paso de tiempo que coincidió para que el llamador pueda impedir
+ * que el mismo código se use dos veces.
+ *
+ * @param {string} secret - Secreto en Base32
+ * @param {string} code - Código introducido por el usuario
+ * @param {Object} options - Opciones
+ * @param {number} options.afterStep - Solo aceptar pasos posteriores a este (anti-replay)
+ * @param {number} options.timestamp - Marca de tiempo de referencia en milisegundos
+ * @returns {number|null} - Paso de tiempo válido o null si el código no es válido
+ */
+const verifyTotp = (secret, code, options = {}) => {
+  const { afterStep = -1, timestamp = Date.now() } = options;
+  const normalizedCode = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d+$/.test(normalizedCode) || normalizedCode.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const step = currentStep + offset;
+    if (step <= afterStep) continue;
+
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Construye la URI otpauth:// para registrar el secreto en una app autenticadora
+ * @param {Object} params - Parámetros
+ * @param {string} params.secret - Secreto en Base32
+ * @param {string} params.accountName - Nombre de la cuenta (email o username)
+ * @param {string} params.issuer - Emisor mostrado en la app
+ * @returns {string} - URI otpauth
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer = 'SocialConnect' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_ALGORITHM.toUpperCase(),
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
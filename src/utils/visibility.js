@@ -0,0 +1,148 @@
+// src/utils/visibility.js - Qué contenido puede ver cada usuario (bloqueos, cuentas privadas y visibilidad de los posts)
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Obtiene las cuentas cuyo contenido privado puede ver un usuario: la suya y las que sigue
+ * @param {string} viewerId - ID del usuario que consulta (null si es anónimo)
+ * @returns {Promise<Object[]>} - IDs de los usuarios
+ */
+const getFollowedAuthorIds = async (viewerId) => {
+  if (!viewerId) return [];
+
+  return [viewerId, ...await Follow.find({ followerId: viewerId, isActive: true }).distinct('followingId')];
+};
+
+/**
+ * Obtiene la condición que oculta el contenido de las cuentas privadas que un usuario no sigue
+ * Cada documento guarda una copia de isPrivate de su autor, así que no hace falta listar las cuentas privadas.
+ *
+ * @param {string} viewerId - ID del usuario que consulta (null si es anónimo)
+ * @param {Object} fields - Campos con la copia de isPrivate (privateField) y el autor (authorField)
+ * @returns {Promise<Object>} - Condición para añadir a $and
+ */
+const getPrivateAuthorsFilter = async (viewerId, { privateField = 'authorPrivate', authorField = 'userId' } = {}) => ({
+  $or: [
+    { [privateField]: { $ne: true } },
+    { [authorField]: { $in: await getFollowedAuthorIds(viewerId) } }
+  ]
+});
+
+/**
+ * Obtiene las visibilidades de los posts que aparecen en los listados de un usuario
+ * - public: para todos
+ * - members_only: solo para usuarios autenticados
+ * Los posts unlisted (solo por enlace) y private (solo su autor) nunca aparecen en los listados.
+ * Los posts anteriores al campo visibility no lo tienen y se tratan como públicos (null).
+ *
+ * @param {string} viewerId - ID del usuario que consulta (null si es anónimo)
+ * @returns {Array}
+ */
+const getListedVisibilities = (viewerId) => (viewerId ? [null, 'public', 'members_only'] : [null, 'public']);
+
+/**
+ * Obtiene la condición que oculta los comentarios y likes de posts que un usuario no puede ver en los listados:
+ * los de cuentas privadas que no sigue y los de otros autores cuya visibilidad no aparece en sus listados
+ * Usa las copias del post guardadas en cada comentario y like (postAuthorId, postVisibility y postAuthorPrivate).
+ *
+ * @param {string} viewerId - ID del usuario que consulta (null si es anónimo)
+ * @returns {Promise<Object>} - Condición para añadir a $and
+ */
+const getListedPostsFilter = async (viewerId) => ({
+  $and: [
+    await getPrivateAuthorsFilter(viewerId, { privateField: 'postAuthorPrivate', authorField: 'postAuthorId' }),
+    {
+      $or: [
+        { postVisibility: { $in: getListedVisibilities(viewerId) } },
+        ...(viewerId ? [{ postAuthorId: viewerId }] : [])
+      ]
+    }
+  ]
+});
+
+/**
+ * Copia la visibilidad de un post en sus comentarios y likes
+ * Se llama cada vez que cambia la visibilidad del post.
+ * @param {Object} post - Post actualizado
+ */
+const syncPostVisibility = async (post) => {
+  await Comment.updateMany({ postId: post._id }, { postVisibility: post.visibility });
+  await Like.updateMany({ postId: post._id }, { postVisibility: post.visibility });
+};
+
+/**
+ * Copia la privacidad de una cuenta en su contenido y en los comentarios y likes de sus posts
+ * Se llama cada vez que la cuenta pasa a ser privada o pública.
+ * @param {string} userId - ID del usuario
+ * @param {boolean} isPrivate - Nueva privacidad de la cuenta
+ */
+const syncAuthorPrivacy = async (userId, isPrivate) => {
+  await Post.updateMany({ userId }, { authorPrivate: isPrivate });
+  await Comment.updateMany({ userId }, { authorPrivate: isPrivate });
+  await Comment.updateMany({ postAuthorId: userId }, { postAuthorPrivate: isPrivate });
+  await Like.updateMany({ postAuthorId: userId }, { postAuthorPrivate: isPrivate });
+};
+
+/**
+ * Verifica que un usuario puede ver el contenido de un autor
+ * - los usuarios bloqueados por el autor reciben 404, como si el contenido no existiera
+ * - las cuentas privadas solo son visibles para el propio autor y sus seguidores aprobados (403)
+ *
+ * @param {Object} viewer - Usuario que consulta (undefined si es anónimo)
+ * @param {string} authorId - ID del autor del contenido
+ * @param {string} notFoundMessage - Mensaje del 404
+ */
+const assertCanViewContentOf = async (viewer, authorId, notFoundMessage) => {
+  if (viewer && viewer._id.toString() === authorId.toString()) return;
+
+  if (viewer && await Block.hasBlocked(authorId, viewer._id)) {
+    throw createError(notFoundMessage, 404);
+  }
+
+  const author = await User.findById(authorId).select('isPrivate');
+  if (!author?.isPrivate) return;
+
+  if (!viewer || !await Follow.isFollowing(viewer._id, authorId)) {
+    throw createError('Esta cuenta es privada. Solo sus seguidores aprobados pueden ver su contenido', 403);
+  }
+};
+
+/**
+ * Verifica que un usuario puede ver un post concreto (detalle, comentarios y likes)
+ * - private: solo su autor; al resto se responde 404 como si no existiera
+ * - members_only: requiere un usuario autenticado (401)
+ * - public y unlisted: cualquiera que tenga el enlace
+ * Después se aplican los bloqueos y las cuentas privadas del autor (assertCanViewContentOf).
+ *
+ * @param {Object} viewer - Usuario que consulta (undefined si es anónimo)
+ * @param {Object} post - Post (con userId y visibility)
+ * @param {string} notFoundMessage - Mensaje del 404
+ */
+const assertCanViewPost = async (viewer, post, notFoundMessage) => {
+  const isAuthor = viewer && viewer._id.toString() === post.userId.toString();
+
+  if (post.visibility === 'private' && !isAuthor) {
+    throw createError(notFoundMessage, 404);
+  }
+
+  if (post.visibility === 'members_only' && !viewer) {
+    throw createError('Debes iniciar sesión para ver este contenido', 401);
+  }
+
+  await assertCanViewContentOf(viewer, post.userId, notFoundMessage);
+};
+
+module.exports = {
+  getPrivateAuthorsFilter,
+  getListedVisibilities,
+  getListedPostsFilter,
+  syncPostVisibility,
+  syncAuthorPrivacy,
+  assertCanViewContentOf,
+  assertCanViewPost
+};
@@ -0,0 +1,404 @@
+// src/utils/webauthn.js - Implementación local de WebAuthn (passkeys) para registro y login
+const crypto = require('crypto');
+const { createError } = require('../middleware/errorHandler');
+
+// Algoritmos COSE soportados: ES256, EdDSA (Ed25519) y RS256
+const COSE_ALGORITHMS = {
+  ES256: -7,
+  EdDSA: -8,
+  RS256: -257
+};
+
+// Transportes válidos que puede informar el navegador
+const AUTHENTICATOR_TRANSPORTS = ['usb', 'nfc', 'ble', 'internal', 'hybrid', 'smart-card'];
+
+// Bits del byte de flags de los datos del autenticador
+const FLAGS = {
+  userPresent: 0x01,
+  userVerified: 0x04,
+  backupEligible: 0x08,
+  backedUp: 0x10,
+  attestedCredentialData: 0x40,
+  extensionData: 0x80
+};
+
+/**
+ * Obtiene la configuración de la parte confiante (relying party)
+ * - WEBAUTHN_RP_ID: dominio al que quedan ligadas las passkeys (por defecto, el del frontend o la API)
+ * - WEBAUTHN_RP_NAME: nombre mostrado por el autenticador
+ * - WEBAUTHN_ORIGINS: orígenes permitidos separados por comas (por defecto, el del frontend o la API)
+ * @returns {Object} - { id, name, origins }
+ */
+const getRelyingParty = () => {
+  const baseUrl = new URL(process.env.FRONTEND_URL
+    || process.env.RENDER_EXTERNAL_URL
+    || process.env.API_URL
+    || `http://localhost:${process.env.PORT || 3000}`);
+
+  const origins = process.env.WEBAUTHN_ORIGINS
+    ? process.env.WEBAUTHN_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+    : [baseUrl.origin];
+
+  return {
+    id: process.env.WEBAUTHN_RP_ID || baseUrl.hostname,
+    name: process.env.WEBAUTHN_RP_NAME || 'SocialConnect',
+    origins
+  };
+};
+
+/**
+ * Genera un desafío aleatorio de 256 bits en base64url
+ * @returns {string}
+ */
+const generateChallenge = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Decodifica un elemento CBOR (RFC 8949) a partir de una posición
+ * Solo admite lo necesario para WebAuthn: enteros, bytes, texto, arrays, mapas,
+ * booleanos, null y floats; no admite longitudes indefinidas.
+ * Las claves de los mapas se convierten a texto (ej: la clave COSE -2 pasa a ser "-2").
+ *
+ * @param {Buffer} buffer - Datos CBOR
+ * @param {number} offset - Posición de inicio
+ * @returns {Object} - { value, offset } con el valor y la posición siguiente
+ */
+const decodeCborItem = (buffer, offset = 0) => {
+  if (offset >= buffer.length) {
+    throw new Error('CBOR truncado');
+  }
+
+  const initial = buffer[offset];
+  const majorType = initial >> 5;
+  const additional = initial & 0x1f;
+  let position = offset + 1;
+
+  // Float o valor simple
+  if (majorType === 7) {
+    if (additional === 20) return { value: false, offset: position };
+    if (additional === 21) return { value: true, offset: position };
+    if (additional === 22 || additional === 23) return { value: null, offset: position };
+    if (additional === 26) return { value: buffer.readFloatBE(position), offset: position + 4 };
+    if (additional === 27) return { value: buffer.readDoubleBE(position), offset: position + 8 };
+    throw new Error(`Valor simple CBOR no soportado: ${additional}`);
+  }
+
+  // Argumento (valor o longitud)
+  let argument;
+  if (additional < 24) {
+    argument = additional;
+  } else if (additional === 24) {
+    argument = buffer.readUInt8(position);
+    position += 1;
+  } else if (additional === 25) {
+    argument = buffer.readUInt16BE(position);
+    position += 2;
+  } else if (additional === 26) {
+    argument = buffer.readUInt32BE(position);
+    position += 4;
+  } else if (additional === 27) {
+    argument = Number(buffer.readBigUInt64BE(position));
+    position += 8;
+  } else {
+    throw new Error('Las longitudes CBOR indefinidas no están soportadas');
+  }
+
+  switch (majorType) {
+    case 0:
+      return { value: argument, offset: position };
+    case 1:
+      return { value: -1 - argument, offset: position };
+    case 2:
+    case 3: {
+      if (position + argument > buffer.length) {
+        throw new Error('CBOR truncado');
+      }
+      const bytes = buffer.subarray(position, position + argument);
+      return {
+        value: majorType === 2 ? Buffer.from(bytes) : bytes.toString('utf8'),
+        offset: position + argument
+      };
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < argument; i++) {
+        const item = decodeCborItem(buffer, position);
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    case 5: {
+      const map = {};
+      for (let i = 0; i < argument; i++) {
+        const key = decodeCborItem(buffer, position);
+        const entry = decodeCborItem(buffer, key.offset);
+        map[String(key.value)] = entry.value;
+        position = entry.offset;
+      }
+      return { value: map, offset: position };
+    }
+    default:
+      throw new Error(`Tipo CBOR no soportado: ${majorType}`);
+  }
+};
+
+/**
+ * Decodifica un documento CBOR completo
+ * @param {Buffer} buffer - Datos CBOR
+ * @returns {*} - Valor decodificado
+ */
+const decodeCbor = (buffer) => decodeCborItem(buffer, 0).value;
+
+/**
+ * Interpreta los datos del autenticador (authenticatorData)
+ * @param {Buffer} authData - Datos del autenticador
+ * @returns {Object} - { rpIdHash, flags, signCount, credentialId, credentialPublicKey, aaguid }
+ */
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw createError('Datos del autenticador inválidos', 400);
+  }
+
+  const flagsByte = authData[32];
+  const flags = Object.fromEntries(
+    Object.entries(FLAGS).map(([name, bit]) => [name, Boolean(flagsByte & bit)])
+  );
+
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags,
+    signCount: authData.readUInt32BE(33),
+    aaguid: null,
+    credentialId: null,
+    credentialPublicKey: null
+  };
+
+  if (flags.attestedCredentialData) {
+    if (authData.length < 55) {
+      throw createError('Datos del autenticador inválidos', 400);
+    }
+
+    const credentialIdLength = authData.readUInt16BE(53);
+    const keyStart = 55 + credentialIdLength;
+
+    parsed.aaguid = authData.subarray(37, 53).toString('hex');
+    parsed.credentialId = authData.subarray(55, keyStart);
+
+    try {
+      parsed.credentialPublicKey = decodeCborItem(authData, keyStart).value;
+    } catch (error) {
+      throw createError('Clave pública de la credencial inválida', 400);
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Convierte una clave pública COSE en un objeto de clave de Node
+ * @param {Object} coseKey - Clave COSE decodificada (claves numéricas como texto)
+ * @returns {Object} - { key: KeyObject, algorithm }
+ */
+const coseToPublicKey = (coseKey) => {
+  const keyType = coseKey['1'];
+  const algorithm = coseKey['3'];
+  let jwk;
+
+  if (!Buffer.isBuffer(coseKey['-2'])) {
+    throw createError('Clave pública de la credencial inválida', 400);
+  }
+
+  if (keyType === 2 && algorithm === COSE_ALGORITHMS.ES256 && coseKey['-1'] === 1 && Buffer.isBuffer(coseKey['-3'])) {
+    jwk = { kty: 'EC', crv: 'P-256', x: coseKey['-2'].toString('base64url'), y: coseKey['-3'].toString('base64url') };
+  } else if (keyType === 1 && algorithm === COSE_ALGORITHMS.EdDSA && coseKey['-1'] === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: coseKey['-2'].toString('base64url') };
+  } else if (keyType === 3 && algorithm === COSE_ALGORITHMS.RS256 && Buffer.isBuffer(coseKey['-1'])) {
+    jwk = { kty: 'RSA', n: coseKey['-1'].toString('base64url'), e: coseKey['-2'].toString('base64url') };
+  } else {
+    throw createError('Algoritmo de la passkey no soportado', 400);
+  }
+
+  try {
+    return { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), algorithm };
+  } catch (error) {
+    throw createError('Clave pública de la credencial inválida', 400);
+  }
+};
+
+/**
+ * Decodifica y valida el clientDataJSON de una respuesta del navegador
+ * @param {string} clientDataJSON - clientDataJSON en base64url
+ * @returns {Object} - Datos del cliente ({ type, challenge, origin })
+ */
+const parseClientData = (clientDataJSON) => {
+  try {
+    const clientData = JSON.parse(Buffer.from(clientDataJSON, 'base64url').toString('utf8'));
+    if (typeof clientData.challenge !== 'string') throw new Error('Sin desafío');
+    return clientData;
+  } catch (error) {
+    throw createError('clientDataJSON inválido', 400);
+  }
+};
+
+/**
+ * Comprueba los elementos comunes a registro y login
+ * @param {Object} params
+ * @param {Object} params.clientData - Datos del cliente decodificados
+ * @param {string} params.expectedType - "webauthn.create" o "webauthn.get"
+ * @param {string} params.expectedChallenge - Desafío emitido por el servidor
+ * @param {Object} params.authenticatorData - Datos del autenticador interpretados
+ * @param {boolean} params.requireUserVerification - Exigir verificación del usuario (PIN, biometría)
+ */
+const assertCeremony = ({ clientData, expectedType, expectedChallenge, authenticatorData, requireUserVerification }) => {
+  const relyingParty = getRelyingParty();
+
+  if (clientData.type !== expectedType) {
+    throw createError('Tipo de operación WebAuthn inválido', 400);
+  }
+  if (clientData.challenge !== expectedChallenge) {
+    throw createError('El desafío WebAuthn no coincide', 400);
+  }
+  if (!relyingParty.origins.includes(clientData.origin)) {
+    throw createError(`Origen no permitido para passkeys: ${clientData.origin}`, 400);
+  }
+
+  const expectedRpIdHash = crypto.createHash('sha256').update(relyingParty.id).digest();
+  if (!crypto.timingSafeEqual(authenticatorData.rpIdHash, expectedRpIdHash)) {
+    throw createError('La passkey pertenece a otro dominio', 400);
+  }
+
+  if (!authenticatorData.flags.userPresent) {
+    throw createError('El autenticador no confirmó la presencia del usuario', 400);
+  }
+  if (requireUserVerification && !authenticatorData.flags.userVerified) {
+    throw createError('El autenticador no verificó al usuario', 400);
+  }
+};
+
+/**
+ * Verifica la respuesta de registro de una passkey (navigator.credentials.create)
+ * Se solicita atestación "none": no se valida la cadena de atestación del fabricante.
+ *
+ * @param {Object} params
+ * @param {Object} params.credential - PublicKeyCredential serializado (campos binarios en base64url)
+ * @param {string} params.expectedChallenge - Desafío emitido por el servidor
+ * @param {boolean} params.requireUserVerification - Exigir verificación del usuario
+ * @returns {Object} - Datos de la credencial a guardar
+ */
+const verifyRegistrationResponse = ({ credential, expectedChallenge, requireUserVerification = false }) => {
+  const clientData = parseClientData(credential.response.clientDataJSON);
+
+  let attestation;
+  try {
+    attestation = decodeCbor(Buffer.from(credential.response.attestationObject, 'base64url'));
+  } catch (error) {
+    throw createError('attestationObject inválido', 400);
+  }
+
+  if (!attestation || !Buffer.isBuffer(attestation.authData)) {
+    throw createError('attestationObject inválido', 400);
+  }
+
+  const authenticatorData = parseAuthenticatorData(attestation.authData);
+
+  assertCeremony({
+    clientData,
+    expectedType: 'webauthn.create',
+    expectedChallenge,
+    authenticatorData,
+    requireUserVerification
+  });
+
+  if (!authenticatorData.credentialId || !authenticatorData.credentialPublicKey) {
+    throw createError('La respuesta no incluye los datos de la credencial', 400);
+  }
+
+  const credentialId = authenticatorData.credentialId.toString('base64url');
+  if (credential.id !== credentialId) {
+    throw createError('El ID de la credencial no coincide con los datos del autenticador', 400);
+  }
+
+  const { key, algorithm } = coseToPublicKey(authenticatorData.credentialPublicKey);
+  const transports = (credential.response.transports || [])
+    .filter(transport => AUTHENTICATOR_TRANSPORTS.includes(transport));
+
+  return {
+    credentialId,
+    publicKey: key.export({ format: 'der', type: 'spki' }).toString('base64url'),
+    algorithm,
+    signCount: authenticatorData.signCount,
+    transports,
+    backedUp: authenticatorData.flags.backedUp,
+    userVerified: authenticatorData.flags.userVerified
+  };
+};
+
+/**
+ * Verifica una aserción de login con passkey (navigator.credentials.get)
+ *
+ * @param {Object} params
+ * @param {Object} params.credential - PublicKeyCredential serializado (campos binarios en base64url)
+ * @param {string} params.expectedChallenge - Desafío emitido por el servidor
+ * @param {Object} params.passkey - Passkey guardada ({ publicKey, algorithm, signCount })
+ * @param {boolean} params.requireUserVerification - Exigir verificación del usuario
+ * @returns {Object} - { signCount, userVerified, backedUp }
+ */
+const verifyAuthenticationResponse = ({ credential, expectedChallenge, passkey, requireUserVerification = false }) => {
+  const clientDataBytes = Buffer.from(credential.response.clientDataJSON, 'base64url');
+  const clientData = parseClientData(credential.response.clientDataJSON);
+  const authData = Buffer.from(credential.response.authenticatorData, 'base64url');
+  const authenticatorData = parseAuthenticatorData(authData);
+
+  assertCeremony({
+    clientData,
+    expectedType: 'webauthn.get',
+    expectedChallenge,
+    authenticatorData,
+    requireUserVerification
+  });
+
+  // La firma cubre authenticatorData || SHA-256(clientDataJSON)
+  const signedData = Buffer.concat([authData, crypto.createHash('sha256').update(clientDataBytes).digest()]);
+  const publicKey = crypto.createPublicKey({
+    key: Buffer.from(passkey.publicKey, 'base64url'),
+    format: 'der',
+    type: 'spki'
+  });
+  const digest = passkey.algorithm === COSE_ALGORITHMS.EdDSA ? null : 'sha256';
+
+  let isValid = false;
+  try {
+    isValid = crypto.verify(digest, signedData, publicKey, Buffer.from(credential.response.signature, 'base64url'));
+  } catch (error) {
+    isValid = false;
+  }
+
+  if (!isValid) {
+    throw createError('Firma de la passkey inválida', 401);
+  }
+
+  // Un contador que no avanza indica un posible autenticador clonado
+  // (los autenticadores que no usan contador siempre envían 0)
+  if ((authenticatorData.signCount > 0 || passkey.signCount > 0) &&
+      authenticatorData.signCount <= passkey.signCount) {
+    throw createError('El contador de la passkey no es válido. Es posible que el autenticador esté clonado', 401);
+  }
+
+  return {
+    signCount: authenticatorData.signCount,
+    userVerified: authenticatorData.flags.userVerified,
+    backedUp: authenticatorData.flags.backedUp
+  };
+};
+
+module.exports = {
+  COSE_ALGORITHMS,
+  AUTHENTICATOR_TRANSPORTS,
+  getRelyingParty,
+  generateChallenge,
+  decodeCbor,
+  parseAuthenticatorData,
+  parseClientData,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse
+};
@@ -0,0 +1,129 @@
+// src/validators/authValidators.js - Validadores para operaciones de autenticación
+const { body, param, query, validationResult } = require('express-validator');
+const { getOAuthProviderNames } = require('../config/oauthProviders');
+
+/**
+ * Middleware para manejar los resultados de validación
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    const formattedErrors = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Errores de validación',
+      errors: formattedErrors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validaciones para renovar tokens
+ */
+const validateRefreshToken = [
+  // Validar refresh token
+  body('refreshToken')
+    .isString()
+    .withMessage('Debe proporcionar un refresh token')
+    .bail()
+    .isJWT()
+    .withMessage('El refresh token tiene un formato inválido'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para canjear un código de autorización OAuth
+ */
+const validateCodeExchange = [
+  body('code')
+    .isString()
+    .withMessage('Debe proporcionar el código de autorización')
+    .bail()
+    .isLength({ min: 20, max: 100 })
+    .withMessage('El código de autorización tiene un formato inválido'),
+
+  // Verificador PKCE (RFC 7636): 43 a 128 caracteres no reservados
+  body('codeVerifier')
+    .optional()
+    .matches(/^[A-Za-z0-9\-._~]{43,128}$/)
+    .withMessage('El codeVerifier debe tener entre 43 y 128 caracteres válidos'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para solicitar un enlace de acceso por email
+ */
+const validateMagicLinkRequest = [
+  // Validar email
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Debe proporcionar un email válido')
+    .normalizeEmail(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para iniciar sesión con un enlace de acceso
+ */
+const validateMagicLinkVerify = [
+  // El token llega en la URL del enlace
+  query('token')
+    .isString()
+    .withMessage('Debe proporcionar el token del enlace de acceso')
+    .bail()
+    .isJWT()
+    .withMessage('El token del enlace de acceso tiene un formato inválido'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para cerrar sesión
+ */
+const validateLogout = [
+  // El refresh token es opcional (clientes solo con sesión OAuth)
+  body('refreshToken')
+    .optional()
+    .isJWT()
+    .withMessage('El refresh token tiene un formato inválido'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para vincular o desvincular un proveedor OAuth
+ */
+const validateOAuthProvider = [
+  // Los proveedores genéricos pueden registrarse en tiempo de ejecución
+  param('provider')
+    .custom((value) => {
+      if (!getOAuthProviderNames().includes(value)) {
+        throw new Error(`El proveedor debe ser uno de: ${getOAuthProviderNames().join(', ')}`);
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateRefreshToken,
+  validateCodeExchange,
+  validateMagicLinkRequest,
+  validateMagicLinkVerify,
+  validateLogout,
+  validateOAuthProvider,
+  handleValidationErrors
+};
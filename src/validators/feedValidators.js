@@ -0,0 +1,67 @@
+// src/validators/feedValidators.js - Validadores para el timeline y las suscripciones a etiquetas
+const { param, query, validationResult } = require('express-validator');
+
+/**
+ * Middleware para manejar los resultados de validación
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    const formattedErrors = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Errores de validación',
+      errors: formattedErrors
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validaciones para leer el timeline
+ */
+const validateHomeFeedQuery = [
+  // Validar cursor (opaco, devuelto por la página anterior)
+  query('cursor')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('El cursor de paginación es inválido'),
+
+  // Validar límite
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('El límite debe ser un número entre 1 y 50')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validaciones de la etiqueta de una suscripción
+ * Mismas reglas que las etiquetas de los posts
+ */
+const validateTagParam = [
+  param('tag')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('La etiqueta debe tener entre 1 y 50 caracteres')
+    .matches(/^[a-zA-Z0-9\-_]+$/)
+    .withMessage('La etiqueta solo puede contener letras, números, guiones y guiones bajos')
+    .toLowerCase(),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateHomeFeedQuery,
+  validateTagParam,
+  handleValidationErrors
+};
@@ -91,6 +91,12 @@ const validateCreatePost = [
       return true;
     }),
 
+  // Validar visibilidad (opcional, public por defecto)
+  body('visibility')
+    .optional()
+    .isIn(['public', 'unlisted', 'members_only', 'private'])
+    .withMessage('La visibilidad debe ser public, unlisted, members_only o private'),
+
   // Aplicar validaciones
   handleValidationErrors
 ];
@@ -165,6 +171,12 @@ const validateUpdatePost = [
       return true;
     }),
 
+  // Validar visibilidad (opcional)
+  body('visibility')
+    .optional()
+    .isIn(['public', 'unlisted', 'members_only', 'private'])
+    .withMessage('La visibilidad debe ser public, unlisted, members_only o private'),
+
   // Aplicar validaciones
   handleValidationErrors
 ];
@@ -1,6 +1,8 @@
 // src/validators/userValidators.js - Validadores para operaciones de usuarios
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { createError } = require('../middleware/errorHandler');
+const { ROLES, PERMISSIONS, TOKEN_SCOPES } = require('../config/permissions');
+const { AUDIT_ACTIONS, AUDIT_CATEGORIES, SECURITY_CATEGORIES } = require('../config/auditEvents');
 
 /**
  * Middleware para manejar los resultados de validación
@@ -71,12 +73,13 @@ const validateCreateUser = [
       return true;
     }),
 
-  // Validar password
+  // Validar password (la política de seguridad se aplica en el controlador, ver utils/passwordPolicy.js)
   body('password')
-    .isLength({ min: 6 })                            // Mínimo 6 caracteres
-    .withMessage('La contraseña debe tener al menos 6 caracteres')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)      // Debe tener mayúscula, minúscula y número
-    .withMessage('La contraseña debe contener al menos una mayúscula, una minúscula y un número'),
+    .isString()
+    .withMessage('Debe proporcionar una contraseña')
+    .bail()
+    .notEmpty()
+    .withMessage('Debe proporcionar una contraseña'),
 
   // Validar firstName
   body('firstName')
@@ -192,6 +195,13 @@ const validateUpdateUser = [
     .isLength({ max: 500 })
     .withMessage('La biografía no puede exceder 500 caracteres'),
 
+  // Validar cuenta privada (opcional)
+  body('isPrivate')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isPrivate debe ser un valor booleano')
+    .toBoolean(),
+
   // Aplicar validaciones
   handleValidationErrors
 ];
@@ -224,12 +234,13 @@ const validateChangePassword = [
     .notEmpty()
     .withMessage('Debe proporcionar la contraseña actual'),
 
-  // Validar nueva contraseña
+  // Validar nueva contraseña (la política de seguridad se aplica en el controlador)
   body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('La nueva contraseña debe tener al menos 6 caracteres')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('La nueva contraseña debe contener al menos una mayúscula, una minúscula y un número')
+    .isString()
+    .withMessage('Debe proporcionar la nueva contraseña')
+    .bail()
+    .notEmpty()
+    .withMessage('Debe proporcionar la nueva contraseña')
     .custom((value, { req }) => {
       // Verificar que la nueva contraseña sea diferente a la actual
       if (value === req.body.currentPassword) {
@@ -265,11 +276,523 @@ const validateUserId = [
   handleValidationErrors
 ];
 
+/**
+ * Validaciones para verificar el email
+ */
+const validateVerifyEmail = [
+  // Validar token de verificación
+  body('token')
+    .isString()
+    .withMessage('Debe proporcionar el token de verificación')
+    .bail()
+    .isJWT()
+    .withMessage('El token de verificación tiene un formato inválido'),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para solicitar el restablecimiento de contraseña
+ */
+const validateForgotPassword = [
+  // Validar email
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Debe proporcionar un email válido')
+    .normalizeEmail(),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para restablecer la contraseña
+ */
+const validateResetPassword = [
+  // Validar token de restablecimiento (64 caracteres hexadecimales)
+  body('token')
+    .isString()
+    .withMessage('Debe proporcionar el token de restablecimiento')
+    .bail()
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('El token de restablecimiento tiene un formato inválido'),
+
+  // Validar nueva contraseña (la política de seguridad se aplica en el controlador)
+  body('newPassword')
+    .isString()
+    .withMessage('Debe proporcionar la nueva contraseña')
+    .bail()
+    .notEmpty()
+    .withMessage('Debe proporcionar la nueva contraseña'),
+
+  // Validar confirmación de contraseña
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      // Verificar que las contraseñas coincidan
+      if (value !== req.body.newPassword) {
+        throw new Error('Las contraseñas no coinciden');
+      }
+      return true;
+    }),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validación de parámetros de ID de sesión
+ */
+const validateSessionId = [
+  // Validar que el ID sea un ObjectId válido de MongoDB
+  param('id')
+    .isMongoId()
+    .withMessage('ID de sesión inválido'),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para códigos de la autenticación en dos pasos
+ * Acepta un código TOTP de 6 dígitos o un código de recuperación (xxxxx-xxxxx)
+ */
+const validateTwoFactorCode = [
+  body('code')
+    .isString()
+    .withMessage('Debe proporcionar un código de verificación')
+    .bail()
+    .trim()
+    .matches(/^(\d{6}|[0-9a-fA-F]{5}-?[0-9a-fA-F]{5})$/)
+    .withMessage('El código de verificación tiene un formato inválido'),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para completar el login en dos pasos
+ */
+const validateTwoFactorLogin = [
+  // Validar el desafío devuelto por el login
+  body('challengeToken')
+    .isString()
+    .withMessage('Debe proporcionar el desafío de autenticación')
+    .bail()
+    .isJWT()
+    .withMessage('El desafío de autenticación tiene un formato inválido'),
+
+  // Validar el código TOTP o de recuperación
+  ...validateTwoFactorCode
+];
+
+/**
+ * Validaciones para cambiar el rol y los permisos de un usuario
+ */
+const validateUpdateUserRole = [
+  // Validar que el ID sea un ObjectId válido de MongoDB
+  param('id')
+    .isMongoId()
+    .withMessage('ID de usuario inválido'),
+
+  // Validar rol
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`El rol debe ser uno de: ${ROLES.join(', ')}`),
+
+  // Validar permisos individuales
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Los permisos deben ser un array'),
+
+  body('permissions.*')
+    .isIn(PERMISSIONS)
+    .withMessage('Permiso inválido'),
+
+  // Exigir al menos uno de los dos campos
+  body()
+    .custom((value) => {
+      if (value.role === undefined && value.permissions === undefined) {
+        throw new Error('Debe proporcionar un rol o una lista de permisos');
+      }
+      return true;
+    }),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para crear un token de acceso personal
+ */
+const validateCreateAccessToken = [
+  // Validar nombre
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El nombre del token debe tener entre 1 y 100 caracteres'),
+
+  // Validar alcances
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Debe proporcionar al menos un alcance'),
+
+  body('scopes.*')
+    .isIn(TOKEN_SCOPES)
+    .withMessage(`Alcance inválido. Valores permitidos: ${TOKEN_SCOPES.join(', ')}`),
+
+  // Validar expiración opcional (en días)
+  body('expiresInDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('La expiración debe ser un número de días entre 1 y 365')
+    .toInt(),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validación de parámetros de ID de token de acceso
+ */
+const validateAccessTokenId = [
+  // Validar que el ID sea un ObjectId válido de MongoDB
+  param('id')
+    .isMongoId()
+    .withMessage('ID de token inválido'),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+// Campos binarios de WebAuthn codificados en base64url
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Valida un campo de la credencial WebAuthn codificado en base64url
+ * @param {string} field - Ruta del campo en el body
+ * @param {string} label - Nombre mostrado en el mensaje de error
+ */
+const base64urlField = (field, label) => body(field)
+  .isString()
+  .withMessage(`Debe proporcionar ${label}`)
+  .bail()
+  .matches(BASE64URL_PATTERN)
+  .withMessage(`${label} debe estar codificado en base64url`);
+
+/**
+ * Validaciones para registrar una passkey
+ */
+const validatePasskeyRegistration = [
+  base64urlField('credential.id', 'el ID de la credencial'),
+  base64urlField('credential.response.clientDataJSON', 'el clientDataJSON'),
+  base64urlField('credential.response.attestationObject', 'el attestationObject'),
+
+  // Transportes opcionales informados por el navegador
+  body('credential.response.transports')
+    .optional()
+    .isArray()
+    .withMessage('Los transportes deben ser un array'),
+
+  // Validar nombre opcional
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('El nombre de la passkey debe tener entre 1 y 50 caracteres'),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para iniciar sesión con una passkey
+ */
+const validatePasskeyLogin = [
+  base64urlField('credential.id', 'el ID de la credencial'),
+  base64urlField('credential.response.clientDataJSON', 'el clientDataJSON'),
+  base64urlField('credential.response.authenticatorData', 'el authenticatorData'),
+  base64urlField('credential.response.signature', 'la firma'),
+
+  body('credential.response.userHandle')
+    .optional({ nullable: true })
+    .matches(BASE64URL_PATTERN)
+    .withMessage('El userHandle debe estar codificado en base64url'),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validación de parámetros de ID de passkey
+ */
+const validatePasskeyId = [
+  // Validar que el ID sea un ObjectId válido de MongoDB
+  param('id')
+    .isMongoId()
+    .withMessage('ID de passkey inválido'),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validación de parámetros de ID de exportación de datos
+ */
+const validateDataExportId = [
+  // Validar que el ID sea un ObjectId válido de MongoDB
+  param('id')
+    .isMongoId()
+    .withMessage('ID de exportación inválido'),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para solicitar el enlace de reactivación de la cuenta
+ */
+const validateReactivationRequest = [
+  // Validar email
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Debe proporcionar un email válido')
+    .normalizeEmail(),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para reactivar la cuenta con el token recibido por email
+ */
+const validateReactivationConfirm = [
+  // Validar token de reactivación
+  body('token')
+    .isString()
+    .withMessage('Debe proporcionar el token de reactivación')
+    .bail()
+    .isJWT()
+    .withMessage('El token de reactivación tiene un formato inválido'),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para los filtros de los registros de borrado de cuentas
+ */
+const validateErasureQuery = [
+  // Validar email
+  query('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Debe proporcionar un email válido')
+    .normalizeEmail(),
+
+  // Validar ID del usuario
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID de usuario inválido'),
+
+  // Validar estado
+  query('status')
+    .optional()
+    .isIn(['in_progress', 'completed', 'failed'])
+    .withMessage('El estado debe ser: in_progress, completed o failed'),
+
+  // Validar página
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La página debe ser un número entero mayor a 0')
+    .toInt(),
+
+  // Validar límite
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('El límite debe ser un número entre 1 y 100')
+    .toInt(),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validaciones de paginación de las listas de seguidores y seguidos
+ */
+const validateFollowListQuery = [
+  // Validar página
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La página debe ser un número entero mayor a 0')
+    .toInt(),
+
+  // Validar límite
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('El límite debe ser un número entre 1 y 100')
+    .toInt(),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para la consulta de sugerencias de usuarios
+ */
+const validateSuggestionQuery = [
+  // Validar límite
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('El límite debe ser un número entre 1 y 50')
+    .toInt(),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validación de parámetros de ID de solicitud de seguimiento
+ */
+const validateFollowRequestId = [
+  // Validar que el ID sea un ObjectId válido de MongoDB
+  param('id')
+    .isMongoId()
+    .withMessage('ID de solicitud de seguimiento inválido'),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validaciones comunes de las consultas de eventos de auditoría
+ * @param {string[]} actions - Acciones que se pueden filtrar
+ */
+const auditEventQueryRules = (actions) => [
+  // Validar acción
+  query('action')
+    .optional()
+    .isIn(actions)
+    .withMessage(`La acción debe ser una de: ${actions.join(', ')}`),
+
+  // Validar resultado
+  query('outcome')
+    .optional()
+    .isIn(['success', 'failure'])
+    .withMessage('El resultado debe ser: success o failure'),
+
+  // Validar rango de fechas
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha "from" debe tener formato ISO 8601'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha "to" debe tener formato ISO 8601'),
+
+  // Validar página
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La página debe ser un número entero mayor a 0')
+    .toInt(),
+
+  // Validar límite
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('El límite debe ser un número entre 1 y 100')
+    .toInt()
+];
+
+/**
+ * Validaciones para consultar el registro de auditoría (administradores)
+ */
+const validateAuditEventQuery = [
+  ...auditEventQueryRules(Object.keys(AUDIT_ACTIONS)),
+
+  // Validar categoría
+  query('category')
+    .optional()
+    .isIn(AUDIT_CATEGORIES)
+    .withMessage(`La categoría debe ser una de: ${AUDIT_CATEGORIES.join(', ')}`),
+
+  // Validar IDs del actor y del recurso
+  query('actorId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID de usuario inválido'),
+
+  query('targetType')
+    .optional()
+    .isIn(['User', 'Post', 'Comment'])
+    .withMessage('El tipo de recurso debe ser: User, Post o Comment'),
+
+  query('targetId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID de recurso inválido'),
+
+  // Validar dirección IP
+  query('ipAddress')
+    .optional()
+    .isIP()
+    .withMessage('Debe proporcionar una dirección IP válida'),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
+/**
+ * Validaciones para consultar los eventos de seguridad propios
+ */
+const validateSecurityEventQuery = [
+  ...auditEventQueryRules(Object.keys(AUDIT_ACTIONS).filter(action => SECURITY_CATEGORIES.includes(AUDIT_ACTIONS[action]))),
+
+  // Aplicar validaciones
+  handleValidationErrors
+];
+
 module.exports = {
   validateCreateUser,
   validateUpdateUser,
   validateLogin,
   validateChangePassword,
   validateUserId,
+  validateSessionId,
+  validateVerifyEmail,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateUpdateUserRole,
+  validateCreateAccessToken,
+  validateAccessTokenId,
+  validatePasskeyRegistration,
+  validatePasskeyLogin,
+  validatePasskeyId,
+  validateDataExportId,
+  validateReactivationRequest,
+  validateReactivationConfirm,
+  validateErasureQuery,
+  validateAuditEventQuery,
+  validateSecurityEventQuery,
+  validateFollowListQuery,
+  validateFollowRequestId,
+  validateSuggestionQuery,
   handleValidationErrors
 };
\ No newline at end of file